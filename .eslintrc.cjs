@@ -0,0 +1,21 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2022: true },
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+  settings: { react: { version: '18.2' } },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react/jsx-runtime',
+    'plugin:react-hooks/recommended'
+  ],
+  rules: {
+    'react/prop-types': 'off',
+    // Files still import React alongside the automatic runtime
+    'react/jsx-uses-react': 'error',
+    // Copy in JSX is plain English ("Don't", "Add to cart")
+    'react/no-unescaped-entities': 'off',
+    // Callback signatures and rest-omitted keys document the shape
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }]
+  }
+};
@@ -4,6 +4,7 @@ import { ViewProvider } from './contexts/ViewContext';
 import { DataProvider } from './contexts/DataContext';
 import AppShell from './components/layout/AppShell';
 import ErrorBoundary from './components/common/ErrorBoundary';
+import PwaPrompts from './components/common/PwaPrompts';
 
 function App() {
   return (
@@ -12,6 +13,7 @@ function App() {
         <ViewProvider>
           <DataProvider>
             <AppShell />
+            <PwaPrompts />
           </DataProvider>
         </ViewProvider>
       </AuthProvider>
@@ -7,36 +7,46 @@
  */
 
 import { useState, useEffect } from 'react';
-import { getGSTSummary } from '../../services/billingService';
-import { recordPayment, getPaymentSummary, PAYMENT_MODES, PAYMENT_STATUS } from '../../services/paymentService';
+import { getGSTSummary, getHSNSummary } from '../../services/billingService';
+import { isInterStateBill } from '../../services/orderCalculationService';
+import { getStateName } from '../../constants/gstStates';
+import {
+  recordPayments,
+  getPaymentSummary,
+  createTenderLine,
+  formatPaymentLine,
+  getPaymentModeSummary,
+  PAYMENT_MODE_LABELS,
+  PAYMENT_STATUS
+} from '../../services/paymentService';
 import { useAuth } from '../../hooks/useAuth';
+import { downloadBillPDF, PDF_FORMATS } from '../../utils/pdfUtils';
+import { printReceipt, PRINT_METHODS } from '../../services/printerService';
+import { getBillUPIPaymentURI, getBillDueAmount } from '../../utils/upiUtils';
+import TenderLines from './TenderLines';
+import UPIPaymentQR from './UPIPaymentQR';
 import './BillPreview.css';
 
 const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
   const [isPrinting, setIsPrinting] = useState(false);
   const [paymentSummary, setPaymentSummary] = useState(null);
   const [showPaymentForm, setShowPaymentForm] = useState(false);
-  const [paymentForm, setPaymentForm] = useState({
-    mode: PAYMENT_MODES.CASH,
-    amount: '',
-    referenceId: ''
-  });
+  const [tenderLines, setTenderLines] = useState([createTenderLine()]);
   const [isRecording, setIsRecording] = useState(false);
   const [paymentError, setPaymentError] = useState('');
+  const [downloadingFormat, setDownloadingFormat] = useState(null);
+  const [isThermalPrinting, setIsThermalPrinting] = useState(false);
   const { user } = useAuth();
 
   // Calculate payment summary on mount and when bill changes
   useEffect(() => {
-    if (bill && bill.id) {
+    if (bill && bill.id && bill.documentType !== 'CREDIT_NOTE') {
       const summary = getPaymentSummary(bill);
       setPaymentSummary(summary);
       
       // Auto-fill due amount in payment form
       if (summary.dueAmount > 0) {
-        setPaymentForm(prev => ({
-          ...prev,
-          amount: summary.dueAmount.toFixed(2)
-        }));
+        setTenderLines([createTenderLine(summary.dueAmount.toFixed(2))]);
       }
     }
   }, [bill]);
@@ -50,7 +60,15 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
   }
 
   const gstSummary = getGSTSummary(bill);
+  const hsnSummary = getHSNSummary(bill);
+  const isCreditNote = bill.documentType === 'CREDIT_NOTE';
+  const isInterState = isInterStateBill(bill);
   const isLocked = paymentSummary?.isLocked || false;
+  // Payments recorded so far (kept current while payments are taken here)
+  const billPayments = paymentSummary ? paymentSummary.payments : (bill.payments || []);
+  // QR on the invoice collects whatever is still due
+  const dueAmount = paymentSummary ? paymentSummary.dueAmount : getBillDueAmount(bill);
+  const upiURI = getBillUPIPaymentURI(bill, dueAmount);
 
   const handlePrint = () => {
     setIsPrinting(true);
@@ -60,11 +78,35 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
     }, 100);
   };
 
-  const handleAmountChange = (e) => {
-    const value = e.target.value;
-    // Allow only numbers and decimal point
-    if (value === '' || /^\d*\.?\d{0,2}$/.test(value)) {
-      setPaymentForm(prev => ({ ...prev, amount: value }));
+  const handleDownloadPDF = async (format) => {
+    try {
+      setDownloadingFormat(format);
+      await downloadBillPDF(paymentSummary
+        ? { ...bill, dueAmount: paymentSummary.dueAmount, payments: paymentSummary.payments }
+        : bill, format);
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      alert('Failed to generate PDF: ' + error.message);
+    } finally {
+      setDownloadingFormat(null);
+    }
+  };
+
+  const handleThermalPrint = async () => {
+    try {
+      setIsThermalPrinting(true);
+      // QR on the receipt collects only what is still due
+      const method = await printReceipt(paymentSummary
+        ? { ...bill, dueAmount: paymentSummary.dueAmount, payments: paymentSummary.payments }
+        : bill);
+      if (method === PRINT_METHODS.DOWNLOAD) {
+        alert('No thermal printer connected. The receipt was downloaded as a .bin file you can send to the printer.');
+      }
+    } catch (error) {
+      console.error('Error printing receipt:', error);
+      alert('Failed to print receipt: ' + error.message);
+    } finally {
+      setIsThermalPrinting(false);
     }
   };
 
@@ -73,31 +115,15 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
       setIsRecording(true);
       setPaymentError('');
 
-      // Validate amount
-      const amount = parseFloat(paymentForm.amount);
-      if (isNaN(amount) || amount <= 0) {
-        setPaymentError('Please enter a valid amount');
-        return;
-      }
-
-      // Record payment
-      const updatedBill = await recordPayment(bill.id, {
-        mode: paymentForm.mode,
-        amount: amount,
-        referenceId: null, // Not tracking reference IDs
-        recordedBy: user?.uid || null
-      });
+      // All lines are recorded together (amounts are validated in the transaction)
+      const { bill: updatedBill, changeDue } = await recordPayments(bill.id, tenderLines, user?.uid || null);
 
       // Update payment summary
       const newSummary = getPaymentSummary(updatedBill);
       setPaymentSummary(newSummary);
 
       // Reset form
-      setPaymentForm({
-        mode: PAYMENT_MODES.CASH,
-        amount: newSummary.dueAmount > 0 ? newSummary.dueAmount.toFixed(2) : '',
-        referenceId: ''
-      });
+      setTenderLines([createTenderLine(newSummary.dueAmount > 0 ? newSummary.dueAmount.toFixed(2) : '')]);
 
       // Hide form if fully paid
       if (newSummary.paymentStatus === PAYMENT_STATUS.PAID) {
@@ -109,7 +135,9 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
         onPaymentRecorded(updatedBill);
       }
 
-      alert('Payment recorded successfully!');
+      alert(changeDue > 0
+        ? `Payment recorded. Return ₹${changeDue.toFixed(2)} change.`
+        : 'Payment recorded successfully!');
     } catch (error) {
       console.error('Error recording payment:', error);
       setPaymentError(error.message || 'Failed to record payment');
@@ -165,7 +193,16 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
       {/* Screen-only controls */}
       <div className="bill-preview-controls no-print">
         <button onClick={handlePrint} className="btn-print" disabled={isPrinting}>
-          {isPrinting ? 'Preparing...' : '🖨️ Print Bill'}
+          {isPrinting ? 'Preparing...' : isCreditNote ? '🖨️ Print Credit Note' : '🖨️ Print Bill'}
+        </button>
+        <button onClick={() => handleDownloadPDF(PDF_FORMATS.A4)} className="btn-print" disabled={downloadingFormat !== null}>
+          {downloadingFormat === PDF_FORMATS.A4 ? 'Generating...' : '📄 PDF (A4)'}
+        </button>
+        <button onClick={() => handleDownloadPDF(PDF_FORMATS.THERMAL_80MM)} className="btn-print" disabled={downloadingFormat !== null}>
+          {downloadingFormat === PDF_FORMATS.THERMAL_80MM ? 'Generating...' : '🧾 PDF (80mm)'}
+        </button>
+        <button onClick={handleThermalPrint} className="btn-print" disabled={isThermalPrinting}>
+          {isThermalPrinting ? 'Printing...' : '🧾 Thermal Printer'}
         </button>
         {onClose && (
           <button onClick={onClose} className="btn-close">
@@ -175,7 +212,7 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
       </div>
 
       {/* Payment Status & Recording (STEP 6) */}
-      {bill.id && paymentSummary && (
+      {bill.id && !isCreditNote && paymentSummary && (
         <div className="bill-payment-section no-print">
           <div className="payment-status-card">
             <h3>Payment Status</h3>
@@ -207,8 +244,12 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                 <div className="payment-history-list">
                   {paymentSummary.payments.map((payment, index) => (
                     <div key={index} className="payment-history-item">
-                      <span className="payment-mode-badge">{payment.mode}</span>
+                      <span className="payment-mode-badge">{PAYMENT_MODE_LABELS[payment.mode] || payment.mode}</span>
                       <span className="payment-amount">{formatCurrency(payment.amount)}</span>
+                      <span className="payment-ref">
+                        {payment.referenceId && `Ref ${payment.referenceId}`}
+                        {payment.changeGiven > 0 && `Cash ${formatCurrency(payment.tenderedAmount)}, change ${formatCurrency(payment.changeGiven)}`}
+                      </span>
                       <span className="payment-time">{formatDate(payment.paidAt)}</span>
                     </div>
                   ))}
@@ -234,32 +275,14 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                       <div className="payment-error">{paymentError}</div>
                     )}
 
-                    <div className="payment-form-grid">
-                      <div className="form-group">
-                        <label>Payment Mode</label>
-                        <select 
-                          value={paymentForm.mode} 
-                          onChange={(e) => setPaymentForm(prev => ({ ...prev, mode: e.target.value }))}
-                          disabled={isRecording}
-                        >
-                          <option value={PAYMENT_MODES.CASH}>Cash</option>
-                          <option value={PAYMENT_MODES.UPI}>UPI</option>
-                          <option value={PAYMENT_MODES.CARD}>Card</option>
-                          <option value={PAYMENT_MODES.BANK_TRANSFER}>Bank Transfer</option>
-                        </select>
-                      </div>
-
-                      <div className="form-group">
-                        <label>Amount (₹)</label>
-                        <input 
-                          type="text" 
-                          value={paymentForm.amount}
-                          onChange={handleAmountChange}
-                          placeholder="0.00"
-                          disabled={isRecording}
-                        />
-                        <small>Due: ₹{paymentSummary.dueAmount.toFixed(2)}</small>
-                      </div>
+                    <div className="payment-form-tender">
+                      <TenderLines
+                        dueAmount={paymentSummary.dueAmount}
+                        lines={tenderLines}
+                        onChange={setTenderLines}
+                        disabled={isRecording}
+                        upiPayee={{ upiId: bill.seller.upiId, payeeName: bill.seller.businessName, note: bill.billNumber }}
+                      />
                     </div>
 
                     <div className="payment-form-actions">
@@ -300,8 +323,17 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
         {/* Header */}
         <div className="bill-header">
           <div className="bill-business-info">
+            {bill.seller.logoUrl && (
+              <img src={bill.seller.logoUrl} alt={bill.seller.businessName} className="business-logo" />
+            )}
             <h1 className="business-name">{bill.seller.businessName}</h1>
+            {bill.seller.legalName && bill.seller.legalName !== bill.seller.businessName && (
+              <p className="business-address">{bill.seller.legalName}</p>
+            )}
             <p className="business-address">{bill.seller.storeAddress}</p>
+            {bill.seller.registeredAddress && bill.seller.registeredAddress !== bill.seller.storeAddress && (
+              <p className="business-address">Regd. Office: {bill.seller.registeredAddress}</p>
+            )}
             <p className="business-contact">
               Phone: {bill.seller.phone} | Email: {bill.seller.email}
             </p>
@@ -311,13 +343,36 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
           </div>
           
           <div className="bill-meta">
-            <h2 className="invoice-title">TAX INVOICE</h2>
-            <p><strong>Bill No:</strong> {bill.billNumber}</p>
-            <p><strong>Date:</strong> {formatDate(bill.billDate)}</p>
+            {isCreditNote ? (
+              <>
+                <h2 className="invoice-title">CREDIT NOTE</h2>
+                <p><strong>Credit Note No:</strong> {bill.creditNoteNumber}</p>
+                <p><strong>Date:</strong> {formatDate(bill.creditNoteDate)}</p>
+                <p><strong>Against Bill:</strong> {bill.originalBillNumber}</p>
+              </>
+            ) : (
+              <>
+                <h2 className="invoice-title">{bill.isProvisional ? 'PROVISIONAL BILL' : 'TAX INVOICE'}</h2>
+                <p><strong>{bill.isProvisional ? 'Provisional No:' : 'Bill No:'}</strong> {bill.billNumber}</p>
+                {bill.isProvisional && (
+                  <p>Made offline. The tax invoice number is issued when this sale syncs.</p>
+                )}
+                {bill.offlineSale && (
+                  <p><strong>Provisional No:</strong> {bill.offlineSale.provisionalBillNumber}</p>
+                )}
+                <p><strong>Date:</strong> {formatDate(bill.billDate)}</p>
+                {bill.exchangeForBillNumber && (
+                  <p><strong>Exchange Against:</strong> {bill.exchangeForBillNumber}</p>
+                )}
+              </>
+            )}
             <p><strong>Order Type:</strong> {bill.orderType.toUpperCase()}</p>
             {bill.exhibitionLocation && (
               <p><strong>Exhibition:</strong> 📍 {bill.exhibitionLocation}</p>
             )}
+            {bill.placeOfSupply && (
+              <p><strong>Place of Supply:</strong> {bill.placeOfSupply.stateName} ({bill.placeOfSupply.stateCode})</p>
+            )}
             <p><strong>Employee:</strong> {bill.employeeName}</p>
           </div>
         </div>
@@ -326,8 +381,16 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
 
         {/* Customer Section */}
         <div className="bill-customer">
-          <h3>Bill To:</h3>
+          <h3>{isCreditNote ? 'Credit To:' : 'Bill To:'}</h3>
+          {bill.customer.gstin && bill.customer.businessName && (
+            <p className="customer-name"><strong>{bill.customer.businessName}</strong></p>
+          )}
           <p className="customer-name"><strong>{bill.customer.name}</strong></p>
+          {bill.customer.gstin && (
+            <p className="customer-gstin">
+              GSTIN: {bill.customer.gstin} · State: {getStateName(bill.customer.gstin.slice(0, 2))} ({bill.customer.gstin.slice(0, 2)})
+            </p>
+          )}
           <p className="customer-phone">Phone: {bill.customer.phone}</p>
           {bill.customer.address && (
             <p className="customer-address">Address: {bill.customer.address}</p>
@@ -343,13 +406,20 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
               <tr>
                 <th className="col-sno">S.No</th>
                 <th className="col-product">Product Name</th>
+                <th className="col-hsn">HSN</th>
                 <th className="col-sku">SKU</th>
                 <th className="col-qty">Qty</th>
                 <th className="col-rate">Rate</th>
                 <th className="col-discount">Discount</th>
                 <th className="col-taxable">Taxable Value</th>
-                <th className="col-cgst">CGST</th>
-                <th className="col-sgst">SGST</th>
+                {isInterState ? (
+                  <th className="col-igst">IGST</th>
+                ) : (
+                  <>
+                    <th className="col-cgst">CGST</th>
+                    <th className="col-sgst">SGST</th>
+                  </>
+                )}
                 <th className="col-total">Total</th>
               </tr>
             </thead>
@@ -361,6 +431,7 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                     {item.productName}
                     <span className="item-category">({item.category})</span>
                   </td>
+                  <td className="col-hsn">{item.hsnCode || '-'}</td>
                   <td className="col-sku">{item.sku}</td>
                   <td className="col-qty">{item.quantity}</td>
                   <td className="col-rate">{formatCurrency(item.unitPrice)}</td>
@@ -368,14 +439,23 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                     {item.discountApplied > 0 ? formatCurrency(item.discountApplied) : '-'}
                   </td>
                   <td className="col-taxable">{formatCurrency(item.taxableValue)}</td>
-                  <td className="col-cgst">
-                    {item.cgstRate !== undefined && !isNaN(item.cgstRate) ? `${item.cgstRate}%` : '2.5%'}<br />
-                    {formatCurrency(item.cgstAmount)}
-                  </td>
-                  <td className="col-sgst">
-                    {item.sgstRate !== undefined && !isNaN(item.sgstRate) ? `${item.sgstRate}%` : '2.5%'}<br />
-                    {formatCurrency(item.sgstAmount)}
-                  </td>
+                  {isInterState ? (
+                    <td className="col-igst">
+                      {item.igstRate}%<br />
+                      {formatCurrency(item.igstAmount)}
+                    </td>
+                  ) : (
+                    <>
+                      <td className="col-cgst">
+                        {item.cgstRate !== undefined && !isNaN(item.cgstRate) ? `${item.cgstRate}%` : '2.5%'}<br />
+                        {formatCurrency(item.cgstAmount)}
+                      </td>
+                      <td className="col-sgst">
+                        {item.sgstRate !== undefined && !isNaN(item.sgstRate) ? `${item.sgstRate}%` : '2.5%'}<br />
+                        {formatCurrency(item.sgstAmount)}
+                      </td>
+                    </>
+                  )}
                   <td className="col-total">{formatCurrency(item.lineTotal)}</td>
                 </tr>
               ))}
@@ -394,8 +474,14 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                 <tr>
                   <th>GST Rate</th>
                   <th>Taxable Value</th>
-                  <th>CGST</th>
-                  <th>SGST</th>
+                  {isInterState ? (
+                    <th>IGST</th>
+                  ) : (
+                    <>
+                      <th>CGST</th>
+                      <th>SGST</th>
+                    </>
+                  )}
                   <th>Total Tax</th>
                 </tr>
               </thead>
@@ -404,8 +490,59 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                   <tr key={index}>
                     <td>{group.gstRate !== undefined && !isNaN(group.gstRate) ? `${group.gstRate}%` : '5%'}</td>
                     <td>{formatCurrency(group.taxableValue)}</td>
-                    <td>{group.cgstRate !== undefined && !isNaN(group.cgstRate) ? `${group.cgstRate}%` : '2.5%'} - {formatCurrency(group.cgstAmount)}</td>
-                    <td>{group.sgstRate !== undefined && !isNaN(group.sgstRate) ? `${group.sgstRate}%` : '2.5%'} - {formatCurrency(group.sgstAmount)}</td>
+                    {isInterState ? (
+                      <td>{group.igstRate}% - {formatCurrency(group.igstAmount)}</td>
+                    ) : (
+                      <>
+                        <td>{group.cgstRate !== undefined && !isNaN(group.cgstRate) ? `${group.cgstRate}%` : '2.5%'} - {formatCurrency(group.cgstAmount)}</td>
+                        <td>{group.sgstRate !== undefined && !isNaN(group.sgstRate) ? `${group.sgstRate}%` : '2.5%'} - {formatCurrency(group.sgstAmount)}</td>
+                      </>
+                    )}
+                    <td>{formatCurrency(group.totalTax)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* HSN Summary */}
+        {hsnSummary.length > 0 && (
+          <div className="bill-gst-summary">
+            <h4>HSN Summary:</h4>
+            <table className="gst-summary-table">
+              <thead>
+                <tr>
+                  <th>HSN</th>
+                  <th>Qty</th>
+                  <th>Taxable Value</th>
+                  <th>Rate</th>
+                  {isInterState ? (
+                    <th>IGST</th>
+                  ) : (
+                    <>
+                      <th>CGST</th>
+                      <th>SGST</th>
+                    </>
+                  )}
+                  <th>Total Tax</th>
+                </tr>
+              </thead>
+              <tbody>
+                {hsnSummary.map((group) => (
+                  <tr key={`${group.hsnCode}_${group.gstRate}`}>
+                    <td>{group.hsnCode}</td>
+                    <td>{group.quantity}</td>
+                    <td>{formatCurrency(group.taxableValue)}</td>
+                    <td>{group.gstRate}%</td>
+                    {isInterState ? (
+                      <td>{formatCurrency(group.igstAmount)}</td>
+                    ) : (
+                      <>
+                        <td>{formatCurrency(group.cgstAmount)}</td>
+                        <td>{formatCurrency(group.sgstAmount)}</td>
+                      </>
+                    )}
                     <td>{formatCurrency(group.totalTax)}</td>
                   </tr>
                 ))}
@@ -431,14 +568,23 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
                 <span className="total-value">- {formatCurrency(bill.totals.totalDiscount)}</span>
               </div>
             )}
-            <div className="total-row">
-              <span className="total-label">CGST:</span>
-              <span className="total-value">{formatCurrency(bill.totals.totalCGST)}</span>
-            </div>
-            <div className="total-row">
-              <span className="total-label">SGST:</span>
-              <span className="total-value">{formatCurrency(bill.totals.totalSGST)}</span>
-            </div>
+            {isInterState ? (
+              <div className="total-row">
+                <span className="total-label">IGST:</span>
+                <span className="total-value">{formatCurrency(bill.totals.totalIGST)}</span>
+              </div>
+            ) : (
+              <>
+                <div className="total-row">
+                  <span className="total-label">CGST:</span>
+                  <span className="total-value">{formatCurrency(bill.totals.totalCGST)}</span>
+                </div>
+                <div className="total-row">
+                  <span className="total-label">SGST:</span>
+                  <span className="total-value">{formatCurrency(bill.totals.totalSGST)}</span>
+                </div>
+              </>
+            )}
             <div className="total-row tax-row">
               <span className="total-label">Total Tax:</span>
               <span className="total-value">{formatCurrency(bill.totals.totalTax)}</span>
@@ -457,7 +603,7 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
               </div>
             )}
             <div className="total-row payable-row">
-              <span className="total-label">PAYABLE AMOUNT:</span>
+              <span className="total-label">{isCreditNote ? 'REFUND AMOUNT:' : 'PAYABLE AMOUNT:'}</span>
               <span className="total-value">{formatCurrency(bill.totals.payableAmount)}</span>
             </div>
           </div>
@@ -468,15 +614,55 @@ const BillPreview = ({ bill, onClose, onPaymentRecorded }) => {
         {/* Footer */}
         <div className="bill-footer">
           <div className="footer-info">
-            <p><strong>Payment Mode:</strong> {bill.footer.paymentMode}</p>
+            {isCreditNote ? (
+              <p><strong>Refund Mode:</strong> {bill.footer.paymentMode}</p>
+            ) : (
+              <p><strong>Payment Mode:</strong> {getPaymentModeSummary(billPayments, bill.footer.paymentMode)}</p>
+            )}
+            {!isCreditNote && billPayments.length > 1 && billPayments.map((payment, index) => (
+              <p key={index} className="footer-payment-line">{formatPaymentLine(payment)}</p>
+            ))}
+            {!isCreditNote && billPayments.length === 1 && billPayments[0].changeGiven > 0 && (
+              <p className="footer-payment-line">{formatPaymentLine(billPayments[0])}</p>
+            )}
             {bill.footer.notes && (
-              <p><strong>Notes:</strong> {bill.footer.notes}</p>
+              <p><strong>{isCreditNote ? 'Reason:' : 'Notes:'}</strong> {bill.footer.notes}</p>
             )}
           </div>
           
+          {!isCreditNote && (bill.seller.bankDetails?.accountNumber || bill.seller.upiId) && (
+            <div className="footer-info">
+              {bill.seller.bankDetails?.accountNumber && (
+                <p>
+                  <strong>Bank:</strong> {bill.seller.bankDetails.accountName} | A/c {bill.seller.bankDetails.accountNumber} | IFSC {bill.seller.bankDetails.ifsc}
+                  {bill.seller.bankDetails.bankName && ` | ${bill.seller.bankDetails.bankName}`}
+                  {bill.seller.bankDetails.branch && `, ${bill.seller.bankDetails.branch}`}
+                </p>
+              )}
+              {bill.seller.upiId && (
+                <p><strong>UPI:</strong> {bill.seller.upiId}</p>
+              )}
+            </div>
+          )}
+          
+          {upiURI && (
+            <div className="footer-upi-qr">
+              <UPIPaymentQR uri={upiURI} amount={dueAmount} upiId={bill.seller.upiId} size={120} />
+            </div>
+          )}
+          
+          {bill.seller.invoiceTerms && (
+            <div className="footer-terms">
+              <p><strong>Terms & Conditions:</strong></p>
+              <p className="terms-text">{bill.seller.invoiceTerms}</p>
+            </div>
+          )}
+          
           <div className="footer-declaration">
             <p className="declaration-text">
-              This is a system-generated GST invoice and does not require a signature.
+              {isCreditNote
+                ? 'This is a system-generated GST credit note issued against the invoice above.'
+                : 'This is a system-generated GST invoice and does not require a signature.'}
             </p>
             <p className="thank-you">Thank you for your business!</p>
           </div>
@@ -0,0 +1,72 @@
+/**
+ * BULK BILL DOWNLOAD
+ * ==================
+ *
+ * Downloads every bill in a date range as a zip of A4 PDFs
+ * (one file per bill, named by bill number). Owner orders tab.
+ */
+
+import { useState } from 'react';
+import { getAllBills } from '../../services/billStorageService';
+import { downloadBillsZip } from '../../utils/pdfUtils';
+
+const toInputDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const BulkBillDownload = () => {
+  const today = toInputDate(new Date());
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState(today);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+
+    const start = new Date(`${startDate}T00:00:00`);
+    const end = new Date(`${endDate}T23:59:59.999`);
+    if (start > end) {
+      setError('Start date must be before end date');
+      return;
+    }
+
+    try {
+      setIsDownloading(true);
+      setError('');
+      setMessage('');
+
+      const bills = await getAllBills(start, end);
+      if (bills.length === 0) {
+        setMessage('No bills in this date range');
+        return;
+      }
+
+      const count = await downloadBillsZip(bills, `Bills_${startDate}_to_${endDate}`);
+      setMessage(`Downloaded ${count} bill${count === 1 ? '' : 's'}`);
+    } catch (err) {
+      setError('Failed to download bills: ' + err.message);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleDownload} className="filters" style={{ alignItems: 'center', flexWrap: 'wrap' }}>
+      <label style={{ fontSize: '13px', color: '#64748b' }}>Bills from</label>
+      <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="filter-select" required />
+      <label style={{ fontSize: '13px', color: '#64748b' }}>to</label>
+      <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="filter-select" required />
+      <button type="submit" className="btn btn-secondary" disabled={isDownloading}>
+        {isDownloading ? 'Preparing PDFs...' : '📥 Download Bills (PDF)'}
+      </button>
+      {message && <span style={{ fontSize: '13px', color: '#64748b' }}>{message}</span>}
+      {error && <span style={{ fontSize: '13px', color: '#dc2626' }}>{error}</span>}
+    </form>
+  );
+};
+
+export default BulkBillDownload;
@@ -0,0 +1,120 @@
+/**
+ * PENDING SYNC SALES
+ * ==================
+ *
+ * Sales made offline that are still in the outbox: waiting for a
+ * connection, or stopped because stock ran out before they synced (or the
+ * exhibition had ended when they were made). A conflicted sale is retried
+ * once stock has been corrected (transfer, adjustment or stock take), or
+ * discarded if the sale was reversed.
+ */
+
+import { useState } from 'react';
+import { OUTBOX_STATUS } from '../../services/offlineSyncService';
+
+const STATUS_LABELS = {
+  [OUTBOX_STATUS.PENDING]: 'Waiting to sync',
+  [OUTBOX_STATUS.CONFLICT]: 'Conflict',
+  [OUTBOX_STATUS.FAILED]: 'Sync failed'
+};
+
+const PendingSyncSales = ({ outbox, isOnline, isSyncing, onSyncNow, onRetry, onDiscard }) => {
+  const [workingId, setWorkingId] = useState(null);
+  const [error, setError] = useState('');
+
+  if (outbox.length === 0) return null;
+
+  const handleAction = async (entry, action) => {
+    if (action === onDiscard && !window.confirm(`Discard ${entry.id}? The sale will never be recorded. Only do this if it was reversed with the customer.`)) {
+      return;
+    }
+
+    try {
+      setWorkingId(entry.id);
+      setError('');
+      await action(entry.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div className="emp-card">
+      <div className="emp-card-header">
+        <div>
+          <h3 className="emp-card-title">Offline Sales</h3>
+          <p className="emp-card-subtitle">
+            {outbox.length} sale{outbox.length !== 1 ? 's' : ''} not yet saved to the server
+          </p>
+        </div>
+        <button
+          onClick={onSyncNow}
+          className="emp-btn emp-btn-secondary emp-btn-sm"
+          disabled={!isOnline || isSyncing}
+        >
+          {isSyncing ? 'Syncing...' : 'Sync Now'}
+        </button>
+      </div>
+
+      {error && <div className="emp-alert emp-alert-error">{error}</div>}
+
+      <div className="emp-prebookings-grid">
+        {outbox.map(entry => {
+          const { customer, cart } = entry.checkout;
+          const units = cart.reduce((total, item) => total + item.quantity, 0);
+          return (
+            <div key={entry.id} className="emp-prebooking-card">
+              <div className="emp-prebooking-header">
+                <span className="emp-prebooking-phone">{entry.id}</span>
+                <span className={`emp-badge ${entry.status === OUTBOX_STATUS.PENDING ? 'emp-badge-warning' : 'emp-badge-error'}`}>
+                  {STATUS_LABELS[entry.status]}
+                </span>
+              </div>
+              <div className="emp-prebooking-details">
+                <div className="emp-prebooking-row">
+                  <span className="emp-prebooking-label">Customer</span>
+                  <span className="emp-prebooking-value">{customer.name}</span>
+                </div>
+                <div className="emp-prebooking-row">
+                  <span className="emp-prebooking-label">Items</span>
+                  <span className="emp-prebooking-value">{units} pcs</span>
+                </div>
+                <div className="emp-prebooking-row">
+                  <span className="emp-prebooking-label">Sold</span>
+                  <span className="emp-prebooking-value">
+                    {new Date(entry.queuedAt).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })}
+                  </span>
+                </div>
+                {entry.lastError && (
+                  <p className="emp-helper">{entry.lastError}</p>
+                )}
+              </div>
+              {entry.status !== OUTBOX_STATUS.PENDING && (
+                <div className="emp-form-row">
+                  <button
+                    onClick={() => handleAction(entry, onRetry)}
+                    className="emp-btn emp-btn-primary emp-btn-sm"
+                    disabled={!isOnline || workingId === entry.id}
+                  >
+                    Retry
+                  </button>
+                  <button
+                    onClick={() => handleAction(entry, onDiscard)}
+                    className="emp-btn emp-btn-danger emp-btn-sm"
+                    disabled={workingId === entry.id}
+                  >
+                    Discard
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingSyncSales;
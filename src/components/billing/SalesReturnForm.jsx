@@ -0,0 +1,355 @@
+/**
+ * SALES RETURN FORM
+ * =================
+ *
+ * Looks up a saved bill by number, lets the employee pick the quantities
+ * being returned and issues a GST credit note via returnService.
+ * In exchange mode the employee also picks replacement items and only the
+ * price difference is settled.
+ */
+
+import { useState } from 'react';
+import { getBillByNumber } from '../../services/billStorageService';
+import {
+  calculateOrder,
+  calculateReturn,
+  createCartItemFromProduct,
+  addToCart,
+  updateCartItemQuantity,
+  removeFromCart,
+  getCartItemKey
+} from '../../services/orderCalculationService';
+import { getReturnableItems, processReturn, processExchange, RETURN_REASONS } from '../../services/returnService';
+import { PAYMENT_MODES } from '../../services/paymentService';
+import ProductSearchInput from '../common/ProductSearchInput';
+
+const SalesReturnForm = ({ mode = 'return', products = [], employeeId, employeeName, location = null, onReturnProcessed, onExchangeProcessed }) => {
+  const isExchange = mode === 'exchange';
+
+  const [billNumber, setBillNumber] = useState('');
+  const [bill, setBill] = useState(null);
+  const [returnQuantities, setReturnQuantities] = useState({});
+  const [reason, setReason] = useState(RETURN_REASONS.SIZE_ISSUE);
+  const [refundMode, setRefundMode] = useState(PAYMENT_MODES.CASH);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const [replacementCart, setReplacementCart] = useState([]);
+
+  const returnableItems = getReturnableItems(bill);
+  const selectedItems = returnableItems
+    .filter(item => returnQuantities[item.lineKey] > 0)
+    .map(item => ({ lineKey: item.lineKey, sku: item.sku, quantity: returnQuantities[item.lineKey] }));
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!billNumber.trim()) return;
+
+    try {
+      setIsSearching(true);
+      setError('');
+      setBill(null);
+      setReturnQuantities({});
+
+      const foundBill = await getBillByNumber(billNumber);
+      if (!foundBill) {
+        setError(`No bill found with number ${billNumber.trim().toUpperCase()}`);
+        return;
+      }
+
+      setBill(foundBill);
+    } catch (err) {
+      console.error('Error looking up bill:', err);
+      setError('Failed to look up bill: ' + err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleReplacementSelect = (product, variant = null) => {
+    if (!product) return;
+
+    try {
+      setReplacementCart(addToCart(replacementCart, createCartItemFromProduct(product, 1, variant)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReplacementQuantity = (itemKey, quantity) => {
+    if (quantity <= 0) {
+      setReplacementCart(removeFromCart(replacementCart, itemKey));
+    } else {
+      setReplacementCart(updateCartItemQuantity(replacementCart, itemKey, quantity));
+    }
+  };
+
+  const handleQuantityChange = (lineKey, quantity, maxQuantity) => {
+    const clamped = Math.max(0, Math.min(maxQuantity, quantity));
+    setReturnQuantities(prev => ({ ...prev, [lineKey]: clamped }));
+  };
+
+  const handleSubmit = async () => {
+    if (selectedItems.length === 0) {
+      setError('Select at least one item to return');
+      return;
+    }
+
+    if (isExchange && replacementCart.length === 0) {
+      setError('Add at least one replacement item');
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      setError('');
+
+      if (isExchange) {
+        const result = await processExchange(bill.id, selectedItems, replacementCart, {
+          employeeId,
+          employeeName,
+          reason,
+          settlementMode: refundMode,
+          location
+        });
+
+        setBill(null);
+        setBillNumber('');
+        setReturnQuantities({});
+        setReplacementCart([]);
+
+        if (onExchangeProcessed) {
+          onExchangeProcessed(result);
+        }
+        return;
+      }
+
+      const creditNote = await processReturn(bill.id, selectedItems, {
+        employeeId,
+        employeeName,
+        reason,
+        refundMode,
+        location
+      });
+
+      setBill(null);
+      setBillNumber('');
+      setReturnQuantities({});
+
+      if (onReturnProcessed) {
+        onReturnProcessed(creditNote);
+      }
+    } catch (err) {
+      console.error('Error processing return:', err);
+      setError((isExchange ? 'Exchange failed: ' : 'Return failed: ') + err.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Live refund preview
+  let refundPreview = null;
+  if (bill && selectedItems.length > 0) {
+    try {
+      refundPreview = calculateReturn(bill, selectedItems).summary;
+    } catch (err) {
+      refundPreview = null;
+    }
+  }
+
+  // Exchange settlement preview (difference between replacement and credit)
+  let replacementTotal = 0;
+  if (isExchange && replacementCart.length > 0) {
+    try {
+      replacementTotal = Math.round(calculateOrder({ items: replacementCart, employeeDiscount: 0 }).summary.grandTotal);
+    } catch (err) {
+      replacementTotal = 0;
+    }
+  }
+  const creditTotal = refundPreview ? Math.round(refundPreview.grandTotal) : 0;
+  const difference = replacementTotal - creditTotal;
+
+  return (
+    <div className="emp-form">
+      {error && (
+        <div className="emp-alert emp-alert-error">
+          <span>{error}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleSearch} className="emp-form-row">
+        <div className="emp-form-group" style={{ flex: 1 }}>
+          <label className="emp-label">Original Bill Number *</label>
+          <input
+            type="text"
+            className="emp-input"
+            value={billNumber}
+            onChange={(e) => setBillNumber(e.target.value)}
+            placeholder="e.g., S/26-27/00001"
+            required
+          />
+          <span className="emp-helper">Printed at the top right of the customer's invoice</span>
+        </div>
+        <div className="emp-form-group" style={{ alignSelf: 'flex-end' }}>
+          <button type="submit" className="emp-btn emp-btn-secondary" disabled={isSearching}>
+            {isSearching ? 'Searching...' : 'Find Bill'}
+          </button>
+        </div>
+      </form>
+
+      {bill && (
+        <div style={{ marginTop: '16px', padding: '12px', background: '#f8fafc', borderRadius: '8px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h5 style={{ margin: 0, fontSize: '14px', fontWeight: '600' }}>
+              {bill.billNumber} · {bill.customer?.name || 'N/A'}
+            </h5>
+            <span style={{ fontSize: '12px', color: '#64748b' }}>
+              Bill total ₹{bill.totals?.payableAmount || 0}
+              {bill.returnedAmount > 0 && ` · Refunded ₹${bill.returnedAmount}`}
+            </span>
+          </div>
+
+          {returnableItems.map(item => (
+            <div key={item.lineKey} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px', background: 'white', borderRadius: '4px', marginBottom: '4px' }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: '13px', fontWeight: '500' }}>{item.productName}</div>
+                <div style={{ fontSize: '11px', color: '#64748b' }}>
+                  {item.sku} · ₹{item.unitPrice} × {item.quantity}
+                  {item.returnedQuantity > 0 && <span style={{ marginLeft: '6px', color: '#dc2626' }}>({item.returnedQuantity} already returned)</span>}
+                </div>
+              </div>
+              {item.returnableQuantity > 0 ? (
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <button
+                    type="button"
+                    onClick={() => handleQuantityChange(item.lineKey, (returnQuantities[item.lineKey] || 0) - 1, item.returnableQuantity)}
+                    style={{ padding: '2px 6px', fontSize: '12px', background: '#e2e8f0', border: 'none', borderRadius: '3px', cursor: 'pointer' }}
+                  >
+                    −
+                  </button>
+                  <span style={{ fontSize: '12px', minWidth: '40px', textAlign: 'center' }}>
+                    {returnQuantities[item.lineKey] || 0} / {item.returnableQuantity}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleQuantityChange(item.lineKey, (returnQuantities[item.lineKey] || 0) + 1, item.returnableQuantity)}
+                    style={{ padding: '2px 6px', fontSize: '12px', background: '#e2e8f0', border: 'none', borderRadius: '3px', cursor: 'pointer' }}
+                  >
+                    +
+                  </button>
+                </div>
+              ) : (
+                <span className="emp-badge emp-badge-warning">Fully returned</span>
+              )}
+            </div>
+          ))}
+
+          <div className="emp-form-row" style={{ marginTop: '12px' }}>
+            <div className="emp-form-group">
+              <label className="emp-label">Reason *</label>
+              <select className="emp-select" value={reason} onChange={(e) => setReason(e.target.value)}>
+                {Object.values(RETURN_REASONS).map(label => (
+                  <option key={label} value={label}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="emp-form-group">
+              <label className="emp-label">{isExchange ? 'Settle Difference Via *' : 'Refund Mode *'}</label>
+              <select className="emp-select" value={refundMode} onChange={(e) => setRefundMode(e.target.value)}>
+                <option value={PAYMENT_MODES.CASH}>Cash</option>
+                <option value={PAYMENT_MODES.UPI}>UPI</option>
+                <option value={PAYMENT_MODES.CARD}>Card</option>
+                <option value={PAYMENT_MODES.BANK_TRANSFER}>Bank Transfer</option>
+              </select>
+            </div>
+          </div>
+
+          {refundPreview && (
+            <div style={{ marginTop: '12px', padding: '12px', background: 'white', borderRadius: '4px', border: '2px solid #0f172a', fontSize: '12px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                <span>Taxable Value:</span>
+                <span>₹{refundPreview.totalTaxableValue.toFixed(2)}</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                <span>GST Reversed:</span>
+                <span>₹{refundPreview.totalTax.toFixed(2)}</span>
+              </div>
+              <div style={{ borderTop: '1px solid #e2e8f0', marginTop: '6px', paddingTop: '6px', display: 'flex', justifyContent: 'space-between', fontSize: '14px', fontWeight: '700' }}>
+                <span>{isExchange ? 'Credit Amount:' : 'Refund Amount:'}</span>
+                <span>₹{creditTotal}</span>
+              </div>
+            </div>
+          )}
+
+          {isExchange && (
+            <div style={{ marginTop: '16px' }}>
+              <h5 style={{ margin: '0 0 8px', fontSize: '14px', fontWeight: '600' }}>Replacement Items</h5>
+              <ProductSearchInput
+                products={products}
+                onSelect={handleReplacementSelect}
+                placeholder="Search replacement product..."
+              />
+
+              {replacementCart.map(item => (
+                <div key={getCartItemKey(item)} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px', background: 'white', borderRadius: '4px', marginTop: '4px' }}>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontSize: '13px', fontWeight: '500' }}>{item.name}</div>
+                    <div style={{ fontSize: '11px', color: '#64748b' }}>
+                      {item.sku} · ₹{item.unitSalePrice || item.unitBasePrice} × {item.quantity}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                    <button
+                      type="button"
+                      onClick={() => handleReplacementQuantity(getCartItemKey(item), item.quantity - 1)}
+                      style={{ padding: '2px 6px', fontSize: '12px', background: '#e2e8f0', border: 'none', borderRadius: '3px', cursor: 'pointer' }}
+                    >
+                      −
+                    </button>
+                    <span style={{ fontSize: '12px', minWidth: '20px', textAlign: 'center' }}>{item.quantity}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleReplacementQuantity(getCartItemKey(item), item.quantity + 1)}
+                      style={{ padding: '2px 6px', fontSize: '12px', background: '#e2e8f0', border: 'none', borderRadius: '3px', cursor: 'pointer' }}
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              {refundPreview && replacementCart.length > 0 && (
+                <div style={{ marginTop: '12px', padding: '12px', background: difference >= 0 ? '#d1fae5' : '#fef3c7', borderRadius: '4px', fontSize: '12px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                    <span>Replacement Total:</span>
+                    <span>₹{replacementTotal}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                    <span>Less Credit Note:</span>
+                    <span>- ₹{creditTotal}</span>
+                  </div>
+                  <div style={{ borderTop: '1px solid #e2e8f0', marginTop: '6px', paddingTop: '6px', display: 'flex', justifyContent: 'space-between', fontSize: '14px', fontWeight: '700' }}>
+                    <span>{difference >= 0 ? 'Collect from Customer:' : 'Refund to Customer:'}</span>
+                    <span>₹{Math.abs(difference)}</span>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={handleSubmit}
+            className="emp-btn emp-btn-danger emp-btn-lg emp-btn-block"
+            style={{ marginTop: '16px' }}
+            disabled={selectedItems.length === 0 || (isExchange && replacementCart.length === 0) || isProcessing}
+          >
+            {isProcessing ? 'Processing...' : isExchange ? 'Complete Exchange' : 'Issue Credit Note'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SalesReturnForm;
@@ -0,0 +1,158 @@
+/**
+ * TENDER LINES
+ * ============
+ *
+ * Payment lines for one tender (e.g. ₹2,000 UPI + ₹500 cash). Controlled:
+ * the parent keeps the lines and records them with recordPayments.
+ * For cash, the amount is the cash handed over; anything above what is still
+ * due is shown as change to return. Given a UPI payee, each UPI line shows a
+ * QR for its amount, and its reference field takes the UTR once paid.
+ */
+
+import { Fragment } from 'react';
+import {
+  calculateTender,
+  createTenderLine,
+  TENDER_MODES,
+  PAYMENT_MODES,
+  PAYMENT_MODE_LABELS
+} from '../../services/paymentService';
+import { buildUPIPaymentURI } from '../../utils/upiUtils';
+import UPIPaymentQR from './UPIPaymentQR';
+import './TenderLines.css';
+
+const getReferencePlaceholder = (mode) => {
+  return mode === PAYMENT_MODES.UPI ? 'UTR (12 digits)' : 'Reference (optional)';
+};
+
+// upiPayee: { upiId, payeeName, note } to show UPI QR codes (optional)
+const TenderLines = ({ dueAmount, lines, onChange, disabled = false, upiPayee = null }) => {
+  const tender = calculateTender(dueAmount, lines);
+
+  const updateLine = (index, changes) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  const handleAmountChange = (index, value) => {
+    // Allow only numbers and decimal point
+    if (value === '' || /^\d*\.?\d{0,2}$/.test(value)) {
+      updateLine(index, { amount: value });
+    }
+  };
+
+  // A new line starts with what is still due, in a mode not used yet
+  const handleAddLine = () => {
+    const usedModes = lines.map(line => line.mode);
+    const mode = TENDER_MODES.find(m => !usedModes.includes(m)) || PAYMENT_MODES.CASH;
+    const amount = tender.remainingDue > 0 ? tender.remainingDue.toFixed(2) : '';
+    onChange([...lines, createTenderLine(amount, mode)]);
+  };
+
+  const handleRemoveLine = (index) => {
+    onChange(lines.filter((line, i) => i !== index));
+  };
+
+  return (
+    <div className="tender">
+      {lines.map((line, index) => {
+        const upiURI = line.mode === PAYMENT_MODES.UPI && upiPayee
+          ? buildUPIPaymentURI({ ...upiPayee, amount: parseFloat(line.amount) })
+          : null;
+
+        return (
+          <Fragment key={index}>
+            <div className="tender-line">
+              <select
+                value={line.mode}
+                onChange={(e) => updateLine(index, { mode: e.target.value })}
+                disabled={disabled}
+                aria-label="Payment mode"
+              >
+                {TENDER_MODES.map(mode => (
+                  <option key={mode} value={mode}>{PAYMENT_MODE_LABELS[mode]}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                inputMode="decimal"
+                value={line.amount}
+                onChange={(e) => handleAmountChange(index, e.target.value)}
+                placeholder={line.mode === PAYMENT_MODES.CASH ? 'Cash received' : 'Amount'}
+                disabled={disabled}
+                aria-label="Amount"
+              />
+              {line.mode !== PAYMENT_MODES.CASH ? (
+                <input
+                  type="text"
+                  value={line.referenceId}
+                  onChange={(e) => updateLine(index, { referenceId: e.target.value })}
+                  className="tender-line-ref"
+                  inputMode={line.mode === PAYMENT_MODES.UPI ? 'numeric' : undefined}
+                  placeholder={getReferencePlaceholder(line.mode)}
+                  disabled={disabled}
+                  aria-label="Reference"
+                />
+              ) : (
+                <span className="tender-line-spacer" />
+              )}
+              {lines.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => handleRemoveLine(index)}
+                  className="tender-line-remove"
+                  disabled={disabled}
+                  aria-label="Remove payment line"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+            {upiURI && (
+              <div className="tender-line-qr">
+                <UPIPaymentQR uri={upiURI} amount={parseFloat(line.amount)} upiId={upiPayee.upiId} size={140} />
+              </div>
+            )}
+          </Fragment>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={handleAddLine}
+        className="tender-add"
+        disabled={disabled}
+      >
+        + Add payment line
+      </button>
+
+      <div className="tender-summary">
+        <div className="tender-summary-row">
+          <span>Due</span>
+          <span>₹{dueAmount.toFixed(2)}</span>
+        </div>
+        <div className="tender-summary-row">
+          <span>Tendered</span>
+          <span>₹{tender.tenderedAmount.toFixed(2)}</span>
+        </div>
+        {tender.remainingDue > 0 && (
+          <div className="tender-summary-row tender-summary-due">
+            <span>Still due</span>
+            <span>₹{tender.remainingDue.toFixed(2)}</span>
+          </div>
+        )}
+        {tender.changeDue > 0 && tender.errors.length === 0 && (
+          <div className="tender-summary-row tender-summary-change">
+            <span>Change to return</span>
+            <span>₹{tender.changeDue.toFixed(2)}</span>
+          </div>
+        )}
+      </div>
+
+      {tender.errors.map(error => (
+        <div key={error} className="tender-error">{error}</div>
+      ))}
+    </div>
+  );
+};
+
+export default TenderLines;
@@ -0,0 +1,62 @@
+import { useMemo } from 'react';
+import { encodeBarcode } from '../../utils/barcodeUtils';
+
+// Blank modules either side so scanners can find the start and stop patterns
+const QUIET_ZONE = 10;
+
+/**
+ * Scalable SVG barcode (Code 128 or EAN-13) with the value printed beneath
+ * Renders the value as plain text when it cannot be encoded.
+ */
+const Barcode = ({ value, type, height = 40, showText = true, className = '' }) => {
+  const bars = useMemo(() => {
+    try {
+      const { modules } = encodeBarcode(value, type);
+      const runs = [];
+      let start = -1;
+
+      // Merge adjacent dark modules into one rect so bars print without hairline gaps
+      for (let index = 0; index <= modules.length; index++) {
+        if (modules[index] === '1' && start === -1) {
+          start = index;
+        } else if (modules[index] !== '1' && start !== -1) {
+          runs.push({ x: start, width: index - start });
+          start = -1;
+        }
+      }
+
+      return { width: modules.length, runs };
+    } catch (error) {
+      console.error('Error encoding barcode:', error);
+      return null;
+    }
+  }, [value, type]);
+
+  if (!bars) {
+    return <div className={className}>{value}</div>;
+  }
+
+  const totalWidth = bars.width + QUIET_ZONE * 2;
+
+  return (
+    <div className={className}>
+      <svg
+        viewBox={`0 0 ${totalWidth} ${height}`}
+        preserveAspectRatio="none"
+        width="100%"
+        height="100%"
+        shapeRendering="crispEdges"
+        role="img"
+        aria-label={value}
+      >
+        <rect x="0" y="0" width={totalWidth} height={height} fill="white" />
+        {bars.runs.map(run => (
+          <rect key={run.x} x={run.x + QUIET_ZONE} y="0" width={run.width} height={height} fill="black" />
+        ))}
+      </svg>
+      {showText && <div className="barcode-text">{value}</div>}
+    </div>
+  );
+};
+
+export default Barcode;
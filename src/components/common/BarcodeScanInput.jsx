@@ -0,0 +1,149 @@
+import { useState, useEffect, useRef } from 'react';
+import '../../styles/ProductSearchInput.css';
+
+// Formats printed on our labels plus common retail codes on supplier tags
+const DETECTOR_FORMATS = ['code_128', 'ean_13', 'ean_8', 'upc_a'];
+
+// How often camera frames are checked, and how long the same code is ignored after a read
+const DETECT_INTERVAL_MS = 300;
+const REPEAT_COOLDOWN_MS = 1500;
+
+const isCameraScanSupported = () => (
+  typeof window !== 'undefined' && 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia)
+);
+
+/**
+ * Checkout scan field
+ * USB/Bluetooth scanners in keyboard mode type the code and press Enter,
+ * so the field stays focused and submits on Enter. The camera option uses
+ * the browser BarcodeDetector (Chrome on Android/ChromeOS/macOS).
+ */
+const BarcodeScanInput = ({ onScan, placeholder = 'Scan barcode or type SKU and press Enter' }) => {
+  const [code, setCode] = useState('');
+  const [lastScan, setLastScan] = useState('');
+  const [cameraOn, setCameraOn] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  // Camera polling outlives renders, so it reads the latest handler from here
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const submitCode = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+
+    setLastScan(trimmed);
+    onScanRef.current(trimmed);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submitCode(code);
+      setCode('');
+    }
+  };
+
+  useEffect(() => {
+    if (!cameraOn) return undefined;
+
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+    let lastRead = { value: '', at: 0 };
+
+    const startCamera = async () => {
+      try {
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const detector = new window.BarcodeDetector({
+          formats: DETECTOR_FORMATS.filter(format => supported.includes(format))
+        });
+
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) {
+          // Closed while the permission prompt was open
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        timer = setInterval(async () => {
+          if (!videoRef.current || videoRef.current.readyState < 2) return;
+
+          try {
+            const [barcode] = await detector.detect(videoRef.current);
+            if (!barcode) return;
+
+            const now = Date.now();
+            if (barcode.rawValue === lastRead.value && now - lastRead.at < REPEAT_COOLDOWN_MS) return;
+
+            lastRead = { value: barcode.rawValue, at: now };
+            submitCode(barcode.rawValue);
+          } catch (error) {
+            console.error('Error detecting barcode:', error);
+          }
+        }, DETECT_INTERVAL_MS);
+      } catch (error) {
+        console.error('Error starting camera scanner:', error);
+        setCameraError('Could not start the camera: ' + error.message);
+        setCameraOn(false);
+      }
+    };
+
+    setCameraError('');
+    startCamera();
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [cameraOn]);
+
+  return (
+    <div className="barcode-scan">
+      <div className="barcode-scan-row">
+        <input
+          ref={inputRef}
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          className="product-search-input barcode-scan-input"
+          autoComplete="off"
+        />
+        {isCameraScanSupported() && (
+          <button
+            type="button"
+            onClick={() => setCameraOn(!cameraOn)}
+            className="emp-btn emp-btn-sm"
+          >
+            {cameraOn ? 'Stop Camera' : '📷 Camera'}
+          </button>
+        )}
+      </div>
+
+      {cameraOn && (
+        <video ref={videoRef} className="barcode-scan-video" muted playsInline />
+      )}
+
+      {cameraError && <div className="barcode-scan-hint barcode-scan-error">{cameraError}</div>}
+      {lastScan && <div className="barcode-scan-hint">Last scan: {lastScan}</div>}
+    </div>
+  );
+};
+
+export default BarcodeScanInput;
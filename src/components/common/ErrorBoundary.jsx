@@ -17,11 +17,7 @@ class ErrorBoundary extends Component {
 
   componentDidCatch(error, errorInfo) {
     console.error('Error caught by boundary:', error, errorInfo);
-    this.state = {
-      hasError: true,
-      error,
-      errorInfo
-    };
+    this.setState({ error, errorInfo });
   }
 
   handleReset = () => {
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
+import { getSellableVariants, getVariantLabel, getVariantPrices, findProductByCode } from '../../utils/variantUtils';
 import '../../styles/ProductSearchInput.css';
 
 const ProductSearchInput = ({ products, onSelect, placeholder = "Search products..." }) => {
@@ -6,6 +7,8 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [selectedIndex, setSelectedIndex] = useState(-1);
+  // Style waiting for a size/colour choice
+  const [pendingProduct, setPendingProduct] = useState(null);
   const inputRef = useRef(null);
   const suggestionsRef = useRef(null);
 
@@ -19,6 +22,9 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
     const searchQuery = query.toLowerCase().trim();
     const searchWords = searchQuery.split(/\s+/);
 
+    // An exact style/variant SKU or barcode goes straight to that item
+    const codeMatch = findProductByCode(products, query);
+
     const scoredProducts = products.map(product => {
       const productName = product.name.toLowerCase();
       const productCategory = product.category?.toLowerCase() || '';
@@ -26,6 +32,12 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
       
       let score = 0;
       let matchedParts = [];
+      const matchedVariant = codeMatch && codeMatch.product.id === product.id ? codeMatch.variant : null;
+
+      if (codeMatch && codeMatch.product.id === product.id) {
+        score += 2000;
+        matchedParts.push({ type: 'code', text: query.trim() });
+      }
 
       // Exact match (highest priority)
       if (productName === searchQuery) {
@@ -88,6 +100,7 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
 
       return {
         ...product,
+        matchedVariant,
         score,
         matchedParts,
         highlighted: highlightMatch(product.name, searchQuery)
@@ -162,6 +175,7 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
   const handleInputChange = (e) => {
     const value = e.target.value;
     setSearchTerm(value);
+    setPendingProduct(null);
     setSelectedIndex(-1);
     searchProducts(value);
     setShowSuggestions(true);
@@ -171,9 +185,23 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
   const handleSelectProduct = (product) => {
     setShowSuggestions(false);
     setSuggestions([]);
-    onSelect(product);
     // Clear search term after adding to cart
     setSearchTerm('');
+
+    if (product.matchedVariant) {
+      onSelect(product, product.matchedVariant);
+    } else if (getSellableVariants(product).length > 0) {
+      setPendingProduct(product);
+    } else {
+      onSelect(product);
+    }
+  };
+
+  // Handle size/colour selection for a style
+  const handleSelectVariant = (variant) => {
+    onSelect(pendingProduct, variant);
+    setPendingProduct(null);
+    inputRef.current?.focus();
   };
 
   // Handle keyboard navigation
@@ -296,6 +324,12 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
                   {product.highlighted}
                 </div>
                 <div className="suggestion-meta">
+                  {product.matchedVariant && (
+                    <span className="suggestion-badge variant">{getVariantLabel(product.matchedVariant)}</span>
+                  )}
+                  {!product.matchedVariant && getSellableVariants(product).length > 0 && (
+                    <span className="suggestion-badge variant">{getSellableVariants(product).length} sizes/colours</span>
+                  )}
                   {product.category && (
                     <span className="suggestion-badge">{product.category}</span>
                   )}
@@ -322,6 +356,42 @@ const ProductSearchInput = ({ products, onSelect, placeholder = "Search products
         </div>
       )}
 
+      {pendingProduct && (
+        <div className="variant-picker">
+          <div className="variant-picker-header">
+            <span>Select size / colour for <strong>{pendingProduct.name}</strong></span>
+            <button
+              type="button"
+              className="product-search-clear variant-picker-close"
+              onClick={() => setPendingProduct(null)}
+            >
+              ✕
+            </button>
+          </div>
+          <div className="variant-picker-options">
+            {getSellableVariants(pendingProduct).map(variant => {
+              const { basePrice, salePrice } = getVariantPrices(pendingProduct, variant);
+              const inStock = (variant.stockQty || 0) > 0;
+
+              return (
+                <button
+                  key={variant.id}
+                  type="button"
+                  className={`variant-option ${inStock ? '' : 'out-of-stock'}`}
+                  onClick={() => handleSelectVariant(variant)}
+                  title={variant.sku}
+                >
+                  <span className="variant-option-label">{getVariantLabel(variant)}</span>
+                  <span className="variant-option-meta">
+                    ₹{salePrice || basePrice} · {inStock ? `${variant.stockQty} in stock` : 'Out of stock'}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {showSuggestions && searchTerm && suggestions.length === 0 && (
         <div className="product-suggestions">
           <div className="product-no-results">
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { usePwa } from '../../hooks/usePwa';
+import './PwaPrompts.css';
+
+const INSTALL_DISMISSED_KEY = 'pwaInstallDismissed';
+
+/**
+ * Update-available and install prompts for the installable app
+ * The update prompt reloads into the new version; installing adds the app
+ * to the home screen so the POS opens like a native app, even offline.
+ */
+const PwaPrompts = () => {
+  const { updateAvailable, canInstall, isInstalled, applyUpdate, promptInstall } = usePwa();
+  const [installDismissed, setInstallDismissed] = useState(() => localStorage.getItem(INSTALL_DISMISSED_KEY) === 'true');
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const handleUpdate = () => {
+    setIsUpdating(true);
+    applyUpdate();
+  };
+
+  const handleDismissInstall = () => {
+    localStorage.setItem(INSTALL_DISMISSED_KEY, 'true');
+    setInstallDismissed(true);
+  };
+
+  if (updateAvailable) {
+    return (
+      <div className="pwa-prompt" role="status">
+        <span className="pwa-prompt-text">A new version of RetailOps is available.</span>
+        <button onClick={handleUpdate} className="pwa-prompt-btn pwa-prompt-btn-primary" disabled={isUpdating}>
+          {isUpdating ? 'Updating...' : 'Reload'}
+        </button>
+      </div>
+    );
+  }
+
+  if (canInstall && !isInstalled && !installDismissed) {
+    return (
+      <div className="pwa-prompt" role="status">
+        <span className="pwa-prompt-text">Install RetailOps on this device to open it from the home screen, even offline.</span>
+        <button onClick={promptInstall} className="pwa-prompt-btn pwa-prompt-btn-primary">
+          Install
+        </button>
+        <button onClick={handleDismissInstall} className="pwa-prompt-btn">
+          Not now
+        </button>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default PwaPrompts;
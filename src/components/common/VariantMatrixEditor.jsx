@@ -0,0 +1,231 @@
+/**
+ * VARIANT MATRIX EDITOR
+ * =====================
+ *
+ * Size x colour matrix for a product style. Each combination gets its own
+ * SKU, barcode, stock and optional price override. Removing a size or
+ * colour drops its variants, so the owner is asked first if they hold stock.
+ */
+
+import { useState } from 'react';
+import { buildVariantMatrix, getVariantStockTotal, getVariantLabel } from '../../utils/variantUtils';
+import { generateInStoreEAN13 } from '../../utils/barcodeUtils';
+import { STANDARD_SIZES } from '../../constants/variants';
+
+const uniqueValues = (values) => [...new Set(values.filter(Boolean))];
+
+const parseColours = (text) => uniqueValues(text.split(',').map(colour => colour.trim()));
+
+// Standard sizes first in their usual order, custom sizes after
+const sortSizes = (sizes) => [...sizes].sort((a, b) => {
+  const indexA = STANDARD_SIZES.indexOf(a);
+  const indexB = STANDARD_SIZES.indexOf(b);
+  return (indexA === -1 ? STANDARD_SIZES.length : indexA) - (indexB === -1 ? STANDARD_SIZES.length : indexB);
+});
+
+const cellInputStyle = { width: '100%', padding: '4px 6px', fontSize: '13px' };
+
+const VariantMatrixEditor = ({ parentSku, variants = [], onChange }) => {
+  const [sizes, setSizes] = useState(() => uniqueValues(variants.map(variant => variant.size)));
+  const [coloursText, setColoursText] = useState(() => uniqueValues(variants.map(variant => variant.colour)).join(', '));
+  const [customSize, setCustomSize] = useState('');
+
+  const rebuild = (nextSizes, nextColours) => {
+    const nextVariants = buildVariantMatrix(parentSku, nextSizes, nextColours, variants);
+    const dropped = variants.filter(variant => (
+      (variant.stockQty || 0) > 0 && !nextVariants.some(next => next.id === variant.id)
+    ));
+
+    if (dropped.length > 0 && !window.confirm(
+      `This removes ${dropped.map(getVariantLabel).join(', ')} which still hold stock. Deactivate them instead to keep the stock. Remove anyway?`
+    )) {
+      return false;
+    }
+
+    onChange(nextVariants);
+    return true;
+  };
+
+  const handleToggleSize = (size) => {
+    const nextSizes = sizes.includes(size)
+      ? sizes.filter(existing => existing !== size)
+      : sortSizes([...sizes, size]);
+
+    if (rebuild(nextSizes, parseColours(coloursText))) {
+      setSizes(nextSizes);
+    }
+  };
+
+  const handleAddCustomSize = () => {
+    const size = customSize.trim();
+    if (!size || sizes.includes(size)) return;
+
+    const nextSizes = sortSizes([...sizes, size]);
+    if (rebuild(nextSizes, parseColours(coloursText))) {
+      setSizes(nextSizes);
+      setCustomSize('');
+    }
+  };
+
+  // Colours are applied when the field loses focus so typing does not churn the matrix
+  const handleApplyColours = () => {
+    if (!rebuild(sizes, parseColours(coloursText))) {
+      setColoursText(uniqueValues(variants.map(variant => variant.colour)).join(', '));
+    }
+  };
+
+  const handleVariantChange = (variantId, field, value) => {
+    onChange(variants.map(variant => (
+      variant.id === variantId ? { ...variant, [field]: value } : variant
+    )));
+  };
+
+  // Fill only the empty barcodes so printed labels stay valid
+  const handleGenerateBarcodes = () => {
+    const codes = generateInStoreEAN13(variants.length);
+    onChange(variants.map((variant, index) => (
+      variant.barcode ? variant : { ...variant, barcode: codes[index] }
+    )));
+  };
+
+  const customSizes = sizes.filter(size => !STANDARD_SIZES.includes(size));
+
+  return (
+    <div className="variant-matrix-editor" style={{ marginTop: '16px' }}>
+      <h4 style={{ margin: '0 0 4px' }}>Sizes & Colours</h4>
+      <small style={{ color: '#6b7280' }}>
+        Leave empty for a product sold without sizes or colours. With variants, stock is kept per size/colour.
+      </small>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', margin: '10px 0' }}>
+        {[...STANDARD_SIZES, ...customSizes].map(size => (
+          <button
+            key={size}
+            type="button"
+            onClick={() => handleToggleSize(size)}
+            className="btn btn-sm"
+            style={{
+              padding: '4px 10px',
+              borderRadius: '14px',
+              border: '1px solid #cbd5e1',
+              background: sizes.includes(size) ? '#3b82f6' : 'white',
+              color: sizes.includes(size) ? 'white' : '#334155',
+              cursor: 'pointer'
+            }}
+          >
+            {size}
+          </button>
+        ))}
+        <input
+          type="text"
+          value={customSize}
+          onChange={(e) => setCustomSize(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddCustomSize();
+            }
+          }}
+          placeholder="Other size (e.g. 32, 4-5Y)"
+          style={{ padding: '4px 8px', fontSize: '13px', width: '170px' }}
+        />
+        <button type="button" onClick={handleAddCustomSize} className="btn btn-sm btn-secondary">
+          Add
+        </button>
+      </div>
+
+      <div className="form-group">
+        <label>Colours</label>
+        <input
+          type="text"
+          value={coloursText}
+          onChange={(e) => setColoursText(e.target.value)}
+          onBlur={handleApplyColours}
+          placeholder="Comma separated, e.g. Black, Navy, Maroon"
+          style={{ width: '100%', padding: '8px' }}
+        />
+      </div>
+
+      {variants.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="data-table" style={{ fontSize: '13px' }}>
+            <thead>
+              <tr>
+                <th>Variant</th>
+                <th>SKU</th>
+                <th>Barcode</th>
+                <th>Stock</th>
+                <th>Price Override (₹)</th>
+                <th>Active</th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map(variant => (
+                <tr key={variant.id} style={{ opacity: variant.isActive === false ? 0.5 : 1 }}>
+                  <td style={{ whiteSpace: 'nowrap' }}>{getVariantLabel(variant)}</td>
+                  <td>
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      onChange={(e) => handleVariantChange(variant.id, 'sku', e.target.value.toUpperCase())}
+                      required
+                      style={cellInputStyle}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={variant.barcode || ''}
+                      onChange={(e) => handleVariantChange(variant.id, 'barcode', e.target.value.trim())}
+                      placeholder="Optional"
+                      style={cellInputStyle}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      value={variant.stockQty}
+                      onChange={(e) => handleVariantChange(variant.id, 'stockQty', parseInt(e.target.value) || 0)}
+                      style={{ ...cellInputStyle, width: '70px' }}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={variant.priceOverride || ''}
+                      onChange={(e) => handleVariantChange(variant.id, 'priceOverride', parseFloat(e.target.value) || null)}
+                      placeholder="Base price"
+                      style={{ ...cellInputStyle, width: '100px' }}
+                    />
+                  </td>
+                  <td style={{ textAlign: 'center' }}>
+                    <input
+                      type="checkbox"
+                      checked={variant.isActive !== false}
+                      onChange={(e) => handleVariantChange(variant.id, 'isActive', e.target.checked)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px' }}>
+            <small style={{ color: '#6b7280' }}>
+              {variants.length} variants · {getVariantStockTotal(variants)} units in total
+            </small>
+            {variants.some(variant => !variant.barcode) && (
+              <button type="button" onClick={handleGenerateBarcodes} className="btn btn-sm btn-secondary">
+                Generate EAN-13 for empty barcodes
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariantMatrixEditor;
@@ -0,0 +1,115 @@
+/**
+ * EXHIBITION ALLOCATION EDITOR
+ * ============================
+ *
+ * Pick the products (and sizes/colours) to take to an exhibition and how
+ * many of each. Used in the owner's create-exhibition form; the stock is
+ * issued from the chosen location when the exhibition starts.
+ */
+
+import ProductSearchInput from '../common/ProductSearchInput';
+import { getStockLineKey } from '../../services/stockMovementService';
+import { findVariant, getVariantLabel } from '../../utils/variantUtils';
+import { MAX_ALLOCATION_LINES } from '../../services/exhibitionService';
+
+const ExhibitionAllocationEditor = ({ products, allocation, onChange, disabled = false }) => {
+  const getAvailable = (item) => {
+    const product = products.find(candidate => candidate.id === item.productId);
+    if (!product) return 0;
+    const variant = findVariant(product, item.variantId);
+    return variant ? variant.stockQty || 0 : product.stockQty || 0;
+  };
+
+  const handleAddItem = (product, variant = null) => {
+    const item = {
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      productName: product.name,
+      variantLabel: variant ? getVariantLabel(variant) : '',
+      sku: variant ? variant.sku : product.sku,
+      quantity: 1
+    };
+
+    const key = getStockLineKey(item.productId, item.variantId);
+    const existing = allocation.find(line => getStockLineKey(line.productId, line.variantId) === key);
+    if (existing) {
+      onChange(allocation.map(line => line === existing ? { ...line, quantity: line.quantity + 1 } : line));
+    } else if (allocation.length < MAX_ALLOCATION_LINES) {
+      onChange([...allocation, item]);
+    }
+  };
+
+  const handleQuantityChange = (key, quantity) => {
+    onChange(allocation.map(line => (
+      getStockLineKey(line.productId, line.variantId) === key ? { ...line, quantity } : line
+    )));
+  };
+
+  const handleRemove = (key) => {
+    onChange(allocation.filter(line => getStockLineKey(line.productId, line.variantId) !== key));
+  };
+
+  const totalUnits = allocation.reduce((total, line) => total + (line.quantity || 0), 0);
+
+  return (
+    <div className="form-group">
+      <label>Stock to Take ({totalUnits} units)</label>
+      <ProductSearchInput
+        products={products}
+        onSelect={handleAddItem}
+        placeholder="Search by name, SKU or barcode..."
+      />
+      <span style={{ fontSize: '12px', color: '#6b7280' }}>
+        Issued from the chosen location when the exhibition starts. Leave empty to sell from location stock.
+        {allocation.length >= MAX_ALLOCATION_LINES && ` At most ${MAX_ALLOCATION_LINES} items per exhibition.`}
+      </span>
+
+      {allocation.length > 0 && (
+        <div className="table-container" style={{ marginTop: '12px' }}>
+          <table className="data-table" style={{ fontSize: '13px' }}>
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>SKU</th>
+                <th>Available</th>
+                <th>Quantity</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {allocation.map(line => {
+                const key = getStockLineKey(line.productId, line.variantId);
+                const available = getAvailable(line);
+                return (
+                  <tr key={key}>
+                    <td>{line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}</td>
+                    <td><code>{line.sku}</code></td>
+                    <td>{available}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="1"
+                        max={available}
+                        value={line.quantity}
+                        onChange={(e) => handleQuantityChange(key, parseInt(e.target.value) || 0)}
+                        disabled={disabled}
+                        style={{ width: '80px', borderColor: line.quantity > available ? '#dc2626' : undefined }}
+                      />
+                    </td>
+                    <td>
+                      <button type="button" onClick={() => handleRemove(key)} className="btn btn-secondary" disabled={disabled}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExhibitionAllocationEditor;
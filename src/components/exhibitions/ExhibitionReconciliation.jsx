@@ -0,0 +1,188 @@
+/**
+ * EXHIBITION RECONCILIATION
+ * =========================
+ *
+ * End-of-show stock sheet: issued, sold, returned to store and missing per
+ * item. For an active exhibition the owner enters the units counted back
+ * and closes the show (returns are posted to the issuing location); for a
+ * closed exhibition the saved sheet is shown read-only.
+ */
+
+import { useState } from 'react';
+import {
+  getAllocationLineKey,
+  getReconciliationSheet,
+  RECONCILIATION_FLAGS
+} from '../../services/exhibitionService';
+
+const FLAG_STYLES = {
+  [RECONCILIATION_FLAGS.MISSING]: { label: 'Missing', color: '#dc2626' },
+  [RECONCILIATION_FLAGS.EXCESS]: { label: 'Excess', color: '#d97706' }
+};
+
+const renderFlag = (line) => {
+  if (!line.flag) return '-';
+  const style = FLAG_STYLES[line.flag];
+  return (
+    <span style={{ fontWeight: '600', color: style.color }}>
+      {style.label} {Math.abs(line.missingQty)}
+    </span>
+  );
+};
+
+const ExhibitionReconciliation = ({ exhibition, onClose, onConfirm }) => {
+  const isClosing = exhibition.active;
+
+  const [returnedCounts, setReturnedCounts] = useState({});
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const sheet = isClosing
+    ? getReconciliationSheet(exhibition.allocation, returnedCounts)
+    : exhibition.reconciliation;
+
+  const handleCountChange = (key, value) => {
+    const next = { ...returnedCounts };
+    if (value === '') {
+      delete next[key];
+    } else {
+      next[key] = Math.max(0, parseInt(value) || 0);
+    }
+    setReturnedCounts(next);
+  };
+
+  const handleConfirm = async () => {
+    if (sheet.hasShrinkage &&
+        !window.confirm(`${sheet.totals.missingQty} unit(s) are missing and will be recorded as shrinkage. Close the exhibition?`)) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onConfirm({ returnedCounts, notes });
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 9999
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '30px',
+        borderRadius: '8px',
+        maxWidth: '960px',
+        width: '95%',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+          <h2 style={{ margin: 0 }}>
+            {isClosing ? 'Close Exhibition' : 'Exhibition Stock Sheet'}: {exhibition.location}
+          </h2>
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isSaving}>
+            Close
+          </button>
+        </div>
+        <p style={{ fontSize: '13px', color: '#6b7280' }}>
+          {isClosing
+            ? 'Enter the units counted back from the show. Blank counts are taken as everything unsold returned.'
+            : `Closed by ${sheet.closedByName || '-'}${sheet.notes ? ` · ${sheet.notes}` : ''}`}
+        </p>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        <div className="table-container">
+          <table className="data-table" style={{ fontSize: '13px' }}>
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Issued</th>
+                <th>Sold</th>
+                <th>Expected Back</th>
+                <th>Returned to Store</th>
+                <th>Flag</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sheet.lines.map(line => {
+                const key = getAllocationLineKey(line);
+                return (
+                  <tr key={key}>
+                    <td>
+                      {line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}
+                      <div style={{ fontSize: '12px', color: '#6b7280' }}><code>{line.sku}</code></div>
+                    </td>
+                    <td>{line.issuedQty}</td>
+                    <td>{line.soldQty}</td>
+                    <td>{line.expectedQty}</td>
+                    <td>
+                      {isClosing ? (
+                        <input
+                          type="number"
+                          min="0"
+                          placeholder={String(line.expectedQty)}
+                          value={key in returnedCounts ? returnedCounts[key] : ''}
+                          onChange={(e) => handleCountChange(key, e.target.value)}
+                          disabled={isSaving}
+                          style={{ width: '80px' }}
+                        />
+                      ) : line.returnedQty}
+                    </td>
+                    <td>{renderFlag(line)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr style={{ fontWeight: '600' }}>
+                <td>Total</td>
+                <td>{sheet.totals.issuedQty}</td>
+                <td>{sheet.totals.soldQty}</td>
+                <td>{sheet.totals.issuedQty - sheet.totals.soldQty}</td>
+                <td>{sheet.totals.returnedQty}</td>
+                <td style={{ color: sheet.hasShrinkage ? '#dc2626' : '#059669' }}>
+                  {sheet.hasShrinkage ? `${sheet.totals.missingQty} missing` : 'No shrinkage'}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        {isClosing && (
+          <>
+            <div className="form-group" style={{ marginTop: '16px' }}>
+              <label>Notes</label>
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Damaged, given as samples, ..."
+                disabled={isSaving}
+              />
+            </div>
+            <button type="button" onClick={handleConfirm} className="btn btn-primary" disabled={isSaving}>
+              {isSaving ? 'Closing...' : 'Close Exhibition & Return Stock'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExhibitionReconciliation;
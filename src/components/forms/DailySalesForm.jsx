@@ -3,7 +3,7 @@ import InputField from '../common/InputField';
 import Button from '../common/Button';
 
 function DailySalesForm({ onSubmit }) {
-  const [formData, setFormData] = useState({});
+  const [formData] = useState({});
 
   return (
     <form onSubmit={(e) => { e.preventDefault(); onSubmit(formData); }}>
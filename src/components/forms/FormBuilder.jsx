@@ -1,10 +1,6 @@
 import React from 'react';
 
 function FormBuilder({ fields, onSubmit, formData, setFormData }) {
-  const handleChange = (name, value) => {
-    setFormData({ ...formData, [name]: value });
-  };
-
   return (
     <form onSubmit={onSubmit}>
       {fields.map((field) => (
@@ -9,9 +9,16 @@ const Login = lazy(() => import('../../pages/auth/Login'));
 const Register = lazy(() => import('../../pages/auth/Register'));
 const EmployeeDashboard = lazy(() => import('../../pages/dashboard/EmployeeDashboard'));
 const EmployeeAnalytics = lazy(() => import('../../pages/analytics/EmployeeAnalytics'));
+const StockCount = lazy(() => import('../../pages/dashboard/StockCount'));
 const OwnerDashboard = lazy(() => import('../../pages/owner/OwnerDashboard'));
 const OwnerAnalyticsPro = lazy(() => import('../../pages/owner/OwnerAnalyticsPro'));
 const UserManagement = lazy(() => import('../../pages/owner/UserManagement'));
+const BusinessSettings = lazy(() => import('../../pages/owner/BusinessSettings'));
+const BarcodeLabels = lazy(() => import('../../pages/owner/BarcodeLabels'));
+const Purchasing = lazy(() => import('../../pages/owner/Purchasing'));
+const Locations = lazy(() => import('../../pages/owner/Locations'));
+const StockTakes = lazy(() => import('../../pages/owner/StockTakes'));
+const PaymentReconciliation = lazy(() => import('../../pages/owner/PaymentReconciliation'));
 const BillPreviewTest = lazy(() => import('../../pages/test/BillPreviewTest'));
 
 // View renderer with memoization
@@ -27,12 +34,26 @@ const ViewRenderer = memo(({ view }) => {
       return <EmployeeDashboard />;
     case VIEWS.EMPLOYEE_ANALYTICS:
       return <EmployeeAnalytics />;
+    case VIEWS.EMPLOYEE_STOCK_COUNT:
+      return <StockCount />;
     case VIEWS.OWNER_DASHBOARD:
       return <OwnerDashboard />;
     case VIEWS.OWNER_ANALYTICS:
       return <OwnerAnalyticsPro />;
     case VIEWS.OWNER_USERS:
       return <UserManagement />;
+    case VIEWS.OWNER_SETTINGS:
+      return <BusinessSettings />;
+    case VIEWS.OWNER_LABELS:
+      return <BarcodeLabels />;
+    case VIEWS.OWNER_PURCHASING:
+      return <Purchasing />;
+    case VIEWS.OWNER_LOCATIONS:
+      return <Locations />;
+    case VIEWS.OWNER_STOCK_TAKES:
+      return <StockTakes />;
+    case VIEWS.OWNER_RECONCILIATION:
+      return <PaymentReconciliation />;
     case VIEWS.TEST_BILL:
       return <BillPreviewTest />;
     default:
@@ -0,0 +1,200 @@
+/**
+ * LOCATION MANAGER
+ * ================
+ *
+ * Location list with an add/edit form. The primary location always exists
+ * and cannot be deactivated; inactive locations keep their history but
+ * cannot receive new stock.
+ */
+
+import { useState } from 'react';
+import { saveLocation, LOCATION_TYPES, LOCATION_TYPE_LABELS } from '../../services/locationService';
+import { PRIMARY_LOCATION_ID } from '../../constants/locations';
+
+const EMPTY_LOCATION = {
+  name: '',
+  code: '',
+  type: LOCATION_TYPES.STORE,
+  address: '',
+  phone: '',
+  isActive: true
+};
+
+const LocationManager = ({ locations, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleEdit = (location) => {
+    setError('');
+    setForm({ ...EMPTY_LOCATION, ...location });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await saveLocation(form, locations);
+      setForm(null);
+      await onSaved(`Location ${form.name.trim()} saved`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (location) => {
+    try {
+      setError('');
+      await saveLocation({ ...location, isActive: !location.isActive }, locations);
+      await onSaved(`Location ${location.name} ${location.isActive ? 'deactivated' : 'activated'}`);
+    } catch (err) {
+      setError('Failed to update location: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>Locations ({locations.length})</h2>
+        <button
+          onClick={() => form ? setForm(null) : handleEdit(EMPTY_LOCATION)}
+          className="btn-primary"
+        >
+          {form ? 'Cancel' : '+ Add Location'}
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {form && (
+        <div className="create-user-form-container">
+          <form onSubmit={handleSubmit} className="create-user-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Location Name *</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="e.g., Andheri Store"
+                  disabled={isSaving}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Code *</label>
+                <input
+                  type="text"
+                  value={form.code}
+                  onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                  placeholder="e.g., AND"
+                  disabled={isSaving}
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Type *</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => setForm({ ...form, type: e.target.value })}
+                  disabled={isSaving}
+                >
+                  {Object.entries(LOCATION_TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Phone</label>
+                <input
+                  type="tel"
+                  value={form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                  placeholder="10 digits"
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Address</label>
+              <textarea
+                value={form.address}
+                onChange={(e) => setForm({ ...form, address: e.target.value })}
+                rows="2"
+                disabled={isSaving}
+              />
+              <span className="form-helper">Printed on bills issued at this location</span>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : form.id ? 'Update Location' : 'Add Location'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="users-table-container">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Code</th>
+              <th>Type</th>
+              <th>Address</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {locations.map(location => (
+              <tr key={location.id} className={!location.isActive ? 'user-disabled' : ''}>
+                <td>
+                  <div className="user-name">
+                    {location.name}
+                    {location.id === PRIMARY_LOCATION_ID && <span className="badge-you">Primary</span>}
+                  </div>
+                </td>
+                <td>{location.code}</td>
+                <td>{LOCATION_TYPE_LABELS[location.type] || location.type}</td>
+                <td>
+                  {location.address || '-'}
+                  {location.phone && <div className="form-helper">{location.phone}</div>}
+                </td>
+                <td>
+                  <span className={`badge ${location.isActive ? 'badge-active' : 'badge-inactive'}`}>
+                    {location.isActive ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td>
+                  <button onClick={() => handleEdit(location)} className="btn-action">
+                    Edit
+                  </button>
+                  {location.id !== PRIMARY_LOCATION_ID && (
+                    <button
+                      onClick={() => handleToggleActive(location)}
+                      className={`btn-action ${location.isActive ? 'btn-disable' : 'btn-enable'}`}
+                    >
+                      {location.isActive ? 'Deactivate' : 'Activate'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LocationManager;
@@ -0,0 +1,214 @@
+/**
+ * STOCK TRANSFER FORM
+ * ===================
+ *
+ * Dispatch stock from one location to another: pick the two locations and
+ * the product/variant lines with the quantity to send. Available stock is
+ * shown for the source location.
+ */
+
+import { useState } from 'react';
+import ProductSearchInput from '../common/ProductSearchInput';
+import { validateTransfer } from '../../services/stockTransferService';
+import { getStockLineKey } from '../../services/stockMovementService';
+import { getLocationProducts } from '../../utils/locationUtils';
+import { findVariant, getVariantLabel } from '../../utils/variantUtils';
+import { PRIMARY_LOCATION_ID } from '../../constants/locations';
+
+const StockTransferForm = ({ locations, products, onSubmit, onCancel }) => {
+  const activeLocations = locations.filter(location => location.isActive);
+
+  const [fromLocationId, setFromLocationId] = useState(PRIMARY_LOCATION_ID);
+  const [toLocationId, setToLocationId] = useState(
+    (activeLocations.find(location => location.id !== PRIMARY_LOCATION_ID) || {}).id || ''
+  );
+  const [notes, setNotes] = useState('');
+  const [items, setItems] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const sourceProducts = getLocationProducts(products, fromLocationId);
+
+  const getAvailable = (item) => {
+    const product = sourceProducts.find(candidate => candidate.id === item.productId);
+    if (!product) return 0;
+    const variant = findVariant(product, item.variantId);
+    return variant ? variant.stockQty || 0 : product.stockQty || 0;
+  };
+
+  const handleFromChange = (locationId) => {
+    // Quantities were picked against the old source's stock
+    setFromLocationId(locationId);
+    setItems([]);
+  };
+
+  const handleAddItem = (product, variant = null) => {
+    const line = {
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      productName: product.name,
+      variantLabel: variant ? getVariantLabel(variant) : '',
+      sku: variant ? variant.sku : product.sku,
+      quantity: 1
+    };
+
+    const key = getStockLineKey(line.productId, line.variantId);
+    const existing = items.find(item => getStockLineKey(item.productId, item.variantId) === key);
+    if (existing) {
+      setItems(items.map(item => item === existing ? { ...item, quantity: item.quantity + 1 } : item));
+    } else {
+      setItems([...items, line]);
+    }
+  };
+
+  const handleQuantityChange = (key, quantity) => {
+    setItems(items.map(item => getStockLineKey(item.productId, item.variantId) === key ? { ...item, quantity } : item));
+  };
+
+  const handleRemoveItem = (key) => {
+    setItems(items.filter(item => getStockLineKey(item.productId, item.variantId) !== key));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fromLocation = locations.find(location => location.id === fromLocationId);
+    const toLocation = locations.find(location => location.id === toLocationId);
+    const transferData = {
+      fromLocationId,
+      fromLocationName: fromLocation ? fromLocation.name : '',
+      toLocationId,
+      toLocationName: toLocation ? toLocation.name : '',
+      notes,
+      items
+    };
+
+    const validation = validateTransfer(transferData);
+    if (!validation.valid) {
+      setError(validation.errors.join(', '));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onSubmit(transferData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const totalUnits = items.reduce((total, item) => total + (item.quantity || 0), 0);
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>New Stock Transfer</h2>
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Cancel
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="create-user-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label>From *</label>
+            <select value={fromLocationId} onChange={(e) => handleFromChange(e.target.value)} disabled={isSaving}>
+              {activeLocations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>To *</label>
+            <select value={toLocationId} onChange={(e) => setToLocationId(e.target.value)} disabled={isSaving} required>
+              <option value="">Select location</option>
+              {activeLocations.filter(location => location.id !== fromLocationId).map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label>Add Items</label>
+          <ProductSearchInput
+            products={sourceProducts}
+            onSelect={handleAddItem}
+            placeholder="Search by name, SKU or barcode..."
+          />
+        </div>
+
+        <div className="users-table-container">
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>SKU</th>
+                <th>Available</th>
+                <th>Quantity</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => {
+                const key = getStockLineKey(item.productId, item.variantId);
+                return (
+                  <tr key={key}>
+                    <td>{item.productName}{item.variantLabel ? ` (${item.variantLabel})` : ''}</td>
+                    <td>{item.sku}</td>
+                    <td>{getAvailable(item)}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="1"
+                        value={item.quantity}
+                        onChange={(e) => handleQuantityChange(key, parseInt(e.target.value) || 0)}
+                        disabled={isSaving}
+                        style={{ width: '80px' }}
+                      />
+                    </td>
+                    <td>
+                      <button type="button" onClick={() => handleRemoveItem(key)} className="btn-action btn-disable" disabled={isSaving}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {items.length === 0 && (
+                <tr>
+                  <td colSpan="5">Search above to add items.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="form-group">
+          <label>Notes</label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows="2"
+            placeholder="Vehicle, courier, docket number..."
+            disabled={isSaving}
+          />
+        </div>
+
+        <div className="form-actions">
+          <span className="form-helper">{totalUnits} pcs leave the source now and arrive when received</span>
+          <button type="submit" className="btn-primary" disabled={isSaving}>
+            {isSaving ? 'Dispatching...' : 'Dispatch Transfer'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StockTransferForm;
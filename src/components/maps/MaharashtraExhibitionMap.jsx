@@ -1,5 +1,5 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, CircleMarker, GeoJSON, useMap } from 'react-leaflet';
+import React, { useState, useMemo } from 'react';
+import { MapContainer, TileLayer, Popup, CircleMarker } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './MaharashtraExhibitionMap.css';
@@ -107,264 +107,6 @@ const INDIA_BOUNDS = [
   [35.5, 97.5]  // Northeast corner (northernmost, easternmost)
 ];
 
-// Simplified GeoJSON for Maharashtra districts (approximate boundaries)
-// In production, you would use actual GeoJSON data from a proper source
-const MAHARASHTRA_DISTRICTS_GEOJSON = {
-  "type": "FeatureCollection",
-  "features": [
-    {
-      "type": "Feature",
-      "properties": { "name": "Mumbai", "region": "Konkan" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [72.75, 18.90], [72.95, 18.90], [72.95, 19.30], [72.75, 19.30], [72.75, 18.90]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Thane", "region": "Konkan" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [72.95, 19.00], [73.30, 19.00], [73.30, 19.50], [72.95, 19.50], [72.95, 19.00]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Pune", "region": "Western" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [73.50, 18.30], [74.20, 18.30], [74.20, 19.00], [73.50, 19.00], [73.50, 18.30]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Nashik", "region": "Northern" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [73.40, 19.70], [74.30, 19.70], [74.30, 20.50], [73.40, 20.50], [73.40, 19.70]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Aurangabad", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [75.00, 19.50], [75.80, 19.50], [75.80, 20.20], [75.00, 20.20], [75.00, 19.50]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Nagpur", "region": "Vidarbha" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [78.80, 20.80], [79.50, 20.80], [79.50, 21.50], [78.80, 21.50], [78.80, 20.80]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Solapur", "region": "Western" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [75.50, 17.30], [76.20, 17.30], [76.20, 18.00], [75.50, 18.00], [75.50, 17.30]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Kolhapur", "region": "Western" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [74.00, 16.40], [74.60, 16.40], [74.60, 17.00], [74.00, 17.00], [74.00, 16.40]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Amravati", "region": "Vidarbha" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [77.40, 20.60], [78.20, 20.60], [78.20, 21.30], [77.40, 21.30], [77.40, 20.60]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Nanded", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [76.90, 18.80], [77.70, 18.80], [77.70, 19.50], [76.90, 19.50], [76.90, 18.80]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Sangli", "region": "Western" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [74.30, 16.60], [74.90, 16.60], [74.90, 17.20], [74.30, 17.20], [74.30, 16.60]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Jalgaon", "region": "Northern" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [75.20, 20.70], [76.00, 20.70], [76.00, 21.40], [75.20, 21.40], [75.20, 20.70]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Akola", "region": "Vidarbha" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [76.70, 20.40], [77.40, 20.40], [77.40, 21.00], [76.70, 21.00], [76.70, 20.40]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Latur", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [76.20, 18.10], [76.90, 18.10], [76.90, 18.70], [76.20, 18.70], [76.20, 18.10]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Dhule", "region": "Northern" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [74.40, 20.60], [75.10, 20.60], [75.10, 21.20], [74.40, 21.20], [74.40, 20.60]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Ahmednagar", "region": "Western" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [74.30, 18.80], [75.20, 18.80], [75.20, 19.60], [74.30, 19.60], [74.30, 18.80]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Chandrapur", "region": "Vidarbha" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [78.90, 19.60], [79.80, 19.60], [79.80, 20.30], [78.90, 20.30], [78.90, 19.60]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Parbhani", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [76.40, 18.90], [77.00, 18.90], [77.00, 19.50], [76.40, 19.50], [76.40, 18.90]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Jalna", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [75.50, 19.50], [76.20, 19.50], [76.20, 20.10], [75.50, 20.10], [75.50, 19.50]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Satara", "region": "Western" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [73.60, 17.40], [74.40, 17.40], [74.40, 18.10], [73.60, 18.10], [73.60, 17.40]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Ratnagiri", "region": "Konkan" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [73.00, 16.70], [73.60, 16.70], [73.60, 17.40], [73.00, 17.40], [73.00, 16.70]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Yavatmal", "region": "Vidarbha" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [77.80, 19.90], [78.60, 19.90], [78.60, 20.60], [77.80, 20.60], [77.80, 19.90]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Wardha", "region": "Vidarbha" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [78.30, 20.40], [79.00, 20.40], [79.00, 21.00], [78.30, 21.00], [78.30, 20.40]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Beed", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [75.40, 18.70], [76.10, 18.70], [76.10, 19.30], [75.40, 19.30], [75.40, 18.70]
-        ]]
-      }
-    },
-    {
-      "type": "Feature",
-      "properties": { "name": "Osmanabad", "region": "Marathwada" },
-      "geometry": {
-        "type": "Polygon",
-        "coordinates": [[
-          [75.80, 17.90], [76.40, 17.90], [76.40, 18.50], [75.80, 18.50], [75.80, 17.90]
-        ]]
-      }
-    }
-  ]
-};
-
 const MaharashtraExhibitionMap = ({ exhibitions = [], orders = [] }) => {
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [hoveredDistrict, setHoveredDistrict] = useState(null);
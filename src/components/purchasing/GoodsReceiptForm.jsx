@@ -0,0 +1,269 @@
+/**
+ * GOODS RECEIPT FORM
+ * ==================
+ *
+ * Modal to book a delivery (GRN) against a purchase order. Quantities
+ * default to what is still outstanding; lines going over the order or
+ * left short on a closing receipt are flagged before saving. Earlier
+ * receipts of the PO are listed underneath (read-only once closed).
+ */
+
+import { useState, useEffect } from 'react';
+import { formatCurrency } from '../../services/orderCalculationService';
+import {
+  calculateGoodsReceipt,
+  getGoodsReceipts,
+  getPurchaseLineKey,
+  PURCHASE_ORDER_STATUS,
+  RECEIPT_FLAGS
+} from '../../services/purchaseOrderService';
+
+const FLAG_STYLES = {
+  [RECEIPT_FLAGS.SHORT]: { label: 'Short', color: '#d97706' },
+  [RECEIPT_FLAGS.EXCESS]: { label: 'Excess', color: '#dc2626' }
+};
+
+const formatDate = (timestamp) => {
+  if (!timestamp?.toDate) return '-';
+  return timestamp.toDate().toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const renderFlag = (line) => {
+  if (!line.flag) return '-';
+  const style = FLAG_STYLES[line.flag];
+  return (
+    <span style={{ fontWeight: '600', color: style.color }}>
+      {style.label} {line.variance > 0 ? `+${line.variance}` : line.variance}
+    </span>
+  );
+};
+
+const GoodsReceiptForm = ({ purchaseOrder, onReceive, onClose }) => {
+  const canReceive = [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED].includes(purchaseOrder.status);
+
+  const [lines, setLines] = useState(() => purchaseOrder.items.map(item => ({
+    key: getPurchaseLineKey(item),
+    quantity: Math.max(0, item.orderedQty - (item.receivedQty || 0)),
+    unitCost: item.unitCost
+  })));
+  const [supplierInvoiceNumber, setSupplierInvoiceNumber] = useState('');
+  const [notes, setNotes] = useState('');
+  const [closeShort, setCloseShort] = useState(false);
+  const [receipts, setReceipts] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadReceipts = async () => {
+      try {
+        setReceipts(await getGoodsReceipts(purchaseOrder.id));
+      } catch (err) {
+        setError('Failed to load goods receipts: ' + err.message);
+      }
+    };
+
+    loadReceipts();
+  }, [purchaseOrder.id]);
+
+  const receipt = { items: lines, supplierInvoiceNumber, notes, closeShort };
+  const preview = calculateGoodsReceipt(purchaseOrder, receipt);
+
+  const handleLineChange = (key, field, value) => {
+    setLines(lines.map(line => line.key === key ? { ...line, [field]: value } : line));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (preview.hasDiscrepancy &&
+        !window.confirm('This delivery does not match the order (see flags). Book it anyway?')) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onReceive(receipt);
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 9999
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '30px',
+        borderRadius: '8px',
+        maxWidth: '1000px',
+        width: '95%',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div className="section-header">
+          <h2>{canReceive ? 'Receive Goods' : 'Goods Receipts'}: {purchaseOrder.poNumber}</h2>
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Close
+          </button>
+        </div>
+        <p className="form-helper">
+          {purchaseOrder.supplierName}
+          {purchaseOrder.deliveryLocationName && ` · receiving into ${purchaseOrder.deliveryLocationName}`}
+        </p>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {canReceive && (
+          <form onSubmit={handleSubmit} className="create-user-form">
+            <div className="users-table-container">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Ordered</th>
+                    <th>Received</th>
+                    <th>Receive Now</th>
+                    <th>Unit Cost</th>
+                    <th>Flag</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.lines.map((line, index) => {
+                    const key = lines[index].key;
+                    return (
+                      <tr key={key}>
+                        <td>
+                          {line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}
+                          <div className="form-helper">{line.sku}</div>
+                        </td>
+                        <td>{line.orderedQty}</td>
+                        <td>{line.previouslyReceived}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            value={lines[index].quantity}
+                            onChange={(e) => handleLineChange(key, 'quantity', Math.max(0, parseInt(e.target.value) || 0))}
+                            disabled={isSaving}
+                            style={{ width: '80px' }}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={lines[index].unitCost}
+                            onChange={(e) => handleLineChange(key, 'unitCost', parseFloat(e.target.value) || 0)}
+                            disabled={isSaving}
+                            style={{ width: '100px' }}
+                          />
+                        </td>
+                        <td>{renderFlag(line)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Supplier Invoice / Challan No.</label>
+                <input
+                  type="text"
+                  value={supplierInvoiceNumber}
+                  onChange={(e) => setSupplierInvoiceNumber(e.target.value)}
+                  disabled={isSaving}
+                />
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <input
+                  type="text"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Damaged cartons, substitutions..."
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={closeShort}
+                onChange={(e) => setCloseShort(e.target.checked)}
+                disabled={isSaving}
+              />
+              Close the order after this delivery (nothing more is coming)
+            </label>
+
+            <div className="form-actions">
+              <span className="form-helper">
+                Value received {formatCurrency(preview.receivedValue)} + GST · order will be{' '}
+                {preview.closesOrder ? 'closed' : 'partially received'}
+              </span>
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Book Receipt & Add Stock'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <h3>Previous Receipts ({receipts.length})</h3>
+        {receipts.length === 0 ? (
+          <p className="form-helper">Nothing received yet.</p>
+        ) : (
+          receipts.map(grn => (
+            <div key={grn.id} className="users-table-container" style={{ marginBottom: '16px' }}>
+              <p>
+                <strong>{grn.grnNumber}</strong> · {formatDate(grn.createdAt)} · {grn.receivedByName || '-'}
+                {grn.supplierInvoiceNumber && ` · Invoice ${grn.supplierInvoiceNumber}`}
+                {' · '}{formatCurrency(grn.receivedValue)}
+                {grn.closesOrder && ' · closed order'}
+              </p>
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Received</th>
+                    <th>Unit Cost</th>
+                    <th>Total / Ordered</th>
+                    <th>Flag</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {grn.items.map(line => (
+                    <tr key={getPurchaseLineKey(line)}>
+                      <td>{line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}</td>
+                      <td>{line.receivedQty}</td>
+                      <td>{formatCurrency(line.unitCost)}</td>
+                      <td>{line.totalReceived} / {line.orderedQty}</td>
+                      <td>{renderFlag(line)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {grn.notes && <p className="form-helper">{grn.notes}</p>}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GoodsReceiptForm;
@@ -0,0 +1,228 @@
+/**
+ * PURCHASE ORDER FORM
+ * ===================
+ *
+ * Create or edit a draft purchase order: supplier, delivery location,
+ * expected date and the product/variant lines with ordered quantity and
+ * unit cost. Unit cost defaults to the item's current cost price.
+ * A new PO can start from initialValues ({ supplierId, items }), e.g. the
+ * lines picked from reorder suggestions.
+ */
+
+import { useState } from 'react';
+import ProductSearchInput from '../common/ProductSearchInput';
+import { formatCurrency } from '../../services/orderCalculationService';
+import { getPurchaseLineKey, getPurchaseOrderTotals, validatePurchaseOrder } from '../../services/purchaseOrderService';
+import { getVariantLabel, getUnitCost } from '../../utils/variantUtils';
+import { PRIMARY_LOCATION_ID } from '../../constants/locations';
+
+const PurchaseOrderForm = ({ purchaseOrder, initialValues, suppliers, locations = [], products, onSubmit, onCancel }) => {
+  const [supplierId, setSupplierId] = useState(purchaseOrder?.supplierId || initialValues?.supplierId || '');
+  const [deliveryLocationId, setDeliveryLocationId] = useState(purchaseOrder?.deliveryLocationId || PRIMARY_LOCATION_ID);
+  const [expectedDate, setExpectedDate] = useState(purchaseOrder?.expectedDate || '');
+  const [notes, setNotes] = useState(purchaseOrder?.notes || '');
+  const [items, setItems] = useState(purchaseOrder?.items || initialValues?.items || []);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Inactive suppliers stay selectable only on the PO that already uses them
+  const supplierOptions = suppliers.filter(supplier => supplier.isActive || supplier.id === supplierId);
+  const locationOptions = locations.filter(location => location.isActive || location.id === deliveryLocationId);
+
+  const handleAddItem = (product, variant = null) => {
+    const line = {
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      productName: product.name,
+      variantLabel: variant ? getVariantLabel(variant) : '',
+      sku: variant ? variant.sku : product.sku,
+      orderedQty: 1,
+      receivedQty: 0,
+      unitCost: getUnitCost(product, variant ? variant.id : null) || 0
+    };
+
+    const key = getPurchaseLineKey(line);
+    const existing = items.find(item => getPurchaseLineKey(item) === key);
+    if (existing) {
+      setItems(items.map(item => getPurchaseLineKey(item) === key ? { ...item, orderedQty: item.orderedQty + 1 } : item));
+    } else {
+      setItems([...items, line]);
+    }
+  };
+
+  const handleItemChange = (key, field, value) => {
+    setItems(items.map(item => getPurchaseLineKey(item) === key ? { ...item, [field]: value } : item));
+  };
+
+  const handleRemoveItem = (key) => {
+    setItems(items.filter(item => getPurchaseLineKey(item) !== key));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const supplier = suppliers.find(candidate => candidate.id === supplierId);
+    const deliveryLocation = locations.find(candidate => candidate.id === deliveryLocationId);
+    const poData = {
+      supplierId,
+      supplierName: supplier ? supplier.name : '',
+      deliveryLocationId,
+      deliveryLocationName: deliveryLocation ? deliveryLocation.name : '',
+      expectedDate,
+      notes,
+      items
+    };
+
+    const validation = validatePurchaseOrder(poData);
+    if (!validation.valid) {
+      setError(validation.errors.join(', '));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onSubmit(poData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const totals = getPurchaseOrderTotals(items);
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>{purchaseOrder ? `Edit ${purchaseOrder.poNumber}` : 'New Purchase Order'}</h2>
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Cancel
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="create-user-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label>Supplier *</label>
+            <select value={supplierId} onChange={(e) => setSupplierId(e.target.value)} disabled={isSaving} required>
+              <option value="">Select supplier</option>
+              {supplierOptions.map(supplier => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Deliver To</label>
+            <select value={deliveryLocationId} onChange={(e) => setDeliveryLocationId(e.target.value)} disabled={isSaving}>
+              {locationOptions.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Expected Delivery</label>
+            <input
+              type="date"
+              value={expectedDate}
+              onChange={(e) => setExpectedDate(e.target.value)}
+              disabled={isSaving}
+            />
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label>Add Items</label>
+          <ProductSearchInput
+            products={products}
+            onSelect={handleAddItem}
+            placeholder="Search by name, SKU or barcode..."
+          />
+          <span className="form-helper">Unit cost is per piece, excluding GST</span>
+        </div>
+
+        <div className="users-table-container">
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>SKU</th>
+                <th>Quantity</th>
+                <th>Unit Cost</th>
+                <th>Value</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => {
+                const key = getPurchaseLineKey(item);
+                return (
+                  <tr key={key}>
+                    <td>{item.productName}{item.variantLabel ? ` (${item.variantLabel})` : ''}</td>
+                    <td>{item.sku}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="1"
+                        value={item.orderedQty}
+                        onChange={(e) => handleItemChange(key, 'orderedQty', parseInt(e.target.value) || 0)}
+                        disabled={isSaving}
+                        style={{ width: '80px' }}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={item.unitCost}
+                        onChange={(e) => handleItemChange(key, 'unitCost', parseFloat(e.target.value) || 0)}
+                        disabled={isSaving}
+                        style={{ width: '100px' }}
+                      />
+                    </td>
+                    <td>{formatCurrency(item.orderedQty * item.unitCost)}</td>
+                    <td>
+                      <button type="button" onClick={() => handleRemoveItem(key)} className="btn-action btn-disable" disabled={isSaving}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {items.length === 0 && (
+                <tr>
+                  <td colSpan="6">Search above to add items.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="form-group">
+          <label>Notes</label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows="2"
+            placeholder="Delivery instructions, agreed terms..."
+            disabled={isSaving}
+          />
+        </div>
+
+        <div className="form-actions">
+          <span className="form-helper">
+            {totals.orderedQty} pcs · {formatCurrency(totals.orderedValue)} + GST
+          </span>
+          <button type="submit" className="btn-primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : purchaseOrder ? 'Save Draft' : 'Create Draft'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PurchaseOrderForm;
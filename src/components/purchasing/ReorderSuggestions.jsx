@@ -0,0 +1,252 @@
+/**
+ * REORDER SUGGESTIONS
+ * ===================
+ *
+ * What to buy, from sales velocity: each line selling faster than its stock,
+ * open POs and supplier lead time can cover gets a suggested quantity. Ticked
+ * lines for one supplier are raised as a draft purchase order.
+ */
+
+import { useState, useMemo } from 'react';
+import { suggestReorders } from '../../services/analyticsML';
+import { getOnOrderQuantities, getLastSupplierByLine } from '../../services/purchaseOrderService';
+import { DEFAULT_LEAD_TIME_DAYS } from '../../services/supplierService';
+import { formatCurrency } from '../../services/orderCalculationService';
+
+const URGENCY_LABELS = {
+  out_of_stock: 'Out of stock',
+  before_delivery: 'Runs out before delivery',
+  reorder: 'Reorder'
+};
+
+const URGENCY_BADGES = {
+  out_of_stock: 'badge-inactive',
+  before_delivery: 'badge-inactive',
+  reorder: 'badge-active'
+};
+
+// Filter value for lines never bought through a PO
+const NO_SUPPLIER = 'none';
+
+const ReorderSuggestions = ({ products, orders, purchaseOrders, suppliers, onCreateDraft }) => {
+  const [lookbackDays, setLookbackDays] = useState(30);
+  const [coverDays, setCoverDays] = useState(30);
+  const [supplierFilter, setSupplierFilter] = useState('');
+  // Line key -> quantity to order, for ticked lines
+  const [selected, setSelected] = useState({});
+  const [error, setError] = useState('');
+
+  const suggestions = useMemo(() => {
+    const leadTimes = {};
+    suppliers.forEach(supplier => {
+      leadTimes[supplier.id] = typeof supplier.leadTimeDays === 'number' ? supplier.leadTimeDays : DEFAULT_LEAD_TIME_DAYS;
+    });
+
+    return suggestReorders(products, orders, {
+      lookbackDays: lookbackDays || 30,
+      coverDays: coverDays || 30,
+      defaultLeadTimeDays: DEFAULT_LEAD_TIME_DAYS,
+      onOrder: getOnOrderQuantities(purchaseOrders),
+      suppliers: getLastSupplierByLine(purchaseOrders),
+      leadTimes
+    });
+  }, [products, orders, purchaseOrders, suppliers, lookbackDays, coverDays]);
+
+  const visibleSuggestions = suggestions.filter(suggestion => {
+    if (!supplierFilter) return true;
+    if (supplierFilter === NO_SUPPLIER) return !suggestion.supplierId;
+    return suggestion.supplierId === supplierFilter;
+  });
+
+  const supplierOptions = suppliers.filter(supplier => (
+    supplier.isActive && suggestions.some(suggestion => suggestion.supplierId === supplier.id)
+  ));
+
+  const handleToggle = (suggestion) => {
+    setError('');
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[suggestion.key] !== undefined) {
+        delete next[suggestion.key];
+      } else {
+        next[suggestion.key] = suggestion.suggestedQty;
+      }
+      return next;
+    });
+  };
+
+  const handleTickAll = () => {
+    setError('');
+    const next = {};
+    visibleSuggestions.forEach(suggestion => {
+      next[suggestion.key] = selected[suggestion.key] !== undefined ? selected[suggestion.key] : suggestion.suggestedQty;
+    });
+    setSelected(next);
+  };
+
+  const handleCreateDraft = () => {
+    const lines = suggestions.filter(suggestion => selected[suggestion.key] !== undefined);
+    const supplierIds = [...new Set(lines.map(line => line.supplierId).filter(Boolean))];
+
+    if (supplierIds.length > 1) {
+      setError('Ticked lines come from different suppliers. Filter by supplier and raise one PO at a time.');
+      return;
+    }
+
+    const items = lines
+      .filter(line => parseInt(selected[line.key]) > 0)
+      .map(line => ({
+        productId: line.productId,
+        variantId: line.variantId,
+        productName: line.productName,
+        variantLabel: line.variantLabel,
+        sku: line.sku,
+        orderedQty: parseInt(selected[line.key]),
+        receivedQty: 0,
+        unitCost: line.unitCost || 0
+      }));
+
+    if (items.length === 0) {
+      setError('Tick at least one line with a quantity to order');
+      return;
+    }
+
+    setError('');
+    setSelected({});
+    onCreateDraft({ supplierId: supplierIds[0] || '', items });
+  };
+
+  const selectedCount = Object.keys(selected).length;
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>Reorder Suggestions ({visibleSuggestions.length})</h2>
+        <div>
+          <button
+            onClick={handleTickAll}
+            className="btn-secondary"
+            disabled={visibleSuggestions.length === 0}
+          >
+            Tick All
+          </button>
+          <button
+            onClick={handleCreateDraft}
+            className="btn-primary"
+            disabled={selectedCount === 0}
+          >
+            Create Draft PO ({selectedCount})
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Sales Window (days)</label>
+          <input
+            type="number"
+            min="7"
+            value={lookbackDays}
+            onChange={(e) => setLookbackDays(parseInt(e.target.value) || 0)}
+          />
+        </div>
+        <div className="form-group">
+          <label>Order Cover (days)</label>
+          <input
+            type="number"
+            min="1"
+            value={coverDays}
+            onChange={(e) => setCoverDays(parseInt(e.target.value) || 0)}
+          />
+        </div>
+        <div className="form-group">
+          <label>Supplier</label>
+          <select value={supplierFilter} onChange={(e) => setSupplierFilter(e.target.value)}>
+            <option value="">All</option>
+            {supplierOptions.map(supplier => (
+              <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+            ))}
+            <option value={NO_SUPPLIER}>Never ordered</option>
+          </select>
+        </div>
+      </div>
+      <span className="form-helper">
+        A line is suggested when stock plus open POs will not last the supplier's lead time plus the
+        low-stock threshold. The quantity covers the lead time and the order cover at the current sales rate.
+      </span>
+
+      <div className="users-table-container">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Product</th>
+              <th>Sold / Day</th>
+              <th>Stock</th>
+              <th>On Order</th>
+              <th>Days of Cover</th>
+              <th>Supplier</th>
+              <th>Urgency</th>
+              <th>Order Qty</th>
+              <th>Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleSuggestions.map(suggestion => {
+              const isSelected = selected[suggestion.key] !== undefined;
+              const quantity = isSelected ? selected[suggestion.key] : suggestion.suggestedQty;
+              return (
+                <tr key={suggestion.key}>
+                  <td>
+                    <input type="checkbox" checked={isSelected} onChange={() => handleToggle(suggestion)} />
+                  </td>
+                  <td>
+                    {suggestion.productName}{suggestion.variantLabel ? ` (${suggestion.variantLabel})` : ''}
+                    <div className="form-helper">{suggestion.sku}</div>
+                  </td>
+                  <td>
+                    {suggestion.dailyVelocity}
+                    <div className="form-helper">{suggestion.unitsSold} sold</div>
+                  </td>
+                  <td>{suggestion.stockQty}</td>
+                  <td>{suggestion.onOrderQty || '-'}</td>
+                  <td>{suggestion.daysOfCover}</td>
+                  <td>
+                    {suggestion.supplierName || '-'}
+                    <div className="form-helper">{suggestion.leadTimeDays} day lead time</div>
+                  </td>
+                  <td>
+                    <span className={`badge ${URGENCY_BADGES[suggestion.urgency]}`}>
+                      {URGENCY_LABELS[suggestion.urgency]}
+                    </span>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      value={quantity}
+                      onChange={(e) => setSelected({ ...selected, [suggestion.key]: e.target.value })}
+                      style={{ width: '80px' }}
+                    />
+                  </td>
+                  <td>
+                    {suggestion.unitCost !== null ? formatCurrency((parseInt(quantity) || 0) * suggestion.unitCost) : '-'}
+                  </td>
+                </tr>
+              );
+            })}
+            {visibleSuggestions.length === 0 && (
+              <tr>
+                <td colSpan="10">Nothing to reorder: every selling line is covered through its lead time.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
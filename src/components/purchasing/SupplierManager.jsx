@@ -0,0 +1,252 @@
+/**
+ * SUPPLIER MANAGER
+ * ================
+ *
+ * Supplier list with an add/edit form. Inactive suppliers stay on old
+ * purchase orders but cannot be picked for new ones.
+ */
+
+import { useState } from 'react';
+import { saveSupplier, DEFAULT_LEAD_TIME_DAYS } from '../../services/supplierService';
+import { GST_STATES } from '../../constants/gstStates';
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contactName: '',
+  phone: '',
+  email: '',
+  gstin: '',
+  stateCode: '',
+  address: '',
+  paymentTermsDays: 0,
+  leadTimeDays: DEFAULT_LEAD_TIME_DAYS,
+  isActive: true
+};
+
+const SupplierManager = ({ suppliers, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleEdit = (supplier) => {
+    setError('');
+    setForm({ ...EMPTY_SUPPLIER, ...supplier, gstin: supplier.gstin || '' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await saveSupplier(form);
+      setForm(null);
+      await onSaved(`Supplier ${form.name.trim()} saved`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (supplier) => {
+    try {
+      setError('');
+      await saveSupplier({ ...supplier, isActive: !supplier.isActive });
+      await onSaved(`Supplier ${supplier.name} ${supplier.isActive ? 'deactivated' : 'activated'}`);
+    } catch (err) {
+      setError('Failed to update supplier: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>Suppliers ({suppliers.length})</h2>
+        <button
+          onClick={() => form ? setForm(null) : handleEdit(EMPTY_SUPPLIER)}
+          className="btn-primary"
+        >
+          {form ? 'Cancel' : '+ Add Supplier'}
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {form && (
+        <div className="create-user-form-container">
+          <form onSubmit={handleSubmit} className="create-user-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Supplier Name *</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  disabled={isSaving}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Contact Person</label>
+                <input
+                  type="text"
+                  value={form.contactName}
+                  onChange={(e) => setForm({ ...form, contactName: e.target.value })}
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Phone</label>
+                <input
+                  type="tel"
+                  value={form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                  placeholder="10 digits"
+                  disabled={isSaving}
+                />
+              </div>
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>State *</label>
+                <select
+                  value={form.stateCode}
+                  onChange={(e) => setForm({ ...form, stateCode: e.target.value })}
+                  disabled={isSaving}
+                  required
+                >
+                  <option value="">Select state</option>
+                  {Object.entries(GST_STATES).map(([code, name]) => (
+                    <option key={code} value={code}>{code} - {name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>GSTIN</label>
+                <input
+                  type="text"
+                  value={form.gstin}
+                  onChange={(e) => setForm({ ...form, gstin: e.target.value.toUpperCase() })}
+                  placeholder="Optional"
+                  disabled={isSaving}
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Address</label>
+                <textarea
+                  value={form.address}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })}
+                  rows="2"
+                  disabled={isSaving}
+                />
+              </div>
+              <div className="form-group">
+                <label>Payment Terms (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.paymentTermsDays}
+                  onChange={(e) => setForm({ ...form, paymentTermsDays: parseInt(e.target.value) || 0 })}
+                  disabled={isSaving}
+                />
+                <span className="form-helper">0 = payment on delivery</span>
+              </div>
+              <div className="form-group">
+                <label>Lead Time (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.leadTimeDays}
+                  onChange={(e) => setForm({ ...form, leadTimeDays: parseInt(e.target.value) || 0 })}
+                  disabled={isSaving}
+                />
+                <span className="form-helper">Order to delivery; reorder suggestions cover this gap</span>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : form.id ? 'Update Supplier' : 'Add Supplier'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="users-table-container">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Contact</th>
+              <th>GSTIN</th>
+              <th>State</th>
+              <th>Terms</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {suppliers.map(supplier => (
+              <tr key={supplier.id} className={!supplier.isActive ? 'user-disabled' : ''}>
+                <td>{supplier.name}</td>
+                <td>
+                  {supplier.contactName || '-'}
+                  {supplier.phone && <div className="form-helper">{supplier.phone}</div>}
+                </td>
+                <td>{supplier.gstin || '-'}</td>
+                <td>{GST_STATES[supplier.stateCode] || supplier.stateCode}</td>
+                <td>
+                  {supplier.paymentTermsDays ? `${supplier.paymentTermsDays} days` : 'On delivery'}
+                  <div className="form-helper">
+                    Lead time {supplier.leadTimeDays === undefined ? DEFAULT_LEAD_TIME_DAYS : supplier.leadTimeDays} days
+                  </div>
+                </td>
+                <td>
+                  <span className={`badge ${supplier.isActive ? 'badge-active' : 'badge-inactive'}`}>
+                    {supplier.isActive ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td>
+                  <button onClick={() => handleEdit(supplier)} className="btn-action">
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(supplier)}
+                    className={`btn-action ${supplier.isActive ? 'btn-disable' : 'btn-enable'}`}
+                  >
+                    {supplier.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {suppliers.length === 0 && (
+              <tr>
+                <td colSpan="7">No suppliers yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SupplierManager;
@@ -0,0 +1,181 @@
+/**
+ * RECONCILIATION TABLE
+ * ====================
+ *
+ * Bill payments next to the statement credits they were matched with,
+ * problems first. Each row can be marked reconciled with a note (e.g.
+ * "Card fee deducted", "Customer paid twice, refunded"); reconciled rows
+ * show who did it and can be undone.
+ */
+
+import { useState } from 'react';
+import {
+  MATCH_STATUS,
+  MATCH_STATUS_LABELS,
+  MATCH_TYPES
+} from '../../services/reconciliationService';
+import { PAYMENT_MODE_LABELS } from '../../services/paymentService';
+
+const STATUS_BADGES = {
+  [MATCH_STATUS.MATCHED]: 'badge-active',
+  [MATCH_STATUS.MISMATCHED]: 'badge-warning',
+  [MATCH_STATUS.UNMATCHED_PAYMENT]: 'badge-error',
+  [MATCH_STATUS.UNMATCHED_ENTRY]: 'badge-warning'
+};
+
+const formatCurrency = (amount) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => date.toLocaleDateString('en-IN');
+
+const renderDifference = (item) => {
+  if (item.amountDifference === null) return '-';
+  if (item.amountDifference === 0) return item.dayDifference ? `${item.dayDifference > 0 ? '+' : ''}${item.dayDifference} day(s)` : '-';
+  return (
+    <span style={{ fontWeight: '600', color: item.amountDifference < 0 ? '#dc2626' : '#d97706' }}>
+      {item.amountDifference > 0 ? '+' : '-'}{formatCurrency(Math.abs(item.amountDifference))}
+    </span>
+  );
+};
+
+const ReconciliationTable = ({ items, onMark, onClear }) => {
+  // Item key -> note being typed
+  const [notes, setNotes] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleMark = async (item) => {
+    const note = (notes[item.key] || '').trim();
+    if (item.status !== MATCH_STATUS.MATCHED && !note) {
+      setError('Add a note explaining the difference before marking it reconciled');
+      return;
+    }
+
+    try {
+      setSavingKey(item.key);
+      setError('');
+      await onMark(item, note);
+      setNotes(({ [item.key]: removed, ...rest }) => rest);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const handleClear = async (item) => {
+    try {
+      setSavingKey(item.key);
+      setError('');
+      await onClear(item);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <>
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="users-table-container">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Status</th>
+              <th>Bill Payment</th>
+              <th>Statement Credit</th>
+              <th>Difference</th>
+              <th>Reconciliation</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.key}>
+                <td>
+                  <span className={`badge ${item.reconciliation ? 'badge-inactive' : STATUS_BADGES[item.status]}`}>
+                    {item.reconciliation ? 'Reconciled' : MATCH_STATUS_LABELS[item.status]}
+                  </span>
+                  {item.matchType === MATCH_TYPES.AMOUNT_DATE && (
+                    <div className="form-helper">By amount and date</div>
+                  )}
+                  {item.status !== MATCH_STATUS.MATCHED && item.issues.map(issue => (
+                    <div key={issue} className="form-helper">{issue}</div>
+                  ))}
+                </td>
+                <td>
+                  {item.payment ? (
+                    <>
+                      {item.payment.billNumber} · {PAYMENT_MODE_LABELS[item.payment.mode]}
+                      {' '}{formatCurrency(item.payment.amount)}
+                      <div className="form-helper">
+                        {formatDate(item.payment.paidAt)}
+                        {item.payment.customerName && ` · ${item.payment.customerName}`}
+                        {item.payment.referenceId && ` · Ref ${item.payment.referenceId}`}
+                      </div>
+                    </>
+                  ) : '-'}
+                </td>
+                <td>
+                  {item.entry ? (
+                    <>
+                      {formatCurrency(item.entry.amount)} on {formatDate(item.entry.date)}
+                      <div className="form-helper">
+                        {item.entry.reference && `Ref ${item.entry.reference}`}
+                        {item.entry.reference && item.entry.description && ' · '}
+                        {item.entry.description}
+                      </div>
+                    </>
+                  ) : '-'}
+                </td>
+                <td>{renderDifference(item)}</td>
+                <td>
+                  {item.reconciliation ? (
+                    <>
+                      {item.reconciliation.notes || '-'}
+                      <div className="form-helper">
+                        {item.reconciliation.reconciledByName}
+                        {item.reconciliation.reconciledAt?.toDate && ` · ${formatDate(item.reconciliation.reconciledAt.toDate())}`}
+                      </div>
+                      <button
+                        onClick={() => handleClear(item)}
+                        className="btn-action btn-disable"
+                        disabled={savingKey === item.key}
+                      >
+                        Undo
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <input
+                        type="text"
+                        value={notes[item.key] || ''}
+                        onChange={(e) => setNotes({ ...notes, [item.key]: e.target.value })}
+                        placeholder={item.status === MATCH_STATUS.MATCHED ? 'Note (optional)' : 'Note'}
+                        disabled={savingKey === item.key}
+                      />
+                      <button
+                        onClick={() => handleMark(item)}
+                        className="btn-action btn-enable"
+                        disabled={savingKey === item.key}
+                      >
+                        {savingKey === item.key ? 'Saving...' : 'Mark Reconciled'}
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {items.length === 0 && (
+              <tr>
+                <td colSpan="5">Nothing to show.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+export default ReconciliationTable;
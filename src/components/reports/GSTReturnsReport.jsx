@@ -0,0 +1,182 @@
+/**
+ * GST RETURNS REPORT
+ * ==================
+ *
+ * Builds GSTR-1 and GSTR-3B for a month from saved bills and credit notes.
+ * Downloads the offline tool JSON or a multi-sheet Excel for the accountant.
+ */
+
+import { useState } from 'react';
+import { generateGSTReturns } from '../../services/gstReportService';
+import { exportGSTReturns } from '../../utils/excelUtils';
+
+const getPreviousMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const downloadJSON = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${filename}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const GSTReturnsReport = () => {
+  const [month, setMonth] = useState(getPreviousMonth());
+  const [returns, setReturns] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsLoading(true);
+      setError('');
+      const [year, monthNumber] = month.split('-').map(Number);
+      setReturns(await generateGSTReturns(year, monthNumber));
+    } catch (err) {
+      setError('Failed to generate GST returns: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatAmount = (amount) => `₹${amount.toFixed(2)}`;
+
+  const outward = returns?.gstr3b.sup_details.osup_det;
+
+  return (
+    <div className="form-card" style={{ marginBottom: '20px' }}>
+      <h3>GSTR-1 / GSTR-3B</h3>
+      <form onSubmit={handleGenerate} className="product-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label>Return Period *</label>
+            <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} required />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={isLoading}>
+          {isLoading ? 'Generating...' : '📊 Generate Returns'}
+        </button>
+      </form>
+
+      {error && <div className="alert alert-error" style={{ marginTop: '12px' }}>{error}</div>}
+
+      {returns && (
+        <div style={{ marginTop: '16px' }}>
+          <p style={{ fontSize: '13px', color: '#6b7280' }}>
+            Period {returns.period}: {returns.billCount} bills, {returns.creditNoteCount} credit notes
+          </p>
+
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>GSTR-1 Section</th>
+                  <th>Records</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>B2B invoices</td>
+                  <td>{returns.gstr1.b2b.reduce((sum, party) => sum + party.inv.length, 0)}</td>
+                </tr>
+                <tr>
+                  <td>B2C large invoices</td>
+                  <td>{returns.gstr1.b2cl.reduce((sum, state) => sum + state.inv.length, 0)}</td>
+                </tr>
+                <tr>
+                  <td>B2C small (rate/state rows)</td>
+                  <td>{returns.gstr1.b2cs.length}</td>
+                </tr>
+                <tr>
+                  <td>Credit notes (registered)</td>
+                  <td>{returns.gstr1.cdnr.reduce((sum, party) => sum + party.nt.length, 0)}</td>
+                </tr>
+                <tr>
+                  <td>Credit notes (unregistered, B2CL)</td>
+                  <td>{returns.gstr1.cdnur.length}</td>
+                </tr>
+                <tr>
+                  <td>HSN rows (B2B / B2C)</td>
+                  <td>{returns.gstr1.hsn.hsn_b2b.length} / {returns.gstr1.hsn.hsn_b2c.length}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="table-container" style={{ marginTop: '12px' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Sales (net of credit notes)</th>
+                  <th>Invoices</th>
+                  <th>Credit Notes</th>
+                  <th>Taxable Value</th>
+                  <th>Tax</th>
+                  <th>Invoice Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[['B2B (registered buyers)', returns.salesByInvoiceType.b2b], ['B2C', returns.salesByInvoiceType.b2c]].map(([label, sales]) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td>{sales.invoiceCount}</td>
+                    <td>{sales.creditNoteCount}</td>
+                    <td>{formatAmount(sales.taxableValue)}</td>
+                    <td>{formatAmount(sales.totalTax)}</td>
+                    <td>{formatAmount(sales.invoiceValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="table-container" style={{ marginTop: '12px' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>GSTR-3B 3.1(a)</th>
+                  <th>Taxable Value</th>
+                  <th>IGST</th>
+                  <th>CGST</th>
+                  <th>SGST</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>Outward taxable supplies</td>
+                  <td>{formatAmount(outward.txval)}</td>
+                  <td>{formatAmount(outward.iamt)}</td>
+                  <td>{formatAmount(outward.camt)}</td>
+                  <td>{formatAmount(outward.samt)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginTop: '12px' }}>
+            <button className="btn btn-secondary" onClick={() => downloadJSON(returns.gstr1, `GSTR1_${returns.period}`)}>
+              📥 GSTR-1 JSON
+            </button>
+            <button className="btn btn-secondary" onClick={() => downloadJSON(returns.gstr3b, `GSTR3B_${returns.period}`)}>
+              📥 GSTR-3B JSON
+            </button>
+            <button className="btn btn-secondary" onClick={() => exportGSTReturns(returns)}>
+              📥 Export Excel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GSTReturnsReport;
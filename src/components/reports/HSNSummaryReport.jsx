@@ -0,0 +1,148 @@
+/**
+ * HSN SUMMARY REPORT
+ * ==================
+ *
+ * HSN-wise tax summary for a date range, net of credit notes,
+ * with Excel export. Used on the owner dashboard GST Reports tab.
+ */
+
+import { useState } from 'react';
+import { getHSNSummaryReport } from '../../services/gstReportService';
+import { exportHSNSummary } from '../../utils/excelUtils';
+
+const toInputDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const HSNSummaryReport = () => {
+  const today = new Date();
+  const [startDate, setStartDate] = useState(toInputDate(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [endDate, setEndDate] = useState(toInputDate(today));
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const getRange = () => {
+    const start = new Date(`${startDate}T00:00:00`);
+    const end = new Date(`${endDate}T23:59:59.999`);
+    return { start, end };
+  };
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+
+    const { start, end } = getRange();
+    if (start > end) {
+      setError('Start date must be before end date');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      setReport(await getHSNSummaryReport(start, end));
+    } catch (err) {
+      setError('Failed to generate HSN summary: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleExport = () => {
+    const { start, end } = getRange();
+    exportHSNSummary(report, start, end);
+  };
+
+  const formatAmount = (amount) => `₹${amount.toFixed(2)}`;
+
+  return (
+    <div className="form-card" style={{ marginBottom: '20px' }}>
+      <h3>HSN-wise Summary</h3>
+      <form onSubmit={handleGenerate} className="product-form">
+        <div className="form-row">
+          <div className="form-group">
+            <label>From *</label>
+            <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} required />
+          </div>
+          <div className="form-group">
+            <label>To *</label>
+            <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} required />
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <button type="submit" className="btn btn-primary" disabled={isLoading}>
+            {isLoading ? 'Generating...' : '📊 Generate'}
+          </button>
+          {report && report.rows.length > 0 && (
+            <button type="button" className="btn btn-secondary" onClick={handleExport}>
+              📥 Export Excel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && <div className="alert alert-error" style={{ marginTop: '12px' }}>{error}</div>}
+
+      {report && (
+        <div style={{ marginTop: '16px' }}>
+          <p style={{ fontSize: '13px', color: '#6b7280' }}>
+            {report.billCount} bills, {report.creditNoteCount} credit notes
+          </p>
+          {report.rows.length === 0 ? (
+            <div className="empty-state">
+              <p>No sales in this period</p>
+            </div>
+          ) : (
+            <div className="table-container">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>HSN</th>
+                    <th>GST Rate</th>
+                    <th>Qty</th>
+                    <th>Taxable Value</th>
+                    <th>CGST</th>
+                    <th>SGST</th>
+                    <th>IGST</th>
+                    <th>Total Tax</th>
+                    <th>Total Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map(row => (
+                    <tr key={`${row.hsnCode}_${row.gstRate}`}>
+                      <td><code>{row.hsnCode}</code></td>
+                      <td>{row.gstRate}%</td>
+                      <td>{row.quantity}</td>
+                      <td>{formatAmount(row.taxableValue)}</td>
+                      <td>{formatAmount(row.cgstAmount)}</td>
+                      <td>{formatAmount(row.sgstAmount)}</td>
+                      <td>{formatAmount(row.igstAmount)}</td>
+                      <td>{formatAmount(row.totalTax)}</td>
+                      <td>{formatAmount(row.totalValue)}</td>
+                    </tr>
+                  ))}
+                  <tr style={{ fontWeight: '700' }}>
+                    <td>Total</td>
+                    <td></td>
+                    <td>{report.totals.quantity}</td>
+                    <td>{formatAmount(report.totals.taxableValue)}</td>
+                    <td>{formatAmount(report.totals.cgstAmount)}</td>
+                    <td>{formatAmount(report.totals.sgstAmount)}</td>
+                    <td>{formatAmount(report.totals.igstAmount)}</td>
+                    <td>{formatAmount(report.totals.totalTax)}</td>
+                    <td>{formatAmount(report.totals.totalValue)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HSNSummaryReport;
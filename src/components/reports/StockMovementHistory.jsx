@@ -0,0 +1,144 @@
+/**
+ * STOCK MOVEMENT HISTORY
+ * ======================
+ *
+ * Modal listing every ledger movement of one product (newest first),
+ * with the running stock before/after each change. Opened from the
+ * owner products table.
+ */
+
+import { useState, useEffect } from 'react';
+import { getProductMovements, MOVEMENT_TYPE_LABELS } from '../../services/stockMovementService';
+import { getVariantLabel } from '../../utils/variantUtils';
+
+const formatDateTime = (timestamp) => {
+  if (!timestamp?.toDate) return '-';
+  return timestamp.toDate().toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const StockMovementHistory = ({ product, onClose }) => {
+  const [movements, setMovements] = useState([]);
+  const [variantFilter, setVariantFilter] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadMovements = async () => {
+      try {
+        setIsLoading(true);
+        setMovements(await getProductMovements(product.id));
+      } catch (err) {
+        setError('Failed to load stock history: ' + err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadMovements();
+  }, [product.id]);
+
+  const variants = product.variants || [];
+  const visibleMovements = variantFilter
+    ? movements.filter(movement => movement.variantId === variantFilter)
+    : movements;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 9999
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '30px',
+        borderRadius: '8px',
+        maxWidth: '960px',
+        width: '95%',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+          <h2 style={{ margin: 0 }}>Stock History: {product.name}</h2>
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            Close
+          </button>
+        </div>
+        <p style={{ fontSize: '13px', color: '#6b7280' }}>
+          <code>{product.sku}</code> · Current stock {product.stockQty}
+        </p>
+
+        {variants.length > 0 && (
+          <div className="form-group" style={{ maxWidth: '260px' }}>
+            <label>Size / Colour</label>
+            <select value={variantFilter} onChange={(e) => setVariantFilter(e.target.value)}>
+              <option value="">All variants</option>
+              {variants.map(variant => (
+                <option key={variant.id} value={variant.id}>
+                  {getVariantLabel(variant)} (stock {variant.stockQty || 0})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {isLoading ? (
+          <p>Loading...</p>
+        ) : visibleMovements.length === 0 ? (
+          <div className="empty-state">
+            <p>No stock movements recorded yet</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="data-table" style={{ fontSize: '13px' }}>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  {variants.length > 0 && <th>Variant</th>}
+                  <th>Change</th>
+                  <th>Before → After</th>
+                  <th>By</th>
+                  <th>Reference</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleMovements.map(movement => (
+                  <tr key={movement.id}>
+                    <td style={{ whiteSpace: 'nowrap' }}>{formatDateTime(movement.createdAt)}</td>
+                    <td>{MOVEMENT_TYPE_LABELS[movement.type] || movement.type}</td>
+                    {variants.length > 0 && <td>{movement.variantLabel || '-'}</td>}
+                    <td style={{ fontWeight: '600', color: movement.quantity < 0 ? '#dc2626' : '#059669' }}>
+                      {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                    </td>
+                    <td>{movement.stockBefore} → {movement.stockAfter}</td>
+                    <td>{movement.userName || '-'}</td>
+                    <td>{movement.referenceNumber || '-'}</td>
+                    <td>{movement.reason || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockMovementHistory;
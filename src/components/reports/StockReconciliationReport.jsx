@@ -0,0 +1,142 @@
+/**
+ * STOCK RECONCILIATION REPORT
+ * ===========================
+ *
+ * Checks that the stock ledger sums match current stock per product and
+ * variant. Stock that predates the ledger (what a line held before its
+ * first movement) can be booked as opening balances; any other difference
+ * points at a change made outside the app.
+ */
+
+import { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { reconcileStockLedger, recordOpeningBalances } from '../../services/stockMovementService';
+
+const StockReconciliationReport = ({ products }) => {
+  const { user, userProfile } = useAuth();
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const runReconciliation = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      setResult(await reconcileStockLedger(products));
+    } catch (err) {
+      setError('Failed to reconcile stock: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRecordOpening = async () => {
+    if (!window.confirm(`Book the stock held before the ledger started for ${result.missingOpening.length} item(s) as opening balances?`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      const count = await recordOpeningBalances(result.missingOpening, {
+        userId: user.uid,
+        userName: userProfile?.name || user.email
+      });
+      setSuccess(`Recorded ${count} opening balance(s)`);
+      setResult(await reconcileStockLedger(products));
+    } catch (err) {
+      setError('Failed to record opening balances: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderLine = (line, showOpening) => (
+    <tr key={`${line.productId}:${line.variantId || ''}`}>
+      <td>{line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}</td>
+      <td><code>{line.sku}</code></td>
+      <td>{line.stockQty}</td>
+      <td>{line.ledgerQty}</td>
+      {showOpening ? (
+        <td style={{ fontWeight: '600' }}>{line.openingQty}</td>
+      ) : (
+        <td style={{ fontWeight: '600', color: line.difference === 0 ? 'inherit' : '#dc2626' }}>
+          {line.difference > 0 ? `+${line.difference}` : line.difference}
+        </td>
+      )}
+      <td>{line.movementCount}</td>
+    </tr>
+  );
+
+  const renderTable = (lines, showOpening = false) => (
+    <div className="table-container">
+      <table className="data-table" style={{ fontSize: '13px' }}>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>SKU</th>
+            <th>Stock</th>
+            <th>Ledger</th>
+            <th>{showOpening ? 'Opening' : 'Difference'}</th>
+            <th>Movements</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map(line => renderLine(line, showOpening))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="form-card" style={{ marginTop: '20px' }}>
+      <h3>Stock Ledger Reconciliation</h3>
+      <p className="info-text">
+        Every sale, return, exchange and stock edit is recorded as a movement. The movements of each
+        item should add up to its current stock.
+      </p>
+      <button type="button" className="btn btn-primary" onClick={runReconciliation} disabled={isLoading}>
+        {isLoading ? 'Checking...' : '🔍 Reconcile Stock'}
+      </button>
+
+      {error && <div className="alert alert-error" style={{ marginTop: '12px' }}>{error}</div>}
+      {success && <div className="alert alert-success" style={{ marginTop: '12px' }}>{success}</div>}
+
+      {result && (
+        <div style={{ marginTop: '16px' }}>
+          <p style={{ fontSize: '13px', color: '#6b7280' }}>
+            {result.lines.length} stock lines checked against {result.movementCount} movements
+          </p>
+
+          {result.mismatches.length === 0 && result.missingOpening.length === 0 && (
+            <div className="alert alert-success">✅ Ledger matches current stock for every item</div>
+          )}
+
+          {result.mismatches.length > 0 && (
+            <>
+              <h4 style={{ color: '#dc2626' }}>Mismatches ({result.mismatches.length})</h4>
+              {renderTable(result.mismatches)}
+            </>
+          )}
+
+          {result.missingOpening.length > 0 && (
+            <>
+              <h4>No opening balance ({result.missingOpening.length})</h4>
+              <p className="info-text">
+                Stock held before the ledger was started (before each item's first movement). Book it once as
+                opening balances; items that have sold since keep their movements.
+              </p>
+              {renderTable(result.missingOpening, true)}
+              <button type="button" className="btn btn-secondary" onClick={handleRecordOpening} disabled={isLoading}>
+                Record Opening Balances
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockReconciliationReport;
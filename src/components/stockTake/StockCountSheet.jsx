@@ -0,0 +1,220 @@
+/**
+ * STOCK COUNT SHEET
+ * =================
+ *
+ * Counting screen for an open stock take. Scanning a barcode or SKU adds
+ * one unit to its line; typing a number replaces the line's count (for
+ * recounts or counting a stack in one go). Counts are shared, so several
+ * people can count the same stock take. Expected quantities are hidden
+ * unless showExpected is set, so staff count blind.
+ */
+
+import { useState } from 'react';
+import BarcodeScanInput from '../common/BarcodeScanInput';
+import { getStockTakeLineKey } from '../../services/stockTakeService';
+import { findProductByCode, hasVariants } from '../../utils/variantUtils';
+
+/**
+ * Stock take line for a scanned code
+ * Codes are matched against the snapshot first, then the live products
+ * (for barcodes added after the stock take started).
+ * @returns {Object} { line } or { error }
+ */
+const findScannedLine = (stockTake, products, code) => {
+  const needle = code.trim().toUpperCase();
+  const direct = stockTake.lines.find(line => (
+    line.sku.toUpperCase() === needle || (line.barcode || '').toUpperCase() === needle
+  ));
+  if (direct) {
+    return { line: direct };
+  }
+
+  const match = findProductByCode(products, code);
+  if (!match) {
+    return { error: `No product found for barcode ${code}` };
+  }
+
+  if (hasVariants(match.product) && !match.variant) {
+    return { error: `${match.product.name} comes in sizes/colours. Scan the size label.` };
+  }
+
+  const line = stockTake.lines.find(candidate => (
+    candidate.productId === match.product.id &&
+    (candidate.variantId || null) === (match.variant ? match.variant.id : null)
+  ));
+  return line ? { line } : { error: `${match.product.name} is not part of this stock take` };
+};
+
+const StockCountSheet = ({ stockTake, counts, products, showExpected = false, onAdd, onSet, onRefresh }) => {
+  const [drafts, setDrafts] = useState({});
+  const [search, setSearch] = useState('');
+  const [showUncounted, setShowUncounted] = useState(false);
+  const [lastScan, setLastScan] = useState(null);
+  const [error, setError] = useState('');
+
+  const getCount = (line) => {
+    const count = counts[getStockTakeLineKey(line)];
+    return count ? count.countedQty : null;
+  };
+
+  const handleAddOne = async (line) => {
+    try {
+      setError('');
+      await onAdd(line, 1);
+      setLastScan(line);
+    } catch (err) {
+      setError('Failed to save count: ' + err.message);
+    }
+  };
+
+  const handleScan = (code) => {
+    const { line, error: scanError } = findScannedLine(stockTake, products, code);
+    if (scanError) {
+      setError(scanError);
+      return;
+    }
+
+    handleAddOne(line);
+  };
+
+  const handleCommit = async (line) => {
+    const key = getStockTakeLineKey(line);
+    if (!(key in drafts)) return;
+
+    const value = drafts[key];
+    const next = { ...drafts };
+    delete next[key];
+    setDrafts(next);
+
+    if (value === '' || parseInt(value) === getCount(line)) return;
+
+    try {
+      setError('');
+      await onSet(line, Math.max(0, parseInt(value) || 0));
+    } catch (err) {
+      setError('Failed to save count: ' + err.message);
+    }
+  };
+
+  const handleKeyDown = (e, line) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleCommit(line);
+    }
+  };
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleLines = stockTake.lines
+    .filter(line => !showUncounted || getCount(line) === null)
+    .filter(line => !searchTerm
+      || line.productName.toLowerCase().includes(searchTerm)
+      || line.variantLabel.toLowerCase().includes(searchTerm)
+      || line.sku.toLowerCase().includes(searchTerm));
+
+  const countedLines = stockTake.lines.filter(line => getCount(line) !== null).length;
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>
+          Count {stockTake.stockTakeNumber} · {stockTake.locationName}
+          {stockTake.category && ` · ${stockTake.category.charAt(0).toUpperCase() + stockTake.category.slice(1)}`}
+        </h2>
+        <button type="button" onClick={onRefresh} className="btn-secondary">
+          Refresh Counts
+        </button>
+      </div>
+
+      <p className="form-helper">
+        {countedLines} of {stockTake.lines.length} lines counted. Each scan adds one unit; typing a number replaces the count.
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {lastScan && !error && (
+        <div className="alert alert-success">
+          {lastScan.productName}{lastScan.variantLabel ? ` (${lastScan.variantLabel})` : ''}: {getCount(lastScan) || 0} counted
+        </div>
+      )}
+
+      <div className="form-group">
+        <BarcodeScanInput onScan={handleScan} placeholder="Scan barcode or type SKU and press Enter to count one" />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, size or SKU..."
+          />
+        </div>
+        <div className="form-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={showUncounted}
+              onChange={(e) => setShowUncounted(e.target.checked)}
+            />
+            {' '}Only lines not yet counted
+          </label>
+        </div>
+      </div>
+
+      <div className="users-table-container">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>SKU</th>
+              {showExpected && <th>Expected</th>}
+              <th>Counted</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleLines.map(line => {
+              const key = getStockTakeLineKey(line);
+              const counted = getCount(line);
+              return (
+                <tr key={key}>
+                  <td>
+                    {line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}
+                    {counts[key]?.countedByName && <div className="form-helper">{counts[key].countedByName}</div>}
+                  </td>
+                  <td>{line.sku}</td>
+                  {showExpected && <td>{line.expectedQty}</td>}
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      inputMode="numeric"
+                      placeholder="-"
+                      value={key in drafts ? drafts[key] : (counted === null ? '' : counted)}
+                      onChange={(e) => setDrafts({ ...drafts, [key]: e.target.value })}
+                      onBlur={() => handleCommit(line)}
+                      onKeyDown={(e) => handleKeyDown(e, line)}
+                      style={{ width: '80px' }}
+                    />
+                  </td>
+                  <td>
+                    <button type="button" onClick={() => handleAddOne(line)} className="btn-action btn-enable">
+                      +1
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+            {visibleLines.length === 0 && (
+              <tr>
+                <td colSpan={showExpected ? 5 : 4}>No lines to show.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default StockCountSheet;
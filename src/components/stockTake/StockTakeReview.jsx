@@ -0,0 +1,182 @@
+/**
+ * STOCK TAKE REVIEW
+ * =================
+ *
+ * Variance sheet for a stock take: expected (frozen when it started),
+ * counted and the difference per line. While counting, the owner ticks
+ * the variances to post and picks a reason for each; posting books them
+ * as adjustments. Posted and cancelled stock takes are shown read-only.
+ * The sheet can be exported to Excel either way.
+ */
+
+import { useState } from 'react';
+import { STOCK_TAKE_STATUS, VARIANCE_REASONS } from '../../services/stockTakeService';
+import { exportStockTakeVariance } from '../../utils/excelUtils';
+
+const formatCurrency = (amount) => `₹${amount.toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+const renderVariance = (varianceQty) => {
+  if (varianceQty === null) return <span className="form-helper">Not counted</span>;
+  if (varianceQty === 0) return '0';
+  return (
+    <span style={{ fontWeight: '600', color: varianceQty < 0 ? '#dc2626' : '#d97706' }}>
+      {varianceQty > 0 ? `+${varianceQty}` : varianceQty}
+    </span>
+  );
+};
+
+const StockTakeReview = ({ stockTake, sheet, onPost, onClose }) => {
+  const isCounting = stockTake.status === STOCK_TAKE_STATUS.COUNTING;
+
+  // Line key -> reason for each variance ticked for posting
+  const [approvals, setApprovals] = useState({});
+  const [onlyVariances, setOnlyVariances] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const varianceLines = sheet.lines.filter(line => line.varianceQty !== null && line.varianceQty !== 0);
+  const visibleLines = onlyVariances
+    ? sheet.lines.filter(line => line.varianceQty !== 0)
+    : sheet.lines;
+
+  const handleToggle = (line) => {
+    const next = { ...approvals };
+    if (next[line.key]) {
+      delete next[line.key];
+    } else {
+      next[line.key] = VARIANCE_REASONS[0];
+    }
+    setApprovals(next);
+  };
+
+  const handleApproveAll = () => {
+    setApprovals(Object.fromEntries(varianceLines.map(line => [line.key, approvals[line.key] || VARIANCE_REASONS[0]])));
+  };
+
+  const handlePost = async () => {
+    const approvedCount = Object.keys(approvals).length;
+    const uncounted = sheet.totals.lineCount - sheet.totals.countedLines;
+    const message = `Post ${approvedCount} variance(s) to stock and close ${stockTake.stockTakeNumber}?`
+      + (uncounted > 0 ? ` ${uncounted} line(s) were not counted and stay unchanged.` : '');
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onPost(approvals);
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="owner-users-section">
+      <div className="section-header">
+        <h2>Variances · {stockTake.stockTakeNumber} · {stockTake.locationName}</h2>
+        <div>
+          <button type="button" onClick={() => exportStockTakeVariance(stockTake, sheet)} className="btn-secondary">
+            Export to Excel
+          </button>
+          <button type="button" onClick={onClose} className="btn-secondary" disabled={isSaving}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <p className="form-helper">
+        {sheet.totals.countedLines} of {sheet.totals.lineCount} lines counted ·
+        {' '}{sheet.totals.shortQty} short · {sheet.totals.excessQty} excess ·
+        {' '}net value {formatCurrency(sheet.totals.varianceValue)} at cost
+        {!isCounting && stockTake.closedByName && ` · closed by ${stockTake.closedByName}`}
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="form-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={onlyVariances}
+            onChange={(e) => setOnlyVariances(e.target.checked)}
+          />
+          {' '}Only lines with a variance or not counted
+        </label>
+      </div>
+
+      <div className="users-table-container">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>SKU</th>
+              <th>Expected</th>
+              <th>Counted</th>
+              <th>Variance</th>
+              <th>Value</th>
+              <th>{isCounting ? 'Post' : 'Posted'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleLines.map(line => (
+              <tr key={line.key}>
+                <td>
+                  {line.productName}{line.variantLabel ? ` (${line.variantLabel})` : ''}
+                  {line.countedByName && <div className="form-helper">{line.countedByName}</div>}
+                </td>
+                <td>{line.sku}</td>
+                <td>{line.expectedQty}</td>
+                <td>{line.countedQty === null ? '-' : line.countedQty}</td>
+                <td>{renderVariance(line.varianceQty)}</td>
+                <td>{line.varianceValue ? formatCurrency(line.varianceValue) : '-'}</td>
+                <td>
+                  {isCounting && line.varianceQty ? (
+                    <>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(approvals[line.key])}
+                        onChange={() => handleToggle(line)}
+                        disabled={isSaving}
+                      />
+                      {approvals[line.key] && (
+                        <select
+                          value={approvals[line.key]}
+                          onChange={(e) => setApprovals({ ...approvals, [line.key]: e.target.value })}
+                          disabled={isSaving}
+                        >
+                          {VARIANCE_REASONS.map(reason => (
+                            <option key={reason} value={reason}>{reason}</option>
+                          ))}
+                        </select>
+                      )}
+                    </>
+                  ) : (line.adjustment ? line.adjustment.reason : '-')}
+                </td>
+              </tr>
+            ))}
+            {visibleLines.length === 0 && (
+              <tr>
+                <td colSpan="7">No variances.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {isCounting && (
+        <div className="form-actions">
+          <button type="button" onClick={handleApproveAll} className="btn-secondary" disabled={isSaving || varianceLines.length === 0}>
+            Tick All Variances
+          </button>
+          <button type="button" onClick={handlePost} className="btn-primary" disabled={isSaving}>
+            {isSaving ? 'Posting...' : `Post ${Object.keys(approvals).length} Adjustment(s)`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockTakeReview;
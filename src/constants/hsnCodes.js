@@ -0,0 +1,20 @@
+// Common apparel HSN codes (chapters 61 knitted, 62 woven)
+export const APPAREL_HSN_CODES = {
+  '6103': "Men's suits, trousers, shorts (knitted)",
+  '6104': "Women's suits, dresses, skirts, trousers (knitted)",
+  '6105': "Men's shirts (knitted)",
+  '6106': "Women's blouses, shirts (knitted)",
+  '6109': 'T-shirts, singlets, vests (knitted)',
+  '6110': 'Jerseys, pullovers, sweatshirts (knitted)',
+  '6111': "Babies' garments (knitted)",
+  '6201': "Men's coats, jackets (woven)",
+  '6203': "Men's suits, trousers, shorts (woven)",
+  '6204': "Women's suits, dresses, skirts, trousers (woven)",
+  '6205': "Men's shirts (woven)",
+  '6206': "Women's blouses, shirts (woven)",
+  '6209': "Babies' garments (woven)",
+  '6211': 'Track suits, ethnic and other garments (woven)'
+};
+
+// HSN codes are 4, 6 or 8 digits
+export const HSN_CODE_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
@@ -0,0 +1,21 @@
+// A4 label sheets (sizes in mm); both fill the full sheet with no gutters
+export const LABEL_LAYOUTS = {
+  A4_24: {
+    id: 'A4_24',
+    name: 'A4 - 24 labels (3 x 8, 70 x 37 mm)',
+    columns: 3,
+    rows: 8,
+    labelWidth: 70,
+    labelHeight: 37
+  },
+  A4_40: {
+    id: 'A4_40',
+    name: 'A4 - 40 labels (4 x 10, 52.5 x 29.7 mm)',
+    columns: 4,
+    rows: 10,
+    labelWidth: 52.5,
+    labelHeight: 29.7
+  }
+};
+
+export const DEFAULT_LABEL_LAYOUT = LABEL_LAYOUTS.A4_24.id;
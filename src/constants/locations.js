@@ -0,0 +1,5 @@
+// The store every business starts with. Stock recorded before locations
+// existed (stock lines without a locationStock map) is held here.
+export const PRIMARY_LOCATION_ID = 'main';
+
+export const PRIMARY_LOCATION_NAME = 'Main Store';
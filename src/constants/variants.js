@@ -0,0 +1,2 @@
+// Sizes offered in the variant matrix, in display order
+export const STANDARD_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '3XL', 'Free Size'];
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useEffect } from 'react';
 import { subscribeToAuthChanges, getUserProfile, login as loginService, logout as logoutService } from '../services/authService';
+import { loadBusinessProfile } from '../services/settingsService';
 
 export const AuthContext = createContext();
 
@@ -23,6 +24,12 @@ export function AuthProvider({ children }) {
         // User is logged in, fetch their profile
         try {
           const profile = await getUserProfile(firebaseUser.uid);
+
+          // Bills snapshot the business profile, so load it before any view renders
+          if (profile?.isActive) {
+            await loadBusinessProfile().catch(err => console.error('Using default business info:', err));
+          }
+
           setUser(firebaseUser);
           setUserProfile(profile);
         } catch (err) {
@@ -12,11 +12,18 @@ export const VIEWS = {
   // Employee views
   EMPLOYEE_DASHBOARD: 'employee-dashboard',
   EMPLOYEE_ANALYTICS: 'employee-analytics',
+  EMPLOYEE_STOCK_COUNT: 'employee-stock-count',
   
   // Owner views
   OWNER_DASHBOARD: 'owner-dashboard',
   OWNER_ANALYTICS: 'owner-analytics',
   OWNER_USERS: 'owner-users',
+  OWNER_SETTINGS: 'owner-settings',
+  OWNER_LABELS: 'owner-labels',
+  OWNER_PURCHASING: 'owner-purchasing',
+  OWNER_LOCATIONS: 'owner-locations',
+  OWNER_STOCK_TAKES: 'owner-stock-takes',
+  OWNER_RECONCILIATION: 'owner-reconciliation',
   
   // Test views
   TEST_BILL: 'test-bill'
@@ -28,9 +35,16 @@ const VIEW_ACCESS = {
   [VIEWS.REGISTER]: ['guest'],
   [VIEWS.EMPLOYEE_DASHBOARD]: ['employee'],
   [VIEWS.EMPLOYEE_ANALYTICS]: ['employee'],
+  [VIEWS.EMPLOYEE_STOCK_COUNT]: ['employee'],
   [VIEWS.OWNER_DASHBOARD]: ['owner'],
   [VIEWS.OWNER_ANALYTICS]: ['owner'],
   [VIEWS.OWNER_USERS]: ['owner'],
+  [VIEWS.OWNER_SETTINGS]: ['owner'],
+  [VIEWS.OWNER_LABELS]: ['owner'],
+  [VIEWS.OWNER_PURCHASING]: ['owner'],
+  [VIEWS.OWNER_LOCATIONS]: ['owner'],
+  [VIEWS.OWNER_STOCK_TAKES]: ['owner'],
+  [VIEWS.OWNER_RECONCILIATION]: ['owner'],
   [VIEWS.TEST_BILL]: ['owner', 'employee']
 };
 
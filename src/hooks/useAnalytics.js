@@ -260,7 +260,7 @@ export const useAnalytics = (filters) => {
       const customer = customersMap[order.customerPhone];
       if (customer && customer.ageGroup) {
         const ag = customer.ageGroup;
-        if (ageGroupMap.hasOwnProperty(ag)) {
+        if (ag in ageGroupMap) {
           ageGroupMap[ag] = (ageGroupMap[ag] || 0) + 1;
         }
       }
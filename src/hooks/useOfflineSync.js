@@ -0,0 +1,99 @@
+/**
+ * OFFLINE SYNC HOOK
+ * =================
+ * Connection state and the outbox of sales made offline. Pending sales are
+ * replayed when the browser comes back online, on an interval while any are
+ * waiting, and on demand.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getOutbox,
+  syncOutbox,
+  retryQueuedCheckout,
+  discardQueuedCheckout,
+  OUTBOX_STATUS
+} from '../services/offlineSyncService';
+
+/**
+ * @param {Function} onSynced - Called with ({ synced, conflicts, failed }) after a sync that did something
+ * @param {number} intervalMs - Retry interval while sales are pending (default: 60 seconds)
+ * @returns {Object} { isOnline, outbox, pendingCount, conflictCount, isSyncing, syncNow, refreshOutbox, retry, discard }
+ */
+export const useOfflineSync = (onSynced = () => {}, intervalMs = 60000) => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [outbox, setOutbox] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  const refreshOutbox = useCallback(async () => {
+    try {
+      setOutbox(await getOutbox());
+    } catch (err) {
+      console.error('Failed to read outbox:', err);
+    }
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+
+    try {
+      syncingRef.current = true;
+      setIsSyncing(true);
+      const result = await syncOutbox();
+      if (result.synced > 0 || result.conflicts > 0 || result.failed > 0) {
+        onSyncedRef.current(result);
+      }
+    } catch (err) {
+      console.error('Offline sync failed:', err);
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      await refreshOutbox();
+    }
+  }, [refreshOutbox]);
+
+  // Track the connection and sync as soon as it returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    refreshOutbox();
+    syncNow();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  const pendingCount = outbox.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length;
+  const conflictCount = outbox.length - pendingCount;
+
+  // Keep retrying while sales are waiting (the online event is not always reliable)
+  useEffect(() => {
+    if (pendingCount === 0) return undefined;
+
+    const interval = setInterval(syncNow, intervalMs);
+    return () => clearInterval(interval);
+  }, [pendingCount, intervalMs, syncNow]);
+
+  const retry = async (id) => {
+    await retryQueuedCheckout(id);
+    await syncNow();
+  };
+
+  const discard = async (id) => {
+    await discardQueuedCheckout(id);
+    await refreshOutbox();
+  };
+
+  return { isOnline, outbox, pendingCount, conflictCount, isSyncing, syncNow, refreshOutbox, retry, discard };
+};
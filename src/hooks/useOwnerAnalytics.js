@@ -55,6 +55,7 @@ export const useOwnerAnalytics = (filters = {}) => {
         overallRevenue: 0,
         dailySalesRevenue: 0,
         exhibitionSalesRevenue: 0,
+        totalReturns: 0,
         dailyComparison: { revenue: { current: 0, previous: 0 }, volume: { currentOrders: 0, previousOrders: 0, currentItems: 0, previousItems: 0 } },
         monthlyComparison: { current: 0, previous: 0 },
         topSellingProduct: { name: 'N/A', category: 'N/A', revenue: 0 },
@@ -81,6 +82,7 @@ export const useOwnerAnalytics = (filters = {}) => {
       overallRevenue: revenueSummary.overallRevenue,
       dailySalesRevenue: revenueSummary.dailySalesRevenue,
       exhibitionSalesRevenue: revenueSummary.exhibitionSalesRevenue,
+      totalReturns: revenueSummary.totalReturns,
       dailyComparison,
       monthlyComparison,
       topSellingProduct,
@@ -111,7 +113,7 @@ const applyFilters = (orders, filters) => {
     let startDate, endDate;
 
     switch (filters.dateRange) {
-      case 'today':
+      case 'today': {
         // Today in IST
         const todayStartIST = new Date(Date.UTC(
           istNow.getUTCFullYear(),
@@ -129,6 +131,7 @@ const applyFilters = (orders, filters) => {
         ));
         endDate = new Date(todayEndIST.getTime() - istOffset);
         break;
+      }
         
       case 'week':
         startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
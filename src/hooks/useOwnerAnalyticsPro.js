@@ -1,11 +1,13 @@
 import { useState, useEffect, useMemo } from 'react';
 import {
   collection,
-  getDocs,
-  query,
-  where
+  getDocs
 } from 'firebase/firestore';
 import { db } from '../services/firebase';
+import { getMarginBreakdown, getMarginSummary, buildReturnRecords } from '../services/ownerAnalyticsService';
+import { getAllLocations } from '../services/locationService';
+import { getLocationProducts, getRecordLocationId } from '../utils/locationUtils';
+import { getVariantLabel } from '../utils/variantUtils';
 
 export const useOwnerAnalyticsPro = (filters) => {
   const [loading, setLoading] = useState(true);
@@ -13,7 +15,9 @@ export const useOwnerAnalyticsPro = (filters) => {
   const [rawData, setRawData] = useState({
     orders: [],
     products: [],
-    users: []
+    users: [],
+    exhibitions: [],
+    locations: []
   });
 
   useEffect(() => {
@@ -25,18 +29,28 @@ export const useOwnerAnalyticsPro = (filters) => {
       setLoading(true);
       setError(null);
 
-      const [ordersSnap, productsSnap, usersSnap, billsSnap] = await Promise.all([
+      const [ordersSnap, creditNotesSnap, productsSnap, usersSnap, billsSnap, exhibitionsSnap, locations] = await Promise.all([
         getDocs(collection(db, 'orders')),
+        getDocs(collection(db, 'creditNotes')),
         getDocs(collection(db, 'products')),
         getDocs(collection(db, 'users')),
-        getDocs(collection(db, 'bills'))
+        getDocs(collection(db, 'bills')),
+        getDocs(collection(db, 'exhibitions')),
+        getAllLocations()
       ]);
 
-      const orders = ordersSnap.docs.map(doc => ({
+      const sales = ordersSnap.docs.map(doc => ({
         id: doc.id,
         ...doc.data()
       }));
 
+      // Returns count on their credit-note date, like the GST reports
+      const creditNotes = creditNotesSnap.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      const orders = [...sales, ...buildReturnRecords(creditNotes, sales)];
+
       const products = productsSnap.docs.map(doc => ({
         id: doc.id,
         ...doc.data()
@@ -52,7 +66,12 @@ export const useOwnerAnalyticsPro = (filters) => {
         ...doc.data()
       }));
 
-      setRawData({ orders, products, users, bills });
+      const exhibitions = exhibitionsSnap.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+      setRawData({ orders, products, users, bills, exhibitions, locations });
     } catch (err) {
       console.error('Error fetching analytics data:', err);
       setError(err.message);
@@ -75,11 +94,11 @@ export const useOwnerAnalyticsPro = (filters) => {
     return [...new Set(rawData.products.map(p => p.category))];
   }, [rawData.products]);
 
-  return { analytics, loading, error, employees, categories, refetch: fetchData };
+  return { analytics, loading, error, employees, categories, locations: rawData.locations, refetch: fetchData };
 };
 
 const calculateAnalytics = (rawData, filters) => {
-  let { orders, products, users, bills } = rawData;
+  let { orders, products, users, bills, exhibitions, locations } = rawData;
 
   // Filter completed orders only
   orders = orders.filter(o => o.status === 'completed');
@@ -100,23 +119,24 @@ const calculateAnalytics = (rawData, filters) => {
     order.revenue = calculateOrderRevenue(order);
   });
 
-  // Current period metrics
+  // Current period metrics (return records lower revenue and items, not the order count)
   const totalRevenue = orders.reduce((sum, o) => sum + o.revenue, 0);
-  const totalOrders = orders.length;
+  const totalOrders = orders.filter(o => !o.isReturn).length;
   const totalItemsSold = orders.reduce((sum, o) => {
     if (o.items && Array.isArray(o.items)) {
-      return sum + o.items.reduce((s, item) => s + item.quantity, 0);
+      return sum + o.items.reduce((s, item) => s + calculateItemQuantity(o, item), 0);
     }
     return sum + (o.quantity || 0);
   }, 0);
   const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+  const totalReturns = orders.filter(o => o.isReturn).reduce((sum, o) => sum + o.returnedAmount, 0);
 
   // Previous period metrics
   const prevRevenue = previousOrders.reduce((sum, o) => sum + o.revenue, 0);
-  const prevOrders = previousOrders.length;
+  const prevOrders = previousOrders.filter(o => !o.isReturn).length;
   const prevItems = previousOrders.reduce((sum, o) => {
     if (o.items && Array.isArray(o.items)) {
-      return sum + o.items.reduce((s, item) => s + item.quantity, 0);
+      return sum + o.items.reduce((s, item) => s + calculateItemQuantity(o, item), 0);
     }
     return sum + (o.quantity || 0);
   }, 0);
@@ -132,8 +152,23 @@ const calculateAnalytics = (rawData, filters) => {
   const revenueTrend = calculateRevenueTrend(orders, filters);
   const maxRevenue = Math.max(...revenueTrend.map(d => d.revenue), 1);
 
-  // Top products
-  const topProducts = calculateTopProducts(orders, products);
+  // Gross margin (GST-exclusive revenue less cost of goods sold)
+  const productsMap = Object.fromEntries(products.map(p => [p.id, p]));
+  const marginSummary = getMarginSummary(orders, productsMap);
+  const prevMarginSummary = getMarginSummary(previousOrders, productsMap);
+  const marginGrowth = prevMarginSummary.grossMargin > 0
+    ? ((marginSummary.grossMargin - prevMarginSummary.grossMargin) / prevMarginSummary.grossMargin) * 100
+    : (marginSummary.grossMargin > 0 ? 100 : 0);
+  const marginBreakdowns = calculateMarginBreakdowns(orders, productsMap, users, exhibitions || [], locations || []);
+
+  // Top products, with margin alongside revenue
+  const productMargins = Object.fromEntries(marginBreakdowns.byProduct.map(group => [group.key, group]));
+  const topProducts = calculateTopProducts(orders, products).map(product => ({
+    ...product,
+    grossMargin: productMargins[product.id]?.grossMargin || 0,
+    marginPercent: productMargins[product.id] ? productMargins[product.id].marginPercent : null
+  }));
+  const topProductsByMargin = [...topProducts].sort((a, b) => b.grossMargin - a.grossMargin);
 
   // Category performance
   const categoryPerformance = calculateCategoryPerformance(orders, previousOrders, products);
@@ -141,8 +176,9 @@ const calculateAnalytics = (rawData, filters) => {
   // Employee performance
   const employeePerformance = calculateEmployeePerformance(orders, users);
 
-  // Low stock products
-  const lowStockProducts = products
+  // Low stock products (stock at the selected location)
+  const stockProducts = isLocationFiltered(filters) ? getLocationProducts(products, filters.location) : products;
+  const lowStockProducts = stockProducts
     .filter(p => p.stockQty <= p.lowStockThreshold)
     .sort((a, b) => a.stockQty - b.stockQty)
     .slice(0, 10);
@@ -181,6 +217,11 @@ const calculateAnalytics = (rawData, filters) => {
       current: avgOrderValue,
       previous: prevAov,
       growth: aovGrowth
+    },
+    margin: {
+      current: marginSummary.grossMargin,
+      previous: prevMarginSummary.grossMargin,
+      growth: marginGrowth
     }
   };
 
@@ -189,6 +230,7 @@ const calculateAnalytics = (rawData, filters) => {
     totalOrders,
     totalItemsSold,
     avgOrderValue,
+    totalReturns,
     revenueGrowth,
     ordersGrowth,
     itemsGrowth,
@@ -196,8 +238,15 @@ const calculateAnalytics = (rawData, filters) => {
     revenueTrend,
     maxRevenue,
     topProducts,
+    topProductsByMargin,
     categoryPerformance,
     employeePerformance,
+    marginSummary,
+    marginGrowth,
+    marginByCategory: marginBreakdowns.byCategory,
+    marginByExhibition: marginBreakdowns.byExhibition,
+    marginByEmployee: marginBreakdowns.byEmployee,
+    marginByLocation: marginBreakdowns.byLocation,
     lowStockProducts,
     paymentMethodAnalysis,
     insights,
@@ -205,6 +254,7 @@ const calculateAnalytics = (rawData, filters) => {
   };
 };
 
+// Sales count gross; return records carry negative totals and items
 const calculateOrderRevenue = (order) => {
   if (order.totals && order.totals.payableAmount) {
     return order.totals.payableAmount;
@@ -215,6 +265,12 @@ const calculateOrderRevenue = (order) => {
   return 0;
 };
 
+const calculateItemQuantity = (order, item) => item.quantity || 0;
+
+const calculateItemRevenue = (order, item) => item.lineTotal || (item.unitPrice * item.quantity);
+
+const isLocationFiltered = (filters) => Boolean(filters && filters.location && filters.location !== 'all');
+
 const applyFilters = (orders, filters, products) => {
   let filtered = [...orders];
 
@@ -228,6 +284,11 @@ const applyFilters = (orders, filters, products) => {
     });
   }
 
+  // Location filter (orders from before locations belong to the primary one)
+  if (isLocationFiltered(filters)) {
+    filtered = filtered.filter(o => getRecordLocationId(o) === filters.location);
+  }
+
   // Order type filter
   if (filters.orderType && filters.orderType !== 'all') {
     filtered = filtered.filter(o => o.type === filters.orderType);
@@ -262,7 +323,7 @@ const getDateRange = (filters) => {
   let startDate, endDate = new Date(now);
 
   switch (filters.dateRange) {
-    case 'today':
+    case 'today': {
       // Today in IST
       const todayStartIST = new Date(Date.UTC(
         istNow.getUTCFullYear(),
@@ -280,16 +341,18 @@ const getDateRange = (filters) => {
       ));
       endDate = new Date(todayEndIST.getTime() - istOffset);
       break;
+    }
     case 'week':
       startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
       break;
     case 'month':
       startDate = new Date(now.getFullYear(), now.getMonth(), 1);
       break;
-    case 'quarter':
+    case 'quarter': {
       const quarter = Math.floor(now.getMonth() / 3);
       startDate = new Date(now.getFullYear(), quarter * 3, 1);
       break;
+    }
     case 'year':
       startDate = new Date(now.getFullYear(), 0, 1);
       break;
@@ -313,6 +376,7 @@ const getPreviousPeriodOrders = (allOrders, filters) => {
 
   return allOrders
     .filter(o => o.status === 'completed' && o.createdAt)
+    .filter(o => !isLocationFiltered(filters) || getRecordLocationId(o) === filters.location)
     .filter(o => {
       const date = o.createdAt.toDate();
       return date >= prevStart && date <= prevEnd;
@@ -335,7 +399,7 @@ const calculateRevenueTrend = (orders, filters) => {
     });
 
     const revenue = dayOrders.reduce((sum, o) => sum + o.revenue, 0);
-    const orderCount = dayOrders.length;
+    const orderCount = dayOrders.filter(o => !o.isReturn).length;
 
     trend.push({
       date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
@@ -347,32 +411,78 @@ const calculateRevenueTrend = (orders, filters) => {
   return trend;
 };
 
+// Sum quantity and revenue of variant rows by a key (size or colour)
+const groupVariantSales = (variantRows, key) => {
+  const groups = {};
+
+  variantRows.forEach(row => {
+    const groupName = row[key] || '—';
+    if (!groups[groupName]) {
+      groups[groupName] = { name: groupName, quantity: 0, revenue: 0 };
+    }
+    groups[groupName].quantity += row.quantity;
+    groups[groupName].revenue += row.revenue;
+  });
+
+  return Object.values(groups).sort((a, b) => b.revenue - a.revenue);
+};
+
+// Revenue per style, with a size/colour drill-down for styles sold by variant
 const calculateTopProducts = (orders, products) => {
   const productRevenue = {};
+  const productQuantity = {};
+  const variantSales = {};
 
   orders.forEach(order => {
     if (order.items && Array.isArray(order.items)) {
       order.items.forEach(item => {
         if (!productRevenue[item.productId]) {
           productRevenue[item.productId] = 0;
+          productQuantity[item.productId] = 0;
+        }
+        const revenue = calculateItemRevenue(order, item);
+        const quantity = calculateItemQuantity(order, item);
+        productRevenue[item.productId] += revenue;
+        productQuantity[item.productId] += quantity;
+
+        if (item.variantId) {
+          const rows = variantSales[item.productId] || (variantSales[item.productId] = {});
+          if (!rows[item.variantId]) {
+            rows[item.variantId] = {
+              variantId: item.variantId,
+              label: getVariantLabel(item) || item.variantId,
+              size: item.size || null,
+              colour: item.colour || null,
+              quantity: 0,
+              revenue: 0
+            };
+          }
+          rows[item.variantId].quantity += quantity;
+          rows[item.variantId].revenue += revenue;
         }
-        productRevenue[item.productId] += item.lineTotal || (item.unitPrice * item.quantity);
       });
     } else if (order.productId) {
       if (!productRevenue[order.productId]) {
         productRevenue[order.productId] = 0;
+        productQuantity[order.productId] = 0;
       }
       productRevenue[order.productId] += order.revenue;
+      productQuantity[order.productId] += order.quantity || 0;
     }
   });
 
   return Object.entries(productRevenue)
     .map(([productId, revenue]) => {
       const product = products.find(p => p.id === productId);
+      const variants = Object.values(variantSales[productId] || {}).sort((a, b) => b.revenue - a.revenue);
       return {
         id: productId,
         name: product?.name || 'Unknown',
-        revenue
+        revenue,
+        quantity: productQuantity[productId],
+        variants,
+        sizes: groupVariantSales(variants, 'size'),
+        colours: groupVariantSales(variants, 'colour')
       };
     })
     .sort((a, b) => b.revenue - a.revenue);
@@ -391,8 +501,8 @@ const calculateCategoryPerformance = (orders, previousOrders, products) => {
           if (!categories[product.category]) {
             categories[product.category] = { revenue: 0, orders: 0 };
           }
-          categories[product.category].revenue += item.lineTotal || (item.unitPrice * item.quantity);
-          categories[product.category].orders += 1;
+          categories[product.category].revenue += calculateItemRevenue(order, item);
+          if (!order.isReturn) categories[product.category].orders += 1;
         }
       });
     } else if (order.productId) {
@@ -416,7 +526,7 @@ const calculateCategoryPerformance = (orders, previousOrders, products) => {
           if (!prevCategories[product.category]) {
             prevCategories[product.category] = { revenue: 0 };
           }
-          prevCategories[product.category].revenue += item.lineTotal || (item.unitPrice * item.quantity);
+          prevCategories[product.category].revenue += calculateItemRevenue(order, item);
         }
       });
     } else if (order.productId) {
@@ -456,7 +566,7 @@ const calculateEmployeePerformance = (orders, users) => {
       };
     }
     empPerformance[order.createdBy].revenue += order.revenue;
-    empPerformance[order.createdBy].orders += 1;
+    if (!order.isReturn) empPerformance[order.createdBy].orders += 1;
   });
 
   return Object.entries(empPerformance)
@@ -473,6 +583,48 @@ const calculateEmployeePerformance = (orders, users) => {
     .sort((a, b) => b.revenue - a.revenue);
 };
 
+// Gross margin by product, category, exhibition, employee and location, each with a display name
+const calculateMarginBreakdowns = (orders, productsMap, users, exhibitions, locations) => {
+  const withName = (groups, getName) => groups.map(group => ({ ...group, name: getName(group.key) }));
+
+  const byProduct = getMarginBreakdown(orders, productsMap, (order, line) => line.productId || null);
+
+  const byCategory = withName(
+    getMarginBreakdown(orders, productsMap, (order, line, product) => product?.category || line.category || 'uncategorised'),
+    category => category.charAt(0).toUpperCase() + category.slice(1)
+  );
+
+  const byExhibition = withName(
+    getMarginBreakdown(orders, productsMap, order => order.exhibitionId || null),
+    exhibitionId => {
+      const exhibition = exhibitions.find(e => e.id === exhibitionId);
+      if (!exhibition) return 'Unknown exhibition';
+      const startDate = exhibition.createdAt?.toDate ? exhibition.createdAt.toDate() : null;
+      return startDate
+        ? `${exhibition.location} (${startDate.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })})`
+        : exhibition.location;
+    }
+  );
+
+  const byEmployee = withName(
+    getMarginBreakdown(orders, productsMap, order => order.createdBy || null),
+    userId => {
+      const user = users.find(u => u.id === userId);
+      return user?.name || user?.email || 'Unknown';
+    }
+  );
+
+  const byLocation = withName(
+    getMarginBreakdown(orders, productsMap, order => getRecordLocationId(order)),
+    locationId => {
+      const location = locations.find(l => l.id === locationId);
+      return location ? location.name : 'Unknown location';
+    }
+  );
+
+  return { byProduct, byCategory, byExhibition, byEmployee, byLocation };
+};
+
 const calculatePaymentMethodAnalysis = (bills, filters) => {
   // Filter bills by date range if needed
   let filteredBills = bills;
@@ -486,6 +638,10 @@ const calculatePaymentMethodAnalysis = (bills, filters) => {
     });
   }
 
+  if (isLocationFiltered(filters)) {
+    filteredBills = filteredBills.filter(bill => getRecordLocationId(bill) === filters.location);
+  }
+
   const paymentMethods = {
     CASH: { revenue: 0, count: 0, percentage: 0 },
     UPI: { revenue: 0, count: 0, percentage: 0 },
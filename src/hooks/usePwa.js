@@ -0,0 +1,19 @@
+/**
+ * PWA HOOK
+ * ========
+ * Update-available and install state from the service worker registration.
+ */
+
+import { useState, useEffect } from 'react';
+import { getPwaState, subscribePwaState, applyUpdate, promptInstall } from '../utils/pwaUtils';
+
+/**
+ * @returns {Object} { updateAvailable, canInstall, isInstalled, applyUpdate, promptInstall }
+ */
+export const usePwa = () => {
+  const [pwaState, setPwaState] = useState(getPwaState);
+
+  useEffect(() => subscribePwaState(setPwaState), []);
+
+  return { ...pwaState, applyUpdate, promptInstall };
+};
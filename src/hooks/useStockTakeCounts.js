@@ -0,0 +1,74 @@
+/**
+ * STOCK TAKE COUNTS HOOK
+ * ======================
+ * Counts of one stock take, with the add/set actions used while counting.
+ * Saved counts are applied locally straight away; counts made by others
+ * show up on the next refresh.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getStockTakeCounts,
+  getStockTakeLineKey,
+  addToCount,
+  setCount
+} from '../services/stockTakeService';
+
+/**
+ * @param {string} stockTakeId - Stock take document ID (counts are cleared without one)
+ * @param {Object} countedBy - { userId, userName }
+ * @returns {Object} { counts, loading, error, refresh, addUnits, setUnits }
+ */
+export const useStockTakeCounts = (stockTakeId, countedBy) => {
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!stockTakeId) {
+      setCounts({});
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setCounts(await getStockTakeCounts(stockTakeId));
+    } catch (err) {
+      setError('Failed to load counts: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [stockTakeId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const applyLocally = (line, getCountedQty) => {
+    const key = getStockTakeLineKey(line);
+    setCounts(prev => ({
+      ...prev,
+      [key]: {
+        ...(prev[key] || {}),
+        productId: line.productId,
+        variantId: line.variantId || null,
+        countedQty: getCountedQty(prev[key] ? prev[key].countedQty : 0),
+        countedBy: countedBy.userId,
+        countedByName: countedBy.userName || ''
+      }
+    }));
+  };
+
+  const addUnits = async (line, units) => {
+    await addToCount(stockTakeId, line, units, countedBy);
+    applyLocally(line, current => current + units);
+  };
+
+  const setUnits = async (line, countedQty) => {
+    await setCount(stockTakeId, line, countedQty, countedBy);
+    applyLocally(line, () => countedQty);
+  };
+
+  return { counts, loading, error, refresh, addUnits, setUnits };
+};
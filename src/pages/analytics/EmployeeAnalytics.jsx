@@ -25,7 +25,6 @@ const EmployeeAnalytics = () => {
   });
   
   const [exhibitions, setExhibitions] = useState([]);
-  const [exhibitionMap, setExhibitionMap] = useState({});
   const [myExhibitions, setMyExhibitions] = useState([]);
   
   // Fetch analytics using custom hook
@@ -82,12 +81,6 @@ const EmployeeAnalytics = () => {
     try {
       const data = await getExhibitionsForFilter();
       setExhibitions(data);
-      // Build exhibition map for ID -> location lookup
-      const map = {};
-      data.forEach(ex => {
-        map[ex.id] = ex.location;
-      });
-      setExhibitionMap(map);
     } catch (err) {
       console.error('Error loading exhibitions:', err);
     }
@@ -11,7 +11,7 @@ function Login() {
   const [showLogoutPrompt, setShowLogoutPrompt] = useState(false);
   
   const { login, logout, user, userProfile, loading } = useAuth();
-  const { navigateToDefault, VIEWS, navigateToView } = useView();
+  const { navigateToDefault } = useView();
 
   useEffect(() => {
     if (!loading && user && userProfile) {
@@ -1,4 +1,3 @@
-import { useState } from 'react';
 import { useView } from '../../contexts/ViewContext';
 import '../../styles/Auth.css';
 
@@ -2,17 +2,46 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useView } from '../../contexts/ViewContext';
 import { useAutoConvertPreBookings } from '../../hooks/useAutoConvertPreBookings';
-import { getActiveProducts } from '../../services/productService';
-import { getAllActiveExhibitions } from '../../services/exhibitionService';
-import { createOrder, getPendingPreBookings, convertPreBookingToSale } from '../../services/orderService';
-import { getCustomerByPhone, createOrUpdateCustomer } from '../../services/customerService';
-import { calculateOrder } from '../../services/orderCalculationService';
-import { generateBill } from '../../services/billingService';
-import { saveBill, getTodaysBills } from '../../services/billStorageService';
-import { deductStockBatch } from '../../services/productService';
-import { recordPayment } from '../../services/paymentService';
+import { useOfflineSync } from '../../hooks/useOfflineSync';
+import { getActiveProducts, applyStockDeltas } from '../../services/productService';
+import { getAllActiveExhibitions, getExhibitionProducts, hasAllocation, applyAllocationSale } from '../../services/exhibitionService';
+import { getPendingPreBookings, convertPreBookingToSale } from '../../services/orderService';
+import { getAllLocations, findLocation } from '../../services/locationService';
+import { getLocationProducts } from '../../utils/locationUtils';
+import { getCustomerByPhone, buildCustomerBusinessFields } from '../../services/customerService';
+import {
+  calculateOrder,
+  determinePlaceOfSupply,
+  getSupplyType,
+  SUPPLY_TYPES,
+  createCartItemFromProduct,
+  addToCart,
+  updateCartItemQuantity,
+  removeFromCart,
+  changeCartItemVariant,
+  getCartItemKey
+} from '../../services/orderCalculationService';
+import { generateBill, getBusinessInfo } from '../../services/billingService';
+import { GST_STATES } from '../../constants/gstStates';
+import { getGSTINError } from '../../utils/validators';
+import { getSellableVariants, getVariantLabel, findProductByCode, hasVariants } from '../../utils/variantUtils';
+import { getTodaysBills } from '../../services/billStorageService';
+import { processCheckout, STOCK_CHANGED } from '../../services/checkoutService';
+import { recordPayments, calculateTender, createTenderLine } from '../../services/paymentService';
+import {
+  queueCheckout,
+  newCheckoutIds,
+  cacheCatalogue,
+  getCachedCatalogue,
+  isNetworkError,
+  CATALOGUE_KEYS
+} from '../../services/offlineSyncService';
 import BillPreview from '../../components/billing/BillPreview';
+import SalesReturnForm from '../../components/billing/SalesReturnForm';
 import ProductSearchInput from '../../components/common/ProductSearchInput';
+import BarcodeScanInput from '../../components/common/BarcodeScanInput';
+import PendingSyncSales from '../../components/billing/PendingSyncSales';
+import TenderLines from '../../components/billing/TenderLines';
 import '../../styles/EmployeeDashboard.css';
 
 const EmployeeDashboard = () => {
@@ -21,6 +50,7 @@ const EmployeeDashboard = () => {
   
   const [products, setProducts] = useState([]);
   const [activeExhibitions, setActiveExhibitions] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [selectedExhibition, setSelectedExhibition] = useState('');
   const [preBookings, setPreBookings] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -29,6 +59,8 @@ const EmployeeDashboard = () => {
   const [currentBill, setCurrentBill] = useState(null);
   const [showBill, setShowBill] = useState(false);
   const [todaysBills, setTodaysBills] = useState([]);
+  // Set while selling from the catalogue cached on this device (offline)
+  const [catalogueCachedAt, setCatalogueCachedAt] = useState(null);
   
   // Cart state for multi-product orders
   const [cart, setCart] = useState([]);
@@ -40,43 +72,73 @@ const EmployeeDashboard = () => {
     customerAddress: '',
     customerGender: '',
     customerAgeGroup: '',
+    customerStateCode: getBusinessInfo().stateCode,
+    isB2B: false,
+    customerBusinessName: '',
+    customerGSTIN: '',
     deliveryDate: ''
   });
   
-  // Handle product selection from search
-  const handleProductSelect = (product) => {
+  // Place of supply for the current sale (IGST when outside the seller's state)
+  const sellerStateCode = getBusinessInfo().stateCode;
+  const placeOfSupply = determinePlaceOfSupply({
+    orderType,
+    sellerStateCode,
+    exhibitionStateCode: activeExhibitions.find(ex => ex.id === selectedExhibition)?.stateCode || null,
+    customerStateCode: formData.customerStateCode
+  });
+  const isInterState = getSupplyType(sellerStateCode, placeOfSupply) === SUPPLY_TYPES.INTER_STATE;
+  
+  // Sales take stock from the employee's home location
+  const homeLocation = findLocation(locations, userProfile?.locationId);
+  const locationProducts = getLocationProducts(products, homeLocation.id);
+  
+  // Exhibitions with allocated stock only sell what was issued to them
+  const currentExhibition = orderType === 'exhibition'
+    ? activeExhibitions.find(ex => ex.id === selectedExhibition) || null
+    : null;
+  const saleProducts = currentExhibition ? getExhibitionProducts(products, currentExhibition) : locationProducts;
+  
+  // Handle product selection from search (variant is set for sized/coloured styles)
+  const handleProductSelect = (product, variant = null) => {
     if (!product) return;
     
-    // Check if product already in cart
-    const existingIndex = cart.findIndex(item => item.productId === product.id);
-    
-    if (existingIndex >= 0) {
-      // Update quantity by 1
-      const updatedCart = [...cart];
-      updatedCart[existingIndex].quantity += 1;
-      setCart(updatedCart);
-    } else {
-      // Add new item with quantity 1
-      setCart([...cart, {
-        productId: product.id,
-        name: product.name,  // orderCalculationService expects 'name', not 'productName'
-        sku: product.sku,    // orderCalculationService expects 'sku', not 'productSKU'
-        quantity: 1,
-        unitBasePrice: product.basePrice,
-        unitSalePrice: product.isOnSale ? product.salePrice : null,
-        gstRate: product.gstRate,
-        isTaxInclusive: product.isTaxInclusive,
-        category: product.category
-      }]);
+    try {
+      // Adds quantity 1, or bumps the existing line for this product/variant
+      setCart(addToCart(cart, createCartItemFromProduct(product, 1, variant)));
+      setError('');
+    } catch (err) {
+      setError(err.message);
     }
-    
-    setError('');
   };
 
-  // Payment recording state (STEP 6)
-  const [paymentMode, setPaymentMode] = useState('CASH');
-  const [paymentAmount, setPaymentAmount] = useState('');
-  const [paymentReferenceId, setPaymentReferenceId] = useState('');
+  // Scan mode: keyboard-wedge or camera scans add straight to the cart
+  const [scanMode, setScanMode] = useState(() => localStorage.getItem('posScanMode') === 'true');
+
+  const handleToggleScanMode = () => {
+    localStorage.setItem('posScanMode', String(!scanMode));
+    setScanMode(!scanMode);
+  };
+
+  const handleBarcodeScan = (code) => {
+    const match = findProductByCode(saleProducts, code);
+
+    if (!match) {
+      setError(`No product found for barcode ${code}`);
+      return;
+    }
+
+    // A style-level code cannot tell which size was picked up
+    if (hasVariants(match.product) && !match.variant) {
+      setError(`${match.product.name} comes in sizes/colours. Scan the size label or pick the size from search.`);
+      return;
+    }
+
+    handleProductSelect(match.product, match.variant);
+  };
+
+  // Payment recording state (STEP 6) - one line per payment mode (split tender)
+  const [tenderLines, setTenderLines] = useState([createTenderLine()]);
 
   // Auto-convert overdue pre-bookings every minute
   useAutoConvertPreBookings(
@@ -93,6 +155,24 @@ const EmployeeDashboard = () => {
     60000 // Check every 60 seconds (1 minute)
   );
 
+  // Sales made offline are replayed when the connection returns
+  const { isOnline, outbox, pendingCount, conflictCount, isSyncing, syncNow, refreshOutbox, retry, discard } = useOfflineSync((result) => {
+    if (result.synced > 0) {
+      setSuccess(`${result.synced} offline sale(s) synced and invoiced`);
+    }
+    if (result.conflicts > 0 || result.failed > 0) {
+      setError(`${result.conflicts + result.failed} offline sale(s) could not be synced. See Offline Sales below.`);
+    }
+    loadData();
+  });
+
+  // Back online after selling from the cached catalogue: load live stock
+  useEffect(() => {
+    if (isOnline && catalogueCachedAt) {
+      loadData();
+    }
+  }, [isOnline]);
+
   // Clean up invalid cart items on mount
   useEffect(() => {
     if (cart.length > 0) {
@@ -116,7 +196,12 @@ const EmployeeDashboard = () => {
   }, [user]);
 
   // Auto-update payment amount when cart changes (STEP 6)
+  // Only a single-line tender follows the total; a split is left as entered
   useEffect(() => {
+    const setTenderAmount = (amount) => {
+      setTenderLines(prev => (prev.length === 1 ? [{ ...prev[0], amount }] : prev));
+    };
+
     if (cart.length > 0 && orderType !== 'prebooking') {
       try {
         // Validate that all cart items have required fields
@@ -135,23 +220,26 @@ const EmployeeDashboard = () => {
         });
 
         if (allItemsValid) {
-          const orderCalc = calculateOrder({ items: cart, employeeDiscount: 0 });
+          const orderCalc = calculateOrder({ items: cart, employeeDiscount: 0, isInterState });
           const totalAmount = Math.round(orderCalc.summary.grandTotal);
-          setPaymentAmount(totalAmount.toString());
+          setTenderAmount(totalAmount.toString());
         } else {
           // Cart has invalid items, clear it
           console.warn('Cart has invalid items, clearing cart');
           setCart([]);
-          setPaymentAmount('');
+          setTenderAmount('');
         }
       } catch (err) {
         console.error('Error calculating payment amount:', err);
-        setPaymentAmount('');
+        setTenderAmount('');
       }
+    } else if (cart.length > 0) {
+      // Pre-booking: the advance is entered by hand
+      setTenderAmount('');
     } else {
-      setPaymentAmount('');
+      setTenderLines([createTenderLine()]);
     }
-  }, [cart, orderType]);
+  }, [cart, orderType, isInterState]);
 
   const loadData = async () => {
     try {
@@ -165,18 +253,34 @@ const EmployeeDashboard = () => {
         return;
       }
       
+      // No connection: sell from the catalogue saved on this device
+      if (!navigator.onLine) {
+        await loadCachedCatalogue();
+        return;
+      }
+      
       // Check if user is owner
       const isOwner = userProfile?.role === 'owner';
       
-      const [productsData, exhibitionsData, preBookingsData] = await Promise.all([
+      const [productsData, exhibitionsData, preBookingsData, locationsData] = await Promise.all([
         getActiveProducts(),
         getAllActiveExhibitions(),
-        getPendingPreBookings(user.uid, isOwner)
+        getPendingPreBookings(user.uid, isOwner),
+        getAllLocations()
       ]);
       
       setProducts(productsData);
       setActiveExhibitions(exhibitionsData);
+      setLocations(locationsData);
       setPreBookings(preBookingsData);
+      setCatalogueCachedAt(null);
+      
+      // Keep the sale catalogue for offline use
+      Promise.all([
+        cacheCatalogue(CATALOGUE_KEYS.PRODUCTS, productsData),
+        cacheCatalogue(CATALOGUE_KEYS.EXHIBITIONS, exhibitionsData),
+        cacheCatalogue(CATALOGUE_KEYS.LOCATIONS, locationsData)
+      ]).catch(cacheError => console.error('Failed to cache catalogue:', cacheError));
       
       // Load bills separately to avoid blocking other data
       try {
@@ -188,6 +292,11 @@ const EmployeeDashboard = () => {
         setTodaysBills([]);
       }
     } catch (err) {
+      if (isNetworkError(err)) {
+        await loadCachedCatalogue();
+        return;
+      }
+      
       // Only show error if it's not a "no products" scenario
       if (!err.message.includes('Missing or insufficient permissions')) {
         setError('Failed to load data: ' + err.message);
@@ -197,23 +306,156 @@ const EmployeeDashboard = () => {
     }
   };
 
+  const loadCachedCatalogue = async () => {
+    try {
+      const [cachedProducts, cachedExhibitions, cachedLocations] = await Promise.all([
+        getCachedCatalogue(CATALOGUE_KEYS.PRODUCTS),
+        getCachedCatalogue(CATALOGUE_KEYS.EXHIBITIONS),
+        getCachedCatalogue(CATALOGUE_KEYS.LOCATIONS)
+      ]);
+      
+      if (!cachedProducts) {
+        setError('No connection, and no product catalogue has been saved on this device yet. Connect once to load it.');
+        return;
+      }
+      
+      setProducts(cachedProducts.data);
+      setActiveExhibitions(cachedExhibitions ? cachedExhibitions.data : []);
+      setLocations(cachedLocations ? cachedLocations.data : []);
+      setPreBookings([]);
+      setTodaysBills([]);
+      setCatalogueCachedAt(cachedProducts.cachedAt);
+    } catch (err) {
+      setError('No connection, and the saved catalogue could not be read: ' + err.message);
+    }
+  };
+
+  // Take an offline sale off the cached stock so the same piece is not sold twice
+  const applyOfflineSaleToStock = (checkoutData) => {
+    if (checkoutData.orderType === 'prebooking') return;
+    
+    const exhibition = activeExhibitions.find(ex => ex.id === checkoutData.exhibitionId);
+    if (hasAllocation(exhibition)) {
+      try {
+        const allocation = applyAllocationSale(exhibition.allocation, checkoutData.cart);
+        const updatedExhibitions = activeExhibitions.map(ex => ex.id === exhibition.id ? { ...ex, allocation } : ex);
+        setActiveExhibitions(updatedExhibitions);
+        cacheCatalogue(CATALOGUE_KEYS.EXHIBITIONS, updatedExhibitions)
+          .catch(cacheError => console.error('Failed to cache catalogue:', cacheError));
+      } catch (allocationError) {
+        // Sold beyond the allocation; the sale becomes a conflict when it syncs
+        console.warn('Offline sale exceeds the exhibition allocation:', allocationError.message);
+      }
+      return;
+    }
+    
+    const deltasByProduct = {};
+    checkoutData.cart.forEach(item => {
+      const deltas = deltasByProduct[item.productId] || (deltasByProduct[item.productId] = {});
+      const variantKey = item.variantId || '';
+      deltas[variantKey] = (deltas[variantKey] || 0) - item.quantity;
+    });
+    
+    const updatedProducts = products.map(product => {
+      if (!deltasByProduct[product.id]) return product;
+      const update = applyStockDeltas(product, deltasByProduct[product.id], homeLocation.id);
+      return {
+        ...product,
+        stockQty: update.stockQty,
+        locationStock: update.locationStock,
+        ...(update.variants ? { variants: update.variants } : {})
+      };
+    });
+    setProducts(updatedProducts);
+    cacheCatalogue(CATALOGUE_KEYS.PRODUCTS, updatedProducts)
+      .catch(cacheError => console.error('Failed to cache catalogue:', cacheError));
+  };
+
+  const resetOrderForm = () => {
+    setFormData({
+      customerPhone: '',
+      customerName: '',
+      customerAddress: '',
+      customerGender: '',
+      customerAgeGroup: '',
+      customerStateCode: getBusinessInfo().stateCode,
+      isB2B: false,
+      customerBusinessName: '',
+      customerGSTIN: '',
+      deliveryDate: ''
+    });
+    setCart([]);
+    
+    // Reset payment fields (STEP 6)
+    setTenderLines([createTenderLine()]);
+  };
+
+  // No connection: queue the sale on this device and hand over a provisional bill
+  const handleQueueOffline = async (checkoutData, tender) => {
+    const entry = await queueCheckout(checkoutData, tender);
+    
+    const { customer } = checkoutData;
+    const businessFields = customer.isB2B ? buildCustomerBusinessFields(customer) : {};
+    const provisionalBill = generateBill(calculateOrder({ items: checkoutData.cart, employeeDiscount: 0, isInterState }), {
+      orderId: entry.checkout.orderId,
+      orderType: checkoutData.orderType,
+      employeeId: checkoutData.employeeId,
+      employeeName: checkoutData.employeeName,
+      exhibitionId: checkoutData.exhibitionId,
+      exhibitionLocation: checkoutData.exhibitionLocation,
+      location: homeLocation,
+      billNumber: entry.id,
+      placeOfSupply,
+      customer: {
+        name: customer.name,
+        phone: customer.phone,
+        address: customer.address || '',
+        ...businessFields
+      }
+    });
+    provisionalBill.isProvisional = true;
+    
+    // Show the tender taken at the counter on the provisional bill
+    const { payments, appliedAmount } = calculateTender(provisionalBill.totals.payableAmount, tender);
+    provisionalBill.payments = payments;
+    provisionalBill.paidAmount = appliedAmount;
+    provisionalBill.dueAmount = provisionalBill.totals.payableAmount - appliedAmount;
+    
+    applyOfflineSaleToStock(checkoutData);
+    await refreshOutbox();
+    
+    setCurrentBill(provisionalBill);
+    setShowBill(true);
+    setSuccess(`No connection: sale saved on this device as ${entry.id}. It gets its invoice number when it syncs.`);
+    resetOrderForm();
+  };
+
   // Remove item from cart
-  const handleRemoveFromCart = (productId) => {
-    setCart(cart.filter(item => item.productId !== productId));
+  const handleRemoveFromCart = (itemKey) => {
+    setCart(removeFromCart(cart, itemKey));
   };
 
   // Update cart item quantity
-  const handleUpdateCartQuantity = (productId, newQuantity) => {
+  const handleUpdateCartQuantity = (itemKey, newQuantity) => {
     if (newQuantity <= 0) {
-      handleRemoveFromCart(productId);
+      handleRemoveFromCart(itemKey);
       return;
     }
     
-    setCart(cart.map(item => 
-      item.productId === productId 
-        ? { ...item, quantity: newQuantity }
-        : item
-    ));
+    setCart(updateCartItemQuantity(cart, itemKey, newQuantity));
+  };
+
+  // Switch a cart line to another size/colour of the same style
+  const handleChangeCartVariant = (itemKey, productId, variantId) => {
+    const product = saleProducts.find(p => p.id === productId);
+    const variant = getSellableVariants(product).find(v => v.id === variantId);
+    if (!variant) return;
+    
+    try {
+      setCart(changeCartItemVariant(cart, itemKey, product, variant));
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   // Clear cart
@@ -261,6 +503,19 @@ const EmployeeDashboard = () => {
         setError('Please select customer age group');
         return;
       }
+
+      if (formData.isB2B) {
+        if (!formData.customerBusinessName.trim()) {
+          setError('Please enter the business name for a B2B sale');
+          return;
+        }
+
+        const gstinError = getGSTINError(formData.customerGSTIN);
+        if (gstinError) {
+          setError(gstinError);
+          return;
+        }
+      }
       
       if (cart.length === 0) {
         setError('Please add at least one product to cart');
@@ -292,13 +547,14 @@ const EmployeeDashboard = () => {
         return;
       }
       
-      await createOrUpdateCustomer({
-        phone: formData.customerPhone,
-        name: formData.customerName,
-        address: formData.customerAddress,
-        gender: formData.customerGender,
-        ageGroup: formData.customerAgeGroup
-      });
+      // Check the tender before anything is committed
+      const orderTotal = Math.round(calculateOrder({ items: cart, employeeDiscount: 0, isInterState }).summary.grandTotal);
+      const tender = calculateTender(orderTotal, tenderLines);
+      if (tender.errors.length > 0) {
+        setError(tender.errors.join(' '));
+        return;
+      }
+      const tenderToRecord = tender.payments.length > 0 ? tenderLines : [];
       
       let finalOrderType = orderType;
       let exhibitionId = null;
@@ -314,227 +570,107 @@ const EmployeeDashboard = () => {
         exhibitionId = null;
       }
       
-      // Generate bill for ALL order types INCLUDING pre-bookings
-      let bill = null;
-      try {
-        // Validate cart items before processing
-        const invalidItems = cart.filter(item => 
-          !item.name || 
-          !item.sku || 
-          typeof item.unitBasePrice !== 'number' ||
-          typeof item.gstRate !== 'number' ||
-          typeof item.isTaxInclusive !== 'boolean'
-        );
-
-        if (invalidItems.length > 0) {
-          console.error('Invalid cart items found:', invalidItems);
-          throw new Error('Cart contains invalid items. Please remove them and try again.');
-        }
-
-        console.log('Cart items being processed:', cart);
-        console.log('Customer data:', {
-          name: formData.customerName,
-          phone: formData.customerPhone,
-          address: formData.customerAddress
-        });
-
-        // Calculate order
-        const orderCalculation = calculateOrder({
-          items: cart,
-          employeeDiscount: 0
-        });
-        
-        console.log('Order calculation:', orderCalculation);
-        
-        // Get exhibition location if this is an exhibition sale
-        let exhibitionLocation = null;
-        if (orderType === 'exhibition' && selectedExhibition) {
-          const exhibition = activeExhibitions.find(ex => ex.id === selectedExhibition);
-          exhibitionLocation = exhibition?.location || null;
-        }
-        
-        // Generate bill for ALL order types (including pre-bookings)
-        bill = generateBill(orderCalculation, {
-          orderId: 'TEMP-' + Date.now(), // Temporary ID, will update after order creation
-          orderType: finalOrderType,
-          employeeId: user.uid,
-          employeeName: userProfile?.name || user.email,
-          exhibitionId: exhibitionId,
-          exhibitionLocation: exhibitionLocation,
-          customer: {
-            name: formData.customerName,
-            phone: formData.customerPhone,
-            address: formData.customerAddress || ''
-          }
-        });
-        
-        console.log('Generated bill:', bill);
-      } catch (billError) {
-        console.error('Bill generation error:', billError);
-        throw new Error('Bill generation failed: ' + billError.message);
-      }
-      
-      // Deduct stock only for completed orders (NOT for pre-bookings)
-      // Deduct stock for completed orders (not pre-bookings)
-      if (orderType !== 'prebooking') {
-        try {
-          const stockItems = cart.map(item => ({
-            productId: item.productId,
-            quantity: item.quantity
-          }));
-          
-          console.log('Attempting to deduct stock for items:', stockItems);
-          const stockResults = await deductStockBatch(stockItems);
-          console.log('✅ Stock deducted successfully:', stockResults);
-        } catch (stockError) {
-          console.error('❌ Stock deduction error:', stockError);
-          throw new Error(`Stock deduction failed: ${stockError.message}`);
-        }
-      } else {
-        console.log('⏭️ Skipping stock deduction for pre-booking');
+      // Get exhibition location if this is an exhibition sale
+      let exhibitionLocation = null;
+      let exhibitionStateCode = null;
+      if (orderType === 'exhibition' && selectedExhibition) {
+        const exhibition = activeExhibitions.find(ex => ex.id === selectedExhibition);
+        exhibitionLocation = exhibition?.location || null;
+        exhibitionStateCode = exhibition?.stateCode || null;
       }
       
-      // Calculate totals for pre-bookings (even though no bill is generated)
-      let totals = null;
-      if (bill) {
-        totals = {
-          subtotal: bill.totals.subtotal,
-          totalCGST: bill.totals.totalCGST,
-          totalSGST: bill.totals.totalSGST,
-          totalTax: bill.totals.totalTax,
-          grandTotal: bill.totals.grandTotal,
-          payableAmount: bill.totals.payableAmount
-        };
-      } else if (orderType === 'prebooking') {
-        // Calculate totals for pre-booking display
-        const orderCalculation = calculateOrder({
-          items: cart,
-          employeeDiscount: 0
-        });
-        totals = {
-          subtotal: orderCalculation.summary.subtotal,
-          totalCGST: orderCalculation.summary.totalCGST,
-          totalSGST: orderCalculation.summary.totalSGST,
-          totalTax: orderCalculation.summary.totalTax,
-          grandTotal: orderCalculation.summary.grandTotal,
-          payableAmount: Math.round(orderCalculation.summary.grandTotal)
-        };
-      }
-      
-      const orderData = {
-        type: finalOrderType,
-        customerPhone: formData.customerPhone,
-        customerName: formData.customerName,
-        customerAddress: formData.customerAddress || '',
-        items: cart.map(cartItem => ({
-          productId: cartItem.productId,
-          productName: cartItem.name,
-          sku: cartItem.sku,
-          category: cartItem.category,
-          quantity: cartItem.quantity,
-          unitPrice: cartItem.unitSalePrice || cartItem.unitBasePrice,
-          lineTotal: (cartItem.unitSalePrice || cartItem.unitBasePrice) * cartItem.quantity
-        })),
-        totals: totals,
-        status: orderType === 'prebooking' ? 'pending' : 'completed',
+      const checkoutData = {
+        // Generated here so a retry after a lost connection cannot sell twice
+        ...newCheckoutIds(),
+        cart,
+        orderType: finalOrderType,
         exhibitionId,
-        createdBy: user.uid,
+        exhibitionLocation,
+        exhibitionStateCode,
+        customerStateCode: formData.customerStateCode,
+        location: homeLocation,
+        customer: {
+          phone: formData.customerPhone,
+          name: formData.customerName,
+          address: formData.customerAddress,
+          gender: formData.customerGender,
+          ageGroup: formData.customerAgeGroup,
+          isB2B: formData.isB2B,
+          businessName: formData.isB2B ? formData.customerBusinessName : '',
+          gstin: formData.isB2B ? formData.customerGSTIN : ''
+        },
+        employeeId: user.uid,
         employeeName: userProfile?.name || user.email,
-        deliveryDate: orderType === 'prebooking' ? formData.deliveryDate : null,
-        billId: bill ? bill.billNumber : null
+        deliveryDate: formData.deliveryDate
       };
       
-      const createdOrder = await createOrder(orderData);
+      if (!navigator.onLine) {
+        await handleQueueOffline(checkoutData, tenderToRecord);
+        return;
+      }
+      
+      // Stock, customer, order and bill are committed atomically
+      // (stock is not deducted for pre-bookings)
+      let checkoutResult;
+      try {
+        checkoutResult = await processCheckout(checkoutData);
+      } catch (checkoutError) {
+        if (!isNetworkError(checkoutError)) throw checkoutError;
+        await handleQueueOffline(checkoutData, tenderToRecord);
+        return;
+      }
+      let { bill } = checkoutResult;
+      const { stockResults } = checkoutResult;
+      
+      console.log('✅ Checkout committed:', bill.billNumber, stockResults);
       
-      // Show bill preview and save if generated
-      if (bill) {
-        // Update bill with actual order ID
-        bill.orderId = createdOrder?.id || bill.orderId;
-        
-        // CRITICAL DEBUG: Log the bill object before saving
-        console.log('=== BILL BEFORE SAVING ===');
-        console.log('Bill customer data:', bill.customer);
-        console.log('Full bill object:', bill);
-        console.log('========================');
-        
-        // Save bill to Firestore
+      // Record payment immediately (STEP 6) - every tender line in one write
+      let changeDue = 0;
+      if (tenderToRecord.length > 0) {
         try {
-          const billId = await saveBill(bill);
-          console.log('Bill saved to Firestore with ID:', billId);
+          const paymentResult = await recordPayments(bill.id, tenderToRecord, user.uid);
           
-          // Record payment immediately (STEP 6)
-          if (paymentAmount && parseFloat(paymentAmount) > 0) {
-            try {
-              await recordPayment(billId, {
-                mode: paymentMode,
-                amount: parseFloat(paymentAmount),
-                referenceId: null, // Not tracking reference IDs
-                recordedBy: user.uid
-              });
-              
-              console.log('Payment recorded successfully');
-              
-              // Update bill object with payment info for preview
-              bill.id = billId;
-              bill.paymentStatus = parseFloat(paymentAmount) >= bill.totals.payableAmount ? 'PAID' : 'PARTIALLY_PAID';
-              bill.paidAmount = parseFloat(paymentAmount);
-              bill.dueAmount = bill.totals.payableAmount - parseFloat(paymentAmount);
-              bill.payments = [{
-                mode: paymentMode,
-                amount: parseFloat(paymentAmount),
-                referenceId: paymentReferenceId.trim() || null,
-                paidAt: new Date()
-              }];
-            } catch (paymentError) {
-              console.error('Failed to record payment:', paymentError);
-              // Don't fail the whole operation, just show warning
-              setError('Order created but payment recording failed: ' + paymentError.message);
-            }
-          }
+          console.log('Payment recorded successfully');
           
-          // Reload today's bills to show the new bill
-          try {
-            const updatedBills = await getTodaysBills(user.uid);
-            setTodaysBills(updatedBills);
-          } catch (reloadError) {
-            console.error('Failed to reload bills:', reloadError);
-          }
-        } catch (saveError) {
-          console.error('Failed to save bill:', saveError);
-          // Don't fail the whole operation if bill save fails
+          // Bill with payment info for preview
+          bill = paymentResult.bill;
+          changeDue = paymentResult.changeDue;
+        } catch (paymentError) {
+          console.error('Failed to record payment:', paymentError);
+          // Don't fail the whole operation, just show warning
+          setError('Order created but payment recording failed: ' + paymentError.message);
         }
-        
-        setCurrentBill(bill);
-        setShowBill(true);
-        console.log('Showing bill preview');
       }
       
+      setCurrentBill(bill);
+      setShowBill(true);
+      console.log('Showing bill preview');
+      
       const orderTypeLabel = orderType === 'store' ? 'Store Sale' : 
                             orderType === 'exhibition' ? 'Exhibition Sale' : 
                             'Pre-booking';
-      setSuccess(`${orderTypeLabel} created successfully!`);
+      setSuccess(changeDue > 0
+        ? `${orderTypeLabel} created successfully! Return ₹${changeDue.toFixed(2)} change.`
+        : `${orderTypeLabel} created successfully!`);
       
       await loadData();
       
       // Reset form and cart ONLY after successful completion
-      setFormData({
-        customerPhone: '',
-        customerName: '',
-        customerAddress: '',
-        customerGender: '',
-        customerAgeGroup: '',
-        deliveryDate: ''
-      });
-      setCart([]);
-      
-      // Reset payment fields (STEP 6)
-      setPaymentMode('CASH');
-      setPaymentAmount('');
-      setPaymentReferenceId('');
+      resetOrderForm();
       
     } catch (err) {
       // DON'T clear form on error - let user see what they entered
       setError('Failed to create order: ' + err.message);
+      
+      // Stock changed underneath the cart - refresh product stock levels
+      if (err.code === STOCK_CHANGED) {
+        Promise.all([getActiveProducts(), getAllActiveExhibitions()])
+          .then(([productsData, exhibitionsData]) => {
+            setProducts(productsData);
+            setActiveExhibitions(exhibitionsData);
+          })
+          .catch(refreshError => console.error('Failed to refresh products:', refreshError));
+      }
       console.error('Order creation error:', err);
     }
   };
@@ -558,7 +694,10 @@ const EmployeeDashboard = () => {
             customerName: customer.name || '',
             customerAddress: customer.address || '',
             customerGender: customer.gender || '',
-            customerAgeGroup: customer.ageGroup || ''
+            customerAgeGroup: customer.ageGroup || '',
+            isB2B: Boolean(customer.gstin),
+            customerBusinessName: customer.businessName || '',
+            customerGSTIN: customer.gstin || ''
           });
         }
       } catch (err) {
@@ -574,7 +713,7 @@ const EmployeeDashboard = () => {
       
       // Pre-bookings should always convert to regular store sales (daily), not exhibition
       // Even if there's an active exhibition
-      await convertPreBookingToSale(preBookingId, null);
+      await convertPreBookingToSale(preBookingId, null, homeLocation.id);
       
       setSuccess('Pre-booking converted to sale successfully!');
       await loadData();
@@ -623,11 +762,25 @@ const EmployeeDashboard = () => {
               <div className="emp-user-avatar">
                 {userProfile?.name?.charAt(0).toUpperCase() || 'E'}
               </div>
-              <span className="emp-user-name">{userProfile?.name || user?.email}</span>
+              <span className="emp-user-name">
+                {userProfile?.name || user?.email}
+                {locations.length > 1 && ` · ${homeLocation.name}`}
+              </span>
             </div>
+            <button
+              onClick={syncNow}
+              className={`emp-sync-status ${!isOnline ? 'emp-sync-offline' : outbox.length > 0 ? 'emp-sync-pending' : 'emp-sync-online'}`}
+              title={isOnline ? 'Sync offline sales now' : 'No connection: sales are saved on this device'}
+            >
+              {!isOnline ? 'Offline' : isSyncing ? 'Syncing' : 'Online'}
+              {outbox.length > 0 && ` · ${pendingCount} pending${conflictCount > 0 ? `, ${conflictCount} to resolve` : ''}`}
+            </button>
             <button onClick={() => navigateToView(VIEWS.EMPLOYEE_ANALYTICS)} className="emp-nav-btn emp-nav-btn-primary">
               View Analytics
             </button>
+            <button onClick={() => navigateToView(VIEWS.EMPLOYEE_STOCK_COUNT)} className="emp-nav-btn">
+              Stock Count
+            </button>
             <button onClick={handleLogout} className="emp-nav-btn">
               Logout
             </button>
@@ -661,6 +814,14 @@ const EmployeeDashboard = () => {
             <span>{success}</span>
           </div>
         )}
+        {catalogueCachedAt && (
+          <div className="emp-alert emp-alert-warning">
+            <span>
+              Offline: selling from the catalogue saved on {new Date(catalogueCachedAt).toLocaleString('en-IN')}.
+              Stock may be out of date; sales sync when the connection returns.
+            </span>
+          </div>
+        )}
 
         {/* Exhibition Selector Banner */}
         <div className="emp-exhibition-banner">
@@ -726,9 +887,65 @@ const EmployeeDashboard = () => {
                   </span>
                   <span className="emp-order-type-label">Pre-Booking</span>
                 </button>
+                <button
+                  className={`emp-order-type ${orderType === 'return' ? 'active' : ''}`}
+                  onClick={() => setOrderType('return')}
+                >
+                  <span className="emp-order-type-icon">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <polyline points="9 14 4 9 9 4"/>
+                      <path d="M20 20v-7a4 4 0 0 0-4-4H4"/>
+                    </svg>
+                  </span>
+                  <span className="emp-order-type-label">Return</span>
+                </button>
+                <button
+                  className={`emp-order-type ${orderType === 'exchange' ? 'active' : ''}`}
+                  onClick={() => setOrderType('exchange')}
+                >
+                  <span className="emp-order-type-icon">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <polyline points="17 1 21 5 17 9"/>
+                      <path d="M3 11V9a4 4 0 0 1 4-4h14"/>
+                      <polyline points="7 23 3 19 7 15"/>
+                      <path d="M21 13v2a4 4 0 0 1-4 4H3"/>
+                    </svg>
+                  </span>
+                  <span className="emp-order-type-label">Exchange</span>
+                </button>
               </div>
 
+              {/* Sales Return / Exchange Form */}
+              {(orderType === 'return' || orderType === 'exchange') && (
+                <SalesReturnForm
+                  key={orderType}
+                  mode={orderType}
+                  products={locationProducts}
+                  employeeId={user.uid}
+                  employeeName={userProfile?.name || user.email}
+                  location={homeLocation}
+                  onReturnProcessed={(creditNote) => {
+                    setSuccess(`Credit note ${creditNote.creditNoteNumber} issued for ₹${creditNote.totals.payableAmount}`);
+                    setCurrentBill(creditNote);
+                    setShowBill(true);
+                    loadData();
+                  }}
+                  onExchangeProcessed={(result) => {
+                    const settlement = result.amountToCollect > 0
+                      ? `collected ₹${result.amountToCollect}`
+                      : result.amountToRefund > 0
+                        ? `refund ₹${result.amountToRefund}`
+                        : 'no difference';
+                    setSuccess(`Exchange completed: ${result.creditNote.creditNoteNumber} → ${result.bill.billNumber} (${settlement})`);
+                    setCurrentBill(result.bill);
+                    setShowBill(true);
+                    loadData();
+                  }}
+                />
+              )}
+
               {/* Order Form */}
+              {orderType !== 'return' && orderType !== 'exchange' && (
               <form onSubmit={handleCreateOrder} className="emp-form">
                 <div className="emp-form-grid">
                   {/* Left Column - Customer Section */}
@@ -807,6 +1024,51 @@ const EmployeeDashboard = () => {
                         </select>
                       </div>
                     </div>
+
+                    <div className="emp-form-group">
+                      <label className="emp-label">
+                        <input
+                          type="checkbox"
+                          checked={formData.isB2B}
+                          onChange={(e) => setFormData({...formData, isB2B: e.target.checked})}
+                        />
+                        {' '}B2B sale (customer has GSTIN)
+                      </label>
+                    </div>
+
+                    {formData.isB2B && (
+                      <div className="emp-form-row">
+                        <div className="emp-form-group">
+                          <label className="emp-label">Business Name *</label>
+                          <input
+                            type="text"
+                            className="emp-input"
+                            value={formData.customerBusinessName}
+                            onChange={(e) => setFormData({...formData, customerBusinessName: e.target.value})}
+                            placeholder="Registered business name"
+                            required
+                          />
+                        </div>
+
+                        <div className="emp-form-group">
+                          <label className="emp-label">GSTIN *</label>
+                          <input
+                            type="text"
+                            className="emp-input"
+                            value={formData.customerGSTIN}
+                            onChange={(e) => setFormData({...formData, customerGSTIN: e.target.value.toUpperCase().replace(/[^0-9A-Z]/g, '').slice(0, 15)})}
+                            placeholder="15-character GSTIN"
+                            maxLength={15}
+                            required
+                          />
+                          {formData.customerGSTIN.length === 15 && (
+                            <span className="emp-helper" style={{ color: getGSTINError(formData.customerGSTIN) ? '#dc2626' : '#16a34a' }}>
+                              {getGSTINError(formData.customerGSTIN) || `Valid GSTIN (${GST_STATES[formData.customerGSTIN.slice(0, 2)]})`}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                    )}
                   </div>
 
                   {/* Right Column - Product Section */}
@@ -814,14 +1076,26 @@ const EmployeeDashboard = () => {
                     <h4 className="emp-form-section-title">Add Products to Cart</h4>
                     
                     <div className="emp-form-group">
-                      <label className="emp-label">Search Product *</label>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <label className="emp-label">{scanMode ? 'Scan Product *' : 'Search Product *'}</label>
+                        <button
+                          type="button"
+                          onClick={handleToggleScanMode}
+                          className="emp-btn emp-btn-sm"
+                          style={{ fontSize: '11px', padding: '4px 8px' }}
+                        >
+                          {scanMode ? '🔍 Search Mode' : '▮▯ Scan Mode'}
+                        </button>
+                      </div>
                       {products.length === 0 ? (
                         <div className="emp-empty-state">
                           <p>No products available. Contact owner to add products.</p>
                         </div>
+                      ) : scanMode ? (
+                        <BarcodeScanInput onScan={handleBarcodeScan} />
                       ) : (
                         <ProductSearchInput
-                          products={products}
+                          products={saleProducts}
                           onSelect={handleProductSelect}
                           placeholder="Type to search products (e.g., shirt, kurti, jeans)..."
                         />
@@ -842,13 +1116,17 @@ const EmployeeDashboard = () => {
                             Clear All
                           </button>
                         </div>
-                        {cart.map((item, index) => {
+                        {cart.map((item) => {
+                          const itemKey = getCartItemKey(item);
                           const effectivePrice = item.unitSalePrice || item.unitBasePrice;
                           const itemTotal = effectivePrice * item.quantity;
                           const discount = item.unitSalePrice ? (item.unitBasePrice - item.unitSalePrice) * item.quantity : 0;
+                          const variantOptions = item.variantId
+                            ? getSellableVariants(saleProducts.find(p => p.id === item.productId))
+                            : [];
                           
                           return (
-                            <div key={index} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px', background: 'white', borderRadius: '4px', marginBottom: '4px' }}>
+                            <div key={itemKey} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px', background: 'white', borderRadius: '4px', marginBottom: '4px' }}>
                               <div style={{ flex: 1 }}>
                                 <div style={{ fontSize: '13px', fontWeight: '500' }}>
                                   {item.name}
@@ -861,11 +1139,25 @@ const EmployeeDashboard = () => {
                                   ₹{effectivePrice} × {item.quantity} = ₹{itemTotal.toFixed(2)}
                                   {discount > 0 && <span style={{ color: '#10b981', marginLeft: '6px' }}>(Save ₹{discount.toFixed(2)})</span>}
                                 </div>
+                                {variantOptions.length > 1 && (
+                                  <select
+                                    value={item.variantId}
+                                    onChange={(e) => handleChangeCartVariant(itemKey, item.productId, e.target.value)}
+                                    className="emp-select"
+                                    style={{ marginTop: '4px', padding: '2px 6px', fontSize: '11px', width: 'auto' }}
+                                  >
+                                    {variantOptions.map(variant => (
+                                      <option key={variant.id} value={variant.id}>
+                                        {getVariantLabel(variant)} ({variant.stockQty || 0} in stock)
+                                      </option>
+                                    ))}
+                                  </select>
+                                )}
                               </div>
                               <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
                                 <button
                                   type="button"
-                                  onClick={() => handleUpdateCartQuantity(item.productId, item.quantity - 1)}
+                                  onClick={() => handleUpdateCartQuantity(itemKey, item.quantity - 1)}
                                   style={{ padding: '2px 6px', fontSize: '12px', background: '#e2e8f0', border: 'none', borderRadius: '3px', cursor: 'pointer' }}
                                 >
                                   −
@@ -873,14 +1165,14 @@ const EmployeeDashboard = () => {
                                 <span style={{ fontSize: '12px', minWidth: '20px', textAlign: 'center' }}>{item.quantity}</span>
                                 <button
                                   type="button"
-                                  onClick={() => handleUpdateCartQuantity(item.productId, item.quantity + 1)}
+                                  onClick={() => handleUpdateCartQuantity(itemKey, item.quantity + 1)}
                                   style={{ padding: '2px 6px', fontSize: '12px', background: '#e2e8f0', border: 'none', borderRadius: '3px', cursor: 'pointer' }}
                                 >
                                   +
                                 </button>
                                 <button
                                   type="button"
-                                  onClick={() => handleRemoveFromCart(item.productId)}
+                                  onClick={() => handleRemoveFromCart(itemKey)}
                                   style={{ padding: '2px 6px', fontSize: '12px', background: '#fee2e2', color: '#dc2626', border: 'none', borderRadius: '3px', cursor: 'pointer', marginLeft: '4px' }}
                                 >
                                   ✕
@@ -893,7 +1185,7 @@ const EmployeeDashboard = () => {
                         {/* Cart Summary with GST */}
                         {(() => {
                           try {
-                            const orderCalc = calculateOrder({ items: cart, employeeDiscount: 0 });
+                            const orderCalc = calculateOrder({ items: cart, employeeDiscount: 0, isInterState });
                             return (
                               <div style={{ marginTop: '12px', padding: '12px', background: 'white', borderRadius: '4px', border: '2px solid #0f172a' }}>
                                 <div style={{ fontSize: '12px', marginBottom: '6px' }}>
@@ -907,14 +1199,23 @@ const EmployeeDashboard = () => {
                                       <span>- ₹{orderCalc.summary.totalDiscount.toFixed(2)}</span>
                                     </div>
                                   )}
-                                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                                    <span>CGST:</span>
-                                    <span>₹{orderCalc.summary.totalCGST.toFixed(2)}</span>
-                                  </div>
-                                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                                    <span>SGST:</span>
-                                    <span>₹{orderCalc.summary.totalSGST.toFixed(2)}</span>
-                                  </div>
+                                  {isInterState ? (
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                                      <span>IGST:</span>
+                                      <span>₹{orderCalc.summary.totalIGST.toFixed(2)}</span>
+                                    </div>
+                                  ) : (
+                                    <>
+                                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                                        <span>CGST:</span>
+                                        <span>₹{orderCalc.summary.totalCGST.toFixed(2)}</span>
+                                      </div>
+                                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                                        <span>SGST:</span>
+                                        <span>₹{orderCalc.summary.totalSGST.toFixed(2)}</span>
+                                      </div>
+                                    </>
+                                  )}
                                   <div style={{ borderTop: '1px solid #e2e8f0', marginTop: '6px', paddingTop: '6px', display: 'flex', justifyContent: 'space-between', fontSize: '14px', fontWeight: '700' }}>
                                     <span>Total Amount:</span>
                                     <span>₹{Math.round(orderCalc.summary.grandTotal)}</span>
@@ -960,6 +1261,11 @@ const EmployeeDashboard = () => {
                             No active exhibitions. Contact owner to create one.
                           </span>
                         )}
+                        {hasAllocation(currentExhibition) && (
+                          <span className="emp-helper">
+                            Selling from the stock issued to this exhibition
+                          </span>
+                        )}
                       </div>
                     )}
 
@@ -979,13 +1285,34 @@ const EmployeeDashboard = () => {
                         </small>
                       </div>
                     )}
+
+                    {orderType === 'prebooking' && (
+                      <div className="emp-form-group" style={{ marginTop: '16px' }}>
+                        <label className="emp-label">Delivery State *</label>
+                        <select
+                          className="emp-input"
+                          value={formData.customerStateCode}
+                          onChange={(e) => setFormData({...formData, customerStateCode: e.target.value})}
+                          required
+                        >
+                          {Object.entries(GST_STATES).map(([code, name]) => (
+                            <option key={code} value={code}>{name}</option>
+                          ))}
+                        </select>
+                        {isInterState && (
+                          <small style={{ display: 'block', marginTop: '4px', color: '#64748b', fontSize: '12px' }}>
+                            Inter-state supply – IGST will be charged
+                          </small>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
 
                 {/* Payment Recording Section (STEP 6) - For all order types including pre-booking */}
                 {cart.length > 0 && (() => {
                   try {
-                    const orderCalc = calculateOrder({ items: cart, employeeDiscount: 0 });
+                    const orderCalc = calculateOrder({ items: cart, employeeDiscount: 0, isInterState });
                     const totalAmount = Math.round(orderCalc.summary.grandTotal);
                     
                     return (
@@ -994,47 +1321,13 @@ const EmployeeDashboard = () => {
                           💳 Payment Details {orderType === 'prebooking' && <span style={{ fontSize: '12px', fontWeight: '400', color: '#64748b' }}>(Advance Payment)</span>}
                         </h4>
                         
-                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '12px' }}>
-                          <div>
-                            <label style={{ display: 'block', fontSize: '12px', fontWeight: '500', marginBottom: '4px', color: '#475569' }}>
-                              Payment Mode *
-                            </label>
-                            <select
-                              value={paymentMode}
-                              onChange={(e) => setPaymentMode(e.target.value)}
-                              style={{ width: '100%', padding: '8px', fontSize: '13px', border: '1px solid #cbd5e1', borderRadius: '4px' }}
-                            >
-                              <option value="CASH">Cash</option>
-                              <option value="UPI">UPI</option>
-                              <option value="CARD">Card</option>
-                              <option value="BANK_TRANSFER">Bank Transfer</option>
-                            </select>
-                          </div>
-                          
-                          <div>
-                            <label style={{ display: 'block', fontSize: '12px', fontWeight: '500', marginBottom: '4px', color: '#475569' }}>
-                              Amount (₹) *
-                            </label>
-                            <input
-                              type="text"
-                              value={paymentAmount}
-                              readOnly
-                              placeholder={totalAmount.toString()}
-                              style={{ 
-                                width: '100%', 
-                                padding: '8px', 
-                                fontSize: '13px', 
-                                border: '1px solid #cbd5e1', 
-                                borderRadius: '4px',
-                                backgroundColor: '#f1f5f9',
-                                cursor: 'not-allowed',
-                                color: '#475569'
-                              }}
-                            />
-                            <small style={{ fontSize: '11px', color: '#64748b' }}>
-                              Total: ₹{totalAmount} (Auto-calculated)
-                            </small>
-                          </div>
+                        <div style={{ marginBottom: '12px' }}>
+                          <TenderLines
+                            dueAmount={totalAmount}
+                            lines={tenderLines}
+                            onChange={setTenderLines}
+                            upiPayee={{ upiId: getBusinessInfo().upiId, payeeName: getBusinessInfo().businessName, note: null }}
+                          />
                         </div>
                         
                         <div style={{ padding: '8px', background: orderType === 'prebooking' ? '#fef3c7' : '#d1fae5', borderRadius: '4px', fontSize: '11px', color: orderType === 'prebooking' ? '#92400e' : '#065f46' }}>
@@ -1060,6 +1353,7 @@ const EmployeeDashboard = () => {
                    'Create Store Sale'}
                 </button>
               </form>
+              )}
             </div>
 
           {/* Pre-Bookings Section */}
@@ -1156,6 +1450,15 @@ const EmployeeDashboard = () => {
             </div>
           )}
 
+          <PendingSyncSales
+            outbox={outbox}
+            isOnline={isOnline}
+            isSyncing={isSyncing}
+            onSyncNow={syncNow}
+            onRetry={retry}
+            onDiscard={discard}
+          />
+
           {/* Today's Sales Section */}
           {todaysBills.length > 0 && (
             <div className="emp-card">
@@ -1171,7 +1474,9 @@ const EmployeeDashboard = () => {
                   <div key={bill.id} className="emp-prebooking-card">
                     <div className="emp-prebooking-header">
                       <span className="emp-prebooking-phone">{bill.billNumber}</span>
-                      <span className="emp-badge emp-badge-success">Completed</span>
+                      <span className="emp-badge emp-badge-success">
+                        {bill.invoiceType === 'B2B' ? 'B2B · Completed' : 'Completed'}
+                      </span>
                     </div>
                     <div className="emp-prebooking-details">
                       <div className="emp-prebooking-row">
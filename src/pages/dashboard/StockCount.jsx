@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import { useStockTakeCounts } from '../../hooks/useStockTakeCounts';
+import { getActiveProducts } from '../../services/productService';
+import { getAllLocations, findLocation } from '../../services/locationService';
+import { getOpenStockTakes } from '../../services/stockTakeService';
+import StockCountSheet from '../../components/stockTake/StockCountSheet';
+import '../../styles/OwnerUsers.css';
+
+/**
+ * Stock counting for counter staff
+ * Lists the stock takes open at the employee's home location and counts
+ * into the selected one. Expected quantities are not shown.
+ */
+const StockCount = () => {
+  const { user, userProfile, logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [stockTakes, setStockTakes] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [homeLocation, setHomeLocation] = useState(null);
+  const [selectedId, setSelectedId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { counts, error: countsError, refresh, addUnits, setUnits } = useStockTakeCounts(selectedId || null, {
+    userId: user.uid,
+    userName: userProfile?.name || user.email
+  });
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [locations, activeProducts] = await Promise.all([
+        getAllLocations(),
+        getActiveProducts()
+      ]);
+      const location = findLocation(locations, userProfile?.locationId);
+      const openStockTakes = await getOpenStockTakes(location.id);
+
+      setHomeLocation(location);
+      setProducts(activeProducts);
+      setStockTakes(openStockTakes);
+      setSelectedId(current => (
+        openStockTakes.some(stockTake => stockTake.id === current)
+          ? current
+          : (openStockTakes[0] ? openStockTakes[0].id : '')
+      ));
+    } catch (err) {
+      setError('Failed to load stock takes: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  const selectedStockTake = stockTakes.find(stockTake => stockTake.id === selectedId);
+
+  if (loading) {
+    return (
+      <div className="owner-users">
+        <div className="owner-users-loading">Loading stock takes...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-users">
+      {/* Header */}
+      <nav className="owner-users-nav">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Stock Count</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.EMPLOYEE_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {(error || countsError) && (
+          <div className="alert alert-error">
+            {error || countsError}
+          </div>
+        )}
+
+        {stockTakes.length === 0 ? (
+          <div className="owner-users-section">
+            <div className="section-header">
+              <h2>No stock take open</h2>
+              <button onClick={loadData} className="btn-secondary">
+                Check Again
+              </button>
+            </div>
+            <p className="form-helper">
+              There is no stock take being counted at {homeLocation ? homeLocation.name : 'your location'}. The owner starts one from Stock Take.
+            </p>
+          </div>
+        ) : (
+          <>
+            {stockTakes.length > 1 && (
+              <div className="form-group" style={{ maxWidth: '360px' }}>
+                <label>Stock Take</label>
+                <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+                  {stockTakes.map(stockTake => (
+                    <option key={stockTake.id} value={stockTake.id}>
+                      {stockTake.stockTakeNumber}{stockTake.notes ? ` · ${stockTake.notes}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {selectedStockTake && (
+              <StockCountSheet
+                key={selectedStockTake.id}
+                stockTake={selectedStockTake}
+                counts={counts}
+                products={products}
+                onAdd={addUnits}
+                onSet={setUnits}
+                onRefresh={refresh}
+              />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockCount;
@@ -0,0 +1,264 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import { getAllProducts } from '../../services/productService';
+import { formatCurrency } from '../../services/orderCalculationService';
+import { buildLabelItems, BARCODE_TYPES } from '../../utils/barcodeUtils';
+import { LABEL_LAYOUTS, DEFAULT_LABEL_LAYOUT } from '../../constants/labelLayouts';
+import Barcode from '../../components/common/Barcode';
+import '../../styles/OwnerUsers.css';
+import '../../styles/BarcodeLabels.css';
+
+// "Auto" prints valid EAN-13 numbers as EAN-13 and everything else as Code 128
+const SYMBOLOGY_AUTO = 'auto';
+
+const BarcodeLabels = () => {
+  const { logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [copies, setCopies] = useState({});
+  const [layoutId, setLayoutId] = useState(DEFAULT_LABEL_LAYOUT);
+  const [symbology, setSymbology] = useState(SYMBOLOGY_AUTO);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadProducts = async () => {
+      try {
+        setLoading(true);
+        const allProducts = await getAllProducts();
+        setProducts(allProducts.filter(product => product.isActive));
+      } catch (err) {
+        setError('Failed to load products: ' + err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProducts();
+  }, []);
+
+  const labelItems = useMemo(() => buildLabelItems(products), [products]);
+
+  const visibleItems = useMemo(() => {
+    const needle = search.trim().toLowerCase();
+    if (!needle) return labelItems;
+
+    return labelItems.filter(item => (
+      item.name.toLowerCase().includes(needle) ||
+      item.sku.toLowerCase().includes(needle) ||
+      item.barcode.toLowerCase().includes(needle)
+    ));
+  }, [labelItems, search]);
+
+  const layout = LABEL_LAYOUTS[layoutId];
+  const labelsPerSheet = layout.columns * layout.rows;
+
+  // Expand copies into the individual labels, then cut them into A4 sheets
+  const sheets = useMemo(() => {
+    const labels = labelItems.flatMap(item => (
+      Array.from({ length: copies[item.key] || 0 }, (_, index) => ({ ...item, copyKey: `${item.key}-${index}` }))
+    ));
+
+    const pages = [];
+    for (let index = 0; index < labels.length; index += labelsPerSheet) {
+      pages.push(labels.slice(index, index + labelsPerSheet));
+    }
+    return pages;
+  }, [labelItems, copies, labelsPerSheet]);
+
+  const totalLabels = Object.values(copies).reduce((total, count) => total + count, 0);
+
+  const handleCopiesChange = (key, value) => {
+    setCopies({ ...copies, [key]: Math.max(0, parseInt(value) || 0) });
+  };
+
+  const handleCopiesFromStock = () => {
+    const next = { ...copies };
+    visibleItems.forEach(item => {
+      next[item.key] = item.stockQty;
+    });
+    setCopies(next);
+  };
+
+  const handleClear = () => {
+    setCopies({});
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="owner-users">
+        <div className="owner-users-loading">Loading products...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-users barcode-labels">
+      {/* Header */}
+      <nav className="owner-users-nav no-print">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Barcode Labels</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.OWNER_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {error && (
+          <div className="alert alert-error no-print">
+            {error}
+          </div>
+        )}
+
+        <div className="owner-users-section no-print">
+          <div className="section-header">
+            <h2>Select Labels</h2>
+            <span className="form-helper">{totalLabels} labels · {sheets.length} sheet(s)</span>
+          </div>
+
+          <div className="create-user-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Sheet Layout</label>
+                <select value={layoutId} onChange={(e) => setLayoutId(e.target.value)}>
+                  {Object.values(LABEL_LAYOUTS).map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Barcode Type</label>
+                <select value={symbology} onChange={(e) => setSymbology(e.target.value)}>
+                  <option value={SYMBOLOGY_AUTO}>Auto (EAN-13 where set, otherwise Code 128)</option>
+                  <option value={BARCODE_TYPES.CODE128}>Code 128 for everything</option>
+                </select>
+                <span className="form-helper">Items without a barcode print their SKU as Code 128</span>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Search</label>
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Name, SKU or barcode"
+              />
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn-secondary" onClick={handleCopiesFromStock}>
+                Copies = Stock{search ? ' (filtered)' : ''}
+              </button>
+              <button type="button" className="btn-secondary" onClick={handleClear}>
+                Clear
+              </button>
+              <button type="button" className="btn-primary" onClick={() => window.print()} disabled={totalLabels === 0}>
+                🖨️ Print Labels
+              </button>
+            </div>
+          </div>
+
+          <div className="users-table-container">
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Size / Colour</th>
+                  <th>SKU</th>
+                  <th>Barcode</th>
+                  <th>MRP</th>
+                  <th>Stock</th>
+                  <th>Copies</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleItems.map(item => (
+                  <tr key={item.key}>
+                    <td>{item.name}</td>
+                    <td>{item.variantLabel || '-'}</td>
+                    <td>{item.sku}</td>
+                    <td>{item.barcode}</td>
+                    <td>{formatCurrency(item.mrp)}</td>
+                    <td>{item.stockQty}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        value={copies[item.key] || 0}
+                        onChange={(e) => handleCopiesChange(item.key, e.target.value)}
+                        className="label-copies-input"
+                      />
+                    </td>
+                  </tr>
+                ))}
+                {visibleItems.length === 0 && (
+                  <tr>
+                    <td colSpan="7">No products match.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Label sheets (preview on screen, the only thing printed) */}
+        <div className="label-sheets">
+          {sheets.map((sheet, sheetIndex) => (
+            <div
+              key={sheetIndex}
+              className="label-sheet"
+              style={{
+                gridTemplateColumns: `repeat(${layout.columns}, ${layout.labelWidth}mm)`,
+                gridAutoRows: `${layout.labelHeight}mm`
+              }}
+            >
+              {sheet.map(label => (
+                <div key={label.copyKey} className="label-cell">
+                  <div className="label-name">{label.name}</div>
+                  <div className="label-meta">
+                    <span>{label.variantLabel}</span>
+                    <span className="label-mrp">MRP {formatCurrency(label.mrp)}</span>
+                  </div>
+                  <Barcode
+                    value={label.barcode}
+                    type={symbology === SYMBOLOGY_AUTO ? undefined : symbology}
+                    className="label-barcode"
+                  />
+                  {label.barcode !== label.sku && <div className="label-sku">{label.sku}</div>}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BarcodeLabels;
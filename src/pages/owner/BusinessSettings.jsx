@@ -0,0 +1,464 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import { getBusinessInfo } from '../../services/billingService';
+import { saveBusinessProfile, validateBusinessProfile } from '../../services/settingsService';
+import {
+  getNumberingConfig,
+  saveNumberingConfig,
+  validateNumberingConfig,
+  formatInvoiceNumber,
+  getFinancialYear,
+  INVOICE_SERIES
+} from '../../services/invoiceNumberService';
+import { getPrinterSettings, savePrinterSettings } from '../../services/printerService';
+import { PAPER_WIDTHS } from '../../utils/escposUtils';
+import { GST_STATES } from '../../constants/gstStates';
+import '../../styles/OwnerUsers.css';
+
+const SERIES_LABELS = {
+  [INVOICE_SERIES.STORE]: 'Store sales',
+  [INVOICE_SERIES.EXHIBITION]: 'Exhibition sales',
+  [INVOICE_SERIES.PREBOOKING]: 'Pre-bookings',
+  [INVOICE_SERIES.CREDIT_NOTE]: 'Credit notes'
+};
+
+const BusinessSettings = () => {
+  const { user, logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [profile, setProfile] = useState(() => {
+    const info = getBusinessInfo();
+    return { ...info, gstin: info.gstin === 'GSTIN_PLACEHOLDER' ? '' : info.gstin };
+  });
+  const [numbering, setNumbering] = useState(null);
+  const [printer, setPrinter] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+  const [isSavingNumbering, setIsSavingNumbering] = useState(false);
+  const [isSavingPrinter, setIsSavingPrinter] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const [numberingConfig, printerSettings] = await Promise.all([
+          getNumberingConfig(),
+          getPrinterSettings()
+        ]);
+        setNumbering(numberingConfig);
+        setPrinter(printerSettings);
+      } catch (err) {
+        setError('Failed to load settings: ' + err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const setBankField = (field, value) => {
+    setProfile({ ...profile, bankDetails: { ...profile.bankDetails, [field]: value } });
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const validation = validateBusinessProfile(profile);
+    if (!validation.valid) {
+      setError(validation.errors.join(', '));
+      return;
+    }
+
+    try {
+      setIsSavingProfile(true);
+      setProfile(await saveBusinessProfile(profile, user.uid));
+      setSuccess('Business profile saved. New bills will use these details.');
+    } catch (err) {
+      setError('Failed to save business profile: ' + err.message);
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
+  const handleSaveNumbering = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setIsSavingNumbering(true);
+      setNumbering(await saveNumberingConfig(numbering));
+      setSuccess('Invoice numbering saved. Counters continue from the last number issued.');
+    } catch (err) {
+      setError('Failed to save invoice numbering: ' + err.message);
+    } finally {
+      setIsSavingNumbering(false);
+    }
+  };
+
+  const handleSavePrinter = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setIsSavingPrinter(true);
+      setPrinter(await savePrinterSettings(printer));
+      setSuccess('Printer settings saved.');
+    } catch (err) {
+      setError('Failed to save printer settings: ' + err.message);
+    } finally {
+      setIsSavingPrinter(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="owner-users">
+        <div className="owner-users-loading">Loading settings...</div>
+      </div>
+    );
+  }
+
+  const numberingValidation = numbering ? validateNumberingConfig(numbering) : { valid: true, errors: [] };
+  const financialYearLabel = getFinancialYear().label;
+
+  return (
+    <div className="owner-users">
+      {/* Header */}
+      <nav className="owner-users-nav">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Business Settings</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.OWNER_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success">
+            {success}
+          </div>
+        )}
+
+        {/* Business Profile */}
+        <div className="owner-users-section">
+          <div className="section-header">
+            <h2>Business Profile</h2>
+          </div>
+
+          <form onSubmit={handleSaveProfile} className="create-user-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Business (Trade) Name *</label>
+                <input
+                  type="text"
+                  value={profile.businessName}
+                  onChange={(e) => setProfile({ ...profile, businessName: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Legal Name *</label>
+                <input
+                  type="text"
+                  value={profile.legalName}
+                  onChange={(e) => setProfile({ ...profile, legalName: e.target.value })}
+                  placeholder="As on GST registration"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>GSTIN *</label>
+                <input
+                  type="text"
+                  value={profile.gstin}
+                  onChange={(e) => setProfile({ ...profile, gstin: e.target.value.toUpperCase().replace(/[^0-9A-Z]/g, '').slice(0, 15) })}
+                  placeholder="15-character GSTIN"
+                  maxLength={15}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>State *</label>
+                <select
+                  value={profile.stateCode}
+                  onChange={(e) => setProfile({ ...profile, stateCode: e.target.value })}
+                  required
+                >
+                  {Object.entries(GST_STATES).map(([code, name]) => (
+                    <option key={code} value={code}>{code} - {name}</option>
+                  ))}
+                </select>
+                <span className="form-helper">Decides CGST+SGST vs IGST on every sale</span>
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Store Address *</label>
+                <textarea
+                  rows={2}
+                  value={profile.storeAddress}
+                  onChange={(e) => setProfile({ ...profile, storeAddress: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Registered Address</label>
+                <textarea
+                  rows={2}
+                  value={profile.registeredAddress}
+                  onChange={(e) => setProfile({ ...profile, registeredAddress: e.target.value })}
+                  placeholder="Leave blank if same as store"
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Phone</label>
+                <input
+                  type="tel"
+                  value={profile.phone}
+                  onChange={(e) => setProfile({ ...profile, phone: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  value={profile.email}
+                  onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Logo URL</label>
+              <input
+                type="text"
+                value={profile.logoUrl}
+                onChange={(e) => setProfile({ ...profile, logoUrl: e.target.value })}
+                placeholder="https://... or /logo.png"
+              />
+              {profile.logoUrl && (
+                <img src={profile.logoUrl} alt="Logo preview" style={{ maxHeight: '60px', alignSelf: 'flex-start' }} />
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Invoice Footer Terms</label>
+              <textarea
+                rows={3}
+                value={profile.invoiceTerms}
+                onChange={(e) => setProfile({ ...profile, invoiceTerms: e.target.value })}
+                placeholder="e.g. Goods once sold can be exchanged within 7 days with the bill."
+              />
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Bank Account Name</label>
+                <input
+                  type="text"
+                  value={profile.bankDetails.accountName}
+                  onChange={(e) => setBankField('accountName', e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label>Account Number</label>
+                <input
+                  type="text"
+                  value={profile.bankDetails.accountNumber}
+                  onChange={(e) => setBankField('accountNumber', e.target.value.replace(/\D/g, ''))}
+                  inputMode="numeric"
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>IFSC</label>
+                <input
+                  type="text"
+                  value={profile.bankDetails.ifsc}
+                  onChange={(e) => setBankField('ifsc', e.target.value.toUpperCase())}
+                  maxLength={11}
+                />
+              </div>
+              <div className="form-group">
+                <label>Bank & Branch</label>
+                <input
+                  type="text"
+                  value={profile.bankDetails.bankName}
+                  onChange={(e) => setBankField('bankName', e.target.value)}
+                  placeholder="Bank name"
+                />
+                <input
+                  type="text"
+                  value={profile.bankDetails.branch}
+                  onChange={(e) => setBankField('branch', e.target.value)}
+                  placeholder="Branch"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>UPI ID</label>
+              <input
+                type="text"
+                value={profile.upiId}
+                onChange={(e) => setProfile({ ...profile, upiId: e.target.value.trim() })}
+                placeholder="business@bank"
+              />
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn-primary" disabled={isSavingProfile}>
+                {isSavingProfile ? 'Saving...' : 'Save Business Profile'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Invoice Numbering */}
+        {numbering && (
+          <div className="owner-users-section">
+            <div className="section-header">
+              <h2>Invoice Numbering</h2>
+            </div>
+
+            <form onSubmit={handleSaveNumbering} className="create-user-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Format *</label>
+                  <input
+                    type="text"
+                    value={numbering.format}
+                    onChange={(e) => setNumbering({ ...numbering, format: e.target.value })}
+                    required
+                  />
+                  <span className="form-helper">Tokens: {'{PREFIX}'}, {'{FY}'}, {'{SEQ}'}</span>
+                </div>
+                <div className="form-group">
+                  <label>Sequence Digits *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="8"
+                    value={numbering.padding}
+                    onChange={(e) => setNumbering({ ...numbering, padding: parseInt(e.target.value) || 0 })}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                {Object.values(INVOICE_SERIES).map(series => (
+                  <div className="form-group" key={series}>
+                    <label>{SERIES_LABELS[series]} prefix *</label>
+                    <input
+                      type="text"
+                      value={numbering.prefixes[series] || ''}
+                      onChange={(e) => setNumbering({
+                        ...numbering,
+                        prefixes: { ...numbering.prefixes, [series]: e.target.value.toUpperCase() }
+                      })}
+                      required
+                    />
+                    <span className="form-helper">
+                      Sample: {formatInvoiceNumber(numbering, series, financialYearLabel, 1)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              {!numberingValidation.valid && (
+                <div className="alert alert-error">
+                  {numberingValidation.errors.join(', ')}
+                </div>
+              )}
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={isSavingNumbering || !numberingValidation.valid}>
+                  {isSavingNumbering ? 'Saving...' : 'Save Invoice Numbering'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Receipt Printer */}
+        {printer && (
+          <div className="owner-users-section">
+            <div className="section-header">
+              <h2>Receipt Printer</h2>
+            </div>
+
+            <form onSubmit={handleSavePrinter} className="create-user-form">
+              <div className="form-group">
+                <label>Paper Width *</label>
+                <select
+                  value={printer.paperWidth}
+                  onChange={(e) => setPrinter({ ...printer, paperWidth: Number(e.target.value) })}
+                  required
+                >
+                  <option value={PAPER_WIDTHS.MM_58}>58mm (2 inch)</option>
+                  <option value={PAPER_WIDTHS.MM_80}>80mm (3 inch)</option>
+                </select>
+                <span className="form-helper">
+                  Used by "Thermal Printer" on bills. Printers connect over USB or serial in Chrome/Edge; other browsers download a .bin file.
+                </span>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={isSavingPrinter}>
+                  {isSavingPrinter ? 'Saving...' : 'Save Printer Settings'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BusinessSettings;
@@ -0,0 +1,330 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import { getAllProducts } from '../../services/productService';
+import { getAllLocations } from '../../services/locationService';
+import {
+  getAllTransfers,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  getInTransitQuantities,
+  TRANSFER_STATUS,
+  TRANSFER_STATUS_LABELS
+} from '../../services/stockTransferService';
+import { getStockLineKey } from '../../services/stockMovementService';
+import { getLocationStock } from '../../utils/locationUtils';
+import { getVariantLabel } from '../../utils/variantUtils';
+import LocationManager from '../../components/locations/LocationManager';
+import StockTransferForm from '../../components/locations/StockTransferForm';
+import '../../styles/OwnerUsers.css';
+
+const STATUS_BADGES = {
+  [TRANSFER_STATUS.IN_TRANSIT]: 'badge-active',
+  [TRANSFER_STATUS.RECEIVED]: 'badge-active',
+  [TRANSFER_STATUS.CANCELLED]: 'badge-inactive'
+};
+
+/**
+ * Stock lines of a product (one per variant, or one for the style)
+ * @param {Object} product - Product
+ * @returns {Array} { key, label, sku, line } where line holds stockQty/locationStock
+ */
+const getStockLines = (product) => {
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  if (variants.length === 0) {
+    return [{ key: getStockLineKey(product.id, null), label: product.name, sku: product.sku, line: product }];
+  }
+
+  return variants.map(variant => ({
+    key: getStockLineKey(product.id, variant.id),
+    label: `${product.name} (${getVariantLabel(variant)})`,
+    sku: variant.sku,
+    line: variant
+  }));
+};
+
+const Locations = () => {
+  const { user, userProfile, logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [locations, setLocations] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showTransferForm, setShowTransferForm] = useState(false);
+  const [statusFilter, setStatusFilter] = useState(TRANSFER_STATUS.IN_TRANSIT);
+  const [stockSearch, setStockSearch] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [allLocations, allTransfers, allProducts] = await Promise.all([
+        getAllLocations(),
+        getAllTransfers(),
+        getAllProducts()
+      ]);
+      setLocations(allLocations);
+      setTransfers(allTransfers);
+      setProducts(allProducts.filter(product => product.isActive));
+    } catch (err) {
+      setError('Failed to load locations: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const getCurrentUser = () => ({
+    userId: user.uid,
+    userName: userProfile?.name || user.email
+  });
+
+  const handleLocationsSaved = async (message) => {
+    setSuccess(message);
+    setLocations(await getAllLocations());
+  };
+
+  const handleCreateTransfer = async (transferData) => {
+    const { transferNumber } = await createTransfer(transferData, getCurrentUser());
+    setShowTransferForm(false);
+    setSuccess(`Transfer ${transferNumber} dispatched to ${transferData.toLocationName}`);
+    await loadData();
+  };
+
+  const handleCloseTransfer = async (transfer, action) => {
+    const isCancel = action === cancelTransfer;
+    if (isCancel && !window.confirm(`Cancel transfer ${transfer.transferNumber} and return the stock to ${transfer.fromLocationName}?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await action(transfer.id, getCurrentUser());
+      setSuccess(isCancel
+        ? `Transfer ${transfer.transferNumber} cancelled, stock back at ${transfer.fromLocationName}`
+        : `Transfer ${transfer.transferNumber} received at ${transfer.toLocationName}`);
+      await loadData();
+    } catch (err) {
+      setError('Failed to update transfer: ' + err.message);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  const visibleTransfers = transfers.filter(transfer => !statusFilter || transfer.status === statusFilter);
+  const inTransit = getInTransitQuantities(transfers);
+
+  const searchTerm = stockSearch.trim().toLowerCase();
+  const stockLines = products
+    .flatMap(getStockLines)
+    .filter(stockLine => !searchTerm
+      || stockLine.label.toLowerCase().includes(searchTerm)
+      || (stockLine.sku || '').toLowerCase().includes(searchTerm));
+
+  if (loading) {
+    return (
+      <div className="owner-users">
+        <div className="owner-users-loading">Loading locations...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-users">
+      {/* Header */}
+      <nav className="owner-users-nav">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Locations & Transfers</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.OWNER_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success">
+            {success}
+          </div>
+        )}
+
+        {showTransferForm ? (
+          <StockTransferForm
+            locations={locations}
+            products={products}
+            onSubmit={handleCreateTransfer}
+            onCancel={() => setShowTransferForm(false)}
+          />
+        ) : (
+          <div className="owner-users-section">
+            <div className="section-header">
+              <h2>Stock Transfers ({visibleTransfers.length})</h2>
+              <button
+                onClick={() => setShowTransferForm(true)}
+                className="btn-primary"
+                disabled={locations.filter(location => location.isActive).length < 2}
+              >
+                + New Transfer
+              </button>
+            </div>
+
+            <div className="form-group" style={{ maxWidth: '260px' }}>
+              <label>Status</label>
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                <option value="">All</option>
+                {Object.entries(TRANSFER_STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="users-table-container">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Transfer</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Items</th>
+                    <th>Dispatched</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleTransfers.map(transfer => (
+                    <tr key={transfer.id}>
+                      <td>
+                        {transfer.transferNumber}
+                        {transfer.notes && <div className="form-helper">{transfer.notes}</div>}
+                      </td>
+                      <td>{transfer.fromLocationName}</td>
+                      <td>{transfer.toLocationName}</td>
+                      <td>
+                        {transfer.totalQty} pcs
+                        <div className="form-helper">
+                          {transfer.items.map(item => `${item.productName}${item.variantLabel ? ` (${item.variantLabel})` : ''} × ${item.quantity}`).join(', ')}
+                        </div>
+                      </td>
+                      <td>
+                        {transfer.createdAt?.toDate ? transfer.createdAt.toDate().toLocaleDateString('en-IN') : '-'}
+                        <div className="form-helper">{transfer.createdByName}</div>
+                      </td>
+                      <td>
+                        <span className={`badge ${STATUS_BADGES[transfer.status]}`}>
+                          {TRANSFER_STATUS_LABELS[transfer.status]}
+                        </span>
+                        {transfer.closedByName && <div className="form-helper">{transfer.closedByName}</div>}
+                      </td>
+                      <td>
+                        {transfer.status === TRANSFER_STATUS.IN_TRANSIT && (
+                          <>
+                            <button onClick={() => handleCloseTransfer(transfer, receiveTransfer)} className="btn-action btn-enable">
+                              Receive
+                            </button>
+                            <button onClick={() => handleCloseTransfer(transfer, cancelTransfer)} className="btn-action btn-disable">
+                              Cancel
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                  {visibleTransfers.length === 0 && (
+                    <tr>
+                      <td colSpan="7">No transfers.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Stock by location */}
+        <div className="owner-users-section">
+          <div className="section-header">
+            <h2>Stock by Location</h2>
+          </div>
+
+          <div className="form-group" style={{ maxWidth: '360px' }}>
+            <input
+              type="text"
+              value={stockSearch}
+              onChange={(e) => setStockSearch(e.target.value)}
+              placeholder="Search by name or SKU..."
+            />
+          </div>
+
+          <div className="users-table-container">
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>SKU</th>
+                  {locations.map(location => (
+                    <th key={location.id}>{location.code || location.name}</th>
+                  ))}
+                  <th>In Transit</th>
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stockLines.map(stockLine => (
+                  <tr key={stockLine.key}>
+                    <td>{stockLine.label}</td>
+                    <td>{stockLine.sku}</td>
+                    {locations.map(location => (
+                      <td key={location.id}>{getLocationStock(stockLine.line, location.id)}</td>
+                    ))}
+                    <td>{inTransit[stockLine.key] || 0}</td>
+                    <td>{(stockLine.line.stockQty || 0) + (inTransit[stockLine.key] || 0)}</td>
+                  </tr>
+                ))}
+                {stockLines.length === 0 && (
+                  <tr>
+                    <td colSpan={locations.length + 4}>No products.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <LocationManager locations={locations} onSaved={handleLocationsSaved} />
+      </div>
+    </div>
+  );
+};
+
+export default Locations;
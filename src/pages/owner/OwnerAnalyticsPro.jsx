@@ -21,16 +21,24 @@ const OwnerAnalyticsPro = () => {
     endDate: '',
     orderType: 'all',
     category: 'all',
-    employee: 'all'
+    employee: 'all',
+    location: 'all'
   });
 
+  // Style selected for the size/colour drill-down
+  const [variantStyleId, setVariantStyleId] = useState('');
+  const [variantGroupBy, setVariantGroupBy] = useState('size');
+
+  // Rank top products by revenue or by gross margin
+  const [productRanking, setProductRanking] = useState('revenue');
+
   const [mapData, setMapData] = useState({
     exhibitions: [],
     orders: [],
     loading: true
   });
 
-  const { analytics, loading, error, employees, categories } = useOwnerAnalyticsPro(filters);
+  const { analytics, loading, error, employees, categories, locations } = useOwnerAnalyticsPro(filters);
 
   // Load exhibitions and orders for the map
   useEffect(() => {
@@ -84,6 +92,10 @@ const OwnerAnalyticsPro = () => {
     return `₹${Math.round(amount).toLocaleString('en-IN')}`;
   };
 
+  const formatMarginPercent = (value) => {
+    return value === null ? '—' : `${value.toFixed(1)}%`;
+  };
+
   const formatPercent = (value) => {
     if (value === 0 || isNaN(value) || !isFinite(value)) {
       return '0.0%';
@@ -102,6 +114,8 @@ const OwnerAnalyticsPro = () => {
     periodComparison: analytics.periodComparison
   });
 
+  const rankedProducts = (productRanking === 'margin' ? analytics.topProductsByMargin : analytics.topProducts) || [];
+
   // Chart colors
   const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
 
@@ -185,6 +199,7 @@ const OwnerAnalyticsPro = () => {
             const isMoneyValue = typeof name === 'string' &&
               (name.toLowerCase().includes('revenue') ||
                 name.toLowerCase().includes('value') ||
+                name.toLowerCase().includes('margin') ||
                 name.toLowerCase().includes('avg'));
 
             return (
@@ -290,6 +305,18 @@ const OwnerAnalyticsPro = () => {
               ))}
             </select>
           </div>
+
+          {locations.length > 1 && (
+            <div className="filter-item">
+              <label>Location</label>
+              <select value={filters.location} onChange={(e) => handleFilterChange('location', e.target.value)}>
+                <option value="all">All Locations</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
       </div>
 
@@ -303,7 +330,11 @@ const OwnerAnalyticsPro = () => {
             </span>
           </div>
           <div className="metric-value">{formatCurrency(analytics.totalRevenue || 0)}</div>
-          <div className="metric-footer">vs previous period</div>
+          <div className="metric-footer">
+            {analytics.totalReturns > 0
+              ? `net of ${formatCurrency(analytics.totalReturns)} returns`
+              : 'vs previous period'}
+          </div>
         </div>
 
         <div className="metric-card">
@@ -338,6 +369,20 @@ const OwnerAnalyticsPro = () => {
           <div className="metric-value">{analytics.totalItemsSold || 0}</div>
           <div className="metric-footer">total units</div>
         </div>
+
+        <div className="metric-card">
+          <div className="metric-header">
+            <span className="metric-label">Gross Margin</span>
+            <span className={`metric-trend ${analytics.marginGrowth >= 0 ? 'positive' : 'negative'}`}>
+              {formatPercent(analytics.marginGrowth)}
+            </span>
+          </div>
+          <div className="metric-value">{formatCurrency(analytics.marginSummary?.grossMargin || 0)}</div>
+          <div className="metric-footer">
+            {formatMarginPercent(analytics.marginSummary ? analytics.marginSummary.marginPercent : null)} margin
+            {' · '}cost known for {Math.round(analytics.marginSummary?.costCoverage || 0)}% of sales
+          </div>
+        </div>
       </div>
 
       {/* Show message if no data */}
@@ -606,16 +651,26 @@ const OwnerAnalyticsPro = () => {
         {/* Top Products Performance */}
         <div className="chart-card">
           <div className="chart-header">
-            <div>
-              <h3>Top Performing Products</h3>
-              <p className="chart-subtitle">Revenue by product</p>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '12px' }}>
+              <div>
+                <h3>Top Performing Products</h3>
+                <p className="chart-subtitle">
+                  {productRanking === 'margin' ? 'Gross margin by product (excl. GST)' : 'Revenue by product'}
+                </p>
+              </div>
+              <div className="filter-item">
+                <select value={productRanking} onChange={(e) => setProductRanking(e.target.value)}>
+                  <option value="revenue">By revenue</option>
+                  <option value="margin">By margin</option>
+                </select>
+              </div>
             </div>
           </div>
           <div className="chart-body">
-            {analytics.topProducts && analytics.topProducts.length > 0 ? (
+            {rankedProducts.length > 0 ? (
               <ResponsiveContainer width="100%" height={350}>
                 <BarChart
-                  data={analytics.topProducts.slice(0, 8)}
+                  data={rankedProducts.slice(0, 8)}
                   layout="vertical"
                   margin={{ top: 5, right: 30, left: 100, bottom: 5 }}
                 >
@@ -639,13 +694,14 @@ const OwnerAnalyticsPro = () => {
                   />
                   <Tooltip content={<CustomTooltip />} />
                   <Bar
-                    dataKey="revenue"
+                    dataKey={productRanking === 'margin' ? 'grossMargin' : 'revenue'}
+                    name={productRanking === 'margin' ? 'Gross Margin' : 'Revenue'}
                     fill="#2563eb"
                     radius={[0, 4, 4, 0]}
                     animationDuration={1500}
                     barSize={20}
                   >
-                    {analytics.topProducts.slice(0, 8).map((entry, index) => (
+                    {rankedProducts.slice(0, 8).map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
                     ))}
                   </Bar>
@@ -657,6 +713,61 @@ const OwnerAnalyticsPro = () => {
           </div>
         </div>
 
+        {/* Size / Colour Drill-down */}
+        {(() => {
+          const stylesWithVariants = (analytics.topProducts || []).filter(p => p.variants && p.variants.length > 0);
+          if (stylesWithVariants.length === 0) return null;
+
+          const selectedStyle = stylesWithVariants.find(p => p.id === variantStyleId) || stylesWithVariants[0];
+          const rows = variantGroupBy === 'size'
+            ? selectedStyle.sizes
+            : variantGroupBy === 'colour'
+              ? selectedStyle.colours
+              : selectedStyle.variants.map(v => ({ name: v.label, quantity: v.quantity, revenue: v.revenue }));
+
+          return (
+            <div className="chart-card">
+              <div className="chart-header">
+                <div>
+                  <h3>Size & Colour Breakdown</h3>
+                  <p className="chart-subtitle">
+                    {selectedStyle.name}: {selectedStyle.quantity} units · ₹{selectedStyle.revenue.toLocaleString('en-IN', { maximumFractionDigits: 0 })}
+                  </p>
+                </div>
+              </div>
+              <div className="chart-body">
+                <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
+                  <div className="filter-item" style={{ flex: 2 }}>
+                    <label>Style</label>
+                    <select value={selectedStyle.id} onChange={(e) => setVariantStyleId(e.target.value)}>
+                      {stylesWithVariants.map(p => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="filter-item" style={{ flex: 1 }}>
+                    <label>Group by</label>
+                    <select value={variantGroupBy} onChange={(e) => setVariantGroupBy(e.target.value)}>
+                      <option value="size">Size</option>
+                      <option value="colour">Colour</option>
+                      <option value="variant">Size & colour</option>
+                    </select>
+                  </div>
+                </div>
+                <ResponsiveContainer width="100%" height={Math.max(180, rows.length * 36)}>
+                  <BarChart data={rows} layout="vertical" margin={{ top: 5, right: 30, left: 60, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" horizontal={false} />
+                    <XAxis type="number" stroke="#9ca3af" style={{ fontSize: '12px' }} tickLine={false} allowDecimals={false} />
+                    <YAxis type="category" dataKey="name" stroke="#9ca3af" style={{ fontSize: '12px' }} width={90} tickLine={false} />
+                    <Tooltip />
+                    <Bar dataKey="quantity" name="Units sold" fill="#2563eb" radius={[0, 4, 4, 0]} barSize={16} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          );
+        })()}
+
         {/* Category Revenue Distribution */}
         <div className="chart-card">
           <div className="chart-header">
@@ -950,6 +1061,37 @@ const OwnerAnalyticsPro = () => {
           </div>
         </div>
 
+        {/* Gross Margin Breakdown */}
+        <div className="chart-card chart-wide">
+          <div className="chart-header">
+            <div>
+              <h3>Gross Margin Breakdown</h3>
+              <p className="chart-subtitle">
+                Revenue excl. GST less cost of goods sold · lines without a cost price are left out of margin %
+              </p>
+            </div>
+          </div>
+          <div className="chart-body">
+            {analytics.marginSummary && analytics.marginSummary.revenue > 0 ? (
+              <div className="margin-tables">
+                <MarginTable title="By Category" rows={analytics.marginByCategory} formatCurrency={formatCurrency} formatMarginPercent={formatMarginPercent} />
+                <MarginTable title="By Exhibition" rows={analytics.marginByExhibition} formatCurrency={formatCurrency} formatMarginPercent={formatMarginPercent} />
+                <MarginTable title="By Employee" rows={analytics.marginByEmployee} formatCurrency={formatCurrency} formatMarginPercent={formatMarginPercent} />
+                {locations.length > 1 && (
+                  <MarginTable title="By Location" rows={analytics.marginByLocation} formatCurrency={formatCurrency} formatMarginPercent={formatMarginPercent} />
+                )}
+              </div>
+            ) : (
+              <div className="chart-empty">No margin data</div>
+            )}
+            {analytics.marginSummary && analytics.marginSummary.estimatedLines > 0 && (
+              <p className="chart-subtitle" style={{ marginTop: '16px' }}>
+                {analytics.marginSummary.estimatedLines} older sale line(s) use the product's current cost price.
+              </p>
+            )}
+          </div>
+        </div>
+
         {/* Average Order Value Trend */}
         <div className="chart-card chart-wide">
           <div className="chart-header">
@@ -1052,6 +1194,37 @@ const OwnerAnalyticsPro = () => {
   );
 };
 
+// Gross margin table for one breakdown (category, exhibition, employee)
+const MarginTable = ({ title, rows, formatCurrency, formatMarginPercent }) => (
+  <div className="margin-table">
+    <h4>{title}</h4>
+    {rows && rows.length > 0 ? (
+      <table>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Revenue</th>
+            <th>Margin</th>
+            <th>Margin %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <td>{row.name}</td>
+              <td>{formatCurrency(row.revenue)}</td>
+              <td>{formatCurrency(row.grossMargin)}</td>
+              <td>{formatMarginPercent(row.marginPercent)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="chart-subtitle">No sales</p>
+    )}
+  </div>
+);
+
 // Exhibitions Timeline Component
 const ExhibitionsTimeline = () => {
   const [exhibitions, setExhibitions] = useState([]);
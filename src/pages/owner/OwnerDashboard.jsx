@@ -2,16 +2,30 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useView } from '../../contexts/ViewContext';
 import { useAutoConvertPreBookings } from '../../hooks/useAutoConvertPreBookings';
-import { getAllUsers, updateUser } from '../../services/authService';
-import { getAllProducts, createProduct, updateProduct, toggleProductActive, deductStockBatch, deleteProduct } from '../../services/productService';
+import { getAllUsers } from '../../services/authService';
+import { getAllProducts, createProduct, updateProduct, toggleProductActive, deleteProduct } from '../../services/productService';
 import { seedProducts } from '../../utils/seedProducts';
 import { fixOwnerActive } from '../../utils/fixOwnerActive';
-import { getAllExhibitions } from '../../services/exhibitionService';
+import { getAllExhibitions, hasAllocation } from '../../services/exhibitionService';
+import { getAllLocations, findLocation } from '../../services/locationService';
+import { getLocationProducts } from '../../utils/locationUtils';
+import { PRIMARY_LOCATION_ID } from '../../constants/locations';
 import { getAllOrders } from '../../services/orderService';
-import { getBillById } from '../../services/billStorageService';
-import { generateBill } from '../../services/billingService';
-import { calculateOrder } from '../../services/orderCalculationService';
+import { generateBill, getBusinessInfo } from '../../services/billingService';
+import { calculateOrder, getSupplyType, SUPPLY_TYPES } from '../../services/orderCalculationService';
+import { GST_STATES, getStateName } from '../../constants/gstStates';
+import { APPAREL_HSN_CODES } from '../../constants/hsnCodes';
 import BillPreview from '../../components/billing/BillPreview';
+import BulkBillDownload from '../../components/billing/BulkBillDownload';
+import HSNSummaryReport from '../../components/reports/HSNSummaryReport';
+import VariantMatrixEditor from '../../components/common/VariantMatrixEditor';
+import { generateInStoreEAN13 } from '../../utils/barcodeUtils';
+import { getVariantStockTotal } from '../../utils/variantUtils';
+import GSTReturnsReport from '../../components/reports/GSTReturnsReport';
+import StockMovementHistory from '../../components/reports/StockMovementHistory';
+import StockReconciliationReport from '../../components/reports/StockReconciliationReport';
+import ExhibitionAllocationEditor from '../../components/exhibitions/ExhibitionAllocationEditor';
+import ExhibitionReconciliation from '../../components/exhibitions/ExhibitionReconciliation';
 import {
   exportProducts,
   importProductsFromExcel,
@@ -44,28 +58,41 @@ const OwnerDashboard = () => {
   const [productForm, setProductForm] = useState({
     name: '',
     sku: '',
+    barcode: '',
     category: 'men',
     subcategory: '',
     basePrice: '',
     gstRate: 12,
+    hsnCode: '',
     isTaxInclusive: false,
     isOnSale: false,
     salePrice: '',
     stockQty: '',
     lowStockThreshold: 10,
-    isActive: true
+    costPrice: '',
+    isActive: true,
+    variants: []
   });
 
   // Edit product state
   const [editingProduct, setEditingProduct] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
 
+  // Product whose stock ledger is open
+  const [historyProduct, setHistoryProduct] = useState(null);
+
   // Exhibition form state
   const [exhibitionForm, setExhibitionForm] = useState({
     location: '',
-    startTime: ''
+    stateCode: getBusinessInfo().stateCode,
+    startTime: '',
+    stockLocationId: PRIMARY_LOCATION_ID,
+    allocation: []
   });
   const [showExhibitionForm, setShowExhibitionForm] = useState(false);
+  const [locations, setLocations] = useState([]);
+  // Exhibition whose end-of-show stock sheet is open
+  const [sheetExhibition, setSheetExhibition] = useState(null);
 
   // SKU Auto-generation state
   const [isSkuManuallyEdited, setIsSkuManuallyEdited] = useState(false);
@@ -500,11 +527,16 @@ const OwnerDashboard = () => {
         });
         setProductMap(map);
       } else if (activeTab === 'exhibitions') {
-        const [exhibitionsData, usersData] = await Promise.all([
+        const [exhibitionsData, usersData, productsData, locationsData] = await Promise.all([
           getAllExhibitions(),
-          getAllUsers()
+          getAllUsers(),
+          getAllProducts(),
+          getAllLocations()
         ]);
         setExhibitions(exhibitionsData);
+        // Products and locations for the stock issued to a new exhibition
+        setProducts(productsData);
+        setLocations(locationsData);
         // Build user map for employee name resolution
         const uMap = {};
         usersData.forEach(u => {
@@ -580,54 +612,6 @@ const OwnerDashboard = () => {
     }
   };
 
-  // Handle user role change
-  const handleRoleChange = async (userId, newRole) => {
-    // Prevent owner from demoting themselves
-    if (userId === user.uid && newRole === 'employee') {
-      setError('You cannot demote yourself');
-      return;
-    }
-
-    if (!window.confirm(`Are you sure you want to change this user's role to ${newRole}?`)) {
-      return;
-    }
-
-    try {
-      setError('');
-      setSuccess('');
-
-      await updateUser(userId, { role: newRole });
-      setSuccess('User role updated successfully');
-      await loadData();
-    } catch (err) {
-      setError('Failed to update role: ' + err.message);
-    }
-  };
-
-  // Handle user active status toggle
-  const handleToggleActive = async (userId, currentStatus) => {
-    // Prevent owner from disabling themselves
-    if (userId === user.uid && currentStatus === true) {
-      setError('You cannot disable yourself');
-      return;
-    }
-
-    if (!window.confirm(`Are you sure you want to ${currentStatus ? 'disable' : 'enable'} this user?`)) {
-      return;
-    }
-
-    try {
-      setError('');
-      setSuccess('');
-
-      await updateUser(userId, { isActive: !currentStatus });
-      setSuccess(`User ${!currentStatus ? 'enabled' : 'disabled'} successfully`);
-      await loadData();
-    } catch (err) {
-      setError('Failed to update user status: ' + err.message);
-    }
-  };
-
   // Handle create exhibition
   const handleCreateExhibition = async (e) => {
     e.preventDefault();
@@ -636,20 +620,32 @@ const OwnerDashboard = () => {
       setError('');
       setSuccess('');
       
-      if (!exhibitionForm.location || !exhibitionForm.startTime) {
+      if (!exhibitionForm.location || !exhibitionForm.stateCode || !exhibitionForm.startTime) {
         setError('Please fill in all exhibition fields');
         return;
       }
       
+      if (exhibitionForm.allocation.some(item => !item.quantity || item.quantity < 1)) {
+        setError('Enter a quantity for every item to take to the exhibition');
+        return;
+      }
+      
       const { startExhibition } = await import('../../services/exhibitionService');
       await startExhibition({
         location: exhibitionForm.location,
+        stateCode: exhibitionForm.stateCode,
         startTime: exhibitionForm.startTime,
-        createdBy: user.uid
+        createdBy: user.uid,
+        createdByName: getLedgerUser().userName,
+        stockLocationId: exhibitionForm.stockLocationId,
+        allocation: exhibitionForm.allocation
       });
       
-      setSuccess('Exhibition created successfully!');
-      setExhibitionForm({ location: '', startTime: '' });
+      const issuedUnits = exhibitionForm.allocation.reduce((total, item) => total + item.quantity, 0);
+      setSuccess(issuedUnits > 0
+        ? `Exhibition created and ${issuedUnits} units issued from ${findLocation(locations, exhibitionForm.stockLocationId).name}!`
+        : 'Exhibition created successfully!');
+      setExhibitionForm({ location: '', stateCode: getBusinessInfo().stateCode, startTime: '', stockLocationId: PRIMARY_LOCATION_ID, allocation: [] });
       setShowExhibitionForm(false);
       await loadData();
     } catch (err) {
@@ -658,7 +654,14 @@ const OwnerDashboard = () => {
   };
 
   // Handle end exhibition
+  // Exhibitions with allocated stock are closed through the stock sheet
   const handleEndExhibition = async (exhibitionId) => {
+    const exhibition = exhibitions.find(ex => ex.id === exhibitionId);
+    if (hasAllocation(exhibition)) {
+      setSheetExhibition(exhibition);
+      return;
+    }
+
     if (!window.confirm('Are you sure you want to end this exhibition?')) {
       return;
     }
@@ -677,6 +680,25 @@ const OwnerDashboard = () => {
     }
   };
 
+  // Close an exhibition with its end-of-show count (errors are shown in the sheet)
+  const handleReconcileExhibition = async (closing) => {
+    const { endExhibition } = await import('../../services/exhibitionService');
+    const sheet = await endExhibition(sheetExhibition.id, closing, getLedgerUser());
+
+    setSheetExhibition(null);
+    setError('');
+    setSuccess(sheet.hasShrinkage
+      ? `Exhibition closed: ${sheet.totals.returnedQty} units returned to store, ${sheet.totals.missingQty} missing (shrinkage recorded)`
+      : `Exhibition closed: ${sheet.totals.returnedQty} units returned to store`);
+    await loadData();
+  };
+
+  // Who the stock ledger records for stock set from this dashboard
+  const getLedgerUser = () => ({
+    userId: user.uid,
+    userName: userProfile?.name || user.email
+  });
+
   // Handle create product
   const handleCreateProduct = async (e) => {
     e.preventDefault();
@@ -686,8 +708,9 @@ const OwnerDashboard = () => {
       setSuccess('');
 
       // Validate required fields
+      const hasVariantRows = productForm.variants.length > 0;
       if (!productForm.name || !productForm.sku || !productForm.category || !productForm.subcategory ||
-        !productForm.basePrice || !productForm.stockQty) {
+        !productForm.basePrice || (!productForm.stockQty && !hasVariantRows) || !productForm.hsnCode) {
         setError('Please fill in all required fields');
         return;
       }
@@ -702,34 +725,42 @@ const OwnerDashboard = () => {
       const productData = {
         name: productForm.name,
         sku: productForm.sku,
+        barcode: productForm.barcode,
         category: productForm.category,
         subcategory: productForm.subcategory,
         basePrice: parseFloat(productForm.basePrice),
         gstRate: parseInt(productForm.gstRate),
+        hsnCode: productForm.hsnCode,
         isTaxInclusive: productForm.isTaxInclusive,
         isOnSale: productForm.isOnSale,
         salePrice: productForm.isOnSale ? parseFloat(productForm.salePrice) : null,
-        stockQty: parseInt(productForm.stockQty),
+        stockQty: hasVariantRows ? getVariantStockTotal(productForm.variants) : parseInt(productForm.stockQty),
         lowStockThreshold: parseInt(productForm.lowStockThreshold),
+        costPrice: productForm.costPrice === '' ? null : parseFloat(productForm.costPrice),
+        variants: productForm.variants,
         isActive: productForm.isActive
       };
 
-      await createProduct(productData);
+      await createProduct(productData, getLedgerUser());
 
       setSuccess('Product created successfully');
       setProductForm({
         name: '',
         sku: '',
+        barcode: '',
         category: 'men',
         subcategory: '',
         basePrice: '',
         gstRate: 12,
+        hsnCode: '',
         isTaxInclusive: false,
         isOnSale: false,
         salePrice: '',
         stockQty: '',
         lowStockThreshold: 10,
-        isActive: true
+        costPrice: '',
+        isActive: true,
+        variants: []
       });
       setIsSkuManuallyEdited(false);
       await loadData();
@@ -762,16 +793,20 @@ const OwnerDashboard = () => {
     setProductForm({
       name: product.name,
       sku: product.sku,
+      barcode: product.barcode || '',
       category: product.category,
       subcategory: product.subcategory,
       basePrice: product.basePrice.toString(),
       gstRate: product.gstRate,
+      hsnCode: product.hsnCode || '',
       isTaxInclusive: product.isTaxInclusive,
       isOnSale: product.isOnSale,
       salePrice: product.salePrice ? product.salePrice.toString() : '',
       stockQty: product.stockQty.toString(),
       lowStockThreshold: product.lowStockThreshold,
-      isActive: product.isActive
+      costPrice: typeof product.costPrice === 'number' ? product.costPrice.toString() : '',
+      isActive: product.isActive,
+      variants: product.variants || []
     });
     setIsSkuManuallyEdited(true); // Prevent auto-gen from overwriting existing SKU
     setShowEditModal(true);
@@ -788,19 +823,23 @@ const OwnerDashboard = () => {
 
       const updates = {
         name: productForm.name,
+        barcode: productForm.barcode,
         category: productForm.category,
         subcategory: productForm.subcategory,
         basePrice: parseFloat(productForm.basePrice),
         gstRate: parseInt(productForm.gstRate),
+        hsnCode: productForm.hsnCode,
         isTaxInclusive: productForm.isTaxInclusive,
         isOnSale: productForm.isOnSale,
         salePrice: productForm.isOnSale ? parseFloat(productForm.salePrice) : null,
         stockQty: parseInt(productForm.stockQty),
         lowStockThreshold: parseInt(productForm.lowStockThreshold),
+        costPrice: productForm.costPrice === '' ? null : parseFloat(productForm.costPrice),
+        variants: productForm.variants,
         isActive: productForm.isActive
       };
 
-      await updateProduct(editingProduct.id, updates);
+      await updateProduct(editingProduct.id, updates, getLedgerUser());
 
       setSuccess('Product updated successfully!');
       setShowEditModal(false);
@@ -808,16 +847,20 @@ const OwnerDashboard = () => {
       setProductForm({
         name: '',
         sku: '',
+        barcode: '',
         category: 'men',
         subcategory: '',
         basePrice: '',
         gstRate: 12,
+        hsnCode: '',
         isTaxInclusive: false,
         isOnSale: false,
         salePrice: '',
         stockQty: '',
         lowStockThreshold: 10,
-        isActive: true
+        costPrice: '',
+        isActive: true,
+        variants: []
       });
       await loadData();
     } catch (err) {
@@ -903,7 +946,7 @@ const OwnerDashboard = () => {
 
       for (const product of importedProducts) {
         try {
-          await createProduct(product);
+          await createProduct(product, { ...getLedgerUser(), reason: 'Excel import' });
           successCount++;
         } catch (err) {
           errorCount++;
@@ -969,6 +1012,7 @@ const OwnerDashboard = () => {
             unitBasePrice: item.unitPrice,
             unitSalePrice: null,
             gstRate: product?.gstRate || 12,
+            hsnCode: item.hsnCode || product?.hsnCode || '',
             isTaxInclusive: product?.isTaxInclusive || false,
             isOnSale: false
           };
@@ -991,6 +1035,7 @@ const OwnerDashboard = () => {
           unitBasePrice: product.basePrice,
           unitSalePrice: product.isOnSale ? product.salePrice : null,
           gstRate: product.gstRate,
+          hsnCode: product.hsnCode || '',
           isTaxInclusive: product.isTaxInclusive,
           isOnSale: product.isOnSale
         }];
@@ -1005,10 +1050,15 @@ const OwnerDashboard = () => {
         exhibitionLocation = exhibitionMap[order.exhibitionId] || null;
       }
 
+      // Place of supply recorded at checkout (older orders: seller's state)
+      const placeOfSupply = order.placeOfSupply || null;
+      const isInterState = getSupplyType(getBusinessInfo().stateCode, placeOfSupply) === SUPPLY_TYPES.INTER_STATE;
+
       // Calculate order
       const orderCalculation = calculateOrder({
         items: cartItems,
-        employeeDiscount: 0
+        employeeDiscount: 0,
+        isInterState
       });
 
       // Generate bill
@@ -1019,10 +1069,14 @@ const OwnerDashboard = () => {
         employeeName: employee?.name || employee?.email || 'Unknown',
         exhibitionId: order.exhibitionId || null,
         exhibitionLocation: exhibitionLocation,
+        billNumber: order.billId || null, // Invoice number issued at checkout
+        placeOfSupply,
         customer: {
           name: order.customerName || order._resolvedCustomerName || order.customerPhone,
           phone: order.customerPhone,
-          address: order.customerAddress || ''
+          address: order.customerAddress || '',
+          businessName: order.customerBusinessName || '',
+          gstin: order.customerGSTIN || null
         }
       });
 
@@ -1136,6 +1190,24 @@ const OwnerDashboard = () => {
             <button onClick={() => navigateToView(VIEWS.OWNER_USERS)} className="btn btn-primary">
               User Management
             </button>
+            <button onClick={() => navigateToView(VIEWS.OWNER_LABELS)} className="btn btn-primary">
+              Barcode Labels
+            </button>
+            <button onClick={() => navigateToView(VIEWS.OWNER_PURCHASING)} className="btn btn-primary">
+              Purchasing
+            </button>
+            <button onClick={() => navigateToView(VIEWS.OWNER_LOCATIONS)} className="btn btn-primary">
+              Locations
+            </button>
+            <button onClick={() => navigateToView(VIEWS.OWNER_STOCK_TAKES)} className="btn btn-primary">
+              Stock Take
+            </button>
+            <button onClick={() => navigateToView(VIEWS.OWNER_RECONCILIATION)} className="btn btn-primary">
+              Reconciliation
+            </button>
+            <button onClick={() => navigateToView(VIEWS.OWNER_SETTINGS)} className="btn btn-primary">
+              Settings
+            </button>
             <button onClick={handleLogout} className="btn btn-logout">
               Logout
             </button>
@@ -1167,8 +1239,21 @@ const OwnerDashboard = () => {
         >
           Orders
         </button>
+        <button
+          className={`tab-btn ${activeTab === 'reports' ? 'active' : ''}`}
+          onClick={() => setActiveTab('reports')}
+        >
+          GST Reports
+        </button>
       </div>
 
+      {/* HSN suggestions for product forms */}
+      <datalist id="hsn-code-options">
+        {Object.entries(APPAREL_HSN_CODES).map(([code, description]) => (
+          <option key={code} value={code}>{description}</option>
+        ))}
+      </datalist>
+
       {/* Product Management Tab */}
       {activeTab === 'products' && (
         <div className="dashboard-section">
@@ -1243,6 +1328,29 @@ const OwnerDashboard = () => {
                   <small>Unique product identifier (auto-upper case). Click 🔄 to auto-generate.</small>
                 </div>
 
+                <div className="form-group">
+                  <label>Barcode</label>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <input
+                      type="text"
+                      placeholder="EAN-13 or leave empty to scan the SKU"
+                      value={productForm.barcode}
+                      onChange={(e) => setProductForm({ ...productForm, barcode: e.target.value.trim() })}
+                      style={{ flex: 1 }}
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      style={{ padding: '0 10px', fontSize: '12px' }}
+                      onClick={() => setProductForm({ ...productForm, barcode: generateInStoreEAN13()[0] })}
+                      title="Generate in-store EAN-13"
+                    >
+                      EAN
+                    </button>
+                  </div>
+                  <small>Without a barcode, labels print the SKU as Code 128.</small>
+                </div>
+
                 <div className="form-row">
                   <div className="form-group">
                     <label>Category *</label>
@@ -1296,6 +1404,19 @@ const OwnerDashboard = () => {
                       <option value="18">18%</option>
                     </select>
                   </div>
+
+                  <div className="form-group">
+                    <label>HSN Code *</label>
+                    <input
+                      type="text"
+                      list="hsn-code-options"
+                      value={productForm.hsnCode}
+                      onChange={(e) => setProductForm({ ...productForm, hsnCode: e.target.value.replace(/\D/g, '').slice(0, 8) })}
+                      placeholder="e.g., 6109"
+                      required
+                    />
+                    <small>4, 6 or 8 digits</small>
+                  </div>
                 </div>
 
                 <div className="form-group">
@@ -1346,11 +1467,13 @@ const OwnerDashboard = () => {
                     <input
                       type="number"
                       placeholder="100"
-                      value={productForm.stockQty}
+                      value={productForm.variants.length > 0 ? getVariantStockTotal(productForm.variants) : productForm.stockQty}
                       onChange={(e) => setProductForm({ ...productForm, stockQty: e.target.value })}
                       min="0"
                       required
+                      disabled={productForm.variants.length > 0}
                     />
+                    {productForm.variants.length > 0 && <small>Total of sizes/colours below</small>}
                   </div>
 
                   <div className="form-group">
@@ -1365,6 +1488,19 @@ const OwnerDashboard = () => {
                   </div>
                 </div>
 
+                <div className="form-group">
+                  <label>Cost Price (excl. GST)</label>
+                  <input
+                    type="number"
+                    placeholder="Optional"
+                    value={productForm.costPrice}
+                    onChange={(e) => setProductForm({ ...productForm, costPrice: e.target.value })}
+                    min="0"
+                    step="0.01"
+                  />
+                  <small>Kept as a weighted average by goods receipts (Purchasing); used for margin analytics</small>
+                </div>
+
                 <div className="form-group">
                   <label>
                     <input
@@ -1378,6 +1514,13 @@ const OwnerDashboard = () => {
               </div>
             </div>
 
+            <VariantMatrixEditor
+              key={editingProduct || productForm.variants.length === 0 ? 'new-empty' : 'new-matrix'}
+              parentSku={productForm.sku}
+              variants={editingProduct ? [] : productForm.variants}
+              onChange={(variants) => setProductForm({ ...productForm, variants })}
+            />
+
             <button type="submit" className="btn btn-primary btn-lg">
               Create Product
             </button>
@@ -1424,7 +1567,10 @@ const OwnerDashboard = () => {
                         <td>{p.category}/{p.subcategory}</td>
                         <td>₹{p.basePrice}</td>
                         <td>{p.isOnSale ? `₹${p.salePrice}` : '-'}</td>
-                        <td>{p.gstRate}%</td>
+                        <td>
+                          {p.gstRate}%
+                          {p.hsnCode && <div style={{ fontSize: '11px', color: '#6b7280' }}>HSN {p.hsnCode}</div>}
+                        </td>
                         <td>
                           <span style={{ 
                             fontWeight: isLowStock ? '700' : 'normal',
@@ -1443,6 +1589,13 @@ const OwnerDashboard = () => {
                               ⚠️
                             </span>
                           )}
+                          {(p.variants || []).length > 0 && (
+                            <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                              {p.variants.length} variants
+                              {p.variants.some(v => v.isActive !== false && !(v.stockQty > 0)) &&
+                                ` · ${p.variants.filter(v => v.isActive !== false && !(v.stockQty > 0)).length} out of stock`}
+                            </div>
+                          )}
                         </td>
                       <td>
                         <span className={`status-badge ${p.isActive ? 'active' : 'inactive'}`}>
@@ -1475,6 +1628,14 @@ const OwnerDashboard = () => {
                             </svg>
                             Edit
                           </button>
+                          <button
+                            onClick={() => setHistoryProduct(p)}
+                            className="btn btn-sm btn-secondary"
+                            title="Stock History"
+                            style={{ padding: '6px 12px', fontSize: '13px' }}
+                          >
+                            History
+                          </button>
                           <button
                             onClick={() => handleToggleProductActive(p.id, p.isActive)}
                             className="btn btn-sm"
@@ -1545,9 +1706,23 @@ const OwnerDashboard = () => {
               </tbody>
             </table>
           </div>
+
+          <StockReconciliationReport products={products} />
         </div>
       )}
 
+      {sheetExhibition && (
+        <ExhibitionReconciliation
+          exhibition={sheetExhibition}
+          onClose={() => setSheetExhibition(null)}
+          onConfirm={handleReconcileExhibition}
+        />
+      )}
+
+      {historyProduct && (
+        <StockMovementHistory product={historyProduct} onClose={() => setHistoryProduct(null)} />
+      )}
+
       {/* Exhibitions Tab */}
       {activeTab === 'exhibitions' && (
         <div className="dashboard-section">
@@ -1620,6 +1795,18 @@ const OwnerDashboard = () => {
                       required
                     />
                   </div>
+                  <div className="form-group">
+                    <label>State *</label>
+                    <select
+                      value={exhibitionForm.stateCode}
+                      onChange={(e) => setExhibitionForm({...exhibitionForm, stateCode: e.target.value})}
+                      required
+                    >
+                      {Object.entries(GST_STATES).map(([code, name]) => (
+                        <option key={code} value={code}>{name} ({code})</option>
+                      ))}
+                    </select>
+                  </div>
                   <div className="form-group">
                     <label>Start Time *</label>
                     <input
@@ -1630,6 +1817,24 @@ const OwnerDashboard = () => {
                     />
                   </div>
                 </div>
+                {locations.length > 1 && (
+                  <div className="form-group">
+                    <label>Issue Stock From</label>
+                    <select
+                      value={exhibitionForm.stockLocationId}
+                      onChange={(e) => setExhibitionForm({...exhibitionForm, stockLocationId: e.target.value, allocation: []})}
+                    >
+                      {locations.filter(location => location.isActive).map(location => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <ExhibitionAllocationEditor
+                  products={getLocationProducts(products.filter(p => p.isActive), exhibitionForm.stockLocationId)}
+                  allocation={exhibitionForm.allocation}
+                  onChange={(allocation) => setExhibitionForm({...exhibitionForm, allocation})}
+                />
                 <button 
                   type="submit" 
                   className="btn-primary"
@@ -1682,7 +1887,12 @@ const OwnerDashboard = () => {
                 <tbody>
                   {exhibitions.map(ex => (
                     <tr key={ex.id}>
-                      <td>{ex.location}</td>
+                      <td>
+                        {ex.location}
+                        {ex.stateCode && (
+                          <div style={{ fontSize: '12px', color: '#6b7280' }}>{getStateName(ex.stateCode)}</div>
+                        )}
+                      </td>
                       <td>
                         {ex.startTime ?
                           new Date(ex.startTime).toLocaleString('en-IN', {
@@ -1741,6 +1951,20 @@ const OwnerDashboard = () => {
                             End Exhibition
                           </button>
                         )}
+                        {!ex.active && ex.reconciliation && (
+                          <button
+                            onClick={() => setSheetExhibition(ex)}
+                            className="btn btn-secondary"
+                            style={{ fontSize: '13px', padding: '8px 16px' }}
+                          >
+                            Stock Sheet
+                            {ex.reconciliation.hasShrinkage && (
+                              <span style={{ marginLeft: '6px', color: '#dc2626', fontWeight: '600' }}>
+                                ({ex.reconciliation.totals.missingQty} missing)
+                              </span>
+                            )}
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -1751,6 +1975,15 @@ const OwnerDashboard = () => {
         </div>
       )}
 
+      {/* GST Reports Tab */}
+      {activeTab === 'reports' && (
+        <div className="dashboard-section">
+          <h2>GST Reports</h2>
+          <GSTReturnsReport />
+          <HSNSummaryReport />
+        </div>
+      )}
+
       {/* Orders Tab */}
       {activeTab === 'orders' && (
         <div className="dashboard-section">
@@ -1781,6 +2014,8 @@ const OwnerDashboard = () => {
             </select>
           </div>
 
+          <BulkBillDownload />
+
           {groupedOrders.length === 0 ? (
             <div className="empty-state">
               <p>No orders found</p>
@@ -1816,6 +2051,11 @@ const OwnerDashboard = () => {
                           <span className="type-badge">
                             {order.type === 'daily' ? 'Store' : order.type === 'exhibition' ? 'Exhibition' : 'Pre-Booking'}
                           </span>
+                          {order.invoiceType === 'B2B' && (
+                            <span className="type-badge" style={{ marginLeft: '6px' }} title={order.customerGSTIN || ''}>
+                              B2B
+                            </span>
+                          )}
                         </td>
                         <td>
                           {order.type === 'exhibition' && order.exhibitionId ? (
@@ -1963,6 +2203,28 @@ const OwnerDashboard = () => {
                   />
                 </div>
 
+                <div>
+                  <label>Barcode</label>
+                  <div style={{ display: 'flex', gap: '8px', marginTop: '5px' }}>
+                    <input
+                      type="text"
+                      value={productForm.barcode}
+                      onChange={(e) => setProductForm({ ...productForm, barcode: e.target.value.trim() })}
+                      placeholder="Optional"
+                      style={{ flex: 1, padding: '8px' }}
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      style={{ padding: '0 10px', fontSize: '12px' }}
+                      onClick={() => setProductForm({ ...productForm, barcode: generateInStoreEAN13()[0] })}
+                      title="Generate in-store EAN-13"
+                    >
+                      EAN
+                    </button>
+                  </div>
+                </div>
+
                 <div>
                   <label>Category *</label>
                   <select
@@ -2015,14 +2277,28 @@ const OwnerDashboard = () => {
                   </select>
                 </div>
 
+                <div>
+                  <label>HSN Code *</label>
+                  <input
+                    type="text"
+                    list="hsn-code-options"
+                    value={productForm.hsnCode}
+                    onChange={(e) => setProductForm({ ...productForm, hsnCode: e.target.value.replace(/\D/g, '').slice(0, 8) })}
+                    placeholder="e.g., 6109"
+                    required
+                    style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+                  />
+                </div>
+
                 <div>
                   <label>Stock Quantity *</label>
                   <input
                     type="number"
-                    value={productForm.stockQty}
+                    value={productForm.variants.length > 0 ? getVariantStockTotal(productForm.variants) : productForm.stockQty}
                     onChange={(e) => setProductForm({ ...productForm, stockQty: e.target.value })}
                     required
                     min="0"
+                    disabled={productForm.variants.length > 0}
                     style={{ width: '100%', padding: '8px', marginTop: '5px' }}
                   />
                 </div>
@@ -2038,6 +2314,19 @@ const OwnerDashboard = () => {
                     style={{ width: '100%', padding: '8px', marginTop: '5px' }}
                   />
                 </div>
+
+                <div>
+                  <label>Cost Price (excl. GST)</label>
+                  <input
+                    type="number"
+                    value={productForm.costPrice}
+                    onChange={(e) => setProductForm({ ...productForm, costPrice: e.target.value })}
+                    min="0"
+                    step="0.01"
+                    placeholder="Optional"
+                    style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+                  />
+                </div>
               </div>
 
               <div style={{ marginTop: '15px' }}>
@@ -2077,6 +2366,13 @@ const OwnerDashboard = () => {
                 </label>
               </div>
 
+              <VariantMatrixEditor
+                key={`${editingProduct.id}-${productForm.variants.length === 0 ? 'empty' : 'matrix'}`}
+                parentSku={editingProduct.sku}
+                variants={productForm.variants}
+                onChange={(variants) => setProductForm({ ...productForm, variants })}
+              />
+
               <div style={{ marginTop: '20px', display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
                 <button
                   type="button"
@@ -0,0 +1,278 @@
+import { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import {
+  parseStatementRows,
+  getStatementPayments,
+  matchStatement,
+  getReconciliations,
+  markReconciled,
+  clearReconciliation,
+  STATEMENT_SOURCES,
+  STATEMENT_SOURCE_LABELS,
+  MATCH_STATUS,
+  MATCH_STATUS_LABELS,
+  DEFAULT_DATE_WINDOW_DAYS
+} from '../../services/reconciliationService';
+import { readSpreadsheetRows, exportReconciliation } from '../../utils/excelUtils';
+import ReconciliationTable from '../../components/reconciliation/ReconciliationTable';
+import '../../styles/OwnerUsers.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILTERS = {
+  ATTENTION: 'attention',
+  ALL: 'all',
+  RECONCILED: 'reconciled'
+};
+
+const EMPTY_FORM = {
+  source: STATEMENT_SOURCES.UPI,
+  dateWindowDays: String(DEFAULT_DATE_WINDOW_DAYS),
+  file: null
+};
+
+const formatCurrency = (amount) => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const PaymentReconciliation = () => {
+  const { user, userProfile, logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isImporting, setIsImporting] = useState(false);
+  // { fileName, source, entries, skippedRows, periodStart, periodEnd }
+  const [statement, setStatement] = useState(null);
+  const [items, setItems] = useState([]);
+  // Item key -> reconciliation record
+  const [records, setRecords] = useState({});
+  const [filter, setFilter] = useState(FILTERS.ATTENTION);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const currentUser = {
+    userId: user.uid,
+    userName: userProfile?.name || user.email
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+
+    const dateWindowDays = parseInt(form.dateWindowDays);
+    if (!form.file) {
+      setError('Choose a statement file');
+      return;
+    }
+    if (isNaN(dateWindowDays) || dateWindowDays < 0 || dateWindowDays > 15) {
+      setError('Date window must be between 0 and 15 days');
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      setError('');
+      setSuccess('');
+
+      const rows = await readSpreadsheetRows(form.file);
+      const { entries, skippedRows, periodStart, periodEnd } = parseStatementRows(rows, form.source);
+
+      const windowMs = (dateWindowDays + 1) * DAY_MS;
+      const [payments, existingRecords] = await Promise.all([
+        getStatementPayments(form.source, periodStart, periodEnd, dateWindowDays),
+        getReconciliations(new Date(periodStart.getTime() - windowMs), new Date(periodEnd.getTime() + windowMs))
+      ]);
+
+      const matched = matchStatement(entries, payments, { dateWindowDays, periodStart, periodEnd });
+      setStatement({ fileName: form.file.name, source: form.source, entries, skippedRows, periodStart, periodEnd });
+      setItems(matched);
+      setRecords(existingRecords);
+      setFilter(FILTERS.ATTENTION);
+      setSuccess(`Read ${entries.length} credit(s) from ${form.file.name}`
+        + (skippedRows > 0 ? ` (${skippedRows} debit or unreadable row(s) skipped)` : ''));
+    } catch (err) {
+      setError('Failed to import statement: ' + err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleMark = async (item, notes) => {
+    const record = await markReconciled(item, statement.source, notes, currentUser);
+    setRecords(current => ({ ...current, [item.key]: record }));
+  };
+
+  const handleClear = async (item) => {
+    await clearReconciliation(item.key);
+    setRecords(({ [item.key]: removed, ...rest }) => rest);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  const reviewedItems = items.map(item => ({ ...item, reconciliation: records[item.key] || null }));
+  const countByStatus = (status) => items.filter(item => item.status === status).length;
+  const attentionCount = reviewedItems.filter(item => item.status !== MATCH_STATUS.MATCHED && !item.reconciliation).length;
+
+  const visibleItems = reviewedItems.filter(item => {
+    if (filter === FILTERS.ALL) return true;
+    if (filter === FILTERS.ATTENTION) return item.status !== MATCH_STATUS.MATCHED && !item.reconciliation;
+    if (filter === FILTERS.RECONCILED) return Boolean(item.reconciliation);
+    return item.status === filter;
+  });
+
+  const statementTotal = statement ? statement.entries.reduce((sum, entry) => sum + entry.amount, 0) : 0;
+  const matchedTotal = items
+    .filter(item => item.status === MATCH_STATUS.MATCHED)
+    .reduce((sum, item) => sum + item.entry.amount, 0);
+
+  return (
+    <div className="owner-users">
+      {/* Header */}
+      <nav className="owner-users-nav">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Payment Reconciliation</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.OWNER_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success">
+            {success}
+          </div>
+        )}
+
+        <div className="owner-users-section">
+          <div className="section-header">
+            <h2>Import Settlement Statement</h2>
+          </div>
+
+          <div className="create-user-form-container">
+            <form onSubmit={handleImport} className="create-user-form">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Statement *</label>
+                  <select
+                    value={form.source}
+                    onChange={(e) => setForm({ ...form, source: e.target.value })}
+                    disabled={isImporting}
+                  >
+                    {Object.values(STATEMENT_SOURCES).map(source => (
+                      <option key={source} value={source}>{STATEMENT_SOURCE_LABELS[source]}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Date Window (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="15"
+                    value={form.dateWindowDays}
+                    onChange={(e) => setForm({ ...form, dateWindowDays: e.target.value })}
+                    disabled={isImporting}
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>File (CSV or Excel) *</label>
+                <input
+                  type="file"
+                  accept=".csv,.xlsx,.xls"
+                  onChange={(e) => setForm({ ...form, file: e.target.files[0] || null })}
+                  disabled={isImporting}
+                />
+                <span className="form-helper">
+                  Credits are matched to UPI, card and bank transfer payments on bills by UTR/RRN first,
+                  then by exact amount within the date window. A bank statement covers all three modes.
+                </span>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary" disabled={isImporting}>
+                  {isImporting ? 'Matching...' : 'Import and Match'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+
+        {statement && (
+          <div className="owner-users-section">
+            <div className="section-header">
+              <h2>
+                {STATEMENT_SOURCE_LABELS[statement.source]} · {statement.periodStart.toLocaleDateString('en-IN')}
+                {' '}to {statement.periodEnd.toLocaleDateString('en-IN')}
+              </h2>
+              <button
+                type="button"
+                onClick={() => exportReconciliation(visibleItems, MATCH_STATUS_LABELS, `reconciliation_${statement.source}_${statement.periodStart.toISOString().slice(0, 10)}`)}
+                className="btn-secondary"
+              >
+                Export to Excel
+              </button>
+            </div>
+
+            <p className="form-helper">
+              {statement.entries.length} credit(s) totalling {formatCurrency(statementTotal)} ·
+              {' '}{countByStatus(MATCH_STATUS.MATCHED)} matched ({formatCurrency(matchedTotal)}) ·
+              {' '}{countByStatus(MATCH_STATUS.MISMATCHED)} mismatched ·
+              {' '}{countByStatus(MATCH_STATUS.UNMATCHED_PAYMENT)} payment(s) not in statement ·
+              {' '}{countByStatus(MATCH_STATUS.UNMATCHED_ENTRY)} credit(s) with no bill payment ·
+              {' '}{attentionCount} need attention
+            </p>
+            <p className="form-helper">
+              Payments from the last days of the statement may settle on the next one; check them
+              against that statement before following up.
+            </p>
+
+            <div className="form-group">
+              <label>Show</label>
+              <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+                <option value={FILTERS.ATTENTION}>Needs attention</option>
+                <option value={FILTERS.ALL}>All</option>
+                {Object.values(MATCH_STATUS).map(status => (
+                  <option key={status} value={status}>{MATCH_STATUS_LABELS[status]}</option>
+                ))}
+                <option value={FILTERS.RECONCILED}>Reconciled</option>
+              </select>
+            </div>
+
+            <ReconciliationTable
+              items={visibleItems}
+              onMark={handleMark}
+              onClear={handleClear}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentReconciliation;
@@ -0,0 +1,335 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import { getAllProducts } from '../../services/productService';
+import { getAllOrders } from '../../services/orderService';
+import { getAllSuppliers } from '../../services/supplierService';
+import { getAllLocations, findLocation } from '../../services/locationService';
+import {
+  getAllPurchaseOrders,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  markPurchaseOrderSent,
+  cancelPurchaseOrder,
+  receiveGoods,
+  getPurchaseOrderTotals,
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_STATUS_LABELS
+} from '../../services/purchaseOrderService';
+import { formatCurrency } from '../../services/orderCalculationService';
+import SupplierManager from '../../components/purchasing/SupplierManager';
+import PurchaseOrderForm from '../../components/purchasing/PurchaseOrderForm';
+import GoodsReceiptForm from '../../components/purchasing/GoodsReceiptForm';
+import ReorderSuggestions from '../../components/purchasing/ReorderSuggestions';
+import '../../styles/OwnerUsers.css';
+
+// Filter value for POs still waiting on the supplier
+const STATUS_OPEN = 'open';
+
+const OPEN_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+];
+
+const STATUS_BADGES = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: 'badge-inactive',
+  [PURCHASE_ORDER_STATUS.SENT]: 'badge-active',
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: 'badge-active',
+  [PURCHASE_ORDER_STATUS.RECEIVED]: 'badge-active',
+  [PURCHASE_ORDER_STATUS.CANCELLED]: 'badge-inactive'
+};
+
+const Purchasing = () => {
+  const { user, userProfile, logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [salesOrders, setSalesOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState(STATUS_OPEN);
+  // null, 'new' or the draft PO being edited
+  const [editingOrder, setEditingOrder] = useState(null);
+  // Supplier and lines to start a new PO with (from reorder suggestions)
+  const [draftValues, setDraftValues] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [allSuppliers, allOrders, allProducts, allLocations, allSalesOrders] = await Promise.all([
+        getAllSuppliers(),
+        getAllPurchaseOrders(),
+        getAllProducts(),
+        getAllLocations(),
+        getAllOrders()
+      ]);
+      setSuppliers(allSuppliers);
+      setLocations(allLocations);
+      setSalesOrders(allSalesOrders);
+      setPurchaseOrders(allOrders);
+      setProducts(allProducts.filter(product => product.isActive));
+    } catch (err) {
+      setError('Failed to load purchasing data: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const getCurrentUser = () => ({
+    userId: user.uid,
+    userName: userProfile?.name || user.email
+  });
+
+  const handleSuppliersSaved = async (message) => {
+    setSuccess(message);
+    setSuppliers(await getAllSuppliers());
+  };
+
+  const handleCloseForm = () => {
+    setEditingOrder(null);
+    setDraftValues(null);
+  };
+
+  const handleSaveOrder = async (poData) => {
+    if (editingOrder === 'new') {
+      const { poNumber } = await createPurchaseOrder(poData, getCurrentUser());
+      setSuccess(`Purchase order ${poNumber} created as draft`);
+    } else {
+      await updatePurchaseOrder(editingOrder.id, poData);
+      setSuccess(`Purchase order ${editingOrder.poNumber} updated`);
+    }
+
+    handleCloseForm();
+    setPurchaseOrders(await getAllPurchaseOrders());
+  };
+
+  const handleCreateDraft = (values) => {
+    setError('');
+    setSuccess('');
+    setDraftValues(values);
+    setEditingOrder('new');
+  };
+
+  const handleStatusAction = async (purchaseOrder, action) => {
+    if (action === cancelPurchaseOrder && !window.confirm(`Cancel purchase order ${purchaseOrder.poNumber}?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await action(purchaseOrder.id);
+      setSuccess(`Purchase order ${purchaseOrder.poNumber} ${action === cancelPurchaseOrder ? 'cancelled' : 'marked as sent'}`);
+      setPurchaseOrders(await getAllPurchaseOrders());
+    } catch (err) {
+      setError('Failed to update purchase order: ' + err.message);
+    }
+  };
+
+  const handleReceive = async (receipt) => {
+    const grn = await receiveGoods(receivingOrder.id, receipt, getCurrentUser());
+    const flagged = grn.items.filter(line => line.flag).length;
+
+    setReceivingOrder(null);
+    setSuccess(`${grn.grnNumber} booked: stock added${flagged ? `, ${flagged} line(s) flagged short/excess` : ''}`);
+    await loadData();
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  const visibleOrders = purchaseOrders.filter(purchaseOrder => {
+    if (statusFilter === STATUS_OPEN) return OPEN_STATUSES.includes(purchaseOrder.status);
+    return !statusFilter || purchaseOrder.status === statusFilter;
+  });
+
+  if (loading) {
+    return (
+      <div className="owner-users">
+        <div className="owner-users-loading">Loading purchasing...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-users">
+      {/* Header */}
+      <nav className="owner-users-nav">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Purchasing</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.OWNER_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success">
+            {success}
+          </div>
+        )}
+
+        {editingOrder ? (
+          <PurchaseOrderForm
+            purchaseOrder={editingOrder === 'new' ? null : editingOrder}
+            initialValues={draftValues}
+            suppliers={suppliers}
+            locations={locations}
+            products={products}
+            onSubmit={handleSaveOrder}
+            onCancel={handleCloseForm}
+          />
+        ) : (
+          <div className="owner-users-section">
+            <div className="section-header">
+              <h2>Purchase Orders ({visibleOrders.length})</h2>
+              <button
+                onClick={() => setEditingOrder('new')}
+                className="btn-primary"
+                disabled={!suppliers.some(supplier => supplier.isActive)}
+              >
+                + New Purchase Order
+              </button>
+            </div>
+
+            <div className="form-group" style={{ maxWidth: '260px' }}>
+              <label>Status</label>
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                <option value={STATUS_OPEN}>Open</option>
+                <option value="">All</option>
+                {Object.entries(PURCHASE_ORDER_STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="users-table-container">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>PO Number</th>
+                    <th>Supplier</th>
+                    <th>Deliver To</th>
+                    <th>Expected</th>
+                    <th>Received / Ordered</th>
+                    <th>Value</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleOrders.map(purchaseOrder => {
+                    const totals = getPurchaseOrderTotals(purchaseOrder.items);
+                    const status = purchaseOrder.status;
+                    return (
+                      <tr key={purchaseOrder.id}>
+                        <td>{purchaseOrder.poNumber}</td>
+                        <td>{purchaseOrder.supplierName}</td>
+                        <td>{purchaseOrder.deliveryLocationName || findLocation(locations, purchaseOrder.deliveryLocationId).name}</td>
+                        <td>{purchaseOrder.expectedDate || '-'}</td>
+                        <td>{totals.receivedQty} / {totals.orderedQty}</td>
+                        <td>{formatCurrency(purchaseOrder.orderedValue)}</td>
+                        <td>
+                          <span className={`badge ${STATUS_BADGES[status]}`}>
+                            {PURCHASE_ORDER_STATUS_LABELS[status]}
+                          </span>
+                        </td>
+                        <td>
+                          {status === PURCHASE_ORDER_STATUS.DRAFT && (
+                            <>
+                              <button onClick={() => setEditingOrder(purchaseOrder)} className="btn-action">
+                                Edit
+                              </button>
+                              <button onClick={() => handleStatusAction(purchaseOrder, markPurchaseOrderSent)} className="btn-action btn-enable">
+                                Mark Sent
+                              </button>
+                            </>
+                          )}
+                          {(status === PURCHASE_ORDER_STATUS.SENT || status === PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED) && (
+                            <button onClick={() => setReceivingOrder(purchaseOrder)} className="btn-action btn-enable">
+                              Receive
+                            </button>
+                          )}
+                          {(status === PURCHASE_ORDER_STATUS.DRAFT || status === PURCHASE_ORDER_STATUS.SENT) && (
+                            <button onClick={() => handleStatusAction(purchaseOrder, cancelPurchaseOrder)} className="btn-action btn-disable">
+                              Cancel
+                            </button>
+                          )}
+                          {purchaseOrder.grnCount > 0 && status !== PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED && (
+                            <button onClick={() => setReceivingOrder(purchaseOrder)} className="btn-action">
+                              Receipts
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {visibleOrders.length === 0 && (
+                    <tr>
+                      <td colSpan="8">No purchase orders.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {!editingOrder && (
+          <ReorderSuggestions
+            products={products}
+            orders={salesOrders}
+            purchaseOrders={purchaseOrders}
+            suppliers={suppliers}
+            onCreateDraft={handleCreateDraft}
+          />
+        )}
+
+        <SupplierManager suppliers={suppliers} onSaved={handleSuppliersSaved} />
+      </div>
+
+      {receivingOrder && (
+        <GoodsReceiptForm
+          purchaseOrder={receivingOrder}
+          onReceive={handleReceive}
+          onClose={() => setReceivingOrder(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Purchasing;
@@ -0,0 +1,357 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useView } from '../../contexts/ViewContext';
+import { useStockTakeCounts } from '../../hooks/useStockTakeCounts';
+import { getAllProducts } from '../../services/productService';
+import { getAllLocations } from '../../services/locationService';
+import {
+  getAllStockTakes,
+  createStockTake,
+  postStockTake,
+  cancelStockTake,
+  getVarianceSheet,
+  STOCK_TAKE_STATUS,
+  STOCK_TAKE_STATUS_LABELS
+} from '../../services/stockTakeService';
+import StockCountSheet from '../../components/stockTake/StockCountSheet';
+import StockTakeReview from '../../components/stockTake/StockTakeReview';
+import { PRIMARY_LOCATION_ID } from '../../constants/locations';
+import '../../styles/OwnerUsers.css';
+
+const STATUS_BADGES = {
+  [STOCK_TAKE_STATUS.COUNTING]: 'badge-active',
+  [STOCK_TAKE_STATUS.POSTED]: 'badge-active',
+  [STOCK_TAKE_STATUS.CANCELLED]: 'badge-inactive'
+};
+
+const EMPTY_FORM = {
+  locationId: PRIMARY_LOCATION_ID,
+  category: '',
+  notes: ''
+};
+
+const capitalise = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const StockTakes = () => {
+  const { user, userProfile, logout } = useAuth();
+  const { navigateToView, VIEWS } = useView();
+
+  const [stockTakes, setStockTakes] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  // { id, mode: 'count' | 'review' } for the stock take being worked on
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const currentUser = {
+    userId: user.uid,
+    userName: userProfile?.name || user.email
+  };
+
+  const { counts, error: countsError, refresh: refreshCounts, addUnits, setUnits } = useStockTakeCounts(
+    selected ? selected.id : null,
+    currentUser
+  );
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [allStockTakes, allLocations, allProducts] = await Promise.all([
+        getAllStockTakes(),
+        getAllLocations(),
+        getAllProducts()
+      ]);
+      setStockTakes(allStockTakes);
+      setLocations(allLocations);
+      setProducts(allProducts);
+    } catch (err) {
+      setError('Failed to load stock takes: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+
+    const location = locations.find(candidate => candidate.id === form.locationId);
+
+    try {
+      setIsStarting(true);
+      setError('');
+      const { id, stockTakeNumber, lineCount } = await createStockTake({
+        locationId: form.locationId,
+        locationName: location ? location.name : '',
+        category: form.category || null,
+        notes: form.notes
+      }, currentUser);
+      setForm(null);
+      setSuccess(`Stock take ${stockTakeNumber} started with ${lineCount} lines to count`);
+      await loadData();
+      setSelected({ id, mode: 'count' });
+    } catch (err) {
+      setError('Failed to start stock take: ' + err.message);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleOpen = (stockTake, mode) => {
+    setError('');
+    setSuccess('');
+    if (selected && selected.id === stockTake.id) {
+      // Same stock take: pick up counts made since it was opened
+      refreshCounts();
+    }
+    setSelected({ id: stockTake.id, mode });
+  };
+
+  const handlePost = async (approvals) => {
+    const stockTake = stockTakes.find(candidate => candidate.id === selected.id);
+    const { adjustedLines, netQty } = await postStockTake(selected.id, approvals, currentUser);
+    setSuccess(`Stock take ${stockTake.stockTakeNumber} posted: ${adjustedLines} line(s) adjusted, net ${netQty > 0 ? '+' : ''}${netQty} units`);
+    await loadData();
+    await refreshCounts();
+  };
+
+  const handleCancel = async (stockTake) => {
+    if (!window.confirm(`Cancel stock take ${stockTake.stockTakeNumber}? Counts are kept but no stock is adjusted.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await cancelStockTake(stockTake.id, currentUser);
+      setSuccess(`Stock take ${stockTake.stockTakeNumber} cancelled`);
+      if (selected && selected.id === stockTake.id) {
+        setSelected(null);
+      }
+      await loadData();
+    } catch (err) {
+      setError('Failed to cancel stock take: ' + err.message);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      navigateToView(VIEWS.LOGIN);
+    } catch (err) {
+      setError('Failed to logout: ' + err.message);
+    }
+  };
+
+  const categories = [...new Set(products.map(product => product.category).filter(Boolean))];
+  const activeLocations = locations.filter(location => location.isActive);
+  const selectedStockTake = selected ? stockTakes.find(stockTake => stockTake.id === selected.id) : null;
+
+  if (loading && stockTakes.length === 0) {
+    return (
+      <div className="owner-users">
+        <div className="owner-users-loading">Loading stock takes...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-users">
+      {/* Header */}
+      <nav className="owner-users-nav">
+        <div className="owner-users-nav-content">
+          <div className="owner-users-nav-left">
+            <div className="owner-users-brand">
+              <div className="owner-users-brand-mark">R</div>
+              <span className="owner-users-brand-name">RetailOps</span>
+            </div>
+            <h1 className="owner-users-nav-title">Stock Take</h1>
+          </div>
+          <div className="owner-users-nav-right">
+            <button onClick={() => navigateToView(VIEWS.OWNER_DASHBOARD)} className="btn-secondary">
+              ← Back to Dashboard
+            </button>
+            <button onClick={handleLogout} className="btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="owner-users-content">
+        {(error || countsError) && (
+          <div className="alert alert-error">
+            {error || countsError}
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success">
+            {success}
+          </div>
+        )}
+
+        <div className="owner-users-section">
+          <div className="section-header">
+            <h2>Stock Takes ({stockTakes.length})</h2>
+            <button
+              onClick={() => setForm(form ? null : EMPTY_FORM)}
+              className="btn-primary"
+            >
+              {form ? 'Cancel' : '+ New Stock Take'}
+            </button>
+          </div>
+
+          {form && (
+            <div className="create-user-form-container">
+              <form onSubmit={handleStart} className="create-user-form">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Location *</label>
+                    <select
+                      value={form.locationId}
+                      onChange={(e) => setForm({ ...form, locationId: e.target.value })}
+                      disabled={isStarting}
+                    >
+                      {activeLocations.map(location => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Count</label>
+                    <select
+                      value={form.category}
+                      onChange={(e) => setForm({ ...form, category: e.target.value })}
+                      disabled={isStarting}
+                    >
+                      <option value="">All products</option>
+                      {categories.map(category => (
+                        <option key={category} value={category}>{capitalise(category)} only</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Notes</label>
+                  <input
+                    type="text"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    placeholder="e.g., Quarterly count, back room racks"
+                    disabled={isStarting}
+                  />
+                  <span className="form-helper">
+                    Expected quantities are frozen when the stock take starts. Keep selling as usual;
+                    approved variances are applied to stock as it stands when posted.
+                  </span>
+                </div>
+
+                <div className="form-actions">
+                  <button type="submit" className="btn-primary" disabled={isStarting}>
+                    {isStarting ? 'Starting...' : 'Start Stock Take'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+
+          <div className="users-table-container">
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Stock Take</th>
+                  <th>Location</th>
+                  <th>Scope</th>
+                  <th>Lines</th>
+                  <th>Started</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stockTakes.map(stockTake => (
+                  <tr key={stockTake.id}>
+                    <td>
+                      {stockTake.stockTakeNumber}
+                      {stockTake.notes && <div className="form-helper">{stockTake.notes}</div>}
+                    </td>
+                    <td>{stockTake.locationName}</td>
+                    <td>{stockTake.category ? capitalise(stockTake.category) : 'All products'}</td>
+                    <td>
+                      {stockTake.lines.length}
+                      <div className="form-helper">{stockTake.expectedQty} pcs expected</div>
+                    </td>
+                    <td>
+                      {stockTake.createdAt?.toDate ? stockTake.createdAt.toDate().toLocaleDateString('en-IN') : '-'}
+                      <div className="form-helper">{stockTake.createdByName}</div>
+                    </td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGES[stockTake.status]}`}>
+                        {STOCK_TAKE_STATUS_LABELS[stockTake.status]}
+                      </span>
+                      {stockTake.adjustments && (
+                        <div className="form-helper">{stockTake.adjustments.length} adjusted</div>
+                      )}
+                    </td>
+                    <td>
+                      {stockTake.status === STOCK_TAKE_STATUS.COUNTING && (
+                        <button onClick={() => handleOpen(stockTake, 'count')} className="btn-action btn-enable">
+                          Count
+                        </button>
+                      )}
+                      <button onClick={() => handleOpen(stockTake, 'review')} className="btn-action">
+                        {stockTake.status === STOCK_TAKE_STATUS.COUNTING ? 'Review' : 'Report'}
+                      </button>
+                      {stockTake.status === STOCK_TAKE_STATUS.COUNTING && (
+                        <button onClick={() => handleCancel(stockTake)} className="btn-action btn-disable">
+                          Cancel
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {stockTakes.length === 0 && (
+                  <tr>
+                    <td colSpan="7">No stock takes yet.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {selectedStockTake && selected.mode === 'count' && (
+          <StockCountSheet
+            stockTake={selectedStockTake}
+            counts={counts}
+            products={products}
+            showExpected
+            onAdd={addUnits}
+            onSet={setUnits}
+            onRefresh={refreshCounts}
+          />
+        )}
+
+        {selectedStockTake && selected.mode === 'review' && (
+          <StockTakeReview
+            key={`${selectedStockTake.id}-${selectedStockTake.status}`}
+            stockTake={selectedStockTake}
+            sheet={getVarianceSheet(selectedStockTake, counts)}
+            onPost={handlePost}
+            onClose={() => setSelected(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockTakes;
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useView } from '../../contexts/ViewContext';
 import { getAllUsers, updateUser } from '../../services/authService';
+import { getAllLocations, findLocation } from '../../services/locationService';
+import { PRIMARY_LOCATION_ID } from '../../constants/locations';
 import { createUserWithEmailAndPassword } from 'firebase/auth';
 import { doc, setDoc } from 'firebase/firestore';
 import { auth, db } from '../../services/firebase';
@@ -12,6 +14,7 @@ const UserManagement = () => {
   const { navigateToView, VIEWS } = useView();
   
   const [users, setUsers] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -22,7 +25,8 @@ const UserManagement = () => {
     name: '',
     email: '',
     password: '',
-    role: 'employee'
+    role: 'employee',
+    locationId: PRIMARY_LOCATION_ID
   });
   const [isCreating, setIsCreating] = useState(false);
   
@@ -52,8 +56,12 @@ const UserManagement = () => {
         return;
       }
       
-      const usersData = await getAllUsers();
+      const [usersData, locationsData] = await Promise.all([
+        getAllUsers(),
+        getAllLocations()
+      ]);
       setUsers(usersData);
+      setLocations(locationsData);
     } catch (err) {
       // Don't show error if it's just a temporary auth issue
       if (err.message.includes('Missing or insufficient permissions')) {
@@ -84,9 +92,6 @@ const UserManagement = () => {
     setIsCreating(true);
 
     try {
-      // Store owner's credentials for re-authentication
-      const ownerEmail = auth.currentUser.email;
-      
       // Create new user account
       const userCredential = await createUserWithEmailAndPassword(
         auth,
@@ -101,6 +106,7 @@ const UserManagement = () => {
         email: createForm.email,
         name: createForm.name,
         role: createForm.role,
+        locationId: createForm.locationId,
         createdAt: new Date().toISOString(),
         createdBy: user.uid,
         isActive: true
@@ -119,7 +125,8 @@ const UserManagement = () => {
         name: '',
         email: '',
         password: '',
-        role: 'employee'
+        role: 'employee',
+        locationId: PRIMARY_LOCATION_ID
       });
       
       // Sign out the newly created user
@@ -193,6 +200,18 @@ const UserManagement = () => {
     }
   };
 
+  const handleLocationChange = async (userId, locationId) => {
+    try {
+      setError('');
+      setSuccess('');
+      await updateUser(userId, { locationId });
+      setSuccess(`Home location changed to ${findLocation(locations, locationId).name}`);
+      await loadUsers();
+    } catch (err) {
+      setError('Failed to update location: ' + err.message);
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -352,6 +371,22 @@ const UserManagement = () => {
                   </div>
                 </div>
 
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Home Location *</label>
+                    <select
+                      value={createForm.locationId}
+                      onChange={(e) => setCreateForm({...createForm, locationId: e.target.value})}
+                      disabled={isCreating}
+                    >
+                      {locations.filter(location => location.isActive).map(location => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                    </select>
+                    <span className="form-helper">Sales and returns use this location's stock</span>
+                  </div>
+                </div>
+
                 <div className="form-actions">
                   <button type="submit" className="btn-primary" disabled={isCreating}>
                     {isCreating ? 'Creating...' : 'Create User Account'}
@@ -373,6 +408,7 @@ const UserManagement = () => {
                   <th>Name</th>
                   <th>Email</th>
                   <th>Role</th>
+                  <th>Home Location</th>
                   <th>Status</th>
                   <th>Created</th>
                   <th>Actions</th>
@@ -399,6 +435,19 @@ const UserManagement = () => {
                         <option value="owner">Owner</option>
                       </select>
                     </td>
+                    <td>
+                      <select
+                        value={findLocation(locations, u.locationId).id}
+                        onChange={(e) => handleLocationChange(u.id, e.target.value)}
+                        className="role-select"
+                      >
+                        {locations
+                          .filter(location => location.isActive || location.id === u.locationId)
+                          .map(location => (
+                            <option key={location.id} value={location.id}>{location.name}</option>
+                          ))}
+                      </select>
+                    </td>
                     <td>
                       <span className={`badge ${u.isActive ? 'badge-active' : 'badge-inactive'}`}>
                         {u.isActive ? 'Active' : 'Disabled'}
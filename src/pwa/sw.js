@@ -0,0 +1,68 @@
+/**
+ * SERVICE WORKER
+ * ==============
+ * Built into dist/sw.js by the serviceWorker plugin in vite.config.js, which
+ * fills in the precache list (every built file, including the Leaflet and
+ * recharts chunks, plus the manifest and icons) and a cache version derived
+ * from it. Not bundled with the app.
+ *
+ * - App files are served from the cache, so the app opens without a connection.
+ *   Navigations get the cached index.html (the app is a single page).
+ * - A new version installs alongside the old one and waits until the page
+ *   asks it to take over (the update prompt), then old caches are removed.
+ * - Firestore, Auth and other cross-origin requests go to the network as usual;
+ *   offline data is handled by the app (see offlineSyncService).
+ */
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'retailops-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const APP_SHELL_URL = '/index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The update prompt asks the waiting version to take over
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(APP_SHELL_URL, { cacheName: CACHE_NAME })
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME })
+      .then(cached => cached || fetch(request))
+  );
+});
@@ -8,6 +8,9 @@
  * - Forecasting includes confidence intervals and smoothing.
  */
 
+import { getStockLineKey } from './stockMovementService';
+import { getVariantLabel } from '../utils/variantUtils';
+
 // --- 1. TREND-BASED REVENUE PROJECTION (Honest Forecasting) ---
 
 /**
@@ -410,3 +413,139 @@ export const generateInsights = (revenueTrend, inventoryRisks, employeeRisks) =>
     // Sort by Priority DESC
     return insights.sort((a, b) => b.priority - a.priority);
 };
+
+// --- 5. REORDER SUGGESTIONS (Sales Velocity + Lead Time) ---
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Suggests what to buy per stock line (product, or variant of a style).
+ * Rule: reorder when (stock + on order) <= velocity x lead time + safety stock,
+ * then order enough to cover lead time + coverDays of sales on top of safety stock.
+ *
+ * - Velocity = units sold (net of returns) in the lookback window / days in window.
+ *   Products younger than the window are measured over their own age (min 7 days).
+ * - Safety stock = lowStockThreshold, split evenly across a style's variants.
+ * - Lines with no sales in the window are left out: that is dead/slow stock,
+ *   which detectInventoryRisks reports.
+ *
+ * @param {Array} products - Products (stockQty and variants[].stockQty = all locations)
+ * @param {Array} orders - Orders (only completed ones are counted)
+ * @param {Object} options - {
+ *   lookbackDays (default 30), coverDays (default 30), defaultLeadTimeDays (default 7),
+ *   onOrder: { lineKey: units }, suppliers: { lineKey: { supplierId, supplierName, unitCost } },
+ *   leadTimes: { supplierId: days }, now: Date
+ * }
+ * @returns {Array} Suggestions sorted by days of cover (most urgent first):
+ *   { key, productId, variantId, productName, variantLabel, sku, category, stockQty, onOrderQty,
+ *     unitsSold, dailyVelocity, daysOfCover, leadTimeDays, safetyStock, reorderPoint, suggestedQty,
+ *     unitCost, supplierId, supplierName, urgency: 'out_of_stock' | 'before_delivery' | 'reorder' }
+ */
+export const suggestReorders = (products, orders, options = {}) => {
+    const lookbackDays = options.lookbackDays || 30;
+    const coverDays = options.coverDays || 30;
+    const defaultLeadTimeDays = options.defaultLeadTimeDays || 7;
+    const onOrder = options.onOrder || {};
+    const suppliers = options.suppliers || {};
+    const leadTimes = options.leadTimes || {};
+    const now = options.now || new Date();
+    const windowStart = new Date(now.getTime() - lookbackDays * DAY_MS);
+
+    // 1. Units sold per line in the window
+    const unitsSold = {};
+    (orders || []).forEach(order => {
+        if (order.status !== 'completed' || !order.createdAt) return;
+        const orderDate = order.createdAt.toDate ? order.createdAt.toDate() : new Date(order.createdAt);
+        if (orderDate < windowStart || orderDate > now) return;
+
+        const items = order.items || [{ productId: order.productId, quantity: order.quantity }];
+        items.forEach(item => {
+            if (!item.productId) return;
+            const key = getStockLineKey(item.productId, item.variantId);
+            const returned = order.returnedQuantities?.[key] || 0;
+            unitsSold[key] = (unitsSold[key] || 0) + Math.max(0, (item.quantity || 0) - returned);
+        });
+    });
+
+    const suggestions = [];
+
+    (products || []).forEach(product => {
+        if (!product.isActive) return;
+
+        // 2. Demand window (new products are measured over their own age)
+        const createdAt = product.createdAt?.toDate ? product.createdAt.toDate() : (product.createdAt ? new Date(product.createdAt) : null);
+        const ageDays = createdAt ? Math.ceil((now - createdAt) / DAY_MS) : lookbackDays;
+        const demandDays = Math.max(7, Math.min(lookbackDays, ageDays));
+
+        const variants = Array.isArray(product.variants) ? product.variants.filter(variant => variant.isActive !== false) : [];
+        const lines = variants.length === 0
+            ? [{ variantId: null, variantLabel: '', sku: product.sku, stockQty: product.stockQty || 0, costPrice: product.costPrice }]
+            : variants.map(variant => ({
+                variantId: variant.id,
+                variantLabel: getVariantLabel(variant),
+                sku: variant.sku,
+                stockQty: variant.stockQty || 0,
+                costPrice: typeof variant.costPrice === 'number' ? variant.costPrice : product.costPrice
+            }));
+        const safetyStock = Math.ceil((product.lowStockThreshold || 0) / lines.length);
+
+        lines.forEach(line => {
+            const key = getStockLineKey(product.id, line.variantId);
+            const sold = unitsSold[key] || 0;
+            if (sold === 0) return;
+
+            // 3. Velocity, cover and reorder point
+            const dailyVelocity = sold / demandDays;
+            const onOrderQty = onOrder[key] || 0;
+            const available = Math.max(0, line.stockQty) + onOrderQty;
+            const daysOfCover = available / dailyVelocity;
+
+            const supplier = suppliers[key] || null;
+            const leadTimeDays = supplier && leadTimes[supplier.supplierId] !== undefined
+                ? leadTimes[supplier.supplierId]
+                : defaultLeadTimeDays;
+            const reorderPoint = Math.ceil(dailyVelocity * leadTimeDays) + safetyStock;
+
+            if (available > reorderPoint) return;
+
+            // 4. Order up to lead time + cover days of sales, plus safety stock
+            const targetStock = Math.ceil(dailyVelocity * (leadTimeDays + coverDays)) + safetyStock;
+            const suggestedQty = Math.max(1, targetStock - available);
+
+            let urgency = 'reorder';
+            if (line.stockQty <= 0) {
+                urgency = 'out_of_stock';
+            } else if (line.stockQty / dailyVelocity < leadTimeDays) {
+                urgency = 'before_delivery'; // Runs out before a new order could arrive
+            }
+
+            suggestions.push({
+                key,
+                productId: product.id,
+                variantId: line.variantId,
+                productName: product.name,
+                variantLabel: line.variantLabel,
+                sku: line.sku,
+                category: product.category,
+                stockQty: line.stockQty,
+                onOrderQty,
+                unitsSold: sold,
+                dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+                daysOfCover: Math.round(daysOfCover * 10) / 10,
+                leadTimeDays,
+                safetyStock,
+                reorderPoint,
+                suggestedQty,
+                unitCost: supplier && typeof supplier.unitCost === 'number'
+                    ? supplier.unitCost
+                    : (typeof line.costPrice === 'number' ? line.costPrice : null),
+                supplierId: supplier ? supplier.supplierId : null,
+                supplierName: supplier ? supplier.supplierName : '',
+                urgency
+            });
+        });
+    });
+
+    // Most urgent first
+    return suggestions.sort((a, b) => a.daysOfCover - b.daysOfCover);
+};
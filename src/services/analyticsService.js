@@ -15,7 +15,7 @@ import { db } from './firebase';
  */
 export const getOrdersForAnalytics = async (filters = {}) => {
   try {
-    const { startDate, endDate, gender, ageGroup, exhibitionId, employeeId, isOwner } = filters;
+    const { startDate, endDate, exhibitionId, employeeId, isOwner } = filters;
     
     let querySnapshot;
     
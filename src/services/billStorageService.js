@@ -4,8 +4,41 @@
  * Handles saving and retrieving bills from Firestore
  */
 
-import { collection, doc, setDoc, getDoc, getDocs, query, where, orderBy, Timestamp } from 'firebase/firestore';
+import { collection, doc, setDoc, getDoc, getDocs, query, where, Timestamp } from 'firebase/firestore';
 import { db } from './firebase';
+import { getStockLineQuantities } from '../utils/variantUtils';
+
+/**
+ * Build the Firestore document for a generated bill
+ * Removes undefined values, converts dates to Timestamps and initializes
+ * payment fields. Shared by saveBill and transactional checkouts.
+ * @param {Object} bill - Bill object from billingService
+ * @returns {Object} Firestore-ready bill document
+ */
+export const buildBillDocument = (bill) => {
+  // Clean the bill object - remove undefined values
+  const cleanBill = JSON.parse(JSON.stringify(bill, (key, value) => {
+    return value === undefined ? null : value;
+  }));
+  
+  // Initialize payment fields (STEP 6)
+  const payableAmount = cleanBill.totals?.payableAmount || 0;
+  
+  return {
+    ...cleanBill,
+    // Units sold per product and stock line; the credit note rules cap returns at these
+    soldQuantities: getStockLineQuantities(cleanBill.lineItems),
+    billDate: Timestamp.fromDate(new Date(cleanBill.billDate)),
+    generatedAt: Timestamp.fromDate(new Date(cleanBill.generatedAt)),
+    createdAt: Timestamp.now(),
+    // Payment fields (STEP 6)
+    paymentStatus: 'UNPAID',
+    payments: [],
+    paidAmount: 0,
+    dueAmount: payableAmount,
+    locked: false
+  };
+};
 
 /**
  * Save bill to Firestore
@@ -16,26 +49,7 @@ export const saveBill = async (bill) => {
   try {
     const billRef = doc(collection(db, 'bills'));
     
-    // Clean the bill object - remove undefined values
-    const cleanBill = JSON.parse(JSON.stringify(bill, (key, value) => {
-      return value === undefined ? null : value;
-    }));
-    
-    // Initialize payment fields (STEP 6)
-    const payableAmount = cleanBill.totals?.payableAmount || 0;
-    
-    await setDoc(billRef, {
-      ...cleanBill,
-      billDate: Timestamp.fromDate(new Date(cleanBill.billDate)),
-      generatedAt: Timestamp.fromDate(new Date(cleanBill.generatedAt)),
-      createdAt: Timestamp.now(),
-      // Payment fields (STEP 6)
-      paymentStatus: 'UNPAID',
-      payments: [],
-      paidAmount: 0,
-      dueAmount: payableAmount,
-      locked: false
-    });
+    await setDoc(billRef, buildBillDocument(bill));
     
     console.log('Bill saved successfully with ID:', billRef.id);
     return billRef.id;
@@ -198,3 +212,31 @@ export const getBillById = async (billId) => {
     throw error;
   }
 };
+
+/**
+ * Get bill by bill number
+ * @param {string} billNumber - Printed bill number (e.g., S/26-27/00001)
+ * @returns {Promise<Object|null>} Bill data or null
+ */
+export const getBillByNumber = async (billNumber) => {
+  try {
+    const q = query(
+      collection(db, 'bills'),
+      where('billNumber', '==', billNumber.trim().toUpperCase())
+    );
+    const querySnapshot = await getDocs(q);
+    
+    if (querySnapshot.empty) {
+      return null;
+    }
+    
+    const billDoc = querySnapshot.docs[0];
+    return {
+      id: billDoc.id,
+      ...billDoc.data()
+    };
+  } catch (error) {
+    console.error('Error fetching bill by number:', error);
+    throw error;
+  }
+};
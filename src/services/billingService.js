@@ -13,17 +13,41 @@
  * - No recalculation (uses Step 2 output)
  */
 
+import { getSupplyType, SUPPLY_TYPES } from './orderCalculationService';
+import { getStateName } from '../constants/gstStates';
+import { validateGSTIN } from '../utils/validators';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
+// Defaults until the owner saves a business profile (settings/businessProfile);
+// replaced at login by settingsService.loadBusinessProfile
 const BUSINESS_INFO = {
   businessName: 'Kamdon Fashion',
-  gstin: 'GSTIN_PLACEHOLDER', // To be configured
+  legalName: '',
+  gstin: 'GSTIN_PLACEHOLDER', // Configured in Business Settings
   storeAddress: 'Store Address Line 1, City, State',
+  registeredAddress: '',
   stateCode: '27', // Maharashtra
   phone: '+91-XXXXXXXXXX',
-  email: 'contact@kamdonfashion.com'
+  email: 'contact@kamdonfashion.com',
+  logoUrl: '',
+  invoiceTerms: '',
+  bankDetails: {
+    accountName: '',
+    accountNumber: '',
+    ifsc: '',
+    bankName: '',
+    branch: ''
+  },
+  upiId: ''
+};
+
+// B2B invoices carry the buyer's GSTIN; everything else is B2C
+export const INVOICE_TYPES = {
+  B2B: 'B2B',
+  B2C: 'B2C'
 };
 
 // ============================================================================
@@ -32,19 +56,35 @@ const BUSINESS_INFO = {
 
 /**
  * Generate bill number (local-safe, non-final)
- * Format: BILL-YYMMDD-NNNN (e.g., BILL-260210-0001)
+ * Only used for previews; saved bills get a sequential number from
+ * invoiceNumberService inside the checkout transaction.
+ * Format: PREFIX-YYMMDD-NNNN (e.g., BILL-260210-0001, CN-260210-0001)
+ * @param {string} prefix - Document prefix ('BILL' for invoices, 'CN' for credit notes)
  * @returns {string} Bill number
  */
-const generateBillNumber = () => {
+const generateBillNumber = (prefix = 'BILL') => {
   const now = new Date();
   const year = String(now.getFullYear()).slice(-2); // Last 2 digits of year
   const month = String(now.getMonth() + 1).padStart(2, '0');
   const day = String(now.getDate()).padStart(2, '0');
   const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
   
-  return `BILL-${year}${month}${day}-${random}`;
+  return `${prefix}-${year}${month}${day}-${random}`;
 };
 
+/**
+ * Split a line's GST rate by supply type
+ * Intra-state: CGST + SGST at half the rate each. Inter-state: IGST at the full rate.
+ * @param {number} gstRate - Total GST rate
+ * @param {boolean} isInterState - Whether the supply is inter-state
+ * @returns {Object} { cgstRate, sgstRate, igstRate }
+ */
+const splitGSTRate = (gstRate, isInterState) => ({
+  cgstRate: isInterState ? 0 : gstRate / 2,
+  sgstRate: isInterState ? 0 : gstRate / 2,
+  igstRate: isInterState ? gstRate : 0
+});
+
 /**
  * Get current timestamp (UTC)
  * @returns {string} ISO timestamp
@@ -85,10 +125,16 @@ const calculateRoundingAdjustment = (originalAmount, roundedAmount) => {
  * @param {string} metadata.employeeId - Employee user ID
  * @param {string} metadata.employeeName - Employee display name
  * @param {string} metadata.exhibitionId - Exhibition ID (nullable)
+ * @param {Object} metadata.location - Location the sale is made from { id, name, address, phone } (optional)
  * @param {Object} metadata.customer - Customer information
  * @param {string} metadata.customer.name - Customer name
  * @param {string} metadata.customer.phone - Customer phone
  * @param {string} metadata.customer.address - Customer address (optional)
+ * @param {string} metadata.customer.businessName - Buyer business name (B2B only)
+ * @param {string} metadata.customer.gstin - Buyer GSTIN (B2B only)
+ * @param {string} metadata.billNumber - Allocated invoice number (optional, provisional if omitted)
+ * @param {string} metadata.billDate - ISO date of the sale (optional, defaults to now; offline sales)
+ * @param {string} metadata.placeOfSupply - Place-of-supply state code (optional, defaults to seller state)
  * @returns {Object} Complete bill object
  */
 export const generateBill = (orderCalculation, metadata) => {
@@ -105,25 +151,40 @@ export const generateBill = (orderCalculation, metadata) => {
     throw new Error('Invalid customer info: name and phone are required');
   }
   
+  // Place of supply decides CGST+SGST vs IGST; the calculation must agree
+  const placeOfSupply = metadata.placeOfSupply || BUSINESS_INFO.stateCode;
+  const supplyType = getSupplyType(BUSINESS_INFO.stateCode, placeOfSupply);
+  const isInterState = supplyType === SUPPLY_TYPES.INTER_STATE;
+  
+  if (Boolean(orderCalculation.summary.isInterState) !== isInterState) {
+    throw new Error('Order calculation does not match the place of supply. Recalculate the order.');
+  }
+  
   // Generate bill number and timestamp
-  const billNumber = generateBillNumber();
-  const billDate = getCurrentTimestamp();
+  const billNumber = metadata.billNumber || generateBillNumber();
+  const billDate = metadata.billDate || getCurrentTimestamp();
   const generatedAt = getCurrentTimestamp();
   
   // Build line items from order calculation
   const lineItems = orderCalculation.items.map(item => ({
+    productId: item.productId || null,
+    variantId: item.variantId || null,
+    size: item.size || null,
+    colour: item.colour || null,
     sku: item.sku,
     productName: item.name,
     category: item.category,
+    hsnCode: item.hsnCode || '',
     quantity: item.quantity,
     unitPrice: item.effectiveUnitPrice,
     discountApplied: item.lineDiscountAmount || 0,
     taxableValue: item.lineTaxableValue,
     gstRate: item.gstRate,
-    cgstRate: item.gstRate / 2, // CGST is half of total GST
+    isTaxInclusive: item.isTaxInclusive,
+    ...splitGSTRate(item.gstRate, isInterState),
     cgstAmount: item.lineCGST,
-    sgstRate: item.gstRate / 2, // SGST is half of total GST
     sgstAmount: item.lineSGST,
+    igstAmount: item.lineIGST || 0,
     lineTotal: item.lineTotal
   }));
   
@@ -132,6 +193,7 @@ export const generateBill = (orderCalculation, metadata) => {
   const totalDiscount = orderCalculation.summary.totalDiscount;
   const totalCGST = orderCalculation.summary.totalCGST;
   const totalSGST = orderCalculation.summary.totalSGST;
+  const totalIGST = orderCalculation.summary.totalIGST || 0;
   const totalTax = orderCalculation.summary.totalTax;
   const grandTotal = orderCalculation.summary.grandTotal;
   
@@ -150,23 +212,36 @@ export const generateBill = (orderCalculation, metadata) => {
     employeeName: metadata.employeeName,
     exhibitionId: metadata.exhibitionId || null,
     exhibitionLocation: metadata.exhibitionLocation || null,
+    locationId: metadata.location ? metadata.location.id : null,
+    locationName: metadata.location ? metadata.location.name : null,
     
     // Seller Info
+    // Snapshot of the business profile at billing time; the selling location's
+    // address and phone replace the store's when it has its own
     seller: {
-      businessName: BUSINESS_INFO.businessName,
-      gstin: BUSINESS_INFO.gstin,
-      storeAddress: BUSINESS_INFO.storeAddress,
-      stateCode: BUSINESS_INFO.stateCode,
-      phone: BUSINESS_INFO.phone,
-      email: BUSINESS_INFO.email
+      ...getBusinessInfo(),
+      ...(metadata.location && metadata.location.address ? { storeAddress: metadata.location.address } : {}),
+      ...(metadata.location && metadata.location.phone ? { phone: metadata.location.phone } : {})
     },
     
     // Customer Info
     customer: {
       name: metadata.customer.name,
       phone: metadata.customer.phone,
-      address: metadata.customer.address || ''
+      address: metadata.customer.address || '',
+      ...(metadata.customer.gstin && {
+        businessName: metadata.customer.businessName || '',
+        gstin: metadata.customer.gstin
+      })
     },
+    invoiceType: metadata.customer.gstin ? INVOICE_TYPES.B2B : INVOICE_TYPES.B2C,
+    
+    // Place of Supply
+    placeOfSupply: {
+      stateCode: placeOfSupply,
+      stateName: getStateName(placeOfSupply)
+    },
+    supplyType,
     
     // Line Items
     lineItems,
@@ -178,6 +253,7 @@ export const generateBill = (orderCalculation, metadata) => {
       totalDiscount,
       totalCGST,
       totalSGST,
+      totalIGST,
       totalTax,
       grandTotal,
       roundedOffAmount,
@@ -197,6 +273,123 @@ export const generateBill = (orderCalculation, metadata) => {
   return bill;
 };
 
+/**
+ * Generate credit note from a return calculation against a saved bill
+ * The credit note mirrors the bill structure so it can be previewed and
+ * summarised with the same helpers (getGSTSummary, BillPreview).
+ * @param {Object} returnCalculation - Output from orderCalculationService.calculateReturn
+ * @param {Object} metadata - Credit note metadata
+ * @param {Object} metadata.originalBill - Saved bill being credited (with id)
+ * @param {string} metadata.employeeId - Employee processing the return
+ * @param {string} metadata.employeeName - Employee display name
+ * @param {string} metadata.reason - Return reason
+ * @param {string} metadata.refundMode - How the refund is settled (CASH, UPI, ...)
+ * @param {string} metadata.creditNoteNumber - Allocated credit note number (optional, provisional if omitted)
+ * @returns {Object} Complete credit note object
+ */
+export const generateCreditNote = (returnCalculation, metadata) => {
+  if (!returnCalculation || !returnCalculation.items || returnCalculation.items.length === 0) {
+    throw new Error('Invalid return calculation: items array is required');
+  }
+  
+  if (!metadata || !metadata.originalBill || !metadata.originalBill.id) {
+    throw new Error('Invalid metadata: original bill is required');
+  }
+  
+  if (!metadata.employeeId || !metadata.employeeName) {
+    throw new Error('Invalid metadata: employeeId and employeeName are required');
+  }
+  
+  const originalBill = metadata.originalBill;
+  const creditNoteNumber = metadata.creditNoteNumber || generateBillNumber('CN');
+  const creditNoteDate = getCurrentTimestamp();
+  const isInterState = Boolean(returnCalculation.summary.isInterState);
+  
+  // Bills issued before IGST support were always supplied in the seller's state
+  const sellerStateCode = originalBill.seller?.stateCode || BUSINESS_INFO.stateCode;
+  const placeOfSupply = originalBill.placeOfSupply
+    ? { ...originalBill.placeOfSupply }
+    : { stateCode: sellerStateCode, stateName: getStateName(sellerStateCode) };
+  
+  const lineItems = returnCalculation.items.map(item => ({
+    productId: item.productId || null,
+    variantId: item.variantId || null,
+    size: item.size || null,
+    colour: item.colour || null,
+    sku: item.sku,
+    productName: item.name,
+    category: item.category,
+    hsnCode: item.hsnCode || '',
+    quantity: item.quantity,
+    unitPrice: item.effectiveUnitPrice,
+    discountApplied: item.lineDiscountAmount || 0,
+    taxableValue: item.lineTaxableValue,
+    gstRate: item.gstRate,
+    isTaxInclusive: item.isTaxInclusive,
+    ...splitGSTRate(item.gstRate, isInterState),
+    cgstAmount: item.lineCGST,
+    sgstAmount: item.lineSGST,
+    igstAmount: item.lineIGST || 0,
+    lineTotal: item.lineTotal
+  }));
+  
+  const summary = returnCalculation.summary;
+  const payableAmount = applyRounding(summary.grandTotal);
+  const roundedOffAmount = calculateRoundingAdjustment(summary.grandTotal, payableAmount);
+  
+  return {
+    // Header
+    documentType: 'CREDIT_NOTE',
+    creditNoteNumber,
+    creditNoteDate,
+    originalBillId: originalBill.id,
+    originalBillNumber: originalBill.billNumber,
+    originalBillValue: originalBill.totals?.payableAmount || null,
+    orderId: originalBill.orderId || null,
+    orderType: originalBill.orderType,
+    employeeId: metadata.employeeId,
+    employeeName: metadata.employeeName,
+    exhibitionId: originalBill.exhibitionId || null,
+    exhibitionLocation: originalBill.exhibitionLocation || null,
+    locationId: originalBill.locationId || null,
+    locationName: originalBill.locationName || null,
+    
+    // Seller and customer are carried over from the original invoice
+    seller: { ...originalBill.seller },
+    customer: { ...originalBill.customer },
+    invoiceType: originalBill.invoiceType || (originalBill.customer?.gstin ? INVOICE_TYPES.B2B : INVOICE_TYPES.B2C),
+    placeOfSupply,
+    supplyType: isInterState ? SUPPLY_TYPES.INTER_STATE : SUPPLY_TYPES.INTRA_STATE,
+    
+    // Line Items
+    lineItems,
+    
+    // Totals (payableAmount is the amount refunded to the customer)
+    totals: {
+      totalQuantity: summary.totalQuantity,
+      subtotal: summary.subtotal,
+      totalDiscount: summary.totalDiscount,
+      totalCGST: summary.totalCGST,
+      totalSGST: summary.totalSGST,
+      totalIGST: summary.totalIGST || 0,
+      totalTax: summary.totalTax,
+      grandTotal: summary.grandTotal,
+      roundedOffAmount,
+      payableAmount
+    },
+    
+    // Footer
+    footer: {
+      paymentMode: metadata.refundMode || 'CASH',
+      notes: metadata.reason || ''
+    },
+    reason: metadata.reason || '',
+    
+    // Metadata
+    generatedAt: getCurrentTimestamp()
+  };
+};
+
 /**
  * Format bill for display (helper for preview)
  * @param {Object} bill - Bill object from generateBill
@@ -217,6 +410,7 @@ export const formatBillForDisplay = (bill) => {
       taxableValue: `₹${item.taxableValue.toFixed(2)}`,
       cgstAmount: `₹${item.cgstAmount.toFixed(2)}`,
       sgstAmount: `₹${item.sgstAmount.toFixed(2)}`,
+      igstAmount: `₹${(item.igstAmount || 0).toFixed(2)}`,
       lineTotal: `₹${item.lineTotal.toFixed(2)}`
     })),
     totals: {
@@ -225,6 +419,7 @@ export const formatBillForDisplay = (bill) => {
       totalDiscount: `₹${bill.totals.totalDiscount.toFixed(2)}`,
       totalCGST: `₹${bill.totals.totalCGST.toFixed(2)}`,
       totalSGST: `₹${bill.totals.totalSGST.toFixed(2)}`,
+      totalIGST: `₹${(bill.totals.totalIGST || 0).toFixed(2)}`,
       totalTax: `₹${bill.totals.totalTax.toFixed(2)}`,
       grandTotal: `₹${bill.totals.grandTotal.toFixed(2)}`,
       roundedOffAmount: `₹${bill.totals.roundedOffAmount.toFixed(2)}`,
@@ -242,16 +437,20 @@ export const getGSTSummary = (bill) => {
   const gstGroups = {};
   
   bill.lineItems.forEach(item => {
-    const rate = item.cgstRate + item.sgstRate; // Total GST rate
+    const igstRate = item.igstRate || 0;
+    const igstAmount = item.igstAmount || 0;
+    const rate = item.cgstRate + item.sgstRate + igstRate; // Total GST rate
     
     if (!gstGroups[rate]) {
       gstGroups[rate] = {
         gstRate: rate,
         cgstRate: item.cgstRate,
         sgstRate: item.sgstRate,
+        igstRate,
         taxableValue: 0,
         cgstAmount: 0,
         sgstAmount: 0,
+        igstAmount: 0,
         totalTax: 0
       };
     }
@@ -259,7 +458,8 @@ export const getGSTSummary = (bill) => {
     gstGroups[rate].taxableValue += item.taxableValue;
     gstGroups[rate].cgstAmount += item.cgstAmount;
     gstGroups[rate].sgstAmount += item.sgstAmount;
-    gstGroups[rate].totalTax += (item.cgstAmount + item.sgstAmount);
+    gstGroups[rate].igstAmount += igstAmount;
+    gstGroups[rate].totalTax += (item.cgstAmount + item.sgstAmount + igstAmount);
   });
   
   return Object.values(gstGroups).map(group => ({
@@ -267,10 +467,63 @@ export const getGSTSummary = (bill) => {
     taxableValue: parseFloat(group.taxableValue.toFixed(2)),
     cgstAmount: parseFloat(group.cgstAmount.toFixed(2)),
     sgstAmount: parseFloat(group.sgstAmount.toFixed(2)),
+    igstAmount: parseFloat(group.igstAmount.toFixed(2)),
     totalTax: parseFloat(group.totalTax.toFixed(2))
   }));
 };
 
+/**
+ * Group line items by HSN code and GST rate (HSN-wise tax summary)
+ * Lines with a negative quantity (e.g. credit note lines in a period report)
+ * reduce the totals.
+ * @param {Object} bill - Bill object (or any object with lineItems)
+ * @returns {Array} HSN summary rows sorted by HSN code
+ */
+export const getHSNSummary = (bill) => {
+  const hsnGroups = {};
+  
+  bill.lineItems.forEach(item => {
+    const hsnCode = item.hsnCode || 'N/A';
+    const gstRate = item.gstRate !== undefined ? item.gstRate : item.cgstRate + item.sgstRate + (item.igstRate || 0);
+    const key = `${hsnCode}_${gstRate}`;
+    
+    if (!hsnGroups[key]) {
+      hsnGroups[key] = {
+        hsnCode,
+        gstRate,
+        quantity: 0,
+        taxableValue: 0,
+        cgstAmount: 0,
+        sgstAmount: 0,
+        igstAmount: 0,
+        totalTax: 0,
+        totalValue: 0
+      };
+    }
+    
+    const igstAmount = item.igstAmount || 0;
+    hsnGroups[key].quantity += item.quantity;
+    hsnGroups[key].taxableValue += item.taxableValue;
+    hsnGroups[key].cgstAmount += item.cgstAmount;
+    hsnGroups[key].sgstAmount += item.sgstAmount;
+    hsnGroups[key].igstAmount += igstAmount;
+    hsnGroups[key].totalTax += (item.cgstAmount + item.sgstAmount + igstAmount);
+    hsnGroups[key].totalValue += item.lineTotal;
+  });
+  
+  return Object.values(hsnGroups)
+    .map(group => ({
+      ...group,
+      taxableValue: parseFloat(group.taxableValue.toFixed(2)),
+      cgstAmount: parseFloat(group.cgstAmount.toFixed(2)),
+      sgstAmount: parseFloat(group.sgstAmount.toFixed(2)),
+      igstAmount: parseFloat(group.igstAmount.toFixed(2)),
+      totalTax: parseFloat(group.totalTax.toFixed(2)),
+      totalValue: parseFloat(group.totalValue.toFixed(2))
+    }))
+    .sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.gstRate - b.gstRate);
+};
+
 /**
  * Validate bill object structure
  * @param {Object} bill - Bill object to validate
@@ -294,6 +547,9 @@ export const validateBill = (bill) => {
   // Check customer info
   if (!bill.customer || !bill.customer.name) errors.push('Customer name is required');
   if (!bill.customer || !bill.customer.phone) errors.push('Customer phone is required');
+  if (bill.invoiceType === INVOICE_TYPES.B2B && !validateGSTIN(bill.customer?.gstin)) {
+    errors.push('A valid customer GSTIN is required for a B2B invoice');
+  }
   
   // Check line items
   if (!bill.lineItems || bill.lineItems.length === 0) {
@@ -318,22 +574,23 @@ export const validateBill = (bill) => {
 };
 
 /**
- * Update business information (configuration helper)
+ * Update business information (loaded from the stored business profile)
+ * Only known profile fields are copied; missing fields keep their value.
  * @param {Object} businessInfo - New business information
  */
 export const updateBusinessInfo = (businessInfo) => {
-  if (businessInfo.businessName) BUSINESS_INFO.businessName = businessInfo.businessName;
-  if (businessInfo.gstin) BUSINESS_INFO.gstin = businessInfo.gstin;
-  if (businessInfo.storeAddress) BUSINESS_INFO.storeAddress = businessInfo.storeAddress;
-  if (businessInfo.stateCode) BUSINESS_INFO.stateCode = businessInfo.stateCode;
-  if (businessInfo.phone) BUSINESS_INFO.phone = businessInfo.phone;
-  if (businessInfo.email) BUSINESS_INFO.email = businessInfo.email;
+  Object.keys(BUSINESS_INFO).forEach(key => {
+    if (businessInfo[key] === undefined || businessInfo[key] === null) return;
+    BUSINESS_INFO[key] = key === 'bankDetails'
+      ? { ...BUSINESS_INFO.bankDetails, ...businessInfo.bankDetails }
+      : businessInfo[key];
+  });
 };
 
 /**
  * Get current business information
- * @returns {Object} Current business info
+ * @returns {Object} Current business info (copy)
  */
 export const getBusinessInfo = () => {
-  return { ...BUSINESS_INFO };
+  return { ...BUSINESS_INFO, bankDetails: { ...BUSINESS_INFO.bankDetails } };
 };
@@ -0,0 +1,317 @@
+/**
+ * CHECKOUT SERVICE
+ * ================
+ * Atomic order checkout.
+ * Stock decrement, customer upsert, order and bill are committed in a single
+ * Firestore transaction, so a failure never leaves stock deducted without an
+ * order and two tills cannot both sell the last unit.
+ * The sequential invoice number is allocated in the same transaction.
+ * Exhibitions with allocated stock sell from that allocation instead of
+ * store stock (the stock already left the store when it was issued).
+ * Other sales take stock from the selling location (the employee's home location).
+ * Sales queued offline pass their own order and bill IDs; replaying one that
+ * already committed returns the saved bill instead of selling twice.
+ */
+
+import { collection, doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { calculateOrder, determinePlaceOfSupply, getSupplyType, SUPPLY_TYPES } from './orderCalculationService';
+import { generateBill, getBusinessInfo } from './billingService';
+import { buildBillDocument } from './billStorageService';
+import { buildOrderDocument } from './orderService';
+import { getCustomerRef, buildCustomerBusinessFields } from './customerService';
+import { normalizePhone } from '../utils/validators';
+import { readStockChanges, readStockDeductions, writeStockDeductions, assertStockAvailable, attachUnitCosts, INSUFFICIENT_STOCK } from './productService';
+import { readInvoiceCounter, writeInvoiceCounter, getSeriesForOrderType } from './invoiceNumberService';
+import { readExhibitionAllocation, applyAllocationSale, applyLateSaleToReconciliation } from './exhibitionService';
+import { getLocationId } from '../utils/locationUtils';
+
+// Transaction attempts before giving up on contention
+export const CHECKOUT_MAX_ATTEMPTS = 5;
+
+// Error code thrown when stock changed between adding to cart and checkout
+export const STOCK_CHANGED = 'checkout/stock-changed';
+
+/**
+ * Convert cart items to order line items
+ * @param {Array} cart - Cart items
+ * @param {Array} calculatedItems - Lines from calculateOrder (for the GST-exclusive line value)
+ * @returns {Array} Order items
+ */
+export const buildOrderItems = (cart, calculatedItems = []) => {
+  return cart.map((cartItem, index) => ({
+    productId: cartItem.productId,
+    variantId: cartItem.variantId || null,
+    size: cartItem.size || null,
+    colour: cartItem.colour || null,
+    productName: cartItem.name,
+    sku: cartItem.sku,
+    category: cartItem.category,
+    hsnCode: cartItem.hsnCode || '',
+    quantity: cartItem.quantity,
+    unitPrice: cartItem.unitSalePrice || cartItem.unitBasePrice,
+    lineTotal: (cartItem.unitSalePrice || cartItem.unitBasePrice) * cartItem.quantity,
+    lineTaxableValue: calculatedItems[index] ? calculatedItems[index].lineTaxableValue : null
+  }));
+};
+
+/**
+ * Check out a cart in one transaction
+ * Pre-bookings create the order and bill without deducting stock.
+ * Payment is recorded separately against the returned bill.
+ * @param {Object} checkout - Checkout details
+ * @param {Array} checkout.cart - Cart items
+ * @param {string} checkout.orderType - 'daily' | 'exhibition' | 'prebooking'
+ * @param {string} checkout.exhibitionId - Exhibition ID (exhibition sales)
+ * @param {string} checkout.exhibitionLocation - Exhibition location (exhibition sales)
+ * @param {string} checkout.exhibitionStateCode - Exhibition GST state code (exhibition sales)
+ * @param {string} checkout.customerStateCode - Delivery state code (pre-bookings)
+ * @param {Object} checkout.location - Selling location { id, name, address, phone } (defaults to the primary location)
+ * @param {Object} checkout.customer - { phone, name, address, gender, ageGroup, isB2B, businessName, gstin }
+ * @param {string} checkout.employeeId - Employee UID
+ * @param {string} checkout.employeeName - Employee display name
+ * @param {string} checkout.deliveryDate - Delivery date (pre-bookings)
+ * @param {string} checkout.orderId - Order document ID to use (offline sales)
+ * @param {string} checkout.billId - Bill document ID to use (offline sales)
+ * @param {Object} checkout.offlineSale - { provisionalBillNumber, soldAt } for sales made offline
+ * @returns {Promise<Object>} { order, bill, stockResults, alreadyCommitted }
+ */
+export const processCheckout = async (checkout) => {
+  try {
+    const {
+      cart,
+      orderType,
+      exhibitionId = null,
+      exhibitionLocation = null,
+      exhibitionStateCode = null,
+      customerStateCode = null,
+      location = null,
+      customer,
+      employeeId,
+      employeeName,
+      deliveryDate = null,
+      orderId = null,
+      billId = null,
+      offlineSale = null
+    } = checkout;
+
+    if (!cart || cart.length === 0) {
+      throw new Error('Please add at least one product to cart');
+    }
+
+    if (!customer || !customer.phone || !customer.name) {
+      throw new Error('Customer phone and name are required');
+    }
+
+    if (customer.isB2B && (!customer.gstin || !customer.businessName)) {
+      throw new Error('Business name and GSTIN are required for a B2B sale');
+    }
+
+    // Validates the GSTIN; empty for B2C sales
+    const businessFields = customer.isB2B ? buildCustomerBusinessFields(customer) : {};
+
+    const isPreBooking = orderType === 'prebooking';
+    const locationId = getLocationId(location);
+
+    const orderRef = orderId ? doc(db, 'orders', orderId) : doc(collection(db, 'orders'));
+    const billRef = billId ? doc(db, 'bills', billId) : doc(collection(db, 'bills'));
+
+    const sellerStateCode = getBusinessInfo().stateCode;
+    const placeOfSupply = determinePlaceOfSupply({
+      orderType,
+      sellerStateCode,
+      exhibitionStateCode,
+      customerStateCode
+    });
+    const isInterState = getSupplyType(sellerStateCode, placeOfSupply) === SUPPLY_TYPES.INTER_STATE;
+
+    const orderCalculation = calculateOrder({ items: cart, employeeDiscount: 0, isInterState });
+
+    // Queries cannot run in a transaction, so resolve the document up front;
+    // a new customer's document is keyed by phone, so concurrent tills share it
+    const customerRef = await getCustomerRef(customer.phone);
+
+    const { bill, billDoc, orderDoc, stockResults, existingBill } = await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      if (billId) {
+        const existingBillDoc = await transaction.get(billRef);
+        if (existingBillDoc.exists()) {
+          return { existingBill: { id: existingBillDoc.id, ...existingBillDoc.data() } };
+        }
+      }
+
+      // An offline sale is numbered in the financial year it was made in
+      const customerDoc = await transaction.get(customerRef);
+
+      const invoiceAllocation = await readInvoiceCounter(
+        transaction,
+        getSeriesForOrderType(orderType),
+        offlineSale ? new Date(offlineSale.soldAt) : new Date()
+      );
+
+      const exhibitionStock = exhibitionId && !isPreBooking
+        ? await readExhibitionAllocation(transaction, exhibitionId, offlineSale ? offlineSale.soldAt : null)
+        : null;
+
+      const soldItems = cart.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        name: item.name
+      }));
+
+      let deductions = [];
+      let updatedAllocation = null;
+      let lateSale = null;
+      if (exhibitionStock) {
+        updatedAllocation = applyAllocationSale(exhibitionStock.allocation, soldItems);
+        // An offline sale from the show that synced after it ended also
+        // corrects the reconciliation (the rules tie it to this bill)
+        lateSale = exhibitionStock.ended && exhibitionStock.reconciliation
+          ? applyLateSaleToReconciliation(exhibitionStock.reconciliation, updatedAllocation)
+          : null;
+        // Products are still read for their unit cost; store stock only
+        // changes to take back units the close posted back in error
+        deductions = await readStockChanges(transaction, [
+          ...soldItems.map(item => ({ ...item, delta: 0 })),
+          ...(lateSale ? lateSale.corrections.map(line => ({ ...line, delta: -line.quantity })) : [])
+        ], exhibitionStock.stockLocationId);
+        assertStockAvailable(deductions);
+      } else if (!isPreBooking) {
+        deductions = await readStockDeductions(transaction, soldItems, locationId);
+      }
+
+      // Generate bill for ALL order types (including pre-bookings)
+      const generatedBill = generateBill(orderCalculation, {
+        orderId: orderRef.id,
+        orderType,
+        employeeId,
+        employeeName,
+        exhibitionId,
+        exhibitionLocation,
+        location,
+        billNumber: invoiceAllocation.invoiceNumber,
+        billDate: offlineSale ? offlineSale.soldAt : null,
+        placeOfSupply,
+        customer: {
+          name: customer.name,
+          phone: customer.phone,
+          address: customer.address || '',
+          ...businessFields
+        }
+      });
+
+      const newOrderDoc = buildOrderDocument({
+        type: orderType,
+        customerPhone: customer.phone,
+        // Pre-bookings get their unit cost when the stock is delivered
+        items: attachUnitCosts(buildOrderItems(cart, orderCalculation.items), deductions),
+        totals: {
+          subtotal: generatedBill.totals.subtotal,
+          totalCGST: generatedBill.totals.totalCGST,
+          totalSGST: generatedBill.totals.totalSGST,
+          totalIGST: generatedBill.totals.totalIGST,
+          totalTax: generatedBill.totals.totalTax,
+          grandTotal: generatedBill.totals.grandTotal,
+          payableAmount: generatedBill.totals.payableAmount
+        },
+        status: isPreBooking ? 'pending' : 'completed',
+        exhibitionId,
+        locationId,
+        locationName: location ? location.name : null,
+        createdBy: employeeId,
+        deliveryDate: isPreBooking ? deliveryDate : null,
+        billId: generatedBill.billNumber,
+        placeOfSupply,
+        invoiceType: generatedBill.invoiceType,
+        customerGSTIN: businessFields.gstin || null,
+        customerBusinessName: businessFields.businessName || null
+      });
+      const newBillDoc = buildBillDocument(generatedBill);
+      if (offlineSale) {
+        newOrderDoc.offlineSale = offlineSale;
+        newBillDoc.offlineSale = offlineSale;
+      }
+
+      // --- Writes ---
+      writeInvoiceCounter(transaction, invoiceAllocation, billRef.id);
+      if (updatedAllocation) {
+        transaction.update(exhibitionStock.ref, {
+          allocation: updatedAllocation,
+          ...(lateSale ? { reconciliation: lateSale.reconciliation, lateSaleBillId: billRef.id } : {}),
+          updatedAt: serverTimestamp()
+        });
+      }
+      writeStockDeductions(transaction, deductions, {
+        userId: employeeId,
+        userName: employeeName,
+        reason: lateSale && lateSale.corrections.length > 0
+          ? 'Exhibition sale synced after the show (units had been posted back at the close)'
+          : `${orderType} sale`,
+        referenceType: 'bill',
+        referenceId: billRef.id,
+        referenceNumber: generatedBill.billNumber
+      });
+
+      transaction.set(customerRef, {
+        name: customer.name,
+        phone: normalizePhone(customer.phone),
+        address: customer.address || '',
+        gender: customer.gender || '',
+        ageGroup: customer.ageGroup || '',
+        ...businessFields,
+        ...(customerDoc.exists() ? { updatedAt: serverTimestamp() } : { createdAt: serverTimestamp() })
+      }, { merge: true });
+
+      transaction.set(orderRef, newOrderDoc);
+      transaction.set(billRef, newBillDoc);
+
+      return {
+        bill: generatedBill,
+        billDoc: newBillDoc,
+        orderDoc: newOrderDoc,
+        stockResults: deductions.map(({ productId, productName, oldStock, newStock }) => ({
+          productId,
+          productName,
+          oldStock,
+          newStock
+        }))
+      };
+    }, { maxAttempts: CHECKOUT_MAX_ATTEMPTS });
+
+    if (existingBill) {
+      console.log('Checkout already committed. Bill:', existingBill.id);
+      return { order: null, bill: existingBill, stockResults: [], alreadyCommitted: true };
+    }
+
+    console.log('Checkout committed. Order:', orderRef.id, 'Bill:', billRef.id);
+
+    return {
+      order: { id: orderRef.id, ...orderDoc },
+      bill: {
+        ...bill,
+        id: billRef.id,
+        paymentStatus: billDoc.paymentStatus,
+        payments: [],
+        paidAmount: 0,
+        dueAmount: billDoc.dueAmount,
+        locked: false
+      },
+      stockResults,
+      alreadyCommitted: false
+    };
+  } catch (error) {
+    console.error('Error during checkout:', error);
+
+    if (error.code === INSUFFICIENT_STOCK) {
+      const stockError = new Error(`Stock changed during checkout. ${error.message}. Nothing was saved; update the cart and try again.`);
+      stockError.code = STOCK_CHANGED;
+      stockError.productId = error.productId;
+      stockError.variantId = error.variantId || null;
+      stockError.available = error.available;
+      throw stockError;
+    }
+
+    throw error;
+  }
+};
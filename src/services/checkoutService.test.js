@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { doc, Timestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { processCheckout } from './checkoutService';
+import { getReconciliationSheet } from './exhibitionService';
+import { runFakeTransaction } from '../test/fakeFirestore';
+
+// Documents by path; runTransaction reads from and writes to this store
+const store = new Map();
+
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...(await importOriginal()),
+  runTransaction: (firestore, updateFunction) => runFakeTransaction(store, updateFunction)
+}));
+
+vi.mock('./customerService', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getCustomerRef: async (phone) => doc(db, 'customers', phone)
+  };
+});
+
+const PUNE = { id: 'pune', name: 'Pune Store', address: 'FC Road, Pune', phone: '9800000000' };
+
+const checkoutFrom = (location) => ({
+  cart: [{
+    productId: 'kurta',
+    variantId: null,
+    name: 'Cotton Kurta',
+    sku: 'KUR-001',
+    category: 'men',
+    hsnCode: '6211',
+    quantity: 2,
+    unitBasePrice: 1000,
+    gstRate: 5,
+    isTaxInclusive: true
+  }],
+  orderType: 'daily',
+  location,
+  customer: { phone: '9876543210', name: 'Asha' },
+  employeeId: 'emp-1',
+  employeeName: 'Ravi'
+});
+
+describe('processCheckout', () => {
+  beforeEach(() => {
+    store.clear();
+    store.set('products/kurta', {
+      name: 'Cotton Kurta',
+      sku: 'KUR-001',
+      costPrice: 400,
+      stockQty: 10,
+      locationStock: { main: 6, pune: 4 }
+    });
+  });
+
+  it('takes stock from the selling location', async () => {
+    const { order, bill } = await processCheckout(checkoutFrom(PUNE));
+
+    expect(order.locationId).toBe('pune');
+    expect(store.get(`bills/${bill.id}`).soldQuantities).toEqual({ kurta: 2, 'kurta:': 2 });
+    expect(store.get('products/kurta')).toMatchObject({
+      stockQty: 8,
+      stockLocationId: 'pune',
+      locationStock: { main: 6, pune: 2 }
+    });
+  });
+
+  it('takes stock from the primary location when none is given', async () => {
+    await processCheckout(checkoutFrom(null));
+
+    expect(store.get('products/kurta')).toMatchObject({
+      stockQty: 8,
+      stockLocationId: 'main',
+      locationStock: { main: 4, pune: 4 }
+    });
+  });
+
+  it('takes back units posted to store at the close when a show sale syncs late', async () => {
+    // Closed with 2 of 5 sold and no count, so 3 units went back to Pune
+    const allocation = [{ productId: 'kurta', variantId: null, productName: 'Cotton Kurta', issuedQty: 5, soldQty: 2 }];
+    store.set('exhibitions/show', {
+      active: false,
+      stockLocationId: 'pune',
+      allocation,
+      reconciliation: getReconciliationSheet(allocation, {}),
+      createdAt: Timestamp.fromDate(new Date('2026-10-10T04:00:00Z')),
+      endTime: Timestamp.fromDate(new Date('2026-10-10T14:00:00Z'))
+    });
+
+    await processCheckout({
+      ...checkoutFrom(PUNE),
+      cart: checkoutFrom(PUNE).cart.map(item => ({ ...item, quantity: 1 })),
+      orderType: 'exhibition',
+      exhibitionId: 'show',
+      offlineSale: { provisionalBillNumber: 'OFF-A-1', soldAt: '2026-10-10T10:00:00Z' }
+    });
+
+    expect(store.get('exhibitions/show').reconciliation.lines[0]).toMatchObject({ soldQty: 3, returnedQty: 2, missingQty: 0 });
+    expect(store.get('products/kurta')).toMatchObject({ stockQty: 9, locationStock: { main: 6, pune: 3 } });
+  });
+});
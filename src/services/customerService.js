@@ -9,71 +9,104 @@ import {
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { getGSTINError, normalizeGSTIN, normalizePhone } from '../utils/validators';
 
 /**
  * Get customer by phone number (unique identifier)
+ * Customers saved before phones were normalised are found by the phone as
+ * typed; their next checkout saves the normalised phone on the same record.
  * @param {string} phone - Customer phone number
  * @returns {Object|null} Customer data or null if not found
  */
 export const getCustomerByPhone = async (phone) => {
   try {
-    const q = query(collection(db, 'customers'), where('phone', '==', phone));
-    const querySnapshot = await getDocs(q);
-    
-    if (querySnapshot.empty) {
-      return null;
+    const normalizedPhone = normalizePhone(phone);
+    const rawPhone = String(phone || '').trim();
+    const phones = rawPhone && rawPhone !== normalizedPhone ? [normalizedPhone, rawPhone] : [normalizedPhone];
+
+    for (const value of phones) {
+      const q = query(collection(db, 'customers'), where('phone', '==', value));
+      const querySnapshot = await getDocs(q);
+
+      if (!querySnapshot.empty) {
+        const doc = querySnapshot.docs[0];
+        return {
+          id: doc.id,
+          ...doc.data()
+        };
+      }
     }
-    
-    const doc = querySnapshot.docs[0];
-    return {
-      id: doc.id,
-      ...doc.data()
-    };
+
+    return null;
   } catch (error) {
     console.error('Error fetching customer by phone:', error);
     throw error;
   }
 };
 
+/**
+ * Get the document reference for a customer's phone number
+ * New customers are keyed by their normalised phone, so two tills billing the
+ * same new customer at once write one record. Customers saved before that keep
+ * their generated IDs and are found by the phone lookup.
+ * @param {string} phone - Customer phone number
+ * @returns {Promise<Object>} Firestore document reference
+ */
+export const getCustomerRef = async (phone) => {
+  const existingCustomer = await getCustomerByPhone(phone);
+  return doc(db, 'customers', existingCustomer ? existingCustomer.id : normalizePhone(phone));
+};
+
+/**
+ * Build the optional business fields for a customer record
+ * Only set when a GSTIN is given, so a personal purchase does not clear
+ * a business customer's saved GSTIN.
+ * @param {Object} customerData - { businessName, gstin }
+ * @returns {Object} { businessName, gstin } or empty object
+ */
+export const buildCustomerBusinessFields = ({ businessName, gstin }) => {
+  if (!gstin) {
+    return {};
+  }
+  
+  const gstinError = getGSTINError(gstin);
+  if (gstinError) {
+    throw new Error(gstinError);
+  }
+  
+  return {
+    businessName: (businessName || '').trim(),
+    gstin: normalizeGSTIN(gstin)
+  };
+};
+
 /**
  * Create or update customer
  * @param {Object} customerData - Customer information
+ * @param {string} customerData.businessName - Registered business name (optional, B2B)
+ * @param {string} customerData.gstin - Customer GSTIN (optional, B2B)
  * @returns {string} Customer document ID
  */
 export const createOrUpdateCustomer = async (customerData) => {
   try {
     const { phone, name, address, gender, ageGroup } = customerData;
+    const businessFields = buildCustomerBusinessFields(customerData);
     
     // Check if customer exists
-    const existingCustomer = await getCustomerByPhone(phone);
+    const customerRef = await getCustomerRef(phone);
+    const existingCustomer = await getDoc(customerRef);
     
-    if (existingCustomer) {
-      // Update existing customer
-      const customerRef = doc(db, 'customers', existingCustomer.id);
-      await setDoc(customerRef, {
-        name,
-        phone,
-        address,
-        gender,
-        ageGroup,
-        updatedAt: serverTimestamp()
-      }, { merge: true });
-      
-      return existingCustomer.id;
-    } else {
-      // Create new customer
-      const customerRef = doc(collection(db, 'customers'));
-      await setDoc(customerRef, {
-        name,
-        phone,
-        address,
-        gender,
-        ageGroup,
-        createdAt: serverTimestamp()
-      });
-      
-      return customerRef.id;
-    }
+    await setDoc(customerRef, {
+      name,
+      phone: normalizePhone(phone),
+      address,
+      gender,
+      ageGroup,
+      ...businessFields,
+      ...(existingCustomer.exists() ? { updatedAt: serverTimestamp() } : { createdAt: serverTimestamp() })
+    }, { merge: true });
+    
+    return customerRef.id;
   } catch (error) {
     console.error('Error creating/updating customer:', error);
     throw error;
@@ -0,0 +1,42 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getCustomerRef } from './customerService';
+
+// Customer documents by ID; getDocs answers where('phone', '==', value) from them
+const customers = new Map();
+
+vi.mock('firebase/firestore', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    where: (field, op, value) => ({ field, value }),
+    query: (ref, condition) => condition,
+    getDocs: async ({ field, value }) => {
+      const docs = [...customers.entries()]
+        .filter(([, data]) => data[field] === value)
+        .map(([id, data]) => ({ id, data: () => data }));
+      return { empty: docs.length === 0, docs };
+    }
+  };
+});
+
+describe('getCustomerRef', () => {
+  beforeEach(() => {
+    customers.clear();
+  });
+
+  it('keys a new customer by the normalised phone', async () => {
+    expect((await getCustomerRef('+91 98765 43210')).id).toBe('9876543210');
+  });
+
+  it('finds a customer saved before phones were normalised', async () => {
+    customers.set('legacy-id', { name: 'Asha', phone: '+91 98765 43210' });
+
+    expect((await getCustomerRef('+91 98765 43210')).id).toBe('legacy-id');
+  });
+
+  it('prefers the record saved with the normalised phone', async () => {
+    customers.set('9876543210', { name: 'Asha', phone: '9876543210' });
+
+    expect((await getCustomerRef('+91 98765 43210')).id).toBe('9876543210');
+  });
+});
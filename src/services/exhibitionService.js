@@ -1,17 +1,276 @@
+/**
+ * EXHIBITION SERVICE
+ * ==================
+ *
+ * Exhibitions (pop-up shows) and the stock they carry. Stock allocated when
+ * an exhibition starts leaves the store as EXHIBITION_ISSUE movements; sales
+ * at the show draw down the allocation instead of store stock. Ending the
+ * exhibition reconciles issued, sold and counted-back units: returns are
+ * posted back to the issuing location as EXHIBITION_RETURN movements and
+ * anything missing is flagged as shrinkage.
+ * Exhibitions started without an allocation sell from store stock.
+ */
+
 import { 
   collection, 
   doc, 
   getDoc,
   getDocs, 
-  setDoc,
   updateDoc,
   query,
   where,
-  orderBy,
   limit,
+  runTransaction,
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { readStockChanges, readStockDeductions, writeStockChanges, INSUFFICIENT_STOCK } from './productService';
+import { MOVEMENT_TYPES, getStockLineKey } from './stockMovementService';
+import { PRIMARY_LOCATION_ID } from '../constants/locations';
+
+/**
+ * EXHIBITION ALLOCATION SCHEMA (on the exhibition document)
+ * =========================================================
+ * stockLocationId: string (location the allocation was issued from and returns to;
+ *   absent on exhibitions from before locations, meaning the primary location)
+ * allocation: Array (empty when the exhibition sells from store stock)
+ *   { productId, variantId, productName, variantLabel, sku, issuedQty, soldQty }
+ * reconciliation: Object | null (set when the exhibition ends)
+ *   lines: Array of allocation lines plus { expectedQty, returnedQty, missingQty, flag }
+ *   totals: { issuedQty, soldQty, returnedQty, missingQty }
+ *   hasShrinkage: boolean
+ *   notes: string
+ *   closedBy: string (UID)
+ *   closedByName: string
+ *   closedAt: Timestamp
+ * lateSaleBillId: string (last offline sale from the show that synced after it ended)
+ */
+
+// Error code for a sale against an exhibition that has ended
+export const EXHIBITION_ENDED = 'exhibition/ended';
+
+// Most lines an allocation can have: the exhibition rules check counter
+// staff sales line by line and cannot loop (see firestore.rules)
+export const MAX_ALLOCATION_LINES = 50;
+
+// Reconciliation flags for lines where the count does not match
+export const RECONCILIATION_FLAGS = {
+  MISSING: 'missing',
+  EXCESS: 'excess'
+};
+
+/**
+ * Allocation line key (same as the stock ledger line key)
+ * @param {Object} line - { productId, variantId }
+ * @returns {string} Line key
+ */
+export const getAllocationLineKey = (line) => getStockLineKey(line.productId, line.variantId);
+
+/**
+ * Units of an allocation line still at the exhibition
+ * @param {Object} line - Allocation line
+ * @returns {number} Issued less sold
+ */
+export const getAllocationRemaining = (line) => (line.issuedQty || 0) - (line.soldQty || 0);
+
+/**
+ * Whether an exhibition sells from its own allocated stock
+ * @param {Object} exhibition - Exhibition
+ * @returns {boolean} True if stock was allocated
+ */
+export const hasAllocation = (exhibition) => {
+  return Boolean(exhibition && Array.isArray(exhibition.allocation) && exhibition.allocation.length > 0);
+};
+
+/**
+ * Products as seen from an exhibition: only allocated items, with the
+ * stock still at the show in place of store stock
+ * @param {Array} products - Products
+ * @param {Object} exhibition - Exhibition with an allocation
+ * @returns {Array} Products limited to the allocation
+ */
+export const getExhibitionProducts = (products, exhibition) => {
+  if (!hasAllocation(exhibition)) return products;
+
+  const remaining = {};
+  exhibition.allocation.forEach(line => {
+    remaining[getAllocationLineKey(line)] = getAllocationRemaining(line);
+  });
+
+  return products
+    .filter(product => exhibition.allocation.some(line => line.productId === product.id))
+    .map(product => {
+      if (!Array.isArray(product.variants) || product.variants.length === 0) {
+        return { ...product, stockQty: remaining[getStockLineKey(product.id, null)] || 0 };
+      }
+
+      const variants = product.variants
+        .filter(variant => getStockLineKey(product.id, variant.id) in remaining)
+        .map(variant => ({ ...variant, stockQty: remaining[getStockLineKey(product.id, variant.id)] }));
+      return {
+        ...product,
+        variants,
+        stockQty: variants.reduce((total, variant) => total + variant.stockQty, 0)
+      };
+    });
+};
+
+/**
+ * Draw sold items down from an exhibition allocation
+ * @param {Array} allocation - Allocation lines
+ * @param {Array} items - Sold items { productId, variantId, quantity }
+ * @returns {Array} Updated allocation
+ * @throws {Error} With code INSUFFICIENT_STOCK when an item is not (or no longer) at the show
+ */
+export const applyAllocationSale = (allocation, items) => {
+  const updated = allocation.map(line => ({ ...line }));
+
+  items.forEach(item => {
+    const key = getAllocationLineKey({ productId: item.productId, variantId: item.variantId || null });
+    const line = updated.find(candidate => getAllocationLineKey(candidate) === key);
+    const available = line ? getAllocationRemaining(line) : 0;
+
+    if (!line || available < item.quantity) {
+      const label = line
+        ? `${line.productName}${line.variantLabel ? ` (${line.variantLabel})` : ''}`
+        : item.name || item.productId;
+      const error = new Error(`Insufficient exhibition stock for ${label}. Available: ${available}, Requested: ${item.quantity}`);
+      error.code = INSUFFICIENT_STOCK;
+      error.productId = item.productId;
+      error.variantId = item.variantId || null;
+      error.available = available;
+      throw error;
+    }
+
+    line.soldQty = (line.soldQty || 0) + item.quantity;
+  });
+
+  return updated;
+};
+
+/**
+ * Whether a sale was made while the exhibition was running
+ * @param {Object} exhibition - Exhibition document data
+ * @param {string} soldAt - When the sale was made (ISO string)
+ * @returns {boolean} True when soldAt falls between the start and the end
+ */
+const wasSoldDuringExhibition = (exhibition, soldAt) => {
+  if (!soldAt || !exhibition.endTime?.toMillis) return false;
+  const soldTime = new Date(soldAt).getTime();
+  return soldTime >= (exhibition.createdAt?.toMillis?.() || 0) && soldTime <= exhibition.endTime.toMillis();
+};
+
+/**
+ * Read an exhibition inside a checkout transaction
+ * An offline sale made during the show is still accepted when it syncs after
+ * the exhibition ended (ended is then true and the saved reconciliation is
+ * returned to be updated with it).
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} exhibitionId - Exhibition document ID
+ * @param {string} soldAt - When an offline sale was made (ISO string), null for live sales
+ * @returns {Promise<Object|null>} { ref, allocation, stockLocationId, ended, reconciliation } when the exhibition sells from an allocation, else null
+ * @throws {Error} With code EXHIBITION_ENDED for any other sale after the end
+ */
+export const readExhibitionAllocation = async (transaction, exhibitionId, soldAt = null) => {
+  const exhibitionRef = doc(db, 'exhibitions', exhibitionId);
+  const exhibitionDoc = await transaction.get(exhibitionRef);
+
+  if (!exhibitionDoc.exists()) {
+    throw new Error('Exhibition not found');
+  }
+
+  const exhibition = exhibitionDoc.data();
+  if (!exhibition.active && !wasSoldDuringExhibition(exhibition, soldAt)) {
+    const error = new Error('This exhibition has ended. Select an active exhibition.');
+    error.code = EXHIBITION_ENDED;
+    throw error;
+  }
+
+  return hasAllocation(exhibition)
+    ? {
+      ref: exhibitionRef,
+      allocation: exhibition.allocation,
+      stockLocationId: exhibition.stockLocationId || PRIMARY_LOCATION_ID,
+      ended: !exhibition.active,
+      reconciliation: exhibition.reconciliation || null
+    }
+    : null;
+};
+
+/**
+ * Saved reconciliation after a sale made during the show synced late
+ * The sold units were gone before the count. Units the count reported
+ * missing move to sold; units the close posted back to store (a line closed
+ * without a count is taken as all returned) were not there, so they come
+ * back off store stock as corrections. Excess counted at the close stays.
+ * @param {Object} reconciliation - Reconciliation saved when the exhibition ended
+ * @param {Array} allocation - Allocation including the late sale
+ * @returns {Object} { reconciliation, corrections } - updated reconciliation (notes and
+ *   who closed it are kept) and { productId, variantId, quantity } to take off the issuing location
+ */
+export const applyLateSaleToReconciliation = (reconciliation, allocation) => {
+  const closedLines = Object.fromEntries(reconciliation.lines.map(line => [getAllocationLineKey(line), line]));
+  const returnedCounts = {};
+  const corrections = [];
+
+  allocation.forEach(line => {
+    const key = getAllocationLineKey(line);
+    const closedLine = closedLines[key];
+    if (!closedLine) return;
+
+    // Returned units beyond what is now expected, up to what was expected at the close
+    const expectedQty = Math.max(0, getAllocationRemaining(line));
+    const quantity = Math.max(0, Math.min(closedLine.returnedQty, closedLine.expectedQty) - expectedQty);
+    returnedCounts[key] = closedLine.returnedQty - quantity;
+
+    if (quantity > 0) {
+      corrections.push({ productId: line.productId, variantId: line.variantId || null, quantity });
+    }
+  });
+
+  return {
+    reconciliation: { ...reconciliation, ...getReconciliationSheet(allocation, returnedCounts) },
+    corrections
+  };
+};
+
+/**
+ * End-of-show reconciliation sheet
+ * Units not counted back are missing (shrinkage); counting more than
+ * expected is flagged as excess. Lines without a count are taken as all
+ * remaining units returned.
+ * @param {Array} allocation - Allocation lines
+ * @param {Object} returnedCounts - Map of allocation line key -> units counted back
+ * @returns {Object} { lines, totals, hasShrinkage }
+ */
+export const getReconciliationSheet = (allocation = [], returnedCounts = {}) => {
+  const lines = allocation.map(line => {
+    const key = getAllocationLineKey(line);
+    const expectedQty = Math.max(0, getAllocationRemaining(line));
+    const counted = returnedCounts[key];
+    const returnedQty = typeof counted === 'number' && counted >= 0 ? counted : expectedQty;
+    const missingQty = expectedQty - returnedQty;
+
+    let flag = null;
+    if (missingQty > 0) flag = RECONCILIATION_FLAGS.MISSING;
+    if (missingQty < 0) flag = RECONCILIATION_FLAGS.EXCESS;
+
+    return { ...line, soldQty: line.soldQty || 0, expectedQty, returnedQty, missingQty, flag };
+  });
+
+  const totals = lines.reduce((sum, line) => ({
+    issuedQty: sum.issuedQty + line.issuedQty,
+    soldQty: sum.soldQty + line.soldQty,
+    returnedQty: sum.returnedQty + line.returnedQty,
+    missingQty: sum.missingQty + Math.max(0, line.missingQty)
+  }), { issuedQty: 0, soldQty: 0, returnedQty: 0, missingQty: 0 });
+
+  return {
+    lines,
+    totals,
+    hasShrinkage: totals.missingQty > 0
+  };
+};
 
 /**
  * Check if employee has an active exhibition
@@ -44,13 +303,19 @@ export const getActiveExhibition = async (employeeId) => {
 };
 
 /**
- * Start a new exhibition
+ * Start a new exhibition, issuing its stock allocation from the store
+ * The exhibition, the allocation and the EXHIBITION_ISSUE movements are
+ * committed in one transaction.
  * @param {Object} exhibitionData - Exhibition information
+ * @param {Array} exhibitionData.allocation - Items to take to the show { productId, variantId, quantity } (optional)
+ * @param {string} exhibitionData.stockLocationId - Location the allocation is issued from (defaults to the primary location)
+ * @param {string} exhibitionData.createdByName - Display name for the stock ledger
  * @returns {string} Exhibition document ID
  */
 export const startExhibition = async (exhibitionData) => {
   try {
-    const { location, startTime, createdBy } = exhibitionData;
+    const { location, stateCode = null, startTime, createdBy, createdByName = '', allocation = [] } = exhibitionData;
+    const stockLocationId = exhibitionData.stockLocationId || PRIMARY_LOCATION_ID;
     
     // Check if employee already has an active exhibition
     const activeExhibition = await getActiveExhibition(createdBy);
@@ -59,14 +324,52 @@ export const startExhibition = async (exhibitionData) => {
       throw new Error('You already have an active exhibition. Please end it before starting a new one.');
     }
     
+    const items = allocation.filter(item => item.quantity > 0);
+    if (items.length > MAX_ALLOCATION_LINES) {
+      throw new Error(`An exhibition can carry at most ${MAX_ALLOCATION_LINES} items (sizes/colours count separately)`);
+    }
+
     const exhibitionRef = doc(collection(db, 'exhibitions'));
-    await setDoc(exhibitionRef, {
-      location,
-      startTime,
-      endTime: null,
-      createdBy,
-      active: true,
-      createdAt: serverTimestamp()
+
+    await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      const issues = items.length > 0 ? await readStockDeductions(transaction, items, stockLocationId) : [];
+
+      const allocationLines = issues.flatMap(change => change.lines
+        .filter(line => line.delta < 0)
+        .map(line => ({
+          productId: change.productId,
+          variantId: line.variantId || null,
+          productName: change.productName,
+          variantLabel: line.variantLabel || '',
+          sku: line.sku || change.productSku || '',
+          issuedQty: -line.delta,
+          soldQty: 0
+        })));
+
+      // --- Writes ---
+      writeStockChanges(transaction, issues, {
+        type: MOVEMENT_TYPES.EXHIBITION_ISSUE,
+        reason: `Issued to exhibition at ${location}`,
+        userId: createdBy,
+        userName: createdByName,
+        referenceType: 'exhibition',
+        referenceId: exhibitionRef.id,
+        referenceNumber: location
+      });
+
+      transaction.set(exhibitionRef, {
+        location,
+        stateCode, // GST place of supply for exhibition sales
+        startTime,
+        endTime: null,
+        createdBy,
+        active: true,
+        stockLocationId,
+        allocation: allocationLines,
+        reconciliation: null,
+        createdAt: serverTimestamp()
+      });
     });
     
     return exhibitionRef.id;
@@ -78,27 +381,87 @@ export const startExhibition = async (exhibitionData) => {
 
 /**
  * End an exhibition
+ * Exhibitions with an allocation are reconciled in the same transaction:
+ * counted-back units return to the issuing location as EXHIBITION_RETURN movements
+ * and the reconciliation sheet is saved on the exhibition.
  * @param {string} exhibitionId - Exhibition document ID
+ * @param {Object} closing - { returnedCounts (line key -> units counted back), notes }
+ * @param {Object} closedBy - { userId, userName }
+ * @returns {Promise<Object|null>} Reconciliation sheet, or null without an allocation
  */
-export const endExhibition = async (exhibitionId) => {
+export const endExhibition = async (exhibitionId, closing = {}, closedBy = {}) => {
   try {
     const exhibitionRef = doc(db, 'exhibitions', exhibitionId);
-    const exhibitionDoc = await getDoc(exhibitionRef);
-    
-    if (!exhibitionDoc.exists()) {
-      throw new Error('Exhibition not found');
-    }
-    
-    const exhibitionData = exhibitionDoc.data();
-    
-    if (!exhibitionData.active) {
-      throw new Error('Exhibition is already ended');
-    }
-    
-    await updateDoc(exhibitionRef, {
-      endTime: serverTimestamp(),
-      active: false,
-      updatedAt: serverTimestamp()
+
+    return await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      const exhibitionDoc = await transaction.get(exhibitionRef);
+      
+      if (!exhibitionDoc.exists()) {
+        throw new Error('Exhibition not found');
+      }
+      
+      const exhibitionData = exhibitionDoc.data();
+      
+      if (!exhibitionData.active) {
+        throw new Error('Exhibition is already ended');
+      }
+
+      const sheet = hasAllocation(exhibitionData)
+        ? getReconciliationSheet(exhibitionData.allocation, closing.returnedCounts)
+        : null;
+      const returnedLines = sheet ? sheet.lines.filter(line => line.returnedQty > 0) : [];
+
+      const returns = returnedLines.length > 0
+        ? await readStockChanges(transaction, returnedLines.map(line => ({
+          productId: line.productId,
+          variantId: line.variantId,
+          delta: line.returnedQty
+        })), exhibitionData.stockLocationId || PRIMARY_LOCATION_ID)
+        : [];
+
+      const missing = returns.find(change => !change.exists);
+      if (missing) {
+        throw new Error(`Product ${missing.productId} no longer exists`);
+      }
+
+      // A variant removed since the show started would be skipped by the restock
+      const unmatched = returnedLines.find(line => {
+        const change = returns.find(candidate => candidate.productId === line.productId);
+        return change.variants && !change.lines.some(stockLine => stockLine.variantId === line.variantId);
+      });
+      if (unmatched) {
+        const label = unmatched.variantLabel ? `${unmatched.productName} (${unmatched.variantLabel})` : unmatched.productName;
+        throw new Error(`${label} no longer matches the product's sizes/colours; edit the product before closing`);
+      }
+
+      // --- Writes ---
+      writeStockChanges(transaction, returns, {
+        type: MOVEMENT_TYPES.EXHIBITION_RETURN,
+        reason: `Returned from exhibition at ${exhibitionData.location}`,
+        userId: closedBy.userId,
+        userName: closedBy.userName,
+        referenceType: 'exhibition',
+        referenceId: exhibitionId,
+        referenceNumber: exhibitionData.location
+      });
+
+      transaction.update(exhibitionRef, {
+        endTime: serverTimestamp(),
+        active: false,
+        ...(sheet ? {
+          reconciliation: {
+            ...sheet,
+            notes: closing.notes || '',
+            closedBy: closedBy.userId || null,
+            closedByName: closedBy.userName || '',
+            closedAt: serverTimestamp()
+          }
+        } : {}),
+        updatedAt: serverTimestamp()
+      });
+
+      return sheet;
     });
   } catch (error) {
     console.error('Error ending exhibition:', error);
@@ -107,9 +470,9 @@ export const endExhibition = async (exhibitionId) => {
 };
 
 /**
- * Update exhibition metadata (location, startTime only)
+ * Update exhibition metadata (location, stateCode, startTime only)
  * @param {string} exhibitionId - Exhibition document ID
- * @param {Object} updates - Fields to update (location, startTime)
+ * @param {Object} updates - Fields to update (location, stateCode, startTime)
  */
 export const updateExhibitionMetadata = async (exhibitionId, updates) => {
   try {
@@ -120,9 +483,10 @@ export const updateExhibitionMetadata = async (exhibitionId, updates) => {
       throw new Error('Exhibition not found');
     }
     
-    // Only allow updating location and startTime
+    // Only allow updating location, stateCode and startTime
     const allowedUpdates = {};
     if (updates.location) allowedUpdates.location = updates.location;
+    if (updates.stateCode) allowedUpdates.stateCode = updates.stateCode;
     if (updates.startTime) allowedUpdates.startTime = updates.startTime;
     
     if (Object.keys(allowedUpdates).length === 0) {
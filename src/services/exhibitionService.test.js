@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { applyLateSaleToReconciliation, getReconciliationSheet } from './exhibitionService';
+
+const issued = (soldQty) => [{ productId: 'kurta', variantId: 'M_NAVY', productName: 'Cotton Kurta', issuedQty: 5, soldQty }];
+
+describe('applyLateSaleToReconciliation', () => {
+  it('takes back units the close posted to store when the line had no count', () => {
+    // Closed with 2 sold and no count: all 3 remaining were posted back
+    const closed = getReconciliationSheet(issued(2), {});
+    const { reconciliation, corrections } = applyLateSaleToReconciliation(closed, issued(3));
+
+    expect(corrections).toEqual([{ productId: 'kurta', variantId: 'M_NAVY', quantity: 1 }]);
+    expect(reconciliation.lines[0]).toMatchObject({ soldQty: 3, expectedQty: 2, returnedQty: 2, missingQty: 0, flag: null });
+  });
+
+  it('moves units the count reported missing to sold without touching stock', () => {
+    const closed = getReconciliationSheet(issued(2), { 'kurta:M_NAVY': 2 });
+    const { reconciliation, corrections } = applyLateSaleToReconciliation(closed, issued(3));
+
+    expect(corrections).toEqual([]);
+    expect(reconciliation.lines[0]).toMatchObject({ returnedQty: 2, missingQty: 0 });
+    expect(reconciliation.hasShrinkage).toBe(false);
+  });
+
+  it('keeps excess counted at the close', () => {
+    const closed = getReconciliationSheet(issued(2), { 'kurta:M_NAVY': 4 });
+    const { reconciliation, corrections } = applyLateSaleToReconciliation(closed, issued(3));
+
+    expect(corrections).toEqual([{ productId: 'kurta', variantId: 'M_NAVY', quantity: 1 }]);
+    expect(reconciliation.lines[0]).toMatchObject({ expectedQty: 2, returnedQty: 3, missingQty: -1, flag: 'excess' });
+  });
+});
@@ -0,0 +1,500 @@
+/**
+ * GST REPORT SERVICE
+ * ==================
+ * Period GST reports built from saved bills and credit notes.
+ * Credit notes issued in the period reduce the totals.
+ * GSTR-1 output follows the GST offline tool JSON layout; GSTR-3B covers
+ * outward supplies (table 3.1(a) and 3.2) only.
+ */
+
+import { getAllBills } from './billStorageService';
+import { getAllCreditNotes } from './returnService';
+import { getHSNSummary, getBusinessInfo } from './billingService';
+import { SUPPLY_TYPES } from './orderCalculationService';
+import { APPAREL_HSN_CODES } from '../constants/hsnCodes';
+
+// Inter-state B2C invoices above this value are reported individually (B2CL)
+export const B2CL_INVOICE_LIMIT = 100000;
+
+// GSTR-1 document summary categories
+const DOC_TYPE_INVOICE = 1;
+const DOC_TYPE_CREDIT_NOTE = 5;
+
+// Unit quantity code for apparel
+const UQC_PIECES = 'PCS';
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Convert a Firestore Timestamp, ISO string or Date to a Date
+ * @param {*} value - Date-like value
+ * @returns {Date|null} Date or null
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+/**
+ * Format a date as dd-mm-yyyy in IST (GST portal date format)
+ * @param {*} value - Date-like value
+ * @returns {string} Formatted date
+ */
+const formatReturnDate = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+
+  // Convert to IST manually (UTC + 5:30)
+  const istOffset = 5.5 * 60 * 60 * 1000;
+  const istDate = new Date(date.getTime() + istOffset);
+
+  const day = String(istDate.getUTCDate()).padStart(2, '0');
+  const month = String(istDate.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}-${month}-${istDate.getUTCFullYear()}`;
+};
+
+/**
+ * Reverse the quantities and amounts of a credit note line
+ * @param {Object} item - Credit note line item
+ * @returns {Object} Line item with negated values
+ */
+const negateLineItem = (item) => ({
+  ...item,
+  quantity: -item.quantity,
+  taxableValue: -item.taxableValue,
+  cgstAmount: -item.cgstAmount,
+  sgstAmount: -item.sgstAmount,
+  igstAmount: -(item.igstAmount || 0),
+  lineTotal: -item.lineTotal
+});
+
+/**
+ * Get the IST start and end of a calendar month
+ * @param {number} year - Full year (e.g. 2026)
+ * @param {number} month - Month (1-12)
+ * @returns {Object} { startDate, endDate }
+ */
+export const getMonthRange = (year, month) => {
+  const istOffset = 5.5 * 60 * 60 * 1000;
+  return {
+    startDate: new Date(Date.UTC(year, month - 1, 1) - istOffset),
+    endDate: new Date(Date.UTC(year, month, 1) - istOffset - 1)
+  };
+};
+
+/**
+ * Get the GST return period code
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {string} Period in MMYYYY format (e.g. 042026)
+ */
+export const getReturnPeriod = (year, month) => `${String(month).padStart(2, '0')}${year}`;
+
+/**
+ * Get the place-of-supply state code of a bill or credit note
+ * Documents issued before IGST support were supplied in the seller's state.
+ * @param {Object} document - Bill or credit note
+ * @returns {string} Two-digit state code
+ */
+const getPlaceOfSupply = (document) => {
+  return document.placeOfSupply?.stateCode || document.seller?.stateCode || getBusinessInfo().stateCode;
+};
+
+const isInterStateDocument = (document) => document.supplyType === SUPPLY_TYPES.INTER_STATE;
+
+/**
+ * Whether a bill or credit note was issued to a GST-registered buyer
+ * @param {Object} document - Bill or credit note
+ * @returns {boolean} True for B2B documents
+ */
+const isB2BDocument = (document) => Boolean(document.customer?.gstin);
+
+/**
+ * Whether an unregistered inter-state invoice value falls in B2CL
+ * @param {Object} document - Bill or credit note
+ * @param {number} invoiceValue - Invoice value
+ * @returns {boolean} True for B2C large
+ */
+const isB2CLargeDocument = (document, invoiceValue) => {
+  return !isB2BDocument(document) && isInterStateDocument(document) && invoiceValue > B2CL_INVOICE_LIMIT;
+};
+
+/**
+ * Build rate-wise item details for a document (itms array)
+ * @param {Array} lineItems - Document line items
+ * @param {boolean} includeIntraState - Include CGST/SGST keys (not used for B2CL)
+ * @returns {Array} GSTR-1 itms entries
+ */
+const buildRateItems = (lineItems, includeIntraState = true) => {
+  const rates = {};
+
+  lineItems.forEach(item => {
+    const rate = item.gstRate;
+    if (!rates[rate]) {
+      rates[rate] = { txval: 0, rt: rate, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    }
+    rates[rate].txval += item.taxableValue;
+    rates[rate].iamt += item.igstAmount || 0;
+    rates[rate].camt += item.cgstAmount;
+    rates[rate].samt += item.sgstAmount;
+  });
+
+  return Object.values(rates).map((detail, index) => ({
+    num: index + 1,
+    itm_det: {
+      txval: round2(detail.txval),
+      rt: detail.rt,
+      iamt: round2(detail.iamt),
+      ...(includeIntraState ? { camt: round2(detail.camt), samt: round2(detail.samt) } : {}),
+      csamt: 0
+    }
+  }));
+};
+
+/**
+ * Add line items to the B2CS rate/place-of-supply buckets
+ * @param {Object} buckets - Accumulator keyed by supply type, POS and rate
+ * @param {Object} document - Bill or credit note
+ * @param {number} sign - 1 for invoices, -1 for credit notes
+ */
+const addToB2CS = (buckets, document, sign) => {
+  const pos = getPlaceOfSupply(document);
+  const supplyType = isInterStateDocument(document) ? 'INTER' : 'INTRA';
+
+  (document.lineItems || []).forEach(item => {
+    const key = `${supplyType}_${pos}_${item.gstRate}`;
+    if (!buckets[key]) {
+      buckets[key] = { sply_ty: supplyType, pos, typ: 'OE', rt: item.gstRate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    }
+    buckets[key].txval += sign * item.taxableValue;
+    buckets[key].iamt += sign * (item.igstAmount || 0);
+    buckets[key].camt += sign * item.cgstAmount;
+    buckets[key].samt += sign * item.sgstAmount;
+  });
+};
+
+/**
+ * Convert HSN summary rows to GSTR-1 HSN entries
+ * @param {Array} rows - Output of getHSNSummary
+ * @returns {Array} GSTR-1 hsn data entries
+ */
+const toHSNEntries = (rows) => rows.map((row, index) => ({
+  num: index + 1,
+  hsn_sc: row.hsnCode,
+  desc: APPAREL_HSN_CODES[row.hsnCode] || '',
+  uqc: UQC_PIECES,
+  qty: row.quantity,
+  rt: row.gstRate,
+  txval: row.taxableValue,
+  iamt: row.igstAmount,
+  camt: row.cgstAmount,
+  samt: row.sgstAmount,
+  csamt: 0
+}));
+
+/**
+ * Summarise issued document numbers per series (GSTR-1 table 13)
+ * @param {Array} numbers - Document numbers
+ * @returns {Array} docs entries { num, from, to, totnum, cancel, net_issue }
+ */
+const buildDocumentRanges = (numbers) => {
+  const series = {};
+
+  numbers.filter(Boolean).forEach(number => {
+    // Series is everything before the trailing sequence digits
+    const prefix = number.replace(/\d+$/, '');
+    if (!series[prefix]) series[prefix] = [];
+    series[prefix].push(number);
+  });
+
+  return Object.values(series).map((seriesNumbers, index) => {
+    const sorted = [...seriesNumbers].sort();
+    return {
+      num: index + 1,
+      from: sorted[0],
+      to: sorted[sorted.length - 1],
+      totnum: sorted.length,
+      cancel: 0,
+      net_issue: sorted.length
+    };
+  });
+};
+
+/**
+ * Build GSTR-1 from a period's bills and credit notes
+ * @param {Array} bills - Saved bills
+ * @param {Array} creditNotes - Saved credit notes
+ * @param {Object} options - { gstin, period }
+ * @returns {Object} GSTR-1 in offline tool JSON layout
+ */
+export const buildGSTR1 = (bills, creditNotes, { gstin, period }) => {
+  const b2b = {};
+  const b2cl = {};
+  const b2csBuckets = {};
+  const cdnr = {};
+  const cdnur = [];
+  const hsnB2BLines = [];
+  const hsnB2CLines = [];
+
+  bills.forEach(bill => {
+    const invoiceValue = bill.totals?.payableAmount || 0;
+    const lineItems = bill.lineItems || [];
+
+    if (isB2BDocument(bill)) {
+      const ctin = bill.customer.gstin;
+      if (!b2b[ctin]) b2b[ctin] = { ctin, inv: [] };
+      b2b[ctin].inv.push({
+        inum: bill.billNumber,
+        idt: formatReturnDate(bill.billDate),
+        val: round2(invoiceValue),
+        pos: getPlaceOfSupply(bill),
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: buildRateItems(lineItems)
+      });
+      hsnB2BLines.push(...lineItems);
+      return;
+    }
+
+    if (isB2CLargeDocument(bill, invoiceValue)) {
+      const pos = getPlaceOfSupply(bill);
+      if (!b2cl[pos]) b2cl[pos] = { pos, inv: [] };
+      b2cl[pos].inv.push({
+        inum: bill.billNumber,
+        idt: formatReturnDate(bill.billDate),
+        val: round2(invoiceValue),
+        itms: buildRateItems(lineItems, false)
+      });
+    } else {
+      addToB2CS(b2csBuckets, bill, 1);
+    }
+    hsnB2CLines.push(...lineItems);
+  });
+
+  creditNotes.forEach(note => {
+    const noteValue = note.totals?.payableAmount || 0;
+    const lineItems = note.lineItems || [];
+    const negatedLines = lineItems.map(negateLineItem);
+
+    const noteEntry = {
+      ntty: 'C',
+      nt_num: note.creditNoteNumber,
+      nt_dt: formatReturnDate(note.creditNoteDate),
+      val: round2(noteValue),
+      pos: getPlaceOfSupply(note)
+    };
+
+    if (isB2BDocument(note)) {
+      const ctin = note.customer.gstin;
+      if (!cdnr[ctin]) cdnr[ctin] = { ctin, nt: [] };
+      cdnr[ctin].nt.push({ ...noteEntry, rchrg: 'N', inv_typ: 'R', itms: buildRateItems(lineItems) });
+      hsnB2BLines.push(...negatedLines);
+      return;
+    }
+
+    if (isB2CLargeDocument(note, note.originalBillValue || 0)) {
+      cdnur.push({ ...noteEntry, typ: 'B2CL', itms: buildRateItems(lineItems, false) });
+    } else {
+      // Credit notes against small B2C invoices are netted into B2CS
+      addToB2CS(b2csBuckets, note, -1);
+    }
+    hsnB2CLines.push(...negatedLines);
+  });
+
+  const b2cs = Object.values(b2csBuckets).map(bucket => ({
+    ...bucket,
+    txval: round2(bucket.txval),
+    iamt: round2(bucket.iamt),
+    camt: round2(bucket.camt),
+    samt: round2(bucket.samt)
+  }));
+
+  const docDetails = [
+    { doc_num: DOC_TYPE_INVOICE, docs: buildDocumentRanges(bills.map(bill => bill.billNumber)) },
+    { doc_num: DOC_TYPE_CREDIT_NOTE, docs: buildDocumentRanges(creditNotes.map(note => note.creditNoteNumber)) }
+  ].filter(detail => detail.docs.length > 0);
+
+  return {
+    gstin,
+    fp: period,
+    b2b: Object.values(b2b),
+    b2cl: Object.values(b2cl),
+    b2cs,
+    cdnr: Object.values(cdnr),
+    cdnur,
+    hsn: {
+      hsn_b2b: toHSNEntries(getHSNSummary({ lineItems: hsnB2BLines })),
+      hsn_b2c: toHSNEntries(getHSNSummary({ lineItems: hsnB2CLines }))
+    },
+    doc_issue: {
+      doc_det: docDetails
+    }
+  };
+};
+
+/**
+ * Build GSTR-3B outward supply totals from a period's bills and credit notes
+ * @param {Array} bills - Saved bills
+ * @param {Array} creditNotes - Saved credit notes
+ * @param {Object} options - { gstin, period }
+ * @returns {Object} GSTR-3B sup_details and inter_sup sections
+ */
+export const buildGSTR3B = (bills, creditNotes, { gstin, period }) => {
+  const outward = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const unregisteredInterState = {};
+
+  const addDocument = (document, sign) => {
+    (document.lineItems || []).forEach(item => {
+      outward.txval += sign * item.taxableValue;
+      outward.iamt += sign * (item.igstAmount || 0);
+      outward.camt += sign * item.cgstAmount;
+      outward.samt += sign * item.sgstAmount;
+
+      // Table 3.2: inter-state supplies to unregistered persons by state
+      if (isInterStateDocument(document) && !isB2BDocument(document)) {
+        const pos = getPlaceOfSupply(document);
+        if (!unregisteredInterState[pos]) unregisteredInterState[pos] = { pos, txval: 0, iamt: 0 };
+        unregisteredInterState[pos].txval += sign * item.taxableValue;
+        unregisteredInterState[pos].iamt += sign * (item.igstAmount || 0);
+      }
+    });
+  };
+
+  bills.forEach(bill => addDocument(bill, 1));
+  creditNotes.forEach(note => addDocument(note, -1));
+
+  const zeroSupply = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+  return {
+    gstin,
+    ret_period: period,
+    sup_details: {
+      osup_det: {
+        txval: round2(outward.txval),
+        iamt: round2(outward.iamt),
+        camt: round2(outward.camt),
+        samt: round2(outward.samt),
+        csamt: 0
+      },
+      osup_zero: { ...zeroSupply },
+      osup_nil_exmp: { txval: 0 },
+      isup_rev: { ...zeroSupply },
+      osup_nongst: { txval: 0 }
+    },
+    inter_sup: {
+      unreg_details: Object.values(unregisteredInterState).map(entry => ({
+        pos: entry.pos,
+        txval: round2(entry.txval),
+        iamt: round2(entry.iamt)
+      })),
+      comp_details: [],
+      uin_details: []
+    }
+  };
+};
+
+/**
+ * Get the HSN-wise summary for a period (owner only)
+ * @param {Date} startDate - Start of period
+ * @param {Date} endDate - End of period
+ * @returns {Promise<Object>} { rows, totals, billCount, creditNoteCount }
+ */
+export const getHSNSummaryReport = async (startDate, endDate) => {
+  try {
+    const [bills, creditNotes] = await Promise.all([
+      getAllBills(startDate, endDate),
+      getAllCreditNotes(startDate, endDate)
+    ]);
+
+    const lineItems = [
+      ...bills.flatMap(bill => bill.lineItems || []),
+      ...creditNotes.flatMap(creditNote => (creditNote.lineItems || []).map(negateLineItem))
+    ];
+
+    const rows = getHSNSummary({ lineItems });
+
+    const sum = (key) => parseFloat(rows.reduce((total, row) => total + row[key], 0).toFixed(2));
+
+    return {
+      rows,
+      totals: {
+        quantity: sum('quantity'),
+        taxableValue: sum('taxableValue'),
+        cgstAmount: sum('cgstAmount'),
+        sgstAmount: sum('sgstAmount'),
+        igstAmount: sum('igstAmount'),
+        totalTax: sum('totalTax'),
+        totalValue: sum('totalValue')
+      },
+      billCount: bills.length,
+      creditNoteCount: creditNotes.length
+    };
+  } catch (error) {
+    console.error('Error building HSN summary report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Split sales into B2B (registered buyers) and B2C, net of credit notes
+ * @param {Array} bills - Bills in the period
+ * @param {Array} creditNotes - Credit notes in the period
+ * @returns {Object} { b2b, b2c } each { invoiceCount, creditNoteCount, taxableValue, totalTax, invoiceValue }
+ */
+export const getSalesByInvoiceType = (bills, creditNotes) => {
+  const emptyBucket = () => ({ invoiceCount: 0, creditNoteCount: 0, taxableValue: 0, totalTax: 0, invoiceValue: 0 });
+  const split = { b2b: emptyBucket(), b2c: emptyBucket() };
+
+  const add = (document, sign) => {
+    const bucket = isB2BDocument(document) ? split.b2b : split.b2c;
+    bucket[sign > 0 ? 'invoiceCount' : 'creditNoteCount'] += 1;
+    bucket.taxableValue += sign * (document.lineItems || []).reduce((sum, item) => sum + item.taxableValue, 0);
+    bucket.totalTax += sign * (document.totals?.totalTax || 0);
+    bucket.invoiceValue += sign * (document.totals?.payableAmount || 0);
+  };
+
+  bills.forEach(bill => add(bill, 1));
+  creditNotes.forEach(note => add(note, -1));
+
+  Object.values(split).forEach(bucket => {
+    bucket.taxableValue = round2(bucket.taxableValue);
+    bucket.totalTax = round2(bucket.totalTax);
+    bucket.invoiceValue = round2(bucket.invoiceValue);
+  });
+
+  return split;
+};
+
+/**
+ * Generate GSTR-1 and GSTR-3B for a calendar month (owner only)
+ * @param {number} year - Full year (e.g. 2026)
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<Object>} { gstr1, gstr3b, salesByInvoiceType, period, billCount, creditNoteCount }
+ */
+export const generateGSTReturns = async (year, month) => {
+  try {
+    const { startDate, endDate } = getMonthRange(year, month);
+    const [bills, creditNotes] = await Promise.all([
+      getAllBills(startDate, endDate),
+      getAllCreditNotes(startDate, endDate)
+    ]);
+
+    const options = {
+      gstin: getBusinessInfo().gstin,
+      period: getReturnPeriod(year, month)
+    };
+
+    return {
+      gstr1: buildGSTR1(bills, creditNotes, options),
+      gstr3b: buildGSTR3B(bills, creditNotes, options),
+      salesByInvoiceType: getSalesByInvoiceType(bills, creditNotes),
+      period: options.period,
+      billCount: bills.length,
+      creditNoteCount: creditNotes.length
+    };
+  } catch (error) {
+    console.error('Error generating GST returns:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,232 @@
+/**
+ * INVOICE NUMBER SERVICE
+ * ======================
+ * Sequential, gap-free GST document numbering.
+ * One counter per series per financial year (April–March, IST). Numbers are
+ * allocated inside the same transaction that creates the bill or credit note,
+ * so a failed checkout never consumes a number and concurrent checkouts
+ * never share one.
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+
+// Document series
+export const INVOICE_SERIES = {
+  STORE: 'store',
+  EXHIBITION: 'exhibition',
+  PREBOOKING: 'prebooking',
+  CREDIT_NOTE: 'creditNote'
+};
+
+// GST rules allow at most 16 characters in an invoice number
+export const MAX_INVOICE_NUMBER_LENGTH = 16;
+
+/**
+ * Default numbering configuration
+ * Tokens: {PREFIX} series prefix, {FY} financial year (e.g. 26-27),
+ * {SEQ} zero-padded sequence number
+ */
+export const DEFAULT_NUMBERING_CONFIG = {
+  format: '{PREFIX}/{FY}/{SEQ}',
+  padding: 5,
+  prefixes: {
+    [INVOICE_SERIES.STORE]: 'S',
+    [INVOICE_SERIES.EXHIBITION]: 'E',
+    [INVOICE_SERIES.PREBOOKING]: 'P',
+    [INVOICE_SERIES.CREDIT_NOTE]: 'CN'
+  }
+};
+
+const NUMBERING_CONFIG_PATH = ['settings', 'invoiceNumbering'];
+
+/**
+ * Map an order type to its invoice series
+ * @param {string} orderType - 'daily' | 'exhibition' | 'prebooking'
+ * @returns {string} Series key
+ */
+export const getSeriesForOrderType = (orderType) => {
+  if (orderType === 'exhibition') return INVOICE_SERIES.EXHIBITION;
+  if (orderType === 'prebooking') return INVOICE_SERIES.PREBOOKING;
+  return INVOICE_SERIES.STORE;
+};
+
+/**
+ * Get the financial year (April–March) for a date in IST
+ * @param {Date} date - Date (defaults to now)
+ * @returns {Object} { startYear, label } e.g. { startYear: 2026, label: '26-27' }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  // Convert to IST manually (UTC + 5:30)
+  const istOffset = 5.5 * 60 * 60 * 1000;
+  const istDate = new Date(date.getTime() + istOffset);
+
+  const year = istDate.getUTCFullYear();
+  const startYear = istDate.getUTCMonth() >= 3 ? year : year - 1;
+
+  return {
+    startYear,
+    label: `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`
+  };
+};
+
+/**
+ * Merge a stored numbering configuration over the defaults
+ * @param {Object} config - Stored configuration (may be partial)
+ * @returns {Object} Complete configuration
+ */
+const resolveConfig = (config) => ({
+  format: config?.format || DEFAULT_NUMBERING_CONFIG.format,
+  padding: config?.padding || DEFAULT_NUMBERING_CONFIG.padding,
+  prefixes: {
+    ...DEFAULT_NUMBERING_CONFIG.prefixes,
+    ...(config?.prefixes || {})
+  }
+});
+
+/**
+ * Format an invoice number
+ * @param {Object} config - Numbering configuration
+ * @param {string} series - Series key
+ * @param {string} financialYearLabel - e.g. '26-27'
+ * @param {number} sequence - Sequence number within the series and year
+ * @returns {string} Invoice number (e.g. S/26-27/00001)
+ */
+export const formatInvoiceNumber = (config, series, financialYearLabel, sequence) => {
+  const { format, padding, prefixes } = resolveConfig(config);
+
+  return format
+    .replace('{PREFIX}', prefixes[series] || series.toUpperCase())
+    .replace('{FY}', financialYearLabel)
+    .replace('{SEQ}', String(sequence).padStart(padding, '0'))
+    .toUpperCase();
+};
+
+/**
+ * Validate a numbering configuration
+ * @param {Object} config - Numbering configuration
+ * @returns {Object} { valid, errors }
+ */
+export const validateNumberingConfig = (config) => {
+  const errors = [];
+  const resolved = resolveConfig(config);
+
+  if (!resolved.format.includes('{SEQ}')) {
+    errors.push('Format must include {SEQ}');
+  }
+
+  if (!resolved.format.includes('{PREFIX}')) {
+    errors.push('Format must include {PREFIX} so series do not collide');
+  }
+
+  if (!Number.isInteger(resolved.padding) || resolved.padding < 1 || resolved.padding > 8) {
+    errors.push('Padding must be between 1 and 8 digits');
+  }
+
+  const prefixValues = Object.values(resolved.prefixes);
+  if (new Set(prefixValues.map(p => p.toUpperCase())).size !== prefixValues.length) {
+    errors.push('Each series must have a different prefix');
+  }
+
+  Object.values(INVOICE_SERIES).forEach(series => {
+    if (!/^[A-Za-z0-9-]+$/.test(resolved.prefixes[series] || '')) {
+      errors.push(`Prefix for ${series} may only contain letters, digits and -`);
+    }
+    const sample = formatInvoiceNumber(resolved, series, '26-27', 1);
+    if (sample.length > MAX_INVOICE_NUMBER_LENGTH) {
+      errors.push(`${sample} exceeds ${MAX_INVOICE_NUMBER_LENGTH} characters`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Read the next number for a series inside a transaction
+ * Must run before any transaction writes; pair with writeInvoiceCounter.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} series - Series key
+ * @param {Date} date - Document date (defaults to now)
+ * @returns {Promise<Object>} Allocation { counterRef, series, financialYear, sequence, invoiceNumber }
+ */
+export const readInvoiceCounter = async (transaction, series, date = new Date()) => {
+  const financialYear = getFinancialYear(date);
+  const counterRef = doc(db, 'invoiceCounters', `${series}_${financialYear.startYear}`);
+
+  const [configSnap, counterSnap] = await Promise.all([
+    transaction.get(doc(db, ...NUMBERING_CONFIG_PATH)),
+    transaction.get(counterRef)
+  ]);
+
+  const config = configSnap.exists() ? configSnap.data() : null;
+  const lastNumber = counterSnap.exists() ? (counterSnap.data().lastNumber || 0) : 0;
+  const sequence = lastNumber + 1;
+
+  return {
+    counterRef,
+    series,
+    financialYear: financialYear.label,
+    sequence,
+    invoiceNumber: formatInvoiceNumber(config, series, financialYear.label, sequence)
+  };
+};
+
+/**
+ * Commit a number allocated by readInvoiceCounter
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} allocation - Output of readInvoiceCounter
+ * @param {string} documentId - ID of the bill/credit note created in the same transaction
+ */
+export const writeInvoiceCounter = (transaction, allocation, documentId) => {
+  transaction.set(allocation.counterRef, {
+    series: allocation.series,
+    financialYear: allocation.financialYear,
+    lastNumber: allocation.sequence,
+    lastInvoiceNumber: allocation.invoiceNumber,
+    lastDocumentId: documentId,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Get the numbering configuration
+ * @returns {Promise<Object>} Complete configuration (defaults when not set)
+ */
+export const getNumberingConfig = async () => {
+  try {
+    const configSnap = await getDoc(doc(db, ...NUMBERING_CONFIG_PATH));
+    return resolveConfig(configSnap.exists() ? configSnap.data() : null);
+  } catch (error) {
+    console.error('Error fetching numbering config:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the numbering configuration (owner only)
+ * Changing the format mid-year does not reset counters.
+ * @param {Object} config - { format, padding, prefixes }
+ * @returns {Promise<Object>} Saved configuration
+ */
+export const saveNumberingConfig = async (config) => {
+  try {
+    const validation = validateNumberingConfig(config);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const resolved = resolveConfig(config);
+    await setDoc(doc(db, ...NUMBERING_CONFIG_PATH), {
+      ...resolved,
+      updatedAt: serverTimestamp()
+    });
+
+    return resolved;
+  } catch (error) {
+    console.error('Error saving numbering config:', error);
+    throw error;
+  }
+};
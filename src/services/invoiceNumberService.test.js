@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INVOICE_SERIES,
+  getFinancialYear,
+  formatInvoiceNumber,
+  validateNumberingConfig
+} from './invoiceNumberService';
+
+describe('getFinancialYear', () => {
+  it('starts the year on 1 April in IST', () => {
+    // 31 March 19:00 UTC is already 1 April in IST
+    expect(getFinancialYear(new Date('2026-03-31T19:00:00Z'))).toEqual({ startYear: 2026, label: '26-27' });
+    expect(getFinancialYear(new Date('2026-03-31T18:00:00Z'))).toEqual({ startYear: 2025, label: '25-26' });
+  });
+});
+
+describe('formatInvoiceNumber', () => {
+  it('uses the series prefix and pads the sequence', () => {
+    expect(formatInvoiceNumber(null, INVOICE_SERIES.STORE, '26-27', 42)).toBe('S/26-27/00042');
+    expect(formatInvoiceNumber(null, INVOICE_SERIES.CREDIT_NOTE, '26-27', 1)).toBe('CN/26-27/00001');
+  });
+});
+
+describe('validateNumberingConfig', () => {
+  it('rejects formats whose series could collide', () => {
+    expect(validateNumberingConfig({ format: '{FY}/{SEQ}' }).valid).toBe(false);
+    expect(validateNumberingConfig(null).valid).toBe(true);
+  });
+});
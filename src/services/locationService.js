@@ -0,0 +1,174 @@
+/**
+ * LOCATION SERVICE
+ * ================
+ * Stores and warehouses that hold stock (locations collection).
+ * Every business has the primary location ('main'); it exists even before
+ * the owner saves it, with the store address from the business profile.
+ * Stock per location lives on the product stock lines (locationStock) and
+ * moves between locations through stock transfers.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getBusinessInfo } from './billingService';
+import { validatePhone } from '../utils/validators';
+import { PRIMARY_LOCATION_ID, PRIMARY_LOCATION_NAME } from '../constants/locations';
+
+/**
+ * LOCATION SCHEMA
+ * ===============
+ * Document ID: PRIMARY_LOCATION_ID for the primary location, generated otherwise
+ * name: string (required)
+ * code: string (short code, e.g. "WH1"; unique)
+ * type: 'store' | 'warehouse'
+ * address: string (printed on bills issued at the location)
+ * phone: string (10 digits, optional)
+ * isActive: boolean (the primary location is always active)
+ * createdAt: Timestamp
+ * updatedAt: Timestamp
+ */
+
+export const LOCATION_TYPES = {
+  STORE: 'store',
+  WAREHOUSE: 'warehouse'
+};
+
+export const LOCATION_TYPE_LABELS = {
+  [LOCATION_TYPES.STORE]: 'Store',
+  [LOCATION_TYPES.WAREHOUSE]: 'Warehouse'
+};
+
+/**
+ * Primary location as it stands before the owner has saved it
+ * @returns {Object} Location with ID
+ */
+const getDefaultPrimaryLocation = () => {
+  const businessInfo = getBusinessInfo();
+  return {
+    id: PRIMARY_LOCATION_ID,
+    name: PRIMARY_LOCATION_NAME,
+    code: 'MAIN',
+    type: LOCATION_TYPES.STORE,
+    address: businessInfo.storeAddress || '',
+    phone: '',
+    isActive: true
+  };
+};
+
+/**
+ * Validate location data
+ * @param {Object} locationData - Location fields
+ * @param {Array} locations - Existing locations (for code uniqueness)
+ * @returns {Object} { valid, errors }
+ */
+export const validateLocationData = (locationData, locations = []) => {
+  const errors = [];
+
+  if (!locationData.name || locationData.name.trim() === '') {
+    errors.push('Location name is required');
+  }
+
+  const code = (locationData.code || '').trim().toUpperCase();
+  if (!code) {
+    errors.push('Location code is required');
+  } else if (locations.some(location => location.id !== locationData.id && (location.code || '').toUpperCase() === code)) {
+    errors.push(`Location code ${code} is already used`);
+  }
+
+  if (!LOCATION_TYPE_LABELS[locationData.type]) {
+    errors.push('Select the location type');
+  }
+
+  if (locationData.phone && !validatePhone(locationData.phone)) {
+    errors.push('Phone must be 10 digits');
+  }
+
+  if (locationData.id === PRIMARY_LOCATION_ID && locationData.isActive === false) {
+    errors.push('The primary location cannot be deactivated');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get all locations, primary first then by name
+ * @returns {Promise<Array>} Locations with IDs
+ */
+export const getAllLocations = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'locations'));
+    const locations = snapshot.docs.map(locationDoc => ({ id: locationDoc.id, ...locationDoc.data() }));
+
+    if (!locations.some(location => location.id === PRIMARY_LOCATION_ID)) {
+      locations.push(getDefaultPrimaryLocation());
+    }
+
+    return locations.sort((a, b) => {
+      if (a.id === PRIMARY_LOCATION_ID) return -1;
+      if (b.id === PRIMARY_LOCATION_ID) return 1;
+      return a.name.localeCompare(b.name);
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a location (Owner only)
+ * @param {Object} locationData - Location fields (with id to update)
+ * @param {Array} locations - Existing locations (for code uniqueness)
+ * @returns {Promise<string>} Location document ID
+ */
+export const saveLocation = async (locationData, locations = []) => {
+  try {
+    const validation = validateLocationData(locationData, locations);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const locationRef = locationData.id
+      ? doc(db, 'locations', locationData.id)
+      : doc(collection(db, 'locations'));
+    const isNew = !locations.some(location => location.id === locationData.id && location.createdAt);
+
+    await setDoc(locationRef, {
+      name: locationData.name.trim(),
+      code: locationData.code.trim().toUpperCase(),
+      type: locationData.type,
+      address: (locationData.address || '').trim(),
+      phone: (locationData.phone || '').trim(),
+      isActive: locationData.isActive !== undefined ? locationData.isActive : true,
+      ...(isNew ? { createdAt: serverTimestamp() } : {}),
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return locationRef.id;
+  } catch (error) {
+    console.error('Error saving location:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find a location, falling back to the primary one
+ * Records from before locations (and users without a home location) belong
+ * to the primary location.
+ * @param {Array} locations - Locations (from getAllLocations)
+ * @param {string} locationId - Location ID (optional)
+ * @returns {Object} Location
+ */
+export const findLocation = (locations, locationId) => {
+  return locations.find(location => location.id === (locationId || PRIMARY_LOCATION_ID))
+    || locations.find(location => location.id === PRIMARY_LOCATION_ID)
+    || getDefaultPrimaryLocation();
+};
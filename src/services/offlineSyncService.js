@@ -0,0 +1,303 @@
+/**
+ * OFFLINE SYNC SERVICE
+ * ====================
+ * Keeps the point of sale working without a connection (exhibition halls).
+ * - The sale catalogue (products, exhibitions, locations) is cached in
+ *   IndexedDB on every successful load and used when Firestore is unreachable.
+ * - Checkouts made offline are queued in an IndexedDB outbox with a
+ *   provisional bill number and replayed in order through processCheckout when
+ *   the connection returns. The final invoice number is allocated on replay.
+ * - Order and bill IDs are generated on the device before the first attempt,
+ *   so a checkout (or replay) that committed without the device hearing back
+ *   is recognised on the next attempt, not repeated.
+ * - A sale whose stock ran out in the meantime is kept in the outbox as a
+ *   conflict; it is retried once stock is corrected, or discarded. So is a
+ *   sale for an exhibition that had already ended when it was made (sales
+ *   made during the show still sync after it ends).
+ *
+ * Outbox entry (IndexedDB 'outbox' store):
+ * {
+ *   id: "OFF-K7Q2-0004",            // Provisional bill number (also the key)
+ *   status: "pending",              // pending | conflict | failed
+ *   checkout: { ... },              // processCheckout arguments, incl. orderId and billId
+ *   tender: [{ mode, amount, referenceId }],  // Tender lines taken at the counter (may be empty)
+ *   queuedAt: "2026-10-19T11:42:05.000Z",
+ *   attempts: 0,
+ *   lastError: ""
+ * }
+ */
+
+import { collection, doc } from 'firebase/firestore';
+import { db } from './firebase';
+import { processCheckout, STOCK_CHANGED } from './checkoutService';
+import { EXHIBITION_ENDED } from './exhibitionService';
+import { recordPayments } from './paymentService';
+
+const DATABASE_NAME = 'retailops-offline';
+const DATABASE_VERSION = 1;
+const CATALOGUE_STORE = 'catalogue';
+const OUTBOX_STORE = 'outbox';
+
+// Provisional numbers: OFF-<device code>-<sequence>, unique per device
+const DEVICE_CODE_KEY = 'offlineDeviceCode';
+const SEQUENCE_KEY = 'offlineBillSequence';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+// Catalogue cache keys
+export const CATALOGUE_KEYS = {
+  PRODUCTS: 'products',
+  EXHIBITIONS: 'exhibitions',
+  LOCATIONS: 'locations'
+};
+
+// Firestore error codes raised when the backend cannot be reached
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded'];
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(CATALOGUE_STORE)) {
+          database.createObjectStore(CATALOGUE_STORE);
+        }
+        if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+          database.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+// Run one request against a store and resolve with its result
+const runRequest = async (storeName, mode, makeRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Whether an error means Firestore could not be reached
+ * @param {Error} error - Error from a Firestore call
+ * @returns {boolean} True when the operation should be retried online
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return Boolean(error && NETWORK_ERROR_CODES.includes(error.code));
+};
+
+// ============================================================================
+// CATALOGUE CACHE
+// ============================================================================
+
+/**
+ * Save a catalogue list for offline use
+ * Firestore Timestamps are stored as plain { seconds, nanoseconds }.
+ * @param {string} key - One of CATALOGUE_KEYS
+ * @param {Array} data - Documents as loaded
+ */
+export const cacheCatalogue = async (key, data) => {
+  try {
+    const plainData = JSON.parse(JSON.stringify(data));
+    await runRequest(CATALOGUE_STORE, 'readwrite', store => store.put({ data: plainData, cachedAt: new Date().toISOString() }, key));
+  } catch (error) {
+    console.error('Error caching catalogue:', error);
+    throw error;
+  }
+};
+
+/**
+ * Read a cached catalogue list
+ * @param {string} key - One of CATALOGUE_KEYS
+ * @returns {Promise<Object|null>} { data, cachedAt } or null when never cached
+ */
+export const getCachedCatalogue = async (key) => {
+  try {
+    const cached = await runRequest(CATALOGUE_STORE, 'readonly', store => store.get(key));
+    return cached || null;
+  } catch (error) {
+    console.error('Error reading cached catalogue:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+const getDeviceCode = () => {
+  let code = localStorage.getItem(DEVICE_CODE_KEY);
+  if (!code) {
+    code = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+    localStorage.setItem(DEVICE_CODE_KEY, code);
+  }
+  return code;
+};
+
+/**
+ * Order and bill document IDs for a checkout, generated on the device
+ * (works offline). Pass them to processCheckout and, if that fails for want
+ * of a connection, queue the same checkout.
+ * @returns {Object} { orderId, billId }
+ */
+export const newCheckoutIds = () => ({
+  orderId: doc(collection(db, 'orders')).id,
+  billId: doc(collection(db, 'bills')).id
+});
+
+/**
+ * Next provisional bill number for this device
+ * @returns {string} e.g. "OFF-K7Q2-0004"
+ */
+export const getNextProvisionalNumber = () => {
+  const sequence = (parseInt(localStorage.getItem(SEQUENCE_KEY)) || 0) + 1;
+  localStorage.setItem(SEQUENCE_KEY, String(sequence));
+  return `OFF-${getDeviceCode()}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Queue a checkout made offline
+ * @param {Object} checkout - processCheckout arguments (IDs from newCheckoutIds are kept)
+ * @param {Array} tender - Tender lines [{ mode, amount, referenceId }] collected at the counter
+ * @returns {Promise<Object>} The outbox entry
+ */
+export const queueCheckout = async (checkout, tender = []) => {
+  try {
+    const provisionalBillNumber = getNextProvisionalNumber();
+    const queuedAt = new Date().toISOString();
+
+    const entry = {
+      id: provisionalBillNumber,
+      status: OUTBOX_STATUS.PENDING,
+      checkout: JSON.parse(JSON.stringify({
+        ...newCheckoutIds(),
+        ...checkout,
+        offlineSale: { provisionalBillNumber, soldAt: queuedAt }
+      })),
+      tender,
+      queuedAt,
+      attempts: 0,
+      lastError: ''
+    };
+
+    await runRequest(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+    return entry;
+  } catch (error) {
+    console.error('Error queueing checkout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Outbox entries in the order they were queued
+ * @returns {Promise<Array>} Outbox entries
+ */
+export const getOutbox = async () => {
+  try {
+    const entries = await runRequest(OUTBOX_STORE, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a queued sale without syncing it (sale reversed with the customer)
+ * @param {string} id - Outbox entry ID
+ */
+export const discardQueuedCheckout = async (id) => {
+  try {
+    await runRequest(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+  } catch (error) {
+    console.error('Error discarding queued checkout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Put a conflicted or failed sale back in line for the next sync
+ * @param {string} id - Outbox entry ID
+ */
+export const retryQueuedCheckout = async (id) => {
+  try {
+    const entry = await runRequest(OUTBOX_STORE, 'readonly', store => store.get(id));
+    if (!entry) {
+      throw new Error('Queued sale not found');
+    }
+    await runRequest(OUTBOX_STORE, 'readwrite', store => store.put({ ...entry, status: OUTBOX_STATUS.PENDING }));
+  } catch (error) {
+    console.error('Error retrying queued checkout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replay pending sales in the order they were made
+ * Stops at the first network error (still offline). Conflicts (stock ran out,
+ * exhibition ended before the sale) and other failures are marked on the
+ * entry and the replay moves on to the next sale.
+ * @param {Function} onSynced - Called with (entry, bill) after each sale commits
+ * @returns {Promise<Object>} { synced, conflicts, failed, offline }
+ */
+export const syncOutbox = async (onSynced = () => {}) => {
+  const result = { synced: 0, conflicts: 0, failed: 0, offline: false };
+  const pending = (await getOutbox()).filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+
+  for (const entry of pending) {
+    try {
+      const { bill, alreadyCommitted } = await processCheckout(entry.checkout);
+
+      // A committed replay may have lost its payment; record it once
+      const hasPayment = entry.tender.some(line => parseFloat(line.amount) > 0);
+      if (hasPayment && !(alreadyCommitted && bill.paidAmount > 0)) {
+        await recordPayments(bill.id, entry.tender, entry.checkout.employeeId);
+      }
+
+      await discardQueuedCheckout(entry.id);
+      result.synced++;
+      onSynced(entry, bill);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        result.offline = true;
+        break;
+      }
+
+      const isConflict = error.code === STOCK_CHANGED || error.code === EXHIBITION_ENDED;
+      const status = isConflict ? OUTBOX_STATUS.CONFLICT : OUTBOX_STATUS.FAILED;
+      result[status === OUTBOX_STATUS.CONFLICT ? 'conflicts' : 'failed']++;
+      await runRequest(OUTBOX_STORE, 'readwrite', store => store.put({
+        ...entry,
+        status,
+        attempts: entry.attempts + 1,
+        lastError: error.message
+      }));
+    }
+  }
+
+  return result;
+};
@@ -6,11 +6,14 @@
  * CRITICAL RULES:
  * - Employees cannot control GST rate, tax amount, or sale price
  * - All calculations are deterministic and reproducible
- * - GST = CGST + SGST (50/50 split)
+ * - Intra-state: GST = CGST + SGST (50/50 split)
+ * - Inter-state (place of supply outside the seller's state): GST = IGST
  * - Employee discount max 10%, only if product NOT on sale
  * - Sale price overrides all discounts
  */
 
+import { hasVariants, getVariantPrices, getVariantLabel, getStockLineKey } from '../utils/variantUtils';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -19,6 +22,11 @@ const VALID_GST_RATES = [5, 12, 18];
 const MAX_EMPLOYEE_DISCOUNT_PERCENT = 10;
 const GST_SPLIT_RATIO = 0.5; // CGST and SGST are 50/50
 
+export const SUPPLY_TYPES = {
+  INTRA_STATE: 'INTRA_STATE',
+  INTER_STATE: 'INTER_STATE'
+};
+
 // ============================================================================
 // VALIDATION FUNCTIONS
 // ============================================================================
@@ -97,6 +105,56 @@ const validateEmployeeDiscount = (discountPercent, isOnSale) => {
   }
 };
 
+// ============================================================================
+// PLACE OF SUPPLY
+// ============================================================================
+
+/**
+ * Determine the place-of-supply state for an order
+ * - Exhibition sales: the exhibition's state
+ * - Pre-bookings delivered to the customer: the customer's state
+ * - Store sales (over the counter): the seller's state
+ * @param {Object} params
+ * @param {string} params.orderType - 'daily' | 'exhibition' | 'prebooking'
+ * @param {string} params.sellerStateCode - Seller's GST state code
+ * @param {string} params.exhibitionStateCode - Exhibition's state code (exhibition sales)
+ * @param {string} params.customerStateCode - Customer's state code (pre-bookings)
+ * @returns {string} Place-of-supply state code
+ */
+export const determinePlaceOfSupply = ({
+  orderType,
+  sellerStateCode,
+  exhibitionStateCode = null,
+  customerStateCode = null
+}) => {
+  if (!sellerStateCode) {
+    throw new Error('Seller state code is required');
+  }
+
+  if (orderType === 'exhibition' && exhibitionStateCode) {
+    return exhibitionStateCode;
+  }
+
+  if (orderType === 'prebooking' && customerStateCode) {
+    return customerStateCode;
+  }
+
+  return sellerStateCode;
+};
+
+/**
+ * Get the supply type for a seller state and place of supply
+ * @param {string} sellerStateCode - Seller's GST state code
+ * @param {string} placeOfSupplyStateCode - Place-of-supply state code
+ * @returns {string} SUPPLY_TYPES value
+ */
+export const getSupplyType = (sellerStateCode, placeOfSupplyStateCode) => {
+  if (!placeOfSupplyStateCode || placeOfSupplyStateCode === sellerStateCode) {
+    return SUPPLY_TYPES.INTRA_STATE;
+  }
+  return SUPPLY_TYPES.INTER_STATE;
+};
+
 // ============================================================================
 // GST CALCULATION FUNCTIONS
 // ============================================================================
@@ -106,9 +164,10 @@ const validateEmployeeDiscount = (discountPercent, isOnSale) => {
  * @param {number} price - Price (base or sale)
  * @param {number} gstRate - GST rate (5, 12, or 18)
  * @param {boolean} isTaxInclusive - Whether price includes tax
- * @returns {Object} Taxable value, CGST, SGST, total tax
+ * @param {boolean} isInterState - Whether the supply is inter-state (IGST)
+ * @returns {Object} Taxable value, CGST, SGST, IGST, total tax
  */
-const calculateGST = (price, gstRate, isTaxInclusive) => {
+const calculateGST = (price, gstRate, isTaxInclusive, isInterState = false) => {
   if (!VALID_GST_RATES.includes(gstRate)) {
     throw new Error(`Invalid GST rate: ${gstRate}`);
   }
@@ -127,14 +186,17 @@ const calculateGST = (price, gstRate, isTaxInclusive) => {
     totalTax = (price * gstRate) / 100;
   }
 
-  // Split GST into CGST and SGST (50/50)
-  const cgstAmount = totalTax * GST_SPLIT_RATIO;
-  const sgstAmount = totalTax * GST_SPLIT_RATIO;
+  // Inter-state: full GST as IGST
+  // Intra-state: split GST into CGST and SGST (50/50)
+  const igstAmount = isInterState ? totalTax : 0;
+  const cgstAmount = isInterState ? 0 : totalTax * GST_SPLIT_RATIO;
+  const sgstAmount = isInterState ? 0 : totalTax * GST_SPLIT_RATIO;
 
   return {
     taxableValue: parseFloat(taxableValue.toFixed(2)),
     cgstAmount: parseFloat(cgstAmount.toFixed(2)),
     sgstAmount: parseFloat(sgstAmount.toFixed(2)),
+    igstAmount: parseFloat(igstAmount.toFixed(2)),
     totalTax: parseFloat(totalTax.toFixed(2))
   };
 };
@@ -186,9 +248,10 @@ const calculateEffectivePrice = (basePrice, salePrice, discountPercent, isOnSale
  * Calculate all values for a single cart item
  * @param {Object} item - Cart item with product snapshot
  * @param {number} employeeDiscountPercent - Employee discount (0-10)
+ * @param {boolean} isInterState - Whether the supply is inter-state (IGST)
  * @returns {Object} Cart item with calculated values
  */
-export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
+export const calculateCartItem = (item, employeeDiscountPercent = 0, isInterState = false) => {
   // Validate input
   validateCartItem(item);
 
@@ -207,7 +270,8 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
   const gstCalculation = calculateGST(
     effectivePrice,
     item.gstRate,
-    item.isTaxInclusive
+    item.isTaxInclusive,
+    isInterState
   );
 
   // Calculate line totals
@@ -215,6 +279,7 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
   const lineTaxableValue = gstCalculation.taxableValue * item.quantity;
   const lineCGST = gstCalculation.cgstAmount * item.quantity;
   const lineSGST = gstCalculation.sgstAmount * item.quantity;
+  const lineIGST = gstCalculation.igstAmount * item.quantity;
   const lineTotalTax = gstCalculation.totalTax * item.quantity;
   const lineTotal = item.isTaxInclusive 
     ? lineSubtotal 
@@ -224,6 +289,9 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
   return {
     // Original item data (snapshot)
     productId: item.productId,
+    variantId: item.variantId || null,
+    size: item.size || null,
+    colour: item.colour || null,
     name: item.name,
     sku: item.sku,
     category: item.category,
@@ -231,6 +299,7 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
     unitBasePrice: item.unitBasePrice,
     unitSalePrice: item.unitSalePrice,
     gstRate: item.gstRate,
+    hsnCode: item.hsnCode || '',
     isTaxInclusive: item.isTaxInclusive,
 
     // Calculated per-unit values
@@ -239,6 +308,7 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
     unitTaxableValue: gstCalculation.taxableValue,
     unitCGST: gstCalculation.cgstAmount,
     unitSGST: gstCalculation.sgstAmount,
+    unitIGST: gstCalculation.igstAmount,
     unitTotalTax: gstCalculation.totalTax,
 
     // Calculated line totals
@@ -247,6 +317,7 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
     lineDiscountAmount: parseFloat(lineDiscountAmount.toFixed(2)),
     lineCGST: parseFloat(lineCGST.toFixed(2)),
     lineSGST: parseFloat(lineSGST.toFixed(2)),
+    lineIGST: parseFloat(lineIGST.toFixed(2)),
     lineTotalTax: parseFloat(lineTotalTax.toFixed(2)),
     lineTotal: parseFloat(lineTotal.toFixed(2))
   };
@@ -260,9 +331,10 @@ export const calculateCartItem = (item, employeeDiscountPercent = 0) => {
  * Calculate order totals from cart items
  * @param {Array} cartItems - Array of cart items (with product snapshots)
  * @param {number} employeeDiscountPercent - Employee discount (0-10)
+ * @param {boolean} isInterState - Whether the supply is inter-state (IGST)
  * @returns {Object} Order summary with totals
  */
-export const calculateOrderTotals = (cartItems, employeeDiscountPercent = 0) => {
+export const calculateOrderTotals = (cartItems, employeeDiscountPercent = 0, isInterState = false) => {
   if (!Array.isArray(cartItems) || cartItems.length === 0) {
     throw new Error('Cart items must be a non-empty array');
   }
@@ -273,7 +345,7 @@ export const calculateOrderTotals = (cartItems, employeeDiscountPercent = 0) =>
 
   // Calculate each cart item
   const calculatedItems = cartItems.map(item => 
-    calculateCartItem(item, employeeDiscountPercent)
+    calculateCartItem(item, employeeDiscountPercent, isInterState)
   );
 
   // Aggregate totals
@@ -284,6 +356,7 @@ export const calculateOrderTotals = (cartItems, employeeDiscountPercent = 0) =>
   const totalTaxableValue = calculatedItems.reduce((sum, item) => sum + item.lineTaxableValue, 0);
   const totalCGST = calculatedItems.reduce((sum, item) => sum + item.lineCGST, 0);
   const totalSGST = calculatedItems.reduce((sum, item) => sum + item.lineSGST, 0);
+  const totalIGST = calculatedItems.reduce((sum, item) => sum + item.lineIGST, 0);
   const totalTax = calculatedItems.reduce((sum, item) => sum + item.lineTotalTax, 0);
   const grandTotal = calculatedItems.reduce((sum, item) => sum + item.lineTotal, 0);
 
@@ -297,6 +370,7 @@ export const calculateOrderTotals = (cartItems, employeeDiscountPercent = 0) =>
     totalItems,
     totalQuantity,
     employeeDiscountPercent,
+    isInterState,
 
     // Calculated items
     items: calculatedItems,
@@ -307,22 +381,183 @@ export const calculateOrderTotals = (cartItems, employeeDiscountPercent = 0) =>
     totalTaxableValue: parseFloat(totalTaxableValue.toFixed(2)),
     totalCGST: parseFloat(totalCGST.toFixed(2)),
     totalSGST: parseFloat(totalSGST.toFixed(2)),
+    totalIGST: parseFloat(totalIGST.toFixed(2)),
     totalTax: parseFloat(totalTax.toFixed(2)),
     grandTotal: parseFloat(grandTotal.toFixed(2))
   };
 };
 
+// ============================================================================
+// RETURN CALCULATION (CREDIT NOTES)
+// ============================================================================
+
+/**
+ * Determine whether a saved bill line was priced tax-inclusive
+ * Older bills do not store the flag, so it is inferred from the line:
+ * an inclusive line total equals the effective unit price times quantity.
+ * @param {Object} lineItem - Bill line item
+ * @returns {boolean} True if the line price included GST
+ */
+const isLineTaxInclusive = (lineItem) => {
+  if (typeof lineItem.isTaxInclusive === 'boolean') {
+    return lineItem.isTaxInclusive;
+  }
+  return Math.abs(lineItem.lineTotal - lineItem.unitPrice * lineItem.quantity) < 0.01;
+};
+
+/**
+ * Determine whether a saved bill was an inter-state (IGST) supply
+ * Bills issued before IGST support carry no supply type and are intra-state.
+ * @param {Object} bill - Saved bill
+ * @returns {boolean} True if the bill charged IGST
+ */
+export const isInterStateBill = (bill) => {
+  return bill?.supplyType === SUPPLY_TYPES.INTER_STATE;
+};
+
+/**
+ * Key of a saved bill line: its stock line, or its SKU on bills saved
+ * before lines recorded the product
+ * @param {Object} lineItem - Line item from a saved bill
+ * @returns {string} Line key
+ */
+export const getBillLineKey = (lineItem) => {
+  return lineItem.productId ? getStockLineKey(lineItem.productId, lineItem.variantId) : lineItem.sku;
+};
+
+/**
+ * Calculate reversed values for returning part of a bill line
+ * Uses the same GST calculation as the original sale so the credit note
+ * mirrors the tax that was charged.
+ * @param {Object} lineItem - Line item from a saved bill
+ * @param {number} returnQuantity - Quantity being returned
+ * @param {boolean} isInterState - Whether the original bill charged IGST
+ * @returns {Object} Return line with calculated values
+ */
+export const calculateReturnItem = (lineItem, returnQuantity, isInterState = false) => {
+  if (!lineItem || !lineItem.sku) {
+    throw new Error('Valid bill line item is required');
+  }
+
+  if (!Number.isInteger(returnQuantity) || returnQuantity <= 0) {
+    throw new Error('Return quantity must be a positive whole number');
+  }
+
+  if (returnQuantity > lineItem.quantity) {
+    throw new Error(`Cannot return more than ${lineItem.quantity} of ${lineItem.productName}`);
+  }
+
+  const isTaxInclusive = isLineTaxInclusive(lineItem);
+  const gstCalculation = calculateGST(lineItem.unitPrice, lineItem.gstRate, isTaxInclusive, isInterState);
+
+  const lineSubtotal = lineItem.unitPrice * returnQuantity;
+  const lineTaxableValue = gstCalculation.taxableValue * returnQuantity;
+  const lineCGST = gstCalculation.cgstAmount * returnQuantity;
+  const lineSGST = gstCalculation.sgstAmount * returnQuantity;
+  const lineIGST = gstCalculation.igstAmount * returnQuantity;
+  const lineTotalTax = gstCalculation.totalTax * returnQuantity;
+  const lineTotal = isTaxInclusive
+    ? lineSubtotal
+    : lineTaxableValue + lineTotalTax;
+  const unitDiscount = lineItem.quantity > 0 ? (lineItem.discountApplied || 0) / lineItem.quantity : 0;
+
+  return {
+    productId: lineItem.productId || null,
+    variantId: lineItem.variantId || null,
+    size: lineItem.size || null,
+    colour: lineItem.colour || null,
+    name: lineItem.productName,
+    sku: lineItem.sku,
+    category: lineItem.category,
+    quantity: returnQuantity,
+    gstRate: lineItem.gstRate,
+    hsnCode: lineItem.hsnCode || '',
+    isTaxInclusive,
+    effectiveUnitPrice: lineItem.unitPrice,
+    unitTaxableValue: gstCalculation.taxableValue,
+    unitCGST: gstCalculation.cgstAmount,
+    unitSGST: gstCalculation.sgstAmount,
+    unitIGST: gstCalculation.igstAmount,
+    unitTotalTax: gstCalculation.totalTax,
+    lineSubtotal: parseFloat(lineSubtotal.toFixed(2)),
+    lineTaxableValue: parseFloat(lineTaxableValue.toFixed(2)),
+    lineDiscountAmount: parseFloat((unitDiscount * returnQuantity).toFixed(2)),
+    lineCGST: parseFloat(lineCGST.toFixed(2)),
+    lineSGST: parseFloat(lineSGST.toFixed(2)),
+    lineIGST: parseFloat(lineIGST.toFixed(2)),
+    lineTotalTax: parseFloat(lineTotalTax.toFixed(2)),
+    lineTotal: parseFloat(lineTotal.toFixed(2))
+  };
+};
+
+/**
+ * Calculate a return against a saved bill
+ * @param {Object} bill - Saved bill with lineItems
+ * @param {Array} returnItems - Array of { lineKey, quantity } (lineKey from getBillLineKey)
+ * @returns {Object} Return calculation with items and summary (same shape as calculateOrder)
+ */
+export const calculateReturn = (bill, returnItems) => {
+  if (!bill || !Array.isArray(bill.lineItems)) {
+    throw new Error('Bill with line items is required');
+  }
+
+  if (!Array.isArray(returnItems) || returnItems.length === 0) {
+    throw new Error('Select at least one item to return');
+  }
+
+  const isInterState = isInterStateBill(bill);
+
+  const calculatedItems = returnItems.map(returnItem => {
+    const lineItem = bill.lineItems.find(item => getBillLineKey(item) === returnItem.lineKey);
+    if (!lineItem) {
+      throw new Error(`Item ${returnItem.sku || returnItem.lineKey} is not on bill ${bill.billNumber}`);
+    }
+    return calculateReturnItem(lineItem, returnItem.quantity, isInterState);
+  });
+
+  const sum = (key) => calculatedItems.reduce((total, item) => total + item[key], 0);
+
+  return {
+    items: calculatedItems,
+    summary: {
+      totalItems: calculatedItems.length,
+      totalQuantity: sum('quantity'),
+      isInterState,
+      subtotal: parseFloat(sum('lineSubtotal').toFixed(2)),
+      totalDiscount: parseFloat(sum('lineDiscountAmount').toFixed(2)),
+      totalTaxableValue: parseFloat(sum('lineTaxableValue').toFixed(2)),
+      totalCGST: parseFloat(sum('lineCGST').toFixed(2)),
+      totalSGST: parseFloat(sum('lineSGST').toFixed(2)),
+      totalIGST: parseFloat(sum('lineIGST').toFixed(2)),
+      totalTax: parseFloat(sum('lineTotalTax').toFixed(2)),
+      grandTotal: parseFloat(sum('lineTotal').toFixed(2))
+    }
+  };
+};
+
 // ============================================================================
 // CART MANAGEMENT FUNCTIONS (IN-MEMORY)
 // ============================================================================
 
+/**
+ * Cart line key: one line per product, or per variant for sized/coloured styles
+ * @param {Object} item - Cart item
+ * @returns {string} Line key
+ */
+export const getCartItemKey = (item) => {
+  return item.variantId ? `${item.productId}:${item.variantId}` : item.productId;
+};
+
 /**
  * Create cart item from product snapshot
+ * Variant lines carry the variant SKU, price override and size/colour; the
+ * name includes the size/colour so bills and receipts show it.
  * @param {Object} product - Product data from productService
  * @param {number} quantity - Quantity to add
+ * @param {Object} variant - Variant being sold (products with variants)
  * @returns {Object} Cart item structure
  */
-export const createCartItemFromProduct = (product, quantity = 1) => {
+export const createCartItemFromProduct = (product, quantity = 1, variant = null) => {
   if (!product || !product.id) {
     throw new Error('Valid product is required');
   }
@@ -331,15 +566,26 @@ export const createCartItemFromProduct = (product, quantity = 1) => {
     throw new Error('Quantity must be a positive number');
   }
 
+  if (hasVariants(product) && !variant) {
+    throw new Error(`Select a size/colour for ${product.name}`);
+  }
+
+  const { basePrice, salePrice } = getVariantPrices(product, variant);
+  const variantLabel = getVariantLabel(variant);
+
   return {
     productId: product.id,
-    name: product.name,
-    sku: product.sku,
+    variantId: variant ? variant.id : null,
+    size: variant ? variant.size || null : null,
+    colour: variant ? variant.colour || null : null,
+    name: variantLabel ? `${product.name} (${variantLabel})` : product.name,
+    sku: variant ? variant.sku : product.sku,
     category: product.category,
     quantity: quantity,
-    unitBasePrice: product.basePrice,
-    unitSalePrice: product.isOnSale ? product.salePrice : null,
+    unitBasePrice: basePrice,
+    unitSalePrice: salePrice,
     gstRate: product.gstRate,
+    hsnCode: product.hsnCode || '',
     isTaxInclusive: product.isTaxInclusive
   };
 };
@@ -357,8 +603,8 @@ export const addToCart = (cart, newItem) => {
 
   validateCartItem(newItem);
 
-  // Check if product already in cart
-  const existingIndex = cart.findIndex(item => item.productId === newItem.productId);
+  // Check if product (variant) already in cart
+  const existingIndex = cart.findIndex(item => getCartItemKey(item) === getCartItemKey(newItem));
 
   if (existingIndex >= 0) {
     // Update quantity of existing item
@@ -377,11 +623,11 @@ export const addToCart = (cart, newItem) => {
 /**
  * Update cart item quantity
  * @param {Array} cart - Current cart items
- * @param {string} productId - Product ID to update
+ * @param {string} itemKey - Line key from getCartItemKey (product ID for products without variants)
  * @param {number} newQuantity - New quantity
  * @returns {Array} Updated cart
  */
-export const updateCartItemQuantity = (cart, productId, newQuantity) => {
+export const updateCartItemQuantity = (cart, itemKey, newQuantity) => {
   if (!Array.isArray(cart)) {
     throw new Error('Cart must be an array');
   }
@@ -391,7 +637,7 @@ export const updateCartItemQuantity = (cart, productId, newQuantity) => {
   }
 
   const updatedCart = cart.map(item => 
-    item.productId === productId 
+    getCartItemKey(item) === itemKey 
       ? { ...item, quantity: newQuantity }
       : item
   );
@@ -399,18 +645,47 @@ export const updateCartItemQuantity = (cart, productId, newQuantity) => {
   return updatedCart;
 };
 
+/**
+ * Switch a cart line to another variant of the same style
+ * Merges into an existing line for that variant.
+ * @param {Array} cart - Current cart items
+ * @param {string} itemKey - Line key of the line being changed
+ * @param {Object} product - Product the line belongs to
+ * @param {Object} variant - New variant
+ * @returns {Array} Updated cart
+ */
+export const changeCartItemVariant = (cart, itemKey, product, variant) => {
+  if (!Array.isArray(cart)) {
+    throw new Error('Cart must be an array');
+  }
+
+  const line = cart.find(item => getCartItemKey(item) === itemKey);
+  if (!line) {
+    return cart;
+  }
+
+  const replacement = createCartItemFromProduct(product, line.quantity, variant);
+  const replacementKey = getCartItemKey(replacement);
+
+  if (cart.some(item => getCartItemKey(item) === replacementKey)) {
+    return addToCart(cart.filter(item => getCartItemKey(item) !== itemKey), replacement);
+  }
+
+  return cart.map(item => (getCartItemKey(item) === itemKey ? replacement : item));
+};
+
 /**
  * Remove item from cart
  * @param {Array} cart - Current cart items
- * @param {string} productId - Product ID to remove
+ * @param {string} itemKey - Line key from getCartItemKey (product ID for products without variants)
  * @returns {Array} Updated cart
  */
-export const removeFromCart = (cart, productId) => {
+export const removeFromCart = (cart, itemKey) => {
   if (!Array.isArray(cart)) {
     throw new Error('Cart must be an array');
   }
 
-  return cart.filter(item => item.productId !== productId);
+  return cart.filter(item => getCartItemKey(item) !== itemKey);
 };
 
 /**
@@ -444,6 +719,7 @@ export const getGSTBreakdown = (orderTotals) => {
     taxableValue: orderTotals.totalTaxableValue,
     cgst: orderTotals.totalCGST,
     sgst: orderTotals.totalSGST,
+    igst: orderTotals.totalIGST || 0,
     totalGST: orderTotals.totalTax,
     gstPercentage: orderTotals.totalTaxableValue > 0 
       ? ((orderTotals.totalTax / orderTotals.totalTaxableValue) * 100).toFixed(2)
@@ -457,6 +733,7 @@ export const getGSTBreakdown = (orderTotals) => {
  * @param {Object} cart - Cart object with items array and optional employeeDiscount
  * @param {Array} cart.items - Array of cart items
  * @param {number} cart.employeeDiscount - Employee discount percentage (0-10)
+ * @param {boolean} cart.isInterState - Whether the supply is inter-state (IGST)
  * @returns {Object} Complete order calculation with items and summary
  */
 export const calculateOrder = (cart) => {
@@ -465,14 +742,15 @@ export const calculateOrder = (cart) => {
   }
 
   const employeeDiscountPercent = cart.employeeDiscount || 0;
+  const isInterState = cart.isInterState === true;
 
   // Calculate each cart item
   const calculatedItems = cart.items.map(item => 
-    calculateCartItem(item, employeeDiscountPercent)
+    calculateCartItem(item, employeeDiscountPercent, isInterState)
   );
 
   // Calculate order totals
-  const summary = calculateOrderTotals(calculatedItems, employeeDiscountPercent);
+  const summary = calculateOrderTotals(calculatedItems, employeeDiscountPercent, isInterState);
 
   return {
     items: calculatedItems,
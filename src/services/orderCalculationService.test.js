@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { calculateReturn, getBillLineKey } from './orderCalculationService';
+
+const billLine = (variantId, size, quantity) => ({
+  productId: 'kurta',
+  variantId,
+  size,
+  colour: 'Navy',
+  sku: 'KUR-001',
+  productName: `Cotton Kurta (${size} / Navy)`,
+  category: 'men',
+  quantity,
+  unitPrice: 1050,
+  discountApplied: 0,
+  gstRate: 5,
+  isTaxInclusive: true
+});
+
+const bill = {
+  billNumber: 'S/26-27/00001',
+  lineItems: [billLine('M_NAVY', 'M', 1), billLine('L_NAVY', 'L', 2)]
+};
+
+describe('calculateReturn', () => {
+  it('returns the line picked by its stock line key, with its size and colour', () => {
+    const { items, summary } = calculateReturn(bill, [{ lineKey: 'kurta:L_NAVY', sku: 'KUR-001', quantity: 2 }]);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ variantId: 'L_NAVY', size: 'L', colour: 'Navy', quantity: 2 });
+    expect(summary.grandTotal).toBe(2100);
+  });
+
+  it('rejects a line key that is not on the bill', () => {
+    expect(() => calculateReturn(bill, [{ lineKey: 'kurta:XL_NAVY', quantity: 1 }])).toThrow('is not on bill');
+  });
+});
+
+describe('getBillLineKey', () => {
+  it('falls back to the SKU for lines saved without a product', () => {
+    expect(getBillLineKey({ productId: 'kurta', variantId: null, sku: 'KUR-001' })).toBe('kurta:');
+    expect(getBillLineKey({ sku: 'KUR-001' })).toBe('KUR-001');
+  });
+});
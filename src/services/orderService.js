@@ -7,10 +7,61 @@ import {
   updateDoc,
   query,
   where,
-  orderBy,
+  runTransaction,
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { getRecordLocationId } from '../utils/locationUtils';
+
+/**
+ * Build the Firestore document for a new order
+ * Shared by createOrder and transactional checkouts.
+ * @param {Object} orderData - Order information
+ * @returns {Object} Firestore-ready order document
+ */
+export const buildOrderDocument = (orderData) => {
+  const {
+    type, // 'daily' | 'prebooking' | 'exhibition'
+    customerPhone,
+    items, // Array of { productId, variantId, size, colour, productName, sku, quantity, unitPrice, lineTotal }
+    totals, // { subtotal, totalCGST, totalSGST, totalIGST, totalTax, grandTotal, payableAmount }
+    status,
+    exhibitionId = null,
+    locationId = null, // location the sale was made from
+    locationName = null,
+    createdBy, // employee UID
+    deliveryDate = null, // for prebooking
+    billId = null, // Link to bill
+    placeOfSupply = null, // GST state code; null means the seller's state
+    invoiceType = 'B2C', // 'B2B' when billed to a customer GSTIN
+    customerGSTIN = null, // B2B only
+    customerBusinessName = null // B2B only
+  } = orderData;
+  
+  // Validate items array
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new Error('Order must have at least one item');
+  }
+  
+  return {
+    type,
+    customerPhone,
+    items,
+    totals,
+    status,
+    exhibitionId,
+    locationId,
+    locationName,
+    createdBy,
+    deliveryDate,
+    billId,
+    placeOfSupply,
+    invoiceType,
+    customerGSTIN,
+    customerBusinessName,
+    createdAt: serverTimestamp()
+  };
+};
 
 /**
  * Create a new order
@@ -19,36 +70,8 @@ import { db } from './firebase';
  */
 export const createOrder = async (orderData) => {
   try {
-    const {
-      type, // 'daily' | 'prebooking' | 'exhibition'
-      customerPhone,
-      items, // Array of { productId, productName, sku, quantity, unitPrice, lineTotal }
-      totals, // { subtotal, totalCGST, totalSGST, totalTax, grandTotal, payableAmount }
-      status,
-      exhibitionId = null,
-      createdBy, // employee UID
-      deliveryDate = null, // for prebooking
-      billId = null // Link to bill
-    } = orderData;
-    
-    // Validate items array
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      throw new Error('Order must have at least one item');
-    }
-    
+    const orderDoc = buildOrderDocument(orderData);
     const orderRef = doc(collection(db, 'orders'));
-    const orderDoc = {
-      type,
-      customerPhone,
-      items,
-      totals,
-      status,
-      exhibitionId,
-      createdBy,
-      deliveryDate,
-      billId,
-      createdAt: serverTimestamp()
-    };
     
     await setDoc(orderRef, orderDoc);
     
@@ -194,53 +217,68 @@ export const getPendingPreBookings = async (employeeId = null, isOwner = false)
  * IMPORTANT: Just updates status, does NOT generate new bill (bill already exists)
  * @param {string} preBookingId - Pre-booking order ID
  * @param {string|null} exhibitionId - Exhibition ID if converting at exhibition
+ * @param {string|null} locationId - Location the stock is delivered from (defaults to where it was booked)
  * @returns {Object} Updated order data
  */
-export const convertPreBookingToSale = async (preBookingId, exhibitionId = null) => {
+export const convertPreBookingToSale = async (preBookingId, exhibitionId = null, locationId = null) => {
   try {
     const orderRef = doc(db, 'orders', preBookingId);
-    const orderDoc = await getDoc(orderRef);
-    
-    if (!orderDoc.exists()) {
-      throw new Error('Pre-booking not found');
-    }
-    
-    const orderData = orderDoc.data();
-    
-    if (orderData.type !== 'prebooking') {
-      throw new Error('Order is not a pre-booking');
-    }
-    
-    if (orderData.status !== 'pending') {
-      throw new Error('Pre-booking already converted');
-    }
-    
-    // IMPORTANT: No time restriction for manual conversion
-    // Employee can convert anytime
     
     // Import required services for stock deduction only
-    const { deductStockBatch } = await import('./productService');
-    
-    // Deduct stock when converting to sale
-    if (orderData.items && Array.isArray(orderData.items)) {
-      const stockItems = orderData.items.map(item => ({
-        productId: item.productId,
-        quantity: item.quantity
-      }));
-      await deductStockBatch(stockItems);
-      console.log('✅ Stock deducted for pre-booking conversion');
-    }
-    
-    // Update order status to completed
-    // Bill already exists from pre-booking creation, just update status
-    await updateDoc(orderRef, {
-      status: 'completed',
-      exhibitionId: exhibitionId || null,
-      convertedAt: serverTimestamp(),
-      completedAt: serverTimestamp()
+    const { readStockDeductions, writeStockDeductions, attachUnitCosts } = await import('./productService');
+    
+    // Stock deduction and status change commit together
+    const orderData = await runTransaction(db, async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      
+      if (!orderDoc.exists()) {
+        throw new Error('Pre-booking not found');
+      }
+      
+      const data = orderDoc.data();
+      
+      if (data.type !== 'prebooking') {
+        throw new Error('Order is not a pre-booking');
+      }
+      
+      if (data.status !== 'pending') {
+        throw new Error('Pre-booking already converted');
+      }
+      
+      // IMPORTANT: No time restriction for manual conversion
+      // Employee can convert anytime
+      
+      // Deduct stock when converting to sale
+      const deductions = data.items && Array.isArray(data.items)
+        ? await readStockDeductions(transaction, data.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          quantity: item.quantity
+        })), locationId || getRecordLocationId(data))
+        : [];
+      
+      writeStockDeductions(transaction, deductions, {
+        reason: 'Pre-booking delivered',
+        referenceType: 'order',
+        referenceId: preBookingId,
+        referenceNumber: data.billId || null
+      });
+      
+      // Update order status to completed
+      // Bill already exists from pre-booking creation, just update status
+      // (and snapshot the unit cost of the stock that left)
+      transaction.update(orderRef, {
+        status: 'completed',
+        ...(deductions.length > 0 ? { items: attachUnitCosts(data.items, deductions) } : {}),
+        exhibitionId: exhibitionId || null,
+        convertedAt: serverTimestamp(),
+        completedAt: serverTimestamp()
+      });
+      
+      return data;
     });
     
-    console.log('✅ Pre-booking converted to sale (status updated)');
+    console.log('✅ Pre-booking converted to sale (stock deducted, status updated)');
     
     return {
       id: preBookingId,
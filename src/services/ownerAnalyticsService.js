@@ -3,16 +3,77 @@ import {
   getDocs
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { getUnitCost } from '../utils/variantUtils';
+import { getBillLineKey } from './orderCalculationService';
+
+/**
+ * Turn credit notes into return records for revenue calculations
+ * A return is a negative order dated by its credit note, the date the GST
+ * returns report it on, so it lowers revenue in the period it was issued
+ * rather than the period of the original sale. Type, seller and unit costs
+ * come from the original order. Sales themselves are counted gross.
+ * @param {Array} creditNotes - Saved credit notes
+ * @param {Array} orders - Orders (raw documents with id, type, createdBy, items)
+ * @returns {Array} Return records shaped like orders, with isReturn: true
+ */
+export const buildReturnRecords = (creditNotes, orders) => {
+  const ordersById = Object.fromEntries(orders.map(order => [order.id, order]));
+
+  return creditNotes.map(note => {
+    const order = ordersById[note.orderId] || null;
+    const soldItems = (order && order.items) || [];
+    const payableAmount = note.totals?.payableAmount || 0;
+
+    const items = (note.lineItems || []).map(line => {
+      const soldItem = soldItems.find(item => getBillLineKey(item) === getBillLineKey(line));
+      return {
+        productId: line.productId || null,
+        variantId: line.variantId || null,
+        size: line.size || null,
+        colour: line.colour || null,
+        sku: line.sku,
+        productName: line.productName,
+        category: line.category,
+        quantity: -(line.quantity || 0),
+        unitPrice: line.unitPrice,
+        lineTotal: -(line.lineTotal || 0),
+        lineTaxableValue: -(line.taxableValue || 0),
+        ...(soldItem && typeof soldItem.unitCost === 'number' ? { unitCost: soldItem.unitCost } : {})
+      };
+    });
+
+    return {
+      id: note.id,
+      isReturn: true,
+      creditNoteNumber: note.creditNoteNumber,
+      type: order ? order.type : note.orderType,
+      status: 'completed',
+      items,
+      totals: { payableAmount: -payableAmount },
+      grossRevenue: 0,
+      returnedAmount: payableAmount,
+      revenue: -payableAmount,
+      createdAt: note.creditNoteDate,
+      createdBy: order ? order.createdBy : note.employeeId,
+      exhibitionId: note.exhibitionId || null,
+      locationId: note.locationId || null
+    };
+  });
+};
 
 /**
  * Get orders with price data for revenue calculations (OWNER ONLY)
  * Includes: completed daily, exhibition, and converted pre-bookings
  * Excludes: pending pre-bookings
+ * Returns are added as negative records on their credit-note date (see buildReturnRecords).
  * @returns {Array} Orders with price, quantity, type, status, createdAt, productId
  */
 export const getOrdersForRevenue = async () => {
   try {
-    const querySnapshot = await getDocs(collection(db, 'orders'));
+    const [querySnapshot, creditNotesSnapshot] = await Promise.all([
+      getDocs(collection(db, 'orders')),
+      getDocs(collection(db, 'creditNotes'))
+    ]);
     
     let orders = querySnapshot.docs.map(doc => {
       const data = doc.data();
@@ -36,9 +97,12 @@ export const getOrdersForRevenue = async () => {
         productId: data.productId,
         items: data.items, // New schema
         totals: data.totals, // New schema
-        revenue: revenue, // Calculated revenue
+        grossRevenue: revenue,
+        revenue: revenue, // Returns are separate negative records
         createdAt: data.createdAt,
-        exhibitionId: data.exhibitionId
+        createdBy: data.createdBy,
+        exhibitionId: data.exhibitionId,
+        locationId: data.locationId
       };
     });
     
@@ -55,7 +119,10 @@ export const getOrdersForRevenue = async () => {
       return false;
     });
     
-    return orders;
+    const creditNotes = creditNotesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const rawOrders = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    
+    return [...orders, ...buildReturnRecords(creditNotes, rawOrders)];
   } catch (error) {
     console.error('Error fetching orders for revenue:', error);
     throw error;
@@ -63,8 +130,8 @@ export const getOrdersForRevenue = async () => {
 };
 
 /**
- * Get products for name/category lookup
- * @returns {Object} Map of productId -> {name, category}
+ * Get products for name/category/cost lookup
+ * @returns {Object} Map of productId -> {name, category, costPrice, gstRate, isTaxInclusive, variants}
  */
 export const getProductsMap = async () => {
   try {
@@ -75,7 +142,11 @@ export const getProductsMap = async () => {
       const data = doc.data();
       productsMap[doc.id] = {
         name: data.name,
-        category: data.category
+        category: data.category,
+        costPrice: data.costPrice,
+        gstRate: data.gstRate,
+        isTaxInclusive: data.isTaxInclusive,
+        variants: data.variants || []
       };
     });
     
@@ -104,8 +175,14 @@ export const getRevenueSummary = (orders) => {
     .filter(order => order.type === 'exhibition')
     .reduce((sum, order) => sum + (order.revenue || 0), 0);
 
+  const totalReturns = orders.reduce((sum, order) => {
+    return sum + (order.returnedAmount || 0);
+  }, 0);
+
   return {
     overallRevenue,
+    grossRevenue: overallRevenue + totalReturns,
+    totalReturns,
     dailySalesRevenue,
     exhibitionSalesRevenue
   };
@@ -156,7 +233,7 @@ export const getDailyComparison = (orders) => {
   ));
   const yesterdayEndUTC = new Date(yesterdayEndIST.getTime() - istOffset);
 
-  // Filter today's orders
+  // Filter today's orders (returns lower revenue and items, not the order count)
   const todayOrders = orders.filter(order => {
     if (!order.createdAt) return false;
     const orderDate = order.createdAt.toDate();
@@ -194,8 +271,8 @@ export const getDailyComparison = (orders) => {
       previous: yesterdayRevenue
     },
     volume: {
-      currentOrders: todayOrders.length,
-      previousOrders: yesterdayOrders.length,
+      currentOrders: todayOrders.filter(order => !order.isReturn).length,
+      previousOrders: yesterdayOrders.filter(order => !order.isReturn).length,
       currentItems: todayItems,
       previousItems: yesterdayItems
     }
@@ -450,3 +527,140 @@ export const getProductPerformanceOverTime = (orders, productsMap) => {
 
   return { labels, series };
 };
+
+/**
+ * Line items of an order (older single-product orders become one line)
+ * @param {Object} order - Order
+ * @returns {Array} Line items
+ */
+const getOrderLines = (order) => {
+  if (Array.isArray(order.items)) {
+    return order.items;
+  }
+  if (order.productId) {
+    return [{
+      productId: order.productId,
+      quantity: order.quantity || 0,
+      unitPrice: order.price || 0,
+      lineTotal: (order.price || 0) * (order.quantity || 0)
+    }];
+  }
+  return [];
+};
+
+/**
+ * Gross margin of one order line
+ * Revenue is taken excluding GST so it compares with cost (also GST-exclusive).
+ * Cost is the unit cost recorded at sale time; older lines fall back to the
+ * product's current cost price and are marked as estimated. Lines of return
+ * records are negative, so they take back both revenue and cost.
+ * @param {Object} order - Order or return record
+ * @param {Object} line - Order line item
+ * @param {Object} product - Product from the products map (optional)
+ * @returns {Object} { quantity, revenue, cost (null when unknown), isCostEstimated }
+ */
+export const getLineMargin = (order, line, product) => {
+  const soldQty = line.quantity || 0;
+
+  const lineTotal = line.lineTotal || (line.unitPrice || 0) * soldQty;
+  let taxableValue = lineTotal;
+  if (typeof line.lineTaxableValue === 'number') {
+    taxableValue = line.lineTaxableValue;
+  } else if (product && product.isTaxInclusive) {
+    taxableValue = lineTotal / (1 + (product.gstRate || 0) / 100);
+  }
+
+  const hasSnapshot = typeof line.unitCost === 'number';
+  const unitCost = hasSnapshot ? line.unitCost : getUnitCost(product, line.variantId);
+
+  return {
+    quantity: soldQty,
+    revenue: taxableValue,
+    cost: unitCost === null ? null : unitCost * soldQty,
+    isCostEstimated: !hasSnapshot && unitCost !== null
+  };
+};
+
+/**
+ * Gross margin grouped by any key (product, category, exhibition, employee...)
+ * Margin and margin % only count lines with a known cost; revenue of lines
+ * without one is reported as uncostedRevenue so gaps in cost data show.
+ * @param {Array} orders - Completed orders
+ * @param {Object} productsMap - Map of productId -> product
+ * @param {Function} getGroupKey - (order, line, product) => group key, or null to skip the line
+ * @returns {Array} Groups { key, quantity, revenue, cost, grossMargin, marginPercent,
+ *   costedRevenue, uncostedRevenue, estimatedLines } sorted by gross margin (highest first)
+ */
+export const getMarginBreakdown = (orders, productsMap, getGroupKey) => {
+  const groups = {};
+
+  orders.forEach(order => {
+    getOrderLines(order).forEach(line => {
+      const product = productsMap[line.productId];
+      const key = getGroupKey(order, line, product);
+      if (key === null || key === undefined) return;
+
+      const group = groups[key] || (groups[key] = {
+        key,
+        quantity: 0,
+        revenue: 0,
+        cost: 0,
+        costedRevenue: 0,
+        uncostedRevenue: 0,
+        estimatedLines: 0
+      });
+
+      const margin = getLineMargin(order, line, product);
+      group.quantity += margin.quantity;
+      group.revenue += margin.revenue;
+
+      if (margin.cost === null) {
+        group.uncostedRevenue += margin.revenue;
+      } else {
+        group.cost += margin.cost;
+        group.costedRevenue += margin.revenue;
+        if (margin.isCostEstimated) group.estimatedLines += 1;
+      }
+    });
+  });
+
+  return Object.values(groups)
+    .map(group => {
+      const grossMargin = group.costedRevenue - group.cost;
+      return {
+        ...group,
+        grossMargin,
+        marginPercent: group.costedRevenue > 0 ? (grossMargin / group.costedRevenue) * 100 : null
+      };
+    })
+    .sort((a, b) => b.grossMargin - a.grossMargin);
+};
+
+/**
+ * Overall gross margin of a set of orders
+ * @param {Array} orders - Completed orders
+ * @param {Object} productsMap - Map of productId -> product
+ * @returns {Object} Margin totals (see getMarginBreakdown) plus costCoverage (% of revenue with a known cost)
+ */
+export const getMarginSummary = (orders, productsMap) => {
+  const [summary] = getMarginBreakdown(orders, productsMap, () => 'all');
+  if (!summary) {
+    return {
+      key: 'all',
+      quantity: 0,
+      revenue: 0,
+      cost: 0,
+      grossMargin: 0,
+      marginPercent: null,
+      costedRevenue: 0,
+      uncostedRevenue: 0,
+      estimatedLines: 0,
+      costCoverage: 0
+    };
+  }
+
+  return {
+    ...summary,
+    costCoverage: summary.revenue > 0 ? (summary.costedRevenue / summary.revenue) * 100 : 0
+  };
+};
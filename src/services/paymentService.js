@@ -3,10 +3,15 @@
  * ========================
  * POS-style payment recording (NOT payment processing)
  * Records payment details for accounting, GST audit, and reporting
+ * A tender can split the bill across several modes (e.g. UPI + cash); its
+ * lines are recorded together, each under its own mode. Cash lines keep the
+ * cash handed over and the change given. UPI payments can carry the UTR
+ * (12-digit transaction reference) read from the customer's UPI app.
  */
 
-import { doc, updateDoc, arrayUnion, serverTimestamp, getDoc, Timestamp } from 'firebase/firestore';
+import { doc, updateDoc, arrayUnion, serverTimestamp, getDoc, Timestamp, runTransaction } from 'firebase/firestore';
 import { db } from './firebase';
+import { isValidUTR } from '../utils/upiUtils';
 
 // Payment modes allowed in India
 export const PAYMENT_MODES = {
@@ -14,9 +19,29 @@ export const PAYMENT_MODES = {
   UPI: 'UPI',
   CARD: 'CARD',
   BANK_TRANSFER: 'BANK_TRANSFER',
-  SPLIT: 'SPLIT'
+  SPLIT: 'SPLIT',
+  CREDIT_NOTE: 'CREDIT_NOTE' // Credit from a sales return applied to an exchange bill
 };
 
+// Modes a tender line can use (SPLIT describes a bill paid with several of them)
+export const TENDER_MODES = [
+  PAYMENT_MODES.CASH,
+  PAYMENT_MODES.UPI,
+  PAYMENT_MODES.CARD,
+  PAYMENT_MODES.BANK_TRANSFER
+];
+
+export const PAYMENT_MODE_LABELS = {
+  [PAYMENT_MODES.CASH]: 'Cash',
+  [PAYMENT_MODES.UPI]: 'UPI',
+  [PAYMENT_MODES.CARD]: 'Card',
+  [PAYMENT_MODES.BANK_TRANSFER]: 'Bank Transfer',
+  [PAYMENT_MODES.SPLIT]: 'Split',
+  [PAYMENT_MODES.CREDIT_NOTE]: 'Credit Note'
+};
+
+const INVALID_UTR_MESSAGE = 'UPI reference must be the 12-digit UTR from the UPI app';
+
 // Payment status
 export const PAYMENT_STATUS = {
   UNPAID: 'UNPAID',
@@ -53,6 +78,26 @@ export const calculatePaymentStatus = (bill) => {
   };
 };
 
+/**
+ * First UTR in newPayments already recorded on the bill (or repeated among them)
+ * A UTR identifies one UPI transfer, so it can only pay a bill once.
+ * @param {Array} existingPayments - Payments already on the bill
+ * @param {Array} newPayments - Payments about to be recorded
+ * @returns {string|null} The repeated UTR, or null
+ */
+const findRepeatedUTR = (existingPayments, newPayments) => {
+  const seen = new Set(existingPayments
+    .filter(payment => payment.mode === PAYMENT_MODES.UPI && payment.referenceId)
+    .map(payment => payment.referenceId));
+
+  for (const payment of newPayments) {
+    if (payment.mode !== PAYMENT_MODES.UPI || !payment.referenceId) continue;
+    if (seen.has(payment.referenceId)) return payment.referenceId;
+    seen.add(payment.referenceId);
+  }
+  return null;
+};
+
 /**
  * Validate payment before recording
  * @param {Object} bill - Bill object
@@ -85,6 +130,16 @@ export const validatePayment = (bill, paymentPayload) => {
     errors.push('Payment amount must be greater than 0');
   }
   
+  // UTR is optional, but must be well formed and new for this bill
+  const referenceId = paymentPayload.referenceId ? String(paymentPayload.referenceId).trim() : '';
+  if (paymentPayload.mode === PAYMENT_MODES.UPI && referenceId) {
+    if (!isValidUTR(referenceId)) {
+      errors.push(INVALID_UTR_MESSAGE);
+    } else if (findRepeatedUTR(bill.payments || [], [{ mode: PAYMENT_MODES.UPI, referenceId }])) {
+      errors.push(`UTR ${referenceId} is already recorded on this bill`);
+    }
+  }
+  
   // Check for overpayment
   const newPaidAmount = currentStatus.paidAmount + paymentPayload.amount;
   if (newPaidAmount > currentStatus.payableAmount) {
@@ -127,7 +182,7 @@ export const recordPayment = async (billId, paymentPayload) => {
     const payment = {
       mode: paymentPayload.mode,
       amount: parseFloat(paymentPayload.amount),
-      referenceId: paymentPayload.referenceId || null,
+      referenceId: paymentPayload.referenceId ? String(paymentPayload.referenceId).trim() || null : null,
       paidAt: Timestamp.now(),
       recordedBy: paymentPayload.recordedBy || null
     };
@@ -171,6 +226,193 @@ export const recordPayment = async (billId, paymentPayload) => {
   }
 };
 
+const roundToPaise = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * A new tender line for the payment screen
+ * @param {string|number} amount - Prefilled amount
+ * @param {string} mode - One of TENDER_MODES
+ * @returns {Object} { mode, amount, referenceId }
+ */
+export const createTenderLine = (amount = '', mode = PAYMENT_MODES.CASH) => ({
+  mode,
+  amount: String(amount),
+  referenceId: ''
+});
+
+/**
+ * Work out a tender of one or more payment lines against the amount due
+ * Cash lines hold the cash handed over: only what the other modes leave
+ * unpaid is applied to the bill and the rest is change. UPI, card and bank
+ * transfer lines are applied as entered and cannot exceed the amount due.
+ * @param {number} dueAmount - Amount due on the bill
+ * @param {Array} lines - [{ mode, amount, referenceId }]; empty amounts are ignored
+ * @returns {Object} { payments, tenderedAmount, appliedAmount, changeDue, remainingDue, errors }
+ *   payments are the lines to record (cash with tenderedAmount and changeGiven)
+ */
+export const calculateTender = (dueAmount, lines) => {
+  const errors = [];
+
+  const enteredLines = lines
+    .map(line => ({ ...line, amount: roundToPaise(parseFloat(line.amount) || 0) }))
+    .filter(line => line.amount !== 0);
+
+  if (enteredLines.some(line => line.amount < 0)) {
+    errors.push('Payment amounts cannot be negative');
+  }
+  if (enteredLines.some(line => !TENDER_MODES.includes(line.mode))) {
+    errors.push('Invalid payment mode');
+  }
+  if (enteredLines.some(line => line.mode === PAYMENT_MODES.UPI && line.referenceId && line.referenceId.trim() && !isValidUTR(line.referenceId))) {
+    errors.push(INVALID_UTR_MESSAGE);
+  }
+
+  const otherAmount = roundToPaise(enteredLines
+    .filter(line => line.mode !== PAYMENT_MODES.CASH)
+    .reduce((sum, line) => sum + line.amount, 0));
+  if (otherAmount > dueAmount) {
+    errors.push(`UPI, card and bank payments (₹${otherAmount.toFixed(2)}) exceed the amount due (₹${dueAmount.toFixed(2)}). Only cash can be more than the amount due.`);
+  }
+
+  // Cash covers whatever the other modes leave unpaid
+  let cashNeeded = Math.max(0, roundToPaise(dueAmount - otherAmount));
+  const payments = enteredLines.map(line => {
+    if (line.mode !== PAYMENT_MODES.CASH) {
+      return {
+        mode: line.mode,
+        amount: line.amount,
+        referenceId: line.referenceId ? line.referenceId.trim() || null : null
+      };
+    }
+
+    const applied = Math.min(line.amount, cashNeeded);
+    cashNeeded = roundToPaise(cashNeeded - applied);
+    return {
+      mode: PAYMENT_MODES.CASH,
+      amount: applied,
+      referenceId: null,
+      tenderedAmount: line.amount,
+      changeGiven: roundToPaise(line.amount - applied)
+    };
+  });
+
+  if (payments.some(payment => payment.mode === PAYMENT_MODES.CASH && payment.amount <= 0)) {
+    errors.push('Nothing is left to pay in cash. Remove the cash line.');
+  }
+
+  const tenderedAmount = roundToPaise(enteredLines.reduce((sum, line) => sum + line.amount, 0));
+  const appliedAmount = roundToPaise(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+  return {
+    payments,
+    tenderedAmount,
+    appliedAmount,
+    changeDue: roundToPaise(tenderedAmount - appliedAmount),
+    remainingDue: Math.max(0, roundToPaise(dueAmount - appliedAmount)),
+    errors
+  };
+};
+
+/**
+ * Record a tender (one or more payment lines) against a bill in one transaction
+ * @param {string} billId - Bill document ID
+ * @param {Array} lines - Tender lines [{ mode, amount, referenceId }] (see calculateTender)
+ * @param {string} recordedBy - UID of the user taking the payment
+ * @returns {Promise<Object>} { bill, changeDue } with the updated bill
+ */
+export const recordPayments = async (billId, lines, recordedBy = null) => {
+  try {
+    const billRef = doc(db, 'bills', billId);
+
+    return await runTransaction(db, async (transaction) => {
+      const billDoc = await transaction.get(billRef);
+      if (!billDoc.exists()) {
+        throw new Error('Bill not found');
+      }
+
+      const bill = { id: billDoc.id, ...billDoc.data() };
+      if (isBillLocked(bill)) {
+        throw new Error('Bill is already fully paid and locked');
+      }
+
+      const currentStatus = calculatePaymentStatus(bill);
+      const tender = calculateTender(currentStatus.dueAmount, lines);
+      if (tender.errors.length > 0) {
+        throw new Error(tender.errors.join(', '));
+      }
+      if (tender.payments.length === 0) {
+        throw new Error('Payment amount must be greater than 0');
+      }
+      const repeatedUTR = findRepeatedUTR(bill.payments || [], tender.payments);
+      if (repeatedUTR) {
+        throw new Error(`UTR ${repeatedUTR} is already recorded on this bill`);
+      }
+
+      // Note: serverTimestamp() cannot be used inside arrays
+      const paidAt = Timestamp.now();
+      const payments = [
+        ...(bill.payments || []),
+        ...tender.payments.map(payment => ({ ...payment, paidAt, recordedBy }))
+      ];
+
+      const newPaidAmount = roundToPaise(currentStatus.paidAmount + tender.appliedAmount);
+      const newDueAmount = roundToPaise(currentStatus.payableAmount - newPaidAmount);
+      const newPaymentStatus = newDueAmount === 0 ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PARTIALLY_PAID;
+
+      const updateData = {
+        payments,
+        paidAmount: newPaidAmount,
+        dueAmount: newDueAmount,
+        paymentStatus: newPaymentStatus,
+        updatedAt: serverTimestamp()
+      };
+
+      // If fully paid, lock the bill
+      if (newPaymentStatus === PAYMENT_STATUS.PAID) {
+        updateData.paidAt = serverTimestamp();
+        updateData.locked = true;
+      }
+
+      transaction.update(billRef, updateData);
+
+      return {
+        bill: { ...bill, ...updateData },
+        changeDue: tender.changeDue
+      };
+    });
+  } catch (error) {
+    console.error('Error recording payments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Payment mode to show on a bill: the one mode used, or SPLIT for several
+ * @param {Array} payments - Recorded payments
+ * @param {string} fallbackMode - Mode when nothing is paid yet
+ * @returns {string} One of PAYMENT_MODES
+ */
+export const getPaymentModeSummary = (payments, fallbackMode = PAYMENT_MODES.CASH) => {
+  const modes = [...new Set((payments || []).map(payment => payment.mode))];
+  if (modes.length === 0) return fallbackMode;
+  return modes.length === 1 ? modes[0] : PAYMENT_MODES.SPLIT;
+};
+
+/**
+ * One payment as a receipt line, e.g. "Cash 500.00 (tendered 1000.00, change 500.00)"
+ * @param {Object} payment - Recorded payment
+ * @returns {string} Receipt line
+ */
+export const formatPaymentLine = (payment) => {
+  const label = PAYMENT_MODE_LABELS[payment.mode] || payment.mode;
+  const details = [];
+  if (payment.referenceId) details.push(`ref ${payment.referenceId}`);
+  if (payment.changeGiven > 0) {
+    details.push(`tendered ${payment.tenderedAmount.toFixed(2)}, change ${payment.changeGiven.toFixed(2)}`);
+  }
+  return `${label} ${payment.amount.toFixed(2)}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+};
+
 /**
  * Check if bill is locked (fully paid)
  * @param {Object} bill - Bill object
@@ -0,0 +1,176 @@
+/**
+ * PRINTER SERVICE
+ * ===============
+ * Sends ESC/POS receipts to counter thermal printers.
+ * Tries WebUSB, then Web Serial (Chrome/Edge), and falls back to
+ * downloading a .bin file that can be sent to the printer manually.
+ * Paper width is a shop-wide setting in settings/printer.
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { encodeReceipt, PAPER_WIDTHS } from '../utils/escposUtils';
+
+const PRINTER_SETTINGS_PATH = ['settings', 'printer'];
+
+export const DEFAULT_PRINTER_SETTINGS = {
+  paperWidth: PAPER_WIDTHS.MM_80
+};
+
+// How a receipt reached the printer
+export const PRINT_METHODS = {
+  USB: 'usb',
+  SERIAL: 'serial',
+  DOWNLOAD: 'download'
+};
+
+// Thermal printers commonly ship at 9600 or 19200 baud; 9600 is the safe default
+const SERIAL_BAUD_RATE = 9600;
+
+// Large receipts are sent in chunks; some printers drop oversized USB transfers
+const CHUNK_SIZE = 512;
+
+/**
+ * Get printer settings
+ * @returns {Promise<Object>} { paperWidth }
+ */
+export const getPrinterSettings = async () => {
+  try {
+    const settingsSnap = await getDoc(doc(db, ...PRINTER_SETTINGS_PATH));
+    return {
+      ...DEFAULT_PRINTER_SETTINGS,
+      ...(settingsSnap.exists() ? settingsSnap.data() : {})
+    };
+  } catch (error) {
+    console.error('Error fetching printer settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save printer settings (owner only)
+ * @param {Object} settings - { paperWidth }
+ * @returns {Promise<Object>} Saved settings
+ */
+export const savePrinterSettings = async (settings) => {
+  try {
+    const paperWidth = Number(settings.paperWidth);
+    if (!Object.values(PAPER_WIDTHS).includes(paperWidth)) {
+      throw new Error('Paper width must be 58mm or 80mm');
+    }
+
+    await setDoc(doc(db, ...PRINTER_SETTINGS_PATH), {
+      paperWidth,
+      updatedAt: serverTimestamp()
+    });
+
+    return { paperWidth };
+  } catch (error) {
+    console.error('Error saving printer settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Write bytes to a USB printer (first bulk OUT endpoint)
+ * @param {Object} device - WebUSB device
+ * @param {Uint8Array} data - ESC/POS bytes
+ */
+const printViaUSB = async (device, data) => {
+  await device.open();
+  try {
+    if (device.configuration === null) {
+      await device.selectConfiguration(1);
+    }
+
+    const usbInterface = device.configuration.interfaces.find(candidate => (
+      candidate.alternate.endpoints.some(endpoint => endpoint.direction === 'out' && endpoint.type === 'bulk')
+    ));
+    if (!usbInterface) {
+      throw new Error('Selected USB device is not a printer');
+    }
+
+    const endpoint = usbInterface.alternate.endpoints.find(candidate => (
+      candidate.direction === 'out' && candidate.type === 'bulk'
+    ));
+
+    await device.claimInterface(usbInterface.interfaceNumber);
+    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+      await device.transferOut(endpoint.endpointNumber, data.slice(offset, offset + CHUNK_SIZE));
+    }
+    await device.releaseInterface(usbInterface.interfaceNumber);
+  } finally {
+    await device.close();
+  }
+};
+
+/**
+ * Write bytes to a serial / Bluetooth SPP printer
+ * @param {Object} port - Web Serial port
+ * @param {Uint8Array} data - ESC/POS bytes
+ */
+const printViaSerial = async (port, data) => {
+  await port.open({ baudRate: SERIAL_BAUD_RATE });
+  try {
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(data);
+    } finally {
+      writer.releaseLock();
+    }
+  } finally {
+    await port.close();
+  }
+};
+
+const downloadBin = (data, filename) => {
+  const blob = new Blob([data], { type: 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Print a bill or credit note on the thermal printer
+ * A printer paired earlier (USB, then serial) is used without prompting.
+ * Otherwise the browser's device picker is shown; cancelling it or a
+ * failed transfer falls through to the .bin download.
+ * @param {Object} bill - Bill or credit note
+ * @returns {Promise<string>} PRINT_METHODS value that was used
+ */
+export const printReceipt = async (bill) => {
+  const settings = await getPrinterSettings().catch(() => DEFAULT_PRINTER_SETTINGS);
+  const data = encodeReceipt(bill, { paperWidth: settings.paperWidth });
+
+  const [pairedDevice] = navigator.usb ? await navigator.usb.getDevices() : [];
+  const [pairedPort] = navigator.serial ? await navigator.serial.getPorts() : [];
+
+  const attempts = [
+    pairedDevice && { method: PRINT_METHODS.USB, run: () => printViaUSB(pairedDevice, data) },
+    pairedPort && { method: PRINT_METHODS.SERIAL, run: () => printViaSerial(pairedPort, data) },
+    !pairedDevice && !pairedPort && navigator.usb && {
+      method: PRINT_METHODS.USB,
+      run: async () => printViaUSB(await navigator.usb.requestDevice({ filters: [] }), data)
+    },
+    !pairedDevice && !pairedPort && navigator.serial && {
+      method: PRINT_METHODS.SERIAL,
+      run: async () => printViaSerial(await navigator.serial.requestPort(), data)
+    }
+  ].filter(Boolean);
+
+  for (const attempt of attempts) {
+    try {
+      await attempt.run();
+      return attempt.method;
+    } catch (error) {
+      console.warn(`Receipt printing via ${attempt.method} failed:`, error);
+    }
+  }
+
+  const number = (bill.documentType === 'CREDIT_NOTE' ? bill.creditNoteNumber : bill.billNumber) || 'receipt';
+  downloadBin(data, `Receipt_${number.replace(/[^A-Za-z0-9-]/g, '-')}.bin`);
+  return PRINT_METHODS.DOWNLOAD;
+};
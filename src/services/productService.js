@@ -6,24 +6,40 @@ import {
   setDoc,
   query,
   where,
+  runTransaction,
+  writeBatch,
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase';
+import { HSN_CODE_PATTERN } from '../constants/hsnCodes';
+import { getVariantStockTotal, getVariantLabel, getUnitCost, MAX_VARIANTS } from '../utils/variantUtils';
+import { getLocationStock, applyLocationDelta } from '../utils/locationUtils';
+import { PRIMARY_LOCATION_ID } from '../constants/locations';
+import { writeStockMovements, diffStockLines, MOVEMENT_TYPES } from './stockMovementService';
 
 /**
  * PRODUCT SCHEMA (PRD-COMPLIANT)
  * ================================
  * name: string (required)
  * sku: string (required, unique)
+ * barcode: string (optional, EAN-13 or any scannable code; variants carry their own)
  * category: 'men' | 'women' | 'kids' (required)
  * subcategory: string (required)
  * basePrice: number (required, GST-exclusive)
  * gstRate: 5 | 12 | 18 (required)
+ * hsnCode: string (required, 4/6/8 digits)
  * isTaxInclusive: boolean (required)
  * isOnSale: boolean (required)
  * salePrice: number | null (must be < basePrice if set)
- * stockQty: number (required)
+ * stockQty: number (required; total across variants when variants are set)
+ * locationStock: Object | null (locationId -> units, when stock is held outside the primary
+ *   location; absent means all stock is at the primary location. Variants carry their own.)
  * lowStockThreshold: number (required)
+ * costPrice: number | null (GST-exclusive weighted-average unit cost; goods receipts keep it current)
+ * variants: Array (optional) - size/colour matrix of the style
+ *   { id, size, colour, sku, barcode, stockQty, locationStock, priceOverride: number | null, isActive, costPrice }
+ * variantSkus: Array<string> (derived from variants, for SKU uniqueness checks)
+ * stockLocationId: string (location of the last stock write; the rules only let its units change)
  * isActive: boolean (required)
  * createdAt: Timestamp
  * updatedAt: Timestamp
@@ -33,6 +49,95 @@ import { db } from './firebase';
 // VALIDATION FUNCTIONS (BUSINESS RULES ENFORCEMENT)
 // ============================================================================
 
+/**
+ * Check whether a value is a valid HSN code (4, 6 or 8 digits)
+ * @param {string} hsnCode - HSN code to check
+ * @returns {boolean} True if valid
+ */
+export const isValidHSNCode = (hsnCode) => {
+  return typeof hsnCode === 'string' && HSN_CODE_PATTERN.test(hsnCode.trim());
+};
+
+/**
+ * Validate a variant matrix
+ * @param {Array} variants - Variants to validate
+ * @param {string} parentSku - Style SKU (variant SKUs must differ from it)
+ * @returns {Array<string>} Error messages
+ */
+const getVariantErrors = (variants, parentSku) => {
+  if (!Array.isArray(variants)) {
+    return ['Variants must be a list'];
+  }
+
+  const errors = [];
+  if (variants.length > MAX_VARIANTS) {
+    errors.push(`A style can have at most ${MAX_VARIANTS} size/colour combinations`);
+  }
+
+  const seenSkus = new Set(parentSku ? [parentSku.trim().toUpperCase()] : []);
+  const seenBarcodes = new Set();
+  const seenIds = new Set();
+
+  variants.forEach(variant => {
+    const label = getVariantLabel(variant) || variant.sku || 'variant';
+
+    if (!variant.size && !variant.colour) {
+      errors.push('Each variant needs a size or colour');
+    }
+
+    if (!variant.id || seenIds.has(variant.id)) {
+      errors.push(`Duplicate size/colour combination: ${label}`);
+    }
+    seenIds.add(variant.id);
+
+    const sku = (variant.sku || '').trim().toUpperCase();
+    if (!sku) {
+      errors.push(`SKU is required for ${label}`);
+    } else if (seenSkus.has(sku)) {
+      errors.push(`Duplicate SKU ${sku}`);
+    }
+    seenSkus.add(sku);
+
+    const barcode = (variant.barcode || '').trim();
+    if (barcode) {
+      if (seenBarcodes.has(barcode)) {
+        errors.push(`Duplicate barcode ${barcode}`);
+      }
+      seenBarcodes.add(barcode);
+    }
+
+    if (typeof variant.stockQty !== 'number' || variant.stockQty < 0) {
+      errors.push(`Stock for ${label} must be a non-negative number`);
+    }
+
+    if (variant.priceOverride !== null && variant.priceOverride !== undefined &&
+        (typeof variant.priceOverride !== 'number' || variant.priceOverride <= 0)) {
+      errors.push(`Price override for ${label} must be a positive number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Normalise variants for storage (trimmed, uppercase SKUs)
+ * @param {Array} variants - Variants from the product form
+ * @returns {Array} Variants to store
+ */
+const normalizeVariants = (variants) => {
+  return variants.map(variant => ({
+    id: variant.id,
+    size: (variant.size || '').trim(),
+    colour: (variant.colour || '').trim(),
+    sku: variant.sku.trim().toUpperCase(),
+    barcode: (variant.barcode || '').trim(),
+    stockQty: variant.stockQty,
+    priceOverride: variant.priceOverride || null,
+    costPrice: typeof variant.costPrice === 'number' ? variant.costPrice : null,
+    isActive: variant.isActive !== false
+  }));
+};
+
 /**
  * Validate product data against schema and business rules
  * @param {Object} productData - Product data to validate
@@ -68,6 +173,10 @@ const validateProductData = (productData, isUpdate = false) => {
       errors.push('GST rate must be 5, 12, or 18');
     }
     
+    if (!isValidHSNCode(productData.hsnCode)) {
+      errors.push('HSN code must be 4, 6 or 8 digits');
+    }
+    
     if (typeof productData.isTaxInclusive !== 'boolean') {
       errors.push('isTaxInclusive must be a boolean');
     }
@@ -94,6 +203,10 @@ const validateProductData = (productData, isUpdate = false) => {
     errors.push('GST rate must be 5, 12, or 18');
   }
 
+  if (isUpdate && productData.hsnCode !== undefined && !isValidHSNCode(productData.hsnCode)) {
+    errors.push('HSN code must be 4, 6 or 8 digits');
+  }
+
   if (productData.basePrice !== undefined && (typeof productData.basePrice !== 'number' || productData.basePrice <= 0)) {
     errors.push('Base price must be a positive number');
   }
@@ -106,6 +219,11 @@ const validateProductData = (productData, isUpdate = false) => {
     errors.push('Low stock threshold must be a non-negative number');
   }
 
+  if (productData.costPrice !== null && productData.costPrice !== undefined &&
+      (typeof productData.costPrice !== 'number' || productData.costPrice < 0)) {
+    errors.push('Cost price must be a non-negative number');
+  }
+
   // CRITICAL BUSINESS RULE: Sale price must be lower than base price
   if (productData.salePrice !== null && productData.salePrice !== undefined) {
     if (typeof productData.salePrice !== 'number' || productData.salePrice <= 0) {
@@ -123,6 +241,10 @@ const validateProductData = (productData, isUpdate = false) => {
     errors.push('Sale price is required when product is on sale');
   }
 
+  if (productData.variants !== undefined) {
+    errors.push(...getVariantErrors(productData.variants, productData.sku));
+  }
+
   if (errors.length > 0) {
     throw new Error('Product validation failed: ' + errors.join(', '));
   }
@@ -155,6 +277,44 @@ const skuExists = async (sku, excludeProductId = null) => {
   }
 };
 
+/**
+ * Find variant SKUs already used by other products (as style or variant SKU)
+ * @param {Array<string>} skus - Variant SKUs to check
+ * @param {string} excludeProductId - Product ID to exclude (for updates)
+ * @returns {Promise<Array<string>>} SKUs that are taken
+ */
+const findTakenVariantSkus = async (skus, excludeProductId = null) => {
+  try {
+    const taken = new Set();
+
+    // 'in' and 'array-contains-any' accept at most 30 values
+    for (let index = 0; index < skus.length; index += 30) {
+      const chunk = skus.slice(index, index + 30);
+      const [styleSnapshot, variantSnapshot] = await Promise.all([
+        getDocs(query(collection(db, 'products'), where('sku', 'in', chunk))),
+        getDocs(query(collection(db, 'products'), where('variantSkus', 'array-contains-any', chunk)))
+      ]);
+
+      styleSnapshot.docs
+        .filter(productDoc => productDoc.id !== excludeProductId)
+        .forEach(productDoc => taken.add(productDoc.data().sku));
+
+      variantSnapshot.docs
+        .filter(productDoc => productDoc.id !== excludeProductId)
+        .forEach(productDoc => {
+          (productDoc.data().variantSkus || [])
+            .filter(variantSku => chunk.includes(variantSku))
+            .forEach(variantSku => taken.add(variantSku));
+        });
+    }
+
+    return [...taken];
+  } catch (error) {
+    console.error('Error checking variant SKUs:', error);
+    throw error;
+  }
+};
+
 // ============================================================================
 // EMPLOYEE-SAFE PRODUCT QUERIES (READ-ONLY, ACTIVE PRODUCTS ONLY)
 // ============================================================================
@@ -173,15 +333,18 @@ export const getActiveProducts = async () => {
       id: doc.id,
       name: doc.data().name,
       sku: doc.data().sku,
+      barcode: doc.data().barcode || '',
       category: doc.data().category,
       subcategory: doc.data().subcategory,
       basePrice: doc.data().basePrice,
       gstRate: doc.data().gstRate,
+      hsnCode: doc.data().hsnCode || '',
       isTaxInclusive: doc.data().isTaxInclusive,
       isOnSale: doc.data().isOnSale,
       salePrice: doc.data().salePrice,
       stockQty: doc.data().stockQty,
-      lowStockThreshold: doc.data().lowStockThreshold
+      lowStockThreshold: doc.data().lowStockThreshold,
+      variants: doc.data().variants || []
     }));
   } catch (error) {
     console.error('Error fetching active products:', error);
@@ -211,15 +374,18 @@ export const getProductsByCategory = async (category) => {
       id: doc.id,
       name: doc.data().name,
       sku: doc.data().sku,
+      barcode: doc.data().barcode || '',
       category: doc.data().category,
       subcategory: doc.data().subcategory,
       basePrice: doc.data().basePrice,
       gstRate: doc.data().gstRate,
+      hsnCode: doc.data().hsnCode || '',
       isTaxInclusive: doc.data().isTaxInclusive,
       isOnSale: doc.data().isOnSale,
       salePrice: doc.data().salePrice,
       stockQty: doc.data().stockQty,
-      lowStockThreshold: doc.data().lowStockThreshold
+      lowStockThreshold: doc.data().lowStockThreshold,
+      variants: doc.data().variants || []
     }));
   } catch (error) {
     console.error('Error fetching products by category:', error);
@@ -244,15 +410,18 @@ export const getProductById = async (productId) => {
       id: productDoc.id,
       name: productDoc.data().name,
       sku: productDoc.data().sku,
+      barcode: productDoc.data().barcode || '',
       category: productDoc.data().category,
       subcategory: productDoc.data().subcategory,
       basePrice: productDoc.data().basePrice,
       gstRate: productDoc.data().gstRate,
+      hsnCode: productDoc.data().hsnCode || '',
       isTaxInclusive: productDoc.data().isTaxInclusive,
       isOnSale: productDoc.data().isOnSale,
       salePrice: productDoc.data().salePrice,
       stockQty: productDoc.data().stockQty,
-      lowStockThreshold: productDoc.data().lowStockThreshold
+      lowStockThreshold: productDoc.data().lowStockThreshold,
+      variants: productDoc.data().variants || []
     };
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -307,11 +476,13 @@ export const getProductByIdOwner = async (productId) => {
 
 /**
  * Create product (Owner only)
- * Validates all fields and enforces business rules
+ * Validates all fields and enforces business rules. Initial stock is
+ * booked as an OPENING movement in the same batch.
  * @param {Object} productData - Product information
+ * @param {Object} movement - Ledger details { userId, userName, reason }
  * @returns {Promise<string>} Product document ID
  */
-export const createProduct = async (productData) => {
+export const createProduct = async (productData, movement = {}) => {
   try {
     // Validate product data
     validateProductData(productData, false);
@@ -322,26 +493,56 @@ export const createProduct = async (productData) => {
       throw new Error('SKU already exists');
     }
     
+    const variants = normalizeVariants(productData.variants || []);
+    const variantSkus = variants.map(variant => variant.sku);
+    if (variantSkus.length > 0) {
+      const takenSkus = await findTakenVariantSkus(variantSkus);
+      if (takenSkus.length > 0) {
+        throw new Error(`Variant SKU already exists: ${takenSkus.join(', ')}`);
+      }
+    }
+    
     // Prepare product document
     const productRef = doc(collection(db, 'products'));
     const productDoc = {
       name: productData.name.trim(),
       sku: productData.sku.trim().toUpperCase(),
+      barcode: (productData.barcode || '').trim(),
       category: productData.category,
       subcategory: productData.subcategory.trim(),
       basePrice: productData.basePrice,
       gstRate: productData.gstRate,
+      hsnCode: productData.hsnCode.trim(),
       isTaxInclusive: productData.isTaxInclusive,
       isOnSale: productData.isOnSale,
       salePrice: productData.isOnSale ? productData.salePrice : null,
-      stockQty: productData.stockQty,
+      // Style stock is the sum of its variants
+      stockQty: variants.length > 0 ? getVariantStockTotal(variants) : productData.stockQty,
       lowStockThreshold: productData.lowStockThreshold,
+      costPrice: typeof productData.costPrice === 'number' ? productData.costPrice : null,
+      variants,
+      variantSkus,
       isActive: productData.isActive !== undefined ? productData.isActive : true,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     };
     
-    await setDoc(productRef, productDoc);
+    const batch = writeBatch(db);
+    batch.set(productRef, productDoc);
+    writeStockMovements(batch, [{
+      productId: productRef.id,
+      productName: productDoc.name,
+      productSku: productDoc.sku,
+      locationId: PRIMARY_LOCATION_ID,
+      lines: diffStockLines({ sku: productDoc.sku, stockQty: 0 }, productDoc)
+    }], {
+      type: MOVEMENT_TYPES.OPENING,
+      reason: 'New product',
+      referenceType: 'product',
+      referenceId: productRef.id,
+      ...movement
+    });
+    await batch.commit();
     
     return productRef.id;
   } catch (error) {
@@ -350,14 +551,58 @@ export const createProduct = async (productData) => {
   }
 };
 
+/**
+ * Keep the location split of stock edited on the product form
+ * The form edits line totals; the difference is booked in or out at the
+ * primary location and stock held at other locations is left as it is.
+ * @param {Object} current - Product data before the edit
+ * @param {Object} next - Product data after the edit
+ * @returns {Object} Fields to write with the update (locationStock and/or variants)
+ */
+const carryLocationStock = (current, next) => {
+  const rebase = (before, after, label) => {
+    if (!before || !before.locationStock) return null;
+
+    const locationStock = applyLocationDelta(before, PRIMARY_LOCATION_ID, (after.stockQty || 0) - (before.stockQty || 0));
+    if (locationStock[PRIMARY_LOCATION_ID] < 0) {
+      const elsewhere = (before.stockQty || 0) - getLocationStock(before, PRIMARY_LOCATION_ID);
+      throw new Error(`${label}: ${elsewhere} units are held at other locations; transfer them back before setting stock below that`);
+    }
+    return locationStock;
+  };
+
+  const currentVariants = Array.isArray(current.variants) ? current.variants : [];
+  const nextVariants = Array.isArray(next.variants) ? next.variants : [];
+
+  if (nextVariants.length === 0) {
+    // A style that drops its variants starts again with all stock at the primary location
+    if (currentVariants.length > 0) {
+      return current.locationStock ? { locationStock: null } : {};
+    }
+    const locationStock = rebase(current, next, next.name);
+    return locationStock ? { locationStock } : {};
+  }
+
+  return {
+    variants: nextVariants.map(variant => {
+      const before = currentVariants.find(candidate => candidate.id === variant.id);
+      const locationStock = rebase(before, variant, `${next.name} (${getVariantLabel(variant)})`);
+      return locationStock ? { ...variant, locationStock } : variant;
+    })
+  };
+};
+
 /**
  * Update product (Owner only)
- * Validates updates and enforces business rules
+ * Validates updates and enforces business rules. Stock edits (stockQty or
+ * variant stock) are booked as ADJUSTMENT movements at the primary
+ * location against the stock read in the same transaction.
  * @param {string} productId - Product document ID
  * @param {Object} updates - Fields to update
+ * @param {Object} movement - Ledger details for stock edits { userId, userName, reason }
  * @returns {Promise<void>}
  */
-export const updateProduct = async (productId, updates) => {
+export const updateProduct = async (productId, updates, movement = {}) => {
   try {
     // Validate updates
     validateProductData(updates, true);
@@ -371,9 +616,24 @@ export const updateProduct = async (productId, updates) => {
       updates.sku = updates.sku.trim().toUpperCase();
     }
     
+    if (updates.variants) {
+      updates.variants = normalizeVariants(updates.variants);
+      updates.variantSkus = updates.variants.map(variant => variant.sku);
+      
+      if (updates.variantSkus.length > 0) {
+        const takenSkus = await findTakenVariantSkus(updates.variantSkus, productId);
+        if (takenSkus.length > 0) {
+          throw new Error(`Variant SKU already exists: ${takenSkus.join(', ')}`);
+        }
+        updates.stockQty = getVariantStockTotal(updates.variants);
+      }
+    }
+    
     // Trim string fields
     if (updates.name) updates.name = updates.name.trim();
     if (updates.subcategory) updates.subcategory = updates.subcategory.trim();
+    if (updates.hsnCode) updates.hsnCode = updates.hsnCode.trim();
+    if (typeof updates.barcode === 'string') updates.barcode = updates.barcode.trim();
     
     // If turning off sale, clear sale price
     if (updates.isOnSale === false) {
@@ -384,7 +644,36 @@ export const updateProduct = async (productId, updates) => {
     updates.updatedAt = serverTimestamp();
     
     const productRef = doc(db, 'products', productId);
-    await setDoc(productRef, updates, { merge: true });
+    
+    if (updates.stockQty === undefined && updates.variants === undefined) {
+      await setDoc(productRef, updates, { merge: true });
+      return;
+    }
+    
+    await runTransaction(db, async (transaction) => {
+      const productDoc = await transaction.get(productRef);
+      if (!productDoc.exists()) {
+        throw new Error('Product not found');
+      }
+      
+      const current = productDoc.data();
+      const next = { ...current, ...updates };
+      
+      transaction.set(productRef, { ...updates, ...carryLocationStock(current, next) }, { merge: true });
+      writeStockMovements(transaction, [{
+        productId,
+        productName: next.name,
+        productSku: next.sku,
+        locationId: PRIMARY_LOCATION_ID,
+        lines: diffStockLines(current, next)
+      }], {
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        reason: 'Product edited',
+        referenceType: 'product',
+        referenceId: productId,
+        ...movement
+      });
+    });
   } catch (error) {
     console.error('Error updating product:', error);
     throw error;
@@ -411,22 +700,114 @@ export const toggleProductActive = async (productId, isActive) => {
 };
 
 /**
- * Update product stock (Owner only)
+ * Apply stock changes to a product's stock fields
+ * Variant products change the variant's stock and keep stockQty as the
+ * style total. Lines for a variant that no longer exists cannot be
+ * restocked and are reported as shortages when deducting. Units move in
+ * or out at one location: shortages are checked against that location's
+ * stock, while ledger lines carry the line totals.
+ * @param {Object} productData - Product document data
+ * @param {Object} deltas - Map of variantId ('' for no variant) -> change in units
+ * @param {string} locationId - Location whose stock changes
+ * @returns {Object} { stockQty, locationStock, variants, shortages, lines } (variants is null without variants;
+ *   lines are the per-variant { variantId, variantLabel, sku, delta, before, after } for the ledger)
+ */
+export const applyStockDeltas = (productData, deltas, locationId = PRIMARY_LOCATION_ID) => {
+  const shortages = [];
+  const lines = [];
+  const hasVariantStock = Array.isArray(productData.variants) && productData.variants.length > 0;
+
+  if (!hasVariantStock) {
+    const delta = Object.values(deltas).reduce((total, change) => total + change, 0);
+    const available = getLocationStock(productData, locationId);
+    const stockQty = productData.stockQty || 0;
+
+    if (available + delta < 0) {
+      shortages.push({ variantId: null, label: productData.name, available, requested: -delta });
+    }
+
+    lines.push({ variantId: null, variantLabel: '', sku: productData.sku, delta, before: stockQty, after: stockQty + delta });
+
+    const locationStock = delta !== 0
+      ? applyLocationDelta(productData, locationId, delta)
+      : productData.locationStock || null;
+
+    return { stockQty: stockQty + delta, locationStock, variants: null, shortages, lines };
+  }
+
+  const variants = productData.variants.map(variant => ({ ...variant }));
+
+  Object.entries(deltas).forEach(([variantId, delta]) => {
+    const variant = variants.find(candidate => candidate.id === variantId);
+
+    if (!variant) {
+      if (delta < 0) {
+        shortages.push({ variantId, label: `${productData.name} (${variantId || 'size/colour not selected'})`, available: 0, requested: -delta });
+      } else if (delta > 0) {
+        console.warn(`Variant ${variantId} not found on ${productData.name}, skipping restock`);
+      }
+      return;
+    }
+
+    const available = getLocationStock(variant, locationId);
+    if (available + delta < 0) {
+      shortages.push({ variantId, label: `${productData.name} (${getVariantLabel(variant)})`, available, requested: -delta });
+    }
+
+    const before = variant.stockQty || 0;
+    if (delta !== 0) {
+      const locationStock = applyLocationDelta(variant, locationId, delta);
+      if (locationStock) {
+        variant.locationStock = locationStock;
+      }
+    }
+    variant.stockQty = before + delta;
+    lines.push({ variantId, variantLabel: getVariantLabel(variant), sku: variant.sku, delta, before, after: variant.stockQty });
+  });
+
+  return { stockQty: getVariantStockTotal(variants), locationStock: productData.locationStock || null, variants, shortages, lines };
+};
+
+/**
+ * Update product stock at a location (Owner only)
+ * The difference is booked in the stock ledger (ADJUSTMENT unless a type is given).
  * @param {string} productId - Product document ID
- * @param {number} newStockQty - New stock quantity
+ * @param {number} newStockQty - New stock quantity at the location
+ * @param {string} variantId - Variant to set (required for products with variants)
+ * @param {Object} movement - Ledger details { type, reason, userId, userName, referenceType, referenceId, referenceNumber }
+ * @param {string} locationId - Location whose stock is set
  * @returns {Promise<void>}
  */
-export const updateProductStock = async (productId, newStockQty) => {
+export const updateProductStock = async (productId, newStockQty, variantId = null, movement = {}, locationId = PRIMARY_LOCATION_ID) => {
   try {
     if (typeof newStockQty !== 'number' || newStockQty < 0) {
       throw new Error('Stock quantity must be a non-negative number');
     }
     
     const productRef = doc(db, 'products', productId);
-    await setDoc(productRef, {
-      stockQty: newStockQty,
-      updatedAt: serverTimestamp()
-    }, { merge: true });
+    
+    await runTransaction(db, async (transaction) => {
+      const productDoc = await transaction.get(productRef);
+      
+      if (!productDoc.exists()) {
+        throw new Error('Product not found');
+      }
+      
+      const variants = productDoc.data().variants || [];
+      const variant = variants.find(candidate => candidate.id === variantId);
+      if (variants.length > 0 && !variant) {
+        throw new Error('Select the size/colour to update');
+      }
+      
+      const currentStock = getLocationStock(variant || productDoc.data(), locationId);
+      const [stockChange] = await readStockChanges(transaction, [{
+        productId,
+        variantId: variant ? variantId : null,
+        delta: newStockQty - currentStock
+      }], locationId);
+      
+      writeStockChanges(transaction, [stockChange], { type: MOVEMENT_TYPES.ADJUSTMENT, ...movement });
+    });
   } catch (error) {
     console.error('Error updating product stock:', error);
     throw error;
@@ -437,81 +818,201 @@ export const updateProductStock = async (productId, newStockQty) => {
  * Deduct stock quantity when product is sold
  * @param {string} productId - Product document ID
  * @param {number} quantity - Quantity to deduct
+ * @param {string} variantId - Variant sold (products with variants)
+ * @param {Object} movement - Ledger details (defaults to a SALE movement)
  * @returns {Promise<number>} New stock quantity
  */
-export const deductStock = async (productId, quantity) => {
+export const deductStock = async (productId, quantity, variantId = null, movement = {}) => {
   try {
     if (typeof quantity !== 'number' || quantity <= 0) {
       throw new Error('Quantity must be a positive number');
     }
     
-    // Get current stock
-    const productDoc = await getDoc(doc(db, 'products', productId));
+    const [result] = await deductStockBatch([{ productId, variantId, quantity }], movement);
+    return result.newStock;
+  } catch (error) {
+    console.error('Error deducting stock:', error);
+    throw error;
+  }
+};
+
+// Error code thrown when stock is insufficient at commit time
+export const INSUFFICIENT_STOCK = 'stock/insufficient';
+
+/**
+ * Read products and compute stock changes inside a transaction
+ * Changes for the same product (and variant) are combined. Missing products
+ * are returned with exists: false so callers decide whether that is an error.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Array} changes - Array of { productId, variantId, delta }
+ * @param {string} locationId - Location whose stock changes
+ * @returns {Promise<Array>} Array of { ref, exists, productId, productName, productSku, costPrice, locationId,
+ *   oldStock, newStock, locationStock, variants, shortages, lines }
+ */
+export const readStockChanges = async (transaction, changes, locationId = PRIMARY_LOCATION_ID) => {
+  const deltasByProduct = {};
+  changes.forEach(change => {
+    const deltas = deltasByProduct[change.productId] || (deltasByProduct[change.productId] = {});
+    const variantKey = change.variantId || '';
+    deltas[variantKey] = (deltas[variantKey] || 0) + change.delta;
+  });
+  
+  const productIds = Object.keys(deltasByProduct);
+  const productDocs = await Promise.all(
+    productIds.map(productId => transaction.get(doc(db, 'products', productId)))
+  );
+  
+  return productIds.map((productId, index) => {
+    const productDoc = productDocs[index];
     
     if (!productDoc.exists()) {
-      throw new Error('Product not found');
+      return { ref: productDoc.ref, exists: false, productId, deltas: deltasByProduct[productId] };
     }
     
-    const currentStock = productDoc.data().stockQty || 0;
-    const newStock = currentStock - quantity;
+    const update = applyStockDeltas(productDoc.data(), deltasByProduct[productId], locationId);
     
-    if (newStock < 0) {
-      throw new Error(`Insufficient stock. Available: ${currentStock}, Requested: ${quantity}`);
+    return {
+      ref: productDoc.ref,
+      exists: true,
+      productId,
+      productName: productDoc.data().name,
+      productSku: productDoc.data().sku,
+      costPrice: typeof productDoc.data().costPrice === 'number' ? productDoc.data().costPrice : null,
+      locationId,
+      deltas: deltasByProduct[productId],
+      oldStock: productDoc.data().stockQty || 0,
+      newStock: update.stockQty,
+      locationStock: update.locationStock,
+      variants: update.variants,
+      shortages: update.shortages,
+      lines: update.lines
+    };
+  });
+};
+
+/**
+ * Snapshot the unit cost onto sold order items
+ * Uses the products read by readStockChanges in the same transaction, so
+ * each line records the cost in force when its stock left.
+ * @param {Array} items - Order items ({ productId, variantId, ... })
+ * @param {Array} stockChanges - Output of readStockChanges
+ * @returns {Array} Items with unitCost (null when the product has no cost yet)
+ */
+export const attachUnitCosts = (items, stockChanges) => {
+  return items.map(item => {
+    const change = stockChanges.find(candidate => candidate.exists && candidate.productId === item.productId);
+    return { ...item, unitCost: change ? getUnitCost(change, item.variantId) : null };
+  });
+};
+
+/**
+ * Throw the insufficient-stock error for the first shortage in a change set
+ * @param {Array} stockChanges - Output of readStockChanges
+ * @throws {Error} With code INSUFFICIENT_STOCK
+ */
+export const assertStockAvailable = (stockChanges) => {
+  stockChanges.forEach(change => {
+    if (!change.exists) {
+      const isDeduction = Object.values(change.deltas).some(delta => delta < 0);
+      if (isDeduction) {
+        throw new Error(`Product not found: ${change.productId}`);
+      }
+      return;
     }
     
-    // Update stock
-    const productRef = doc(db, 'products', productId);
-    await setDoc(productRef, {
-      stockQty: newStock,
+    const [shortage] = change.shortages;
+    if (shortage) {
+      const error = new Error(`Insufficient stock for ${shortage.label}. Available: ${shortage.available}, Requested: ${shortage.requested}`);
+      error.code = INSUFFICIENT_STOCK;
+      error.productId = change.productId;
+      error.variantId = shortage.variantId;
+      error.available = shortage.available;
+      throw error;
+    }
+  });
+};
+
+/**
+ * Write stock changes read by readStockChanges, with their ledger movements
+ * Missing products and unchanged stock are skipped. A change may carry its
+ * own `fields` (e.g. costPrice from a goods receipt) to write alongside.
+ * stockLocationId names the location whose units moved, so the rules can
+ * check that counter staff change no other location's stock.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Array} stockChanges - Output of readStockChanges
+ * @param {Object} movement - Ledger details { type, reason, userId, userName, referenceType, referenceId, referenceNumber }
+ * @param {Object} extraFields - Extra fields written with each change (e.g. lastCreditNoteId)
+ */
+export const writeStockChanges = (transaction, stockChanges, movement, extraFields = {}) => {
+  const changed = stockChanges.filter(change => (
+    change.exists && Object.values(change.deltas).some(delta => delta !== 0)
+  ));
+  
+  changed.forEach(change => {
+    transaction.update(change.ref, {
+      stockQty: change.newStock,
+      stockLocationId: change.locationId,
+      ...(change.locationStock ? { locationStock: change.locationStock } : {}),
+      ...(change.variants ? { variants: change.variants } : {}),
+      ...extraFields,
+      ...(change.fields || {}),
       updatedAt: serverTimestamp()
-    }, { merge: true });
-    
-    return newStock;
-  } catch (error) {
-    console.error('Error deducting stock:', error);
-    throw error;
-  }
+    });
+  });
+  
+  writeStockMovements(transaction, changed, movement);
+};
+
+/**
+ * Read and validate stock for multiple items inside a transaction
+ * Quantities for the same product and variant are combined before checking.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Array} items - Array of { productId, variantId, quantity }
+ * @param {string} locationId - Location the stock leaves from
+ * @returns {Promise<Array>} Stock changes for writeStockDeductions
+ */
+export const readStockDeductions = async (transaction, items, locationId = PRIMARY_LOCATION_ID) => {
+  const deductions = await readStockChanges(transaction, items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId || null,
+    delta: -item.quantity
+  })), locationId);
+  
+  assertStockAvailable(deductions);
+  return deductions;
+};
+
+/**
+ * Write stock deductions read by readStockDeductions
+ * @param {Object} transaction - Firestore transaction
+ * @param {Array} deductions - Output of readStockDeductions
+ * @param {Object} movement - Ledger details (defaults to a SALE movement)
+ */
+export const writeStockDeductions = (transaction, deductions, movement = {}) => {
+  writeStockChanges(transaction, deductions, { type: MOVEMENT_TYPES.SALE, ...movement });
 };
 
 /**
  * Deduct stock for multiple items (for multi-product orders)
- * @param {Array} items - Array of { productId, quantity }
+ * All items are deducted atomically or not at all.
+ * @param {Array} items - Array of { productId, variantId, quantity }
+ * @param {Object} movement - Ledger details (defaults to a SALE movement)
+ * @param {string} locationId - Location the stock leaves from
  * @returns {Promise<Array>} Array of { productId, oldStock, newStock }
  */
-export const deductStockBatch = async (items) => {
+export const deductStockBatch = async (items, movement = {}, locationId = PRIMARY_LOCATION_ID) => {
   try {
-    const results = [];
-    
-    for (const item of items) {
-      const productDoc = await getDoc(doc(db, 'products', item.productId));
+    return await runTransaction(db, async (transaction) => {
+      const deductions = await readStockDeductions(transaction, items, locationId);
+      writeStockDeductions(transaction, deductions, movement);
       
-      if (!productDoc.exists()) {
-        throw new Error(`Product not found: ${item.productId}`);
-      }
-      
-      const currentStock = productDoc.data().stockQty || 0;
-      const newStock = currentStock - item.quantity;
-      
-      if (newStock < 0) {
-        throw new Error(`Insufficient stock for ${productDoc.data().name}. Available: ${currentStock}, Requested: ${item.quantity}`);
-      }
-      
-      // Update stock
-      const productRef = doc(db, 'products', item.productId);
-      await setDoc(productRef, {
-        stockQty: newStock,
-        updatedAt: serverTimestamp()
-      }, { merge: true });
-      
-      results.push({
-        productId: item.productId,
-        productName: productDoc.data().name,
-        oldStock: currentStock,
-        newStock: newStock
-      });
-    }
-    
-    return results;
+      return deductions.map(({ productId, productName, oldStock, newStock }) => ({
+        productId,
+        productName,
+        oldStock,
+        newStock
+      }));
+    });
   } catch (error) {
     console.error('Error deducting stock batch:', error);
     throw error;
@@ -0,0 +1,648 @@
+/**
+ * PURCHASE ORDER SERVICE
+ * ======================
+ * Purchase orders to suppliers and goods receipts (GRN) against them.
+ * A PO moves draft -> sent -> partially received -> received. Each GRN
+ * adds the delivered units to the delivery location's stock through
+ * RESTOCK ledger movements, rolls the unit cost paid into the item's
+ * weighted-average cost price, and flags short or excess deliveries
+ * against what was ordered.
+ * GRN, PO progress, stock and cost commit together.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getFinancialYear } from './invoiceNumberService';
+import { readStockChanges, writeStockChanges } from './productService';
+import { MOVEMENT_TYPES, getStockLineKey } from './stockMovementService';
+import { getUnitCost } from '../utils/variantUtils';
+import { PRIMARY_LOCATION_ID } from '../constants/locations';
+
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+export const PURCHASE_ORDER_STATUS_LABELS = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: 'Draft',
+  [PURCHASE_ORDER_STATUS.SENT]: 'Sent',
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: 'Partially received',
+  [PURCHASE_ORDER_STATUS.RECEIVED]: 'Received',
+  [PURCHASE_ORDER_STATUS.CANCELLED]: 'Cancelled'
+};
+
+// Delivery discrepancies recorded on GRN lines
+export const RECEIPT_FLAGS = {
+  SHORT: 'short',
+  EXCESS: 'excess'
+};
+
+// Number series for purchase documents (own counters, separate from GST invoice numbering)
+const PURCHASE_SERIES = {
+  PURCHASE_ORDER: 'PO',
+  GOODS_RECEIPT: 'GRN'
+};
+
+/**
+ * PURCHASE ORDER SCHEMA
+ * =====================
+ * poNumber: string (e.g. PO/26-27/00001)
+ * supplierId: string
+ * supplierName: string
+ * deliveryLocationId: string (location the goods are received into; absent on
+ *   POs from before locations, meaning the primary location)
+ * deliveryLocationName: string
+ * status: PURCHASE_ORDER_STATUS value
+ * items: Array of {
+ *   productId, variantId, productName, variantLabel, sku,
+ *   orderedQty, receivedQty, unitCost (GST-exclusive, per unit)
+ * }
+ * orderedValue: number (sum of orderedQty x unitCost)
+ * expectedDate: string (YYYY-MM-DD) | null
+ * notes: string
+ * grnCount: number
+ * createdBy / createdByName: string
+ * createdAt / updatedAt / sentAt / closedAt: Timestamp
+ *
+ * GOODS RECEIPT SCHEMA (goodsReceipts)
+ * ====================================
+ * grnNumber, purchaseOrderId, poNumber, supplierId, supplierName,
+ * supplierInvoiceNumber, notes,
+ * items: Array of { productId, variantId, productName, variantLabel, sku,
+ *   orderedQty, previouslyReceived, receivedQty, totalReceived, unitCost,
+ *   variance (totalReceived - orderedQty), flag: 'short' | 'excess' | null },
+ * receivedValue, closesOrder, receivedBy, receivedByName, createdAt
+ */
+
+/**
+ * Key of a PO line (one line per product/variant)
+ * @param {Object} item - { productId, variantId }
+ * @returns {string} Line key
+ */
+export const getPurchaseLineKey = (item) => getStockLineKey(item.productId, item.variantId);
+
+/**
+ * Validate purchase order data
+ * @param {Object} poData - { supplierId, items }
+ * @returns {Object} { valid, errors }
+ */
+export const validatePurchaseOrder = (poData) => {
+  const errors = [];
+
+  if (!poData.supplierId) {
+    errors.push('Select a supplier');
+  }
+
+  const items = poData.items || [];
+  if (items.length === 0) {
+    errors.push('Add at least one item');
+  }
+
+  const seen = new Set();
+  items.forEach(item => {
+    const label = item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName;
+
+    if (!Number.isInteger(item.orderedQty) || item.orderedQty <= 0) {
+      errors.push(`${label}: quantity must be a positive whole number`);
+    }
+    if (typeof item.unitCost !== 'number' || !(item.unitCost >= 0)) {
+      errors.push(`${label}: unit cost must be zero or more`);
+    }
+
+    const key = getPurchaseLineKey(item);
+    if (seen.has(key)) {
+      errors.push(`${label} is listed twice`);
+    }
+    seen.add(key);
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Normalise PO lines for storage
+ * @param {Array} items - Lines from the PO form
+ * @returns {Array} Stored lines
+ */
+const buildPurchaseOrderItems = (items) => {
+  return items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId || null,
+    productName: item.productName,
+    variantLabel: item.variantLabel || '',
+    sku: item.sku,
+    orderedQty: item.orderedQty,
+    receivedQty: item.receivedQty || 0,
+    unitCost: Math.round(item.unitCost * 100) / 100
+  }));
+};
+
+/**
+ * Ordered / received totals of a PO
+ * @param {Array} items - PO lines
+ * @returns {Object} { orderedQty, receivedQty, orderedValue }
+ */
+export const getPurchaseOrderTotals = (items) => {
+  return items.reduce((totals, item) => ({
+    orderedQty: totals.orderedQty + item.orderedQty,
+    receivedQty: totals.receivedQty + (item.receivedQty || 0),
+    orderedValue: Math.round((totals.orderedValue + item.orderedQty * item.unitCost) * 100) / 100
+  }), { orderedQty: 0, receivedQty: 0, orderedValue: 0 });
+};
+
+/**
+ * Units still to arrive per stock line on open POs (drafts included, so a
+ * draft raised from reorder suggestions is not suggested again)
+ * @param {Array} purchaseOrders - POs (from getAllPurchaseOrders)
+ * @returns {Object} Line key -> units ordered but not yet received
+ */
+export const getOnOrderQuantities = (purchaseOrders) => {
+  const openStatuses = [
+    PURCHASE_ORDER_STATUS.DRAFT,
+    PURCHASE_ORDER_STATUS.SENT,
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+  ];
+
+  const quantities = {};
+  purchaseOrders
+    .filter(purchaseOrder => openStatuses.includes(purchaseOrder.status))
+    .forEach(purchaseOrder => {
+      purchaseOrder.items.forEach(item => {
+        const key = getPurchaseLineKey(item);
+        quantities[key] = (quantities[key] || 0) + Math.max(0, item.orderedQty - (item.receivedQty || 0));
+      });
+    });
+  return quantities;
+};
+
+/**
+ * Supplier each stock line was last ordered from (cancelled POs ignored)
+ * @param {Array} purchaseOrders - POs, newest first (from getAllPurchaseOrders)
+ * @returns {Object} Line key -> { supplierId, supplierName, unitCost }
+ */
+export const getLastSupplierByLine = (purchaseOrders) => {
+  const suppliers = {};
+  purchaseOrders
+    .filter(purchaseOrder => purchaseOrder.status !== PURCHASE_ORDER_STATUS.CANCELLED)
+    .forEach(purchaseOrder => {
+      purchaseOrder.items.forEach(item => {
+        const key = getPurchaseLineKey(item);
+        if (!suppliers[key]) {
+          suppliers[key] = {
+            supplierId: purchaseOrder.supplierId,
+            supplierName: purchaseOrder.supplierName,
+            unitCost: item.lastUnitCost !== undefined ? item.lastUnitCost : item.unitCost
+          };
+        }
+      });
+    });
+  return suppliers;
+};
+
+/**
+ * Weighted-average unit cost after receiving stock
+ * Stock without a known cost (or none on hand) takes the price just paid.
+ * @param {number} stockBefore - Units on hand before the receipt
+ * @param {number|null} costBefore - Cost price of those units
+ * @param {number} quantity - Units received
+ * @param {number} unitCost - Price paid per unit received
+ * @returns {number} New cost price, rounded to paise
+ */
+export const getWeightedAverageCost = (stockBefore, costBefore, quantity, unitCost) => {
+  if (typeof costBefore !== 'number' || stockBefore <= 0) {
+    return Math.round(unitCost * 100) / 100;
+  }
+
+  const averageCost = (stockBefore * costBefore + quantity * unitCost) / (stockBefore + quantity);
+  return Math.round(averageCost * 100) / 100;
+};
+
+/**
+ * Work out a goods receipt against a PO
+ * Excess is flagged as soon as a line goes over what was ordered; short is
+ * flagged on the receipt that closes the PO with units still outstanding.
+ * @param {Object} purchaseOrder - PO with items
+ * @param {Object} receipt - { items: [{ key, quantity, unitCost }], closeShort }
+ * @returns {Object} { lines, status, receivedValue, closesOrder, hasDiscrepancy }
+ */
+export const calculateGoodsReceipt = (purchaseOrder, receipt) => {
+  const receivedByKey = {};
+  (receipt.items || []).forEach(item => {
+    receivedByKey[item.key] = item;
+  });
+
+  const lines = purchaseOrder.items.map(line => {
+    const received = receivedByKey[getPurchaseLineKey(line)] || {};
+    const receivedQty = received.quantity || 0;
+    const unitCost = typeof received.unitCost === 'number' ? received.unitCost : line.unitCost;
+    const previouslyReceived = line.receivedQty || 0;
+    const totalReceived = previouslyReceived + receivedQty;
+
+    return {
+      productId: line.productId,
+      variantId: line.variantId || null,
+      productName: line.productName,
+      variantLabel: line.variantLabel || '',
+      sku: line.sku,
+      orderedQty: line.orderedQty,
+      previouslyReceived,
+      receivedQty,
+      totalReceived,
+      unitCost: Math.round(unitCost * 100) / 100,
+      variance: totalReceived - line.orderedQty
+    };
+  });
+
+  const isComplete = lines.every(line => line.totalReceived >= line.orderedQty);
+  const closesOrder = isComplete || Boolean(receipt.closeShort);
+
+  lines.forEach(line => {
+    if (line.variance > 0 && line.receivedQty > 0) {
+      line.flag = RECEIPT_FLAGS.EXCESS;
+    } else if (line.variance < 0 && closesOrder) {
+      line.flag = RECEIPT_FLAGS.SHORT;
+    } else {
+      line.flag = null;
+    }
+  });
+
+  return {
+    lines,
+    status: closesOrder ? PURCHASE_ORDER_STATUS.RECEIVED : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+    receivedValue: Math.round(lines.reduce((total, line) => total + line.receivedQty * line.unitCost, 0) * 100) / 100,
+    closesOrder,
+    hasDiscrepancy: lines.some(line => line.flag !== null)
+  };
+};
+
+/**
+ * Read the next purchase document number inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} series - PURCHASE_SERIES value
+ * @returns {Promise<Object>} { counterRef, sequence, number, financialYear }
+ */
+const readPurchaseCounter = async (transaction, series) => {
+  const financialYear = getFinancialYear();
+  const counterRef = doc(db, 'purchaseCounters', `${series}_${financialYear.startYear}`);
+  const counterSnap = await transaction.get(counterRef);
+  const sequence = (counterSnap.exists() ? counterSnap.data().lastNumber || 0 : 0) + 1;
+
+  return {
+    counterRef,
+    sequence,
+    financialYear: financialYear.label,
+    number: `${series}/${financialYear.label}/${String(sequence).padStart(5, '0')}`
+  };
+};
+
+const writePurchaseCounter = (transaction, allocation) => {
+  transaction.set(allocation.counterRef, {
+    financialYear: allocation.financialYear,
+    lastNumber: allocation.sequence,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Get all purchase orders, newest first
+ * @returns {Promise<Array>} Purchase orders with IDs
+ */
+export const getAllPurchaseOrders = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'purchaseOrders'));
+    return snapshot.docs
+      .map(poDoc => ({ id: poDoc.id, ...poDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the goods receipts of a purchase order, oldest first
+ * @param {string} purchaseOrderId - PO document ID
+ * @returns {Promise<Array>} Goods receipts with IDs
+ */
+export const getGoodsReceipts = async (purchaseOrderId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'goodsReceipts'),
+      where('purchaseOrderId', '==', purchaseOrderId)
+    ));
+    return snapshot.docs
+      .map(grnDoc => ({ id: grnDoc.id, ...grnDoc.data() }))
+      .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+  } catch (error) {
+    console.error('Error fetching goods receipts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a draft purchase order
+ * @param {Object} poData - { supplierId, supplierName, deliveryLocationId, deliveryLocationName, items, expectedDate, notes }
+ * @param {Object} createdBy - { userId, userName }
+ * @returns {Promise<Object>} { id, poNumber }
+ */
+export const createPurchaseOrder = async (poData, createdBy) => {
+  try {
+    const validation = validatePurchaseOrder(poData);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const poRef = doc(collection(db, 'purchaseOrders'));
+    const items = buildPurchaseOrderItems(poData.items);
+
+    const poNumber = await runTransaction(db, async (transaction) => {
+      const allocation = await readPurchaseCounter(transaction, PURCHASE_SERIES.PURCHASE_ORDER);
+
+      writePurchaseCounter(transaction, allocation);
+      transaction.set(poRef, {
+        poNumber: allocation.number,
+        supplierId: poData.supplierId,
+        supplierName: poData.supplierName,
+        deliveryLocationId: poData.deliveryLocationId || PRIMARY_LOCATION_ID,
+        deliveryLocationName: poData.deliveryLocationName || '',
+        status: PURCHASE_ORDER_STATUS.DRAFT,
+        items,
+        orderedValue: getPurchaseOrderTotals(items).orderedValue,
+        expectedDate: poData.expectedDate || null,
+        notes: (poData.notes || '').trim(),
+        grnCount: 0,
+        createdBy: createdBy.userId,
+        createdByName: createdBy.userName || '',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      return allocation.number;
+    });
+
+    return { id: poRef.id, poNumber };
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change a purchase order's status after checking the current one
+ * @param {string} poId - PO document ID
+ * @param {Array<string>} allowedStatuses - Statuses the PO may be in
+ * @param {Function} buildUpdate - (poData) => fields to write
+ * @returns {Promise<void>}
+ */
+const updatePurchaseOrderInStatus = async (poId, allowedStatuses, buildUpdate) => {
+  const poRef = doc(db, 'purchaseOrders', poId);
+
+  await runTransaction(db, async (transaction) => {
+    const poSnap = await transaction.get(poRef);
+    if (!poSnap.exists()) {
+      throw new Error('Purchase order not found');
+    }
+
+    const poData = poSnap.data();
+    if (!allowedStatuses.includes(poData.status)) {
+      throw new Error(`Purchase order ${poData.poNumber} is ${PURCHASE_ORDER_STATUS_LABELS[poData.status].toLowerCase()}`);
+    }
+
+    transaction.update(poRef, {
+      ...buildUpdate(poData),
+      updatedAt: serverTimestamp()
+    });
+  });
+};
+
+/**
+ * Edit a draft purchase order
+ * @param {string} poId - PO document ID
+ * @param {Object} poData - { supplierId, supplierName, deliveryLocationId, deliveryLocationName, items, expectedDate, notes }
+ * @returns {Promise<void>}
+ */
+export const updatePurchaseOrder = async (poId, poData) => {
+  try {
+    const validation = validatePurchaseOrder(poData);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const items = buildPurchaseOrderItems(poData.items);
+    await updatePurchaseOrderInStatus(poId, [PURCHASE_ORDER_STATUS.DRAFT], () => ({
+      supplierId: poData.supplierId,
+      supplierName: poData.supplierName,
+      deliveryLocationId: poData.deliveryLocationId || PRIMARY_LOCATION_ID,
+      deliveryLocationName: poData.deliveryLocationName || '',
+      items,
+      orderedValue: getPurchaseOrderTotals(items).orderedValue,
+      expectedDate: poData.expectedDate || null,
+      notes: (poData.notes || '').trim()
+    }));
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ * @param {string} poId - PO document ID
+ * @returns {Promise<void>}
+ */
+export const markPurchaseOrderSent = async (poId) => {
+  try {
+    await updatePurchaseOrderInStatus(poId, [PURCHASE_ORDER_STATUS.DRAFT], () => ({
+      status: PURCHASE_ORDER_STATUS.SENT,
+      sentAt: serverTimestamp()
+    }));
+  } catch (error) {
+    console.error('Error sending purchase order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a purchase order that has not received anything
+ * @param {string} poId - PO document ID
+ * @returns {Promise<void>}
+ */
+export const cancelPurchaseOrder = async (poId) => {
+  try {
+    await updatePurchaseOrderInStatus(poId, [PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT], () => ({
+      status: PURCHASE_ORDER_STATUS.CANCELLED,
+      closedAt: serverTimestamp()
+    }));
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Receive goods against a purchase order (GRN)
+ * Delivered units are added to stock as RESTOCK movements referencing the
+ * GRN, and the product's (or variant's) cost price becomes the weighted
+ * average of the stock on hand and the units received.
+ * @param {string} poId - PO document ID
+ * @param {Object} receipt - Receipt details
+ * @param {Array} receipt.items - Array of { key, quantity, unitCost } (key from getPurchaseLineKey)
+ * @param {string} receipt.supplierInvoiceNumber - Supplier's invoice / challan number
+ * @param {string} receipt.notes - Notes
+ * @param {boolean} receipt.closeShort - Close the PO even though units are outstanding
+ * @param {Object} receivedBy - { userId, userName }
+ * @returns {Promise<Object>} Saved goods receipt with ID
+ */
+export const receiveGoods = async (poId, receipt, receivedBy) => {
+  try {
+    const hasQuantity = (receipt.items || []).some(item => item.quantity > 0);
+    if (!hasQuantity && !receipt.closeShort) {
+      throw new Error('Enter the quantity received for at least one item');
+    }
+
+    (receipt.items || []).forEach(item => {
+      if (!Number.isInteger(item.quantity) || item.quantity < 0) {
+        throw new Error('Received quantities must be whole numbers');
+      }
+    });
+
+    const poRef = doc(db, 'purchaseOrders', poId);
+    const grnRef = doc(collection(db, 'goodsReceipts'));
+
+    return await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      const poSnap = await transaction.get(poRef);
+      if (!poSnap.exists()) {
+        throw new Error('Purchase order not found');
+      }
+
+      const purchaseOrder = poSnap.data();
+      const receivable = [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED];
+      if (!receivable.includes(purchaseOrder.status)) {
+        throw new Error(`Purchase order ${purchaseOrder.poNumber} is ${PURCHASE_ORDER_STATUS_LABELS[purchaseOrder.status].toLowerCase()}`);
+      }
+
+      const allocation = await readPurchaseCounter(transaction, PURCHASE_SERIES.GOODS_RECEIPT);
+      const calculation = calculateGoodsReceipt(purchaseOrder, receipt);
+      const receivedLines = calculation.lines.filter(line => line.receivedQty > 0);
+
+      const stockChanges = await readStockChanges(transaction, receivedLines.map(line => ({
+        productId: line.productId,
+        variantId: line.variantId,
+        delta: line.receivedQty
+      })), purchaseOrder.deliveryLocationId || PRIMARY_LOCATION_ID);
+
+      const missing = stockChanges.find(change => !change.exists);
+      if (missing) {
+        throw new Error(`Product ${missing.productId} no longer exists`);
+      }
+
+      // A variant removed (or variants added) since ordering would be skipped by the restock
+      const unmatched = receivedLines.find(line => {
+        const change = stockChanges.find(candidate => candidate.productId === line.productId);
+        return change.variants && !change.lines.some(stockLine => stockLine.variantId === line.variantId);
+      });
+      if (unmatched) {
+        const label = unmatched.variantLabel ? `${unmatched.productName} (${unmatched.variantLabel})` : unmatched.productName;
+        throw new Error(`${label} no longer matches the product's sizes/colours; edit the product before receiving`);
+      }
+
+      // Weighted-average cost of the stock on hand plus this delivery; lines
+      // for the same product (or variant) are averaged in together
+      const receivedByStockLine = {};
+      receivedLines.forEach(line => {
+        const key = getStockLineKey(line.productId, line.variantId);
+        const received = receivedByStockLine[key] || (receivedByStockLine[key] = {
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: 0,
+          value: 0
+        });
+        received.quantity += line.receivedQty;
+        received.value += line.receivedQty * line.unitCost;
+      });
+
+      Object.values(receivedByStockLine).forEach(received => {
+        const change = stockChanges.find(candidate => candidate.productId === received.productId);
+        const stockLine = change.variants
+          ? change.lines.find(candidate => candidate.variantId === received.variantId)
+          : change.lines[0];
+        const costPrice = getWeightedAverageCost(
+          stockLine.before,
+          getUnitCost(change, received.variantId),
+          received.quantity,
+          received.value / received.quantity
+        );
+
+        if (change.variants) {
+          change.variants = change.variants.map(variant => (
+            variant.id === received.variantId ? { ...variant, costPrice } : variant
+          ));
+        } else {
+          change.fields = { costPrice };
+        }
+      });
+
+      const grn = {
+        grnNumber: allocation.number,
+        purchaseOrderId: poId,
+        poNumber: purchaseOrder.poNumber,
+        supplierId: purchaseOrder.supplierId,
+        supplierName: purchaseOrder.supplierName,
+        supplierInvoiceNumber: (receipt.supplierInvoiceNumber || '').trim(),
+        notes: (receipt.notes || '').trim(),
+        items: calculation.lines.filter(line => line.receivedQty > 0 || line.flag),
+        receivedValue: calculation.receivedValue,
+        closesOrder: calculation.closesOrder,
+        receivedBy: receivedBy.userId,
+        receivedByName: receivedBy.userName || ''
+      };
+
+      // --- Writes ---
+      writePurchaseCounter(transaction, allocation);
+      transaction.set(grnRef, { ...grn, createdAt: serverTimestamp() });
+
+      transaction.update(poRef, {
+        items: purchaseOrder.items.map((line, index) => ({
+          ...line,
+          receivedQty: calculation.lines[index].totalReceived,
+          lastUnitCost: calculation.lines[index].receivedQty > 0 ? calculation.lines[index].unitCost : (line.lastUnitCost || null)
+        })),
+        status: calculation.status,
+        grnCount: (purchaseOrder.grnCount || 0) + 1,
+        lastReceivedAt: serverTimestamp(),
+        ...(calculation.closesOrder ? { closedAt: serverTimestamp() } : {}),
+        updatedAt: serverTimestamp()
+      });
+
+      writeStockChanges(transaction, stockChanges, {
+        type: MOVEMENT_TYPES.RESTOCK,
+        userId: receivedBy.userId,
+        userName: receivedBy.userName,
+        reason: `${purchaseOrder.poNumber} from ${purchaseOrder.supplierName}`,
+        referenceType: 'goodsReceipt',
+        referenceId: grnRef.id,
+        referenceNumber: allocation.number
+      });
+
+      return { id: grnRef.id, ...grn };
+    });
+  } catch (error) {
+    console.error('Error receiving goods:', error);
+    throw error;
+  }
+};
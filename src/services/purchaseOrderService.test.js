@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { receiveGoods, PURCHASE_ORDER_STATUS } from './purchaseOrderService';
+import { runFakeTransaction } from '../test/fakeFirestore';
+
+// Documents by path; runTransaction reads from and writes to this store
+const store = new Map();
+
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...(await importOriginal()),
+  runTransaction: (firestore, updateFunction) => runFakeTransaction(store, updateFunction)
+}));
+
+const poLine = {
+  productId: 'kurta',
+  variantId: null,
+  productName: 'Cotton Kurta',
+  variantLabel: '',
+  sku: 'KUR-001',
+  orderedQty: 4,
+  receivedQty: 0,
+  unitCost: 100
+};
+
+describe('receiveGoods', () => {
+  beforeEach(() => {
+    store.clear();
+    store.set('products/kurta', { name: 'Cotton Kurta', sku: 'KUR-001', stockQty: 10, costPrice: 50 });
+  });
+
+  it('averages the cost over every line received for a product', async () => {
+    store.set('purchaseOrders/po-1', {
+      poNumber: 'PO/26-27/00001',
+      supplierId: 'sup-1',
+      supplierName: 'Weaves & Co',
+      status: PURCHASE_ORDER_STATUS.SENT,
+      items: [poLine, { ...poLine }]
+    });
+
+    await receiveGoods('po-1', { items: [{ key: 'kurta:', quantity: 4, unitCost: 100 }] }, { userId: 'owner', userName: 'Owner' });
+
+    // 10 on hand at 50 plus 8 received at 100
+    expect(store.get('products/kurta')).toMatchObject({ stockQty: 18, costPrice: 72.22 });
+  });
+});
@@ -0,0 +1,549 @@
+/**
+ * PAYMENT RECONCILIATION SERVICE
+ * ==============================
+ * Checks UPI, card and bank transfer payments recorded on bills against the
+ * settlement statements from the bank, UPI provider or card acquirer
+ * (CSV or XLSX, read with excelUtils).
+ * - Statement credits are matched to bill payments by reference (UTR/RRN),
+ *   then, for payments without one, by exact amount within a date window.
+ * - A reference match with a different amount, or settled outside the window,
+ *   is a mismatch. Payments with no credit on the statement (did not land)
+ *   and credits with no bill payment are listed as unmatched.
+ * - The owner marks items reconciled with a note (paymentReconciliations
+ *   collection). Bills are not touched: paid bills are locked.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  setDoc,
+  deleteDoc,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getAllBills } from './billStorageService';
+import { PAYMENT_MODES } from './paymentService';
+
+export const STATEMENT_SOURCES = {
+  UPI: 'upi',
+  CARD: 'card',
+  BANK: 'bank'
+};
+
+export const STATEMENT_SOURCE_LABELS = {
+  [STATEMENT_SOURCES.UPI]: 'UPI settlement',
+  [STATEMENT_SOURCES.CARD]: 'Card settlement',
+  [STATEMENT_SOURCES.BANK]: 'Bank statement'
+};
+
+// Payment modes that settle into each kind of statement
+const SOURCE_MODES = {
+  [STATEMENT_SOURCES.UPI]: [PAYMENT_MODES.UPI],
+  [STATEMENT_SOURCES.CARD]: [PAYMENT_MODES.CARD],
+  [STATEMENT_SOURCES.BANK]: [PAYMENT_MODES.UPI, PAYMENT_MODES.CARD, PAYMENT_MODES.BANK_TRANSFER]
+};
+
+export const MATCH_STATUS = {
+  MATCHED: 'matched',
+  MISMATCHED: 'mismatched',
+  UNMATCHED_PAYMENT: 'unmatched_payment',
+  UNMATCHED_ENTRY: 'unmatched_entry'
+};
+
+export const MATCH_STATUS_LABELS = {
+  [MATCH_STATUS.MATCHED]: 'Matched',
+  [MATCH_STATUS.MISMATCHED]: 'Mismatch',
+  [MATCH_STATUS.UNMATCHED_PAYMENT]: 'Not in statement',
+  [MATCH_STATUS.UNMATCHED_ENTRY]: 'No bill payment'
+};
+
+export const MATCH_TYPES = {
+  REFERENCE: 'reference',
+  AMOUNT_DATE: 'amount_date'
+};
+
+// Card settlements usually arrive T+1 or T+2
+export const DEFAULT_DATE_WINDOW_DAYS = 2;
+
+// Bills are loaded from this far before the statement: pre-booking
+// balances are paid well after the bill was created
+const BILL_LOOKBACK_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.005;
+
+// Problems listed first
+const STATUS_ORDER = [
+  MATCH_STATUS.MISMATCHED,
+  MATCH_STATUS.UNMATCHED_PAYMENT,
+  MATCH_STATUS.UNMATCHED_ENTRY,
+  MATCH_STATUS.MATCHED
+];
+
+/**
+ * RECONCILIATION SCHEMA (paymentReconciliations/{key})
+ * ====================
+ * key: string ("<billId>_<payment index>" for a bill payment,
+ *   "stmt_<hash>" for a statement credit with no bill payment)
+ * status: MATCH_STATUS value when it was reconciled
+ * source: STATEMENT_SOURCES value
+ * date: Timestamp (payment date, or statement date for a credit)
+ * payment: { billId, billNumber, paymentIndex, mode, amount, referenceId, paidAt } | null
+ * entry: { date, amount, reference, description } | null (statement credit)
+ * notes: string
+ * reconciledBy / reconciledByName: string
+ * reconciledAt: Timestamp
+ */
+
+// ============================================================================
+// STATEMENT PARSING
+// ============================================================================
+
+// Header names used by Indian banks, UPI providers and card acquirers.
+// Earlier names win; gross amounts come before net so card fees do not
+// show up as mismatches.
+const HEADER_ALIASES = {
+  date: ['transaction date', 'txn date', 'value date', 'settlement date', 'date'],
+  credit: ['credit amount', 'credit', 'deposit amount', 'deposit', 'cr amount'],
+  amount: ['transaction amount', 'txn amount', 'gross amount', 'amount', 'settled amount', 'net amount'],
+  type: ['dr/cr', 'cr/dr', 'dr / cr', 'debit/credit', 'type'],
+  reference: ['utr', 'utr no', 'rrn', 'reference no', 'ref no', 'reference', 'transaction id', 'txn id', 'approval code', 'auth code'],
+  description: ['narration', 'description', 'particulars', 'remarks', 'details']
+};
+
+// Only exact header names for these (too generic to match inside other names)
+const EXACT_ONLY = ['type'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normaliseHeader = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Column index of each known field in a header row (-1 when absent)
+ */
+const detectColumns = (headerRow) => {
+  const headers = headerRow.map(normaliseHeader);
+  const columns = {};
+  const used = new Set();
+
+  const find = (aliases, matches) => {
+    for (const alias of aliases) {
+      const index = headers.findIndex((header, i) => !used.has(i) && header && matches(header, alias));
+      if (index !== -1) return index;
+    }
+    return -1;
+  };
+
+  // Exact names first, so "credit amount" is not taken for "amount"
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    columns[field] = find(aliases, (header, alias) => header === alias);
+    if (columns[field] !== -1) used.add(columns[field]);
+  });
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    if (columns[field] !== -1 || EXACT_ONLY.includes(field)) return;
+    columns[field] = find(aliases, (header, alias) => header.includes(alias));
+    if (columns[field] !== -1) used.add(columns[field]);
+  });
+
+  return columns;
+};
+
+/**
+ * Parse a statement date: Date cell, Excel serial, dd/mm/yyyy (Indian
+ * statements), yyyy-mm-dd or dd-Mon-yyyy, with an optional time
+ * @param {*} value - Cell value
+ * @returns {Date|null} Date or null when unreadable
+ */
+export const parseStatementDate = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') {
+    // Excel serial date (days since 1899-12-30)
+    return value > 0 ? new Date(Math.round((value - 25569) * DAY_MS) + new Date().getTimezoneOffset() * 60000) : null;
+  }
+
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const toDate = (year, month, day, time) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const [hours, minutes, seconds] = (time || '').split(':').map(part => parseInt(part) || 0);
+    const date = new Date(fullYear, month, day, hours || 0, minutes || 0, seconds || 0);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+  };
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?/);
+  if (match) return toDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]), match[4]);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?/);
+  if (match) return toDate(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]), match[4]);
+
+  match = text.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/,-]+(\d{2,4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?/);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return toDate(parseInt(match[3]), MONTHS.indexOf(match[2].toLowerCase()), parseInt(match[1]), match[4]);
+  }
+
+  return null;
+};
+
+/**
+ * Parse a statement amount ("1,121.00", "₹ 500", "250.00 Cr", "(75.00)", "100 Dr")
+ * @param {*} value - Cell value
+ * @returns {number} Amount (negative for debits), NaN when empty or unreadable
+ */
+export const parseStatementAmount = (value) => {
+  if (typeof value === 'number') return value;
+
+  const text = String(value || '').trim();
+  if (!text) return NaN;
+
+  const isDebit = /\bdr\.?$/i.test(text) || /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/₹|rs\.?|inr|cr\.?$|dr\.?$|[,()\s-]/gi, ''));
+  return isDebit ? -amount : amount;
+};
+
+/**
+ * Reference for matching: upper case letters and digits only
+ */
+const normaliseReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// UPI narrations carry the UTR, e.g. "UPI/429113345678/Payment from ..."
+const extractUTR = (text) => {
+  const match = String(text || '').match(/(?:^|\D)(\d{12})(?:\D|$)/);
+  return match ? match[1] : '';
+};
+
+// Short stable ID for a statement credit (FNV-1a)
+const hashKey = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const toDayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+/**
+ * Read the credits from a statement's rows
+ * The header row is found automatically (statements often start with
+ * account details). Debits, blank rows and totals are skipped.
+ * @param {Array} rows - Rows as arrays of cells (readSpreadsheetRows)
+ * @param {string} source - One of STATEMENT_SOURCES
+ * @returns {Object} { entries, skippedRows, periodStart, periodEnd }
+ *   entries: [{ key, rowNumber, date, amount, reference, description }]
+ */
+export const parseStatementRows = (rows, source) => {
+  const headerIndex = rows.slice(0, 30).findIndex(row => {
+    const columns = detectColumns(row);
+    return columns.date !== -1 && (columns.amount !== -1 || columns.credit !== -1);
+  });
+  if (headerIndex === -1) {
+    throw new Error('Could not find the statement header. It needs a date column and an amount or credit column.');
+  }
+
+  const columns = detectColumns(rows[headerIndex]);
+  const cell = (row, field) => (columns[field] === -1 ? '' : row[columns[field]]);
+
+  const entries = [];
+  const seenKeys = {};
+  let skippedRows = 0;
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    if (row.every(value => value === '' || value === null || value === undefined)) return;
+
+    const date = parseStatementDate(cell(row, 'date'));
+    const amount = columns.credit !== -1
+      ? parseStatementAmount(cell(row, 'credit'))
+      : parseStatementAmount(cell(row, 'amount'));
+    const isDebit = /^d/i.test(String(cell(row, 'type')).trim());
+
+    if (!date || !(amount > 0) || isDebit) {
+      skippedRows++;
+      return;
+    }
+
+    const description = String(cell(row, 'description') || '').trim();
+    const reference = normaliseReference(cell(row, 'reference')) || extractUTR(description);
+
+    // Same reference (or same day, amount and narration) = same credit on a re-import
+    const identity = `${source}|${reference || `${toDayKey(date)}|${amount.toFixed(2)}|${description}`}`;
+    seenKeys[identity] = (seenKeys[identity] || 0) + 1;
+    const key = `stmt_${hashKey(identity)}${seenKeys[identity] > 1 ? `_${seenKeys[identity]}` : ''}`;
+
+    entries.push({
+      key,
+      rowNumber: headerIndex + i + 2,
+      date,
+      amount: Math.round(amount * 100) / 100,
+      reference,
+      description
+    });
+  });
+
+  if (entries.length === 0) {
+    throw new Error('No credits found in the statement');
+  }
+
+  const times = entries.map(entry => entry.date.getTime());
+  const periodStart = new Date(Math.min(...times));
+  periodStart.setHours(0, 0, 0, 0);
+  const periodEnd = new Date(Math.max(...times));
+  periodEnd.setHours(23, 59, 59, 999);
+
+  return { entries, skippedRows, periodStart, periodEnd };
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Whole days from a to b (calendar days, ignoring the time)
+const getDayDifference = (a, b) => {
+  const start = new Date(a.getFullYear(), a.getMonth(), a.getDate());
+  const end = new Date(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((end - start) / DAY_MS);
+};
+
+/**
+ * Bill payments a statement could contain
+ * @param {string} source - One of STATEMENT_SOURCES
+ * @param {Date} periodStart - First day of the statement
+ * @param {Date} periodEnd - Last day of the statement
+ * @param {number} dateWindowDays - Days a payment may take to settle
+ * @returns {Promise<Array>} [{ key, billId, billNumber, customerName, paymentIndex, mode, amount, referenceId, paidAt }]
+ */
+export const getStatementPayments = async (source, periodStart, periodEnd, dateWindowDays = DEFAULT_DATE_WINDOW_DAYS) => {
+  try {
+    const modes = SOURCE_MODES[source];
+    const from = new Date(periodStart.getTime() - (dateWindowDays + 1) * DAY_MS);
+    const to = new Date(periodEnd.getTime() + (dateWindowDays + 1) * DAY_MS);
+    const bills = await getAllBills(new Date(periodStart.getTime() - BILL_LOOKBACK_DAYS * DAY_MS), to);
+
+    return bills.flatMap(bill => (bill.payments || []).map((payment, paymentIndex) => ({
+      key: `${bill.id}_${paymentIndex}`,
+      billId: bill.id,
+      billNumber: bill.billNumber,
+      customerName: bill.customer?.name || '',
+      paymentIndex,
+      mode: payment.mode,
+      amount: payment.amount,
+      referenceId: payment.referenceId || null,
+      paidAt: toDate(payment.paidAt)
+    })))
+      .filter(payment => modes.includes(payment.mode) && payment.paidAt && payment.paidAt >= from && payment.paidAt <= to);
+  } catch (error) {
+    console.error('Error loading payments for reconciliation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Match statement credits to bill payments
+ * 1. Same reference: matched, or a mismatch when the amount differs or it
+ *    settled outside the date window.
+ * 2. Payments left over: a credit of the same amount within the window
+ *    (closest date first), as long as the references do not disagree.
+ * 3. Everything else is unmatched. Unmatched payments are only reported for
+ *    the statement's own period (earlier ones settle on an earlier statement).
+ * @param {Array} entries - Statement credits (parseStatementRows)
+ * @param {Array} payments - Bill payments (getStatementPayments)
+ * @param {Object} options - { dateWindowDays, periodStart, periodEnd }
+ * @returns {Array} [{ key, status, matchType, payment, entry, amountDifference, dayDifference, issues }]
+ */
+export const matchStatement = (entries, payments, { dateWindowDays = DEFAULT_DATE_WINDOW_DAYS, periodStart, periodEnd }) => {
+  const usedEntries = new Set();
+  const items = [];
+
+  const buildMatch = (payment, entry, matchType) => {
+    usedEntries.add(entry.key);
+    const amountDifference = Math.round((entry.amount - payment.amount) * 100) / 100;
+    const dayDifference = getDayDifference(payment.paidAt, entry.date);
+
+    const issues = [];
+    if (Math.abs(amountDifference) > AMOUNT_TOLERANCE) {
+      issues.push(`Statement shows ₹${entry.amount.toFixed(2)}, bill payment is ₹${payment.amount.toFixed(2)}`);
+    }
+    if (Math.abs(dayDifference) > dateWindowDays) {
+      issues.push(`Settled ${Math.abs(dayDifference)} day(s) ${dayDifference < 0 ? 'before' : 'after'} the payment`);
+    }
+
+    items.push({
+      key: payment.key,
+      status: issues.length > 0 ? MATCH_STATUS.MISMATCHED : MATCH_STATUS.MATCHED,
+      matchType,
+      payment,
+      entry,
+      amountDifference,
+      dayDifference,
+      issues
+    });
+  };
+
+  const sortedPayments = [...payments].sort((a, b) => a.paidAt - b.paidAt);
+  const unmatchedPayments = [];
+
+  // 1. By reference
+  sortedPayments.forEach(payment => {
+    const reference = normaliseReference(payment.referenceId);
+    if (reference) {
+      const entry = entries.find(candidate => !usedEntries.has(candidate.key) && candidate.reference === reference)
+        || (reference.length >= 6
+          ? entries.find(candidate => !usedEntries.has(candidate.key) && normaliseReference(candidate.description).includes(reference))
+          : null);
+      if (entry) {
+        buildMatch(payment, entry, MATCH_TYPES.REFERENCE);
+        return;
+      }
+    }
+    unmatchedPayments.push(payment);
+  });
+
+  // 2. By amount and date
+  unmatchedPayments.forEach(payment => {
+    const reference = normaliseReference(payment.referenceId);
+    const candidates = entries.filter(entry => (
+      !usedEntries.has(entry.key) &&
+      Math.abs(entry.amount - payment.amount) <= AMOUNT_TOLERANCE &&
+      Math.abs(getDayDifference(payment.paidAt, entry.date)) <= dateWindowDays &&
+      (!reference || !entry.reference)
+    ));
+
+    if (candidates.length > 0) {
+      const closest = candidates.reduce((best, entry) => (
+        Math.abs(getDayDifference(payment.paidAt, entry.date)) < Math.abs(getDayDifference(payment.paidAt, best.date)) ? entry : best
+      ));
+      buildMatch(payment, closest, MATCH_TYPES.AMOUNT_DATE);
+      return;
+    }
+
+    // 3. Not on this statement
+    if (payment.paidAt >= periodStart && payment.paidAt <= periodEnd) {
+      items.push({
+        key: payment.key,
+        status: MATCH_STATUS.UNMATCHED_PAYMENT,
+        matchType: null,
+        payment,
+        entry: null,
+        amountDifference: null,
+        dayDifference: null,
+        issues: ['No credit on the statement']
+      });
+    }
+  });
+
+  entries.filter(entry => !usedEntries.has(entry.key)).forEach(entry => {
+    items.push({
+      key: entry.key,
+      status: MATCH_STATUS.UNMATCHED_ENTRY,
+      matchType: null,
+      payment: null,
+      entry,
+      amountDifference: null,
+      dayDifference: null,
+      issues: ['No bill payment for this credit']
+    });
+  });
+
+  const itemDate = (item) => (item.payment ? item.payment.paidAt : item.entry.date);
+  return items.sort((a, b) => (
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || itemDate(a) - itemDate(b)
+  ));
+};
+
+// ============================================================================
+// RECONCILIATION RECORDS
+// ============================================================================
+
+/**
+ * Items already reconciled in a period
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @returns {Promise<Object>} Map of item key -> reconciliation record
+ */
+export const getReconciliations = async (startDate, endDate) => {
+  try {
+    const q = query(
+      collection(db, 'paymentReconciliations'),
+      where('date', '>=', Timestamp.fromDate(startDate)),
+      where('date', '<=', Timestamp.fromDate(endDate))
+    );
+    const snapshot = await getDocs(q);
+    return Object.fromEntries(snapshot.docs.map(snap => [snap.id, { id: snap.id, ...snap.data() }]));
+  } catch (error) {
+    console.error('Error fetching reconciliations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a matched, mismatched or unmatched item reconciled
+ * @param {Object} item - Item from matchStatement
+ * @param {string} source - One of STATEMENT_SOURCES
+ * @param {string} notes - Owner's note (e.g. "Card fee deducted")
+ * @param {Object} user - { userId, userName }
+ * @returns {Promise<Object>} The reconciliation record
+ */
+export const markReconciled = async (item, source, notes, user) => {
+  try {
+    const { payment, entry } = item;
+    const record = {
+      key: item.key,
+      status: item.status,
+      source,
+      date: Timestamp.fromDate(payment ? payment.paidAt : entry.date),
+      payment: payment ? {
+        billId: payment.billId,
+        billNumber: payment.billNumber,
+        paymentIndex: payment.paymentIndex,
+        mode: payment.mode,
+        amount: payment.amount,
+        referenceId: payment.referenceId,
+        paidAt: Timestamp.fromDate(payment.paidAt)
+      } : null,
+      entry: entry ? {
+        date: Timestamp.fromDate(entry.date),
+        amount: entry.amount,
+        reference: entry.reference,
+        description: entry.description
+      } : null,
+      notes: notes.trim(),
+      reconciledBy: user.userId,
+      reconciledByName: user.userName
+    };
+
+    await setDoc(doc(db, 'paymentReconciliations', item.key), {
+      ...record,
+      reconciledAt: serverTimestamp()
+    });
+
+    return { id: item.key, ...record, reconciledAt: Timestamp.now() };
+  } catch (error) {
+    console.error('Error marking item reconciled:', error);
+    throw error;
+  }
+};
+
+/**
+ * Undo a reconciliation
+ * @param {string} key - Item key
+ */
+export const clearReconciliation = async (key) => {
+  try {
+    await deleteDoc(doc(db, 'paymentReconciliations', key));
+  } catch (error) {
+    console.error('Error clearing reconciliation:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,543 @@
+/**
+ * RETURN SERVICE
+ * ==============
+ * Sales returns and exchanges against saved bills.
+ * Issues a numbered GST credit note, restocks the returned products and
+ * links the credit note to the original bill and order in one transaction.
+ * Exchanges additionally create the replacement order and bill, applying the
+ * credit note as payment so only the difference is settled.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  increment,
+  arrayUnion,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { calculateOrder, calculateReturn, getBillLineKey, getSupplyType, SUPPLY_TYPES } from './orderCalculationService';
+import { generateBill, generateCreditNote, getBusinessInfo } from './billingService';
+import { buildBillDocument } from './billStorageService';
+import { buildOrderDocument } from './orderService';
+import { buildOrderItems } from './checkoutService';
+import { PAYMENT_MODES, PAYMENT_STATUS } from './paymentService';
+import { readInvoiceCounter, writeInvoiceCounter, getSeriesForOrderType, INVOICE_SERIES } from './invoiceNumberService';
+import { readStockChanges, writeStockChanges, assertStockAvailable, attachUnitCosts } from './productService';
+import { MOVEMENT_TYPES } from './stockMovementService';
+import { getStockLineQuantities } from '../utils/variantUtils';
+import { getLocationId } from '../utils/locationUtils';
+
+// Reasons offered at the counter
+// Most products plus stock lines one credit note restocks: the credit note
+// rules check them one by one and cannot loop (see firestore.rules)
+export const MAX_RESTOCK_KEYS = 40;
+
+export const RETURN_REASONS = {
+  SIZE_ISSUE: 'Size issue',
+  DEFECTIVE: 'Defective / damaged',
+  NOT_AS_EXPECTED: 'Not as expected',
+  OTHER: 'Other'
+};
+
+/**
+ * Get bill line items with how many units can still be returned
+ * Returned units are tracked per line key (getBillLineKey), so two sizes of
+ * a style that share a SKU are returned separately.
+ * @param {Object} bill - Saved bill
+ * @returns {Array} Line items with lineKey, returnedQuantity and returnableQuantity
+ */
+export const getReturnableItems = (bill) => {
+  if (!bill || !Array.isArray(bill.lineItems)) {
+    return [];
+  }
+
+  const returnedQuantities = bill.returnedQuantities || {};
+
+  return bill.lineItems.map(item => {
+    const lineKey = getBillLineKey(item);
+    const returnedQuantity = returnedQuantities[lineKey] || 0;
+    return {
+      ...item,
+      lineKey,
+      returnedQuantity,
+      returnableQuantity: Math.max(0, item.quantity - returnedQuantity)
+    };
+  });
+};
+
+/**
+ * Look up product IDs by SKU (bills saved before productId was stored on lines)
+ * @param {Array<string>} skus - SKUs to resolve
+ * @returns {Promise<Object>} Map of sku -> productId
+ */
+const getProductIdsBySku = async (skus) => {
+  const productIds = {};
+
+  if (skus.length === 0) {
+    return productIds;
+  }
+
+  const q = query(collection(db, 'products'), where('sku', 'in', skus.slice(0, 30)));
+  const querySnapshot = await getDocs(q);
+
+  querySnapshot.docs.forEach(productDoc => {
+    productIds[productDoc.data().sku] = productDoc.id;
+  });
+
+  return productIds;
+};
+
+/**
+ * Read the bill being returned against and build the credit note
+ * Must run before any transaction writes.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} billId - Bill document ID
+ * @param {Array} items - Array of { lineKey, sku, quantity } being returned
+ * @param {Object} productIdsBySku - Map of sku -> productId for legacy lines
+ * @param {Object} options - Return details (employeeId, employeeName, reason, refundMode)
+ * @returns {Promise<Object>} { bill, billRef, items, note, restockQuantities, orderRef, creditNoteAllocation }
+ */
+const readReturnInTransaction = async (transaction, billId, items, productIdsBySku, options) => {
+  const { employeeId, employeeName, reason = '', refundMode = 'CASH' } = options || {};
+
+  const billRef = doc(db, 'bills', billId);
+  const billSnap = await transaction.get(billRef);
+
+  if (!billSnap.exists()) {
+    throw new Error('Bill not found');
+  }
+
+  const bill = { id: billSnap.id, ...billSnap.data() };
+  const returnableItems = getReturnableItems(bill);
+
+  items.forEach(item => {
+    const line = returnableItems.find(l => l.lineKey === item.lineKey);
+    if (!line) {
+      throw new Error(`Item ${item.sku || item.lineKey} is not on bill ${bill.billNumber}`);
+    }
+    if (item.quantity > line.returnableQuantity) {
+      throw new Error(`Only ${line.returnableQuantity} of ${line.productName} can still be returned`);
+    }
+  });
+
+  const creditNoteAllocation = await readInvoiceCounter(transaction, INVOICE_SERIES.CREDIT_NOTE);
+
+  const returnCalculation = calculateReturn(bill, items);
+  returnCalculation.items = returnCalculation.items.map(item => ({
+    ...item,
+    productId: item.productId || productIdsBySku[item.sku] || null
+  }));
+
+  const note = generateCreditNote(returnCalculation, {
+    originalBill: bill,
+    employeeId,
+    employeeName,
+    reason,
+    refundMode,
+    creditNoteNumber: creditNoteAllocation.invoiceNumber
+  });
+
+  // Units returned per product and stock line; the product rules cap the
+  // restock written with this credit note at these, and the credit note
+  // rules cap these at what the bill sold less earlier returns
+  const restockQuantities = getStockLineQuantities(note.lineItems);
+
+  if (Object.keys(restockQuantities).length > MAX_RESTOCK_KEYS) {
+    throw new Error('Too many different items for one return. Return them in two goes.');
+  }
+
+  if (Object.keys(restockQuantities).length > 0 && !bill.soldQuantities) {
+    throw new Error(`Bill ${bill.billNumber} was saved before returns were checked line by line. Ask the owner to update old bills before returning against it.`);
+  }
+
+  // Not read here: employees may only read their own orders, and the bill may be a colleague's
+  const orderRef = bill.orderId && !bill.orderId.startsWith('TEMP-')
+    ? doc(db, 'orders', bill.orderId)
+    : null;
+
+  return { bill, billRef, items, note, restockQuantities, orderRef, creditNoteAllocation };
+};
+
+/**
+ * Write the credit note and link it to the original bill and order
+ * Stock is handled by the caller.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} context - Output of readReturnInTransaction
+ * @param {Object} creditNoteRef - Pre-allocated credit note document reference
+ */
+const writeReturnInTransaction = (transaction, context, creditNoteRef) => {
+  const { bill, billRef, items, note, restockQuantities, orderRef, creditNoteAllocation } = context;
+
+  writeInvoiceCounter(transaction, creditNoteAllocation, creditNoteRef.id);
+
+  const cleanNote = JSON.parse(JSON.stringify(note, (key, value) => {
+    return value === undefined ? null : value;
+  }));
+
+  transaction.set(creditNoteRef, {
+    ...cleanNote,
+    restockQuantities,
+    creditNoteDate: Timestamp.fromDate(new Date(cleanNote.creditNoteDate)),
+    generatedAt: Timestamp.fromDate(new Date(cleanNote.generatedAt)),
+    createdAt: Timestamp.now()
+  });
+
+  // Link credit note to the original bill
+  // Returned units go up per bill line (getReturnableItems) and per restocked
+  // product and stock line (the credit note rules check these); a line's key
+  // is its stock line key unless the bill predates productId on lines
+  const returnedQuantities = { ...(bill.returnedQuantities || {}) };
+  const addReturned = (key, quantity) => {
+    returnedQuantities[key] = (returnedQuantities[key] || 0) + quantity;
+  };
+  Object.entries(restockQuantities).forEach(([key, quantity]) => addReturned(key, quantity));
+  items
+    .filter(item => !(item.lineKey in restockQuantities))
+    .forEach(item => addReturned(item.lineKey, item.quantity));
+
+  transaction.update(billRef, {
+    returnedQuantities,
+    returnedAmount: increment(note.totals.payableAmount),
+    creditNoteIds: arrayUnion(creditNoteRef.id),
+    updatedAt: serverTimestamp()
+  });
+
+  // Link credit note to the order (reorder suggestions net out returned units)
+  if (orderRef) {
+    transaction.update(orderRef, {
+      returnedQuantities,
+      returnedAmount: increment(note.totals.payableAmount),
+      creditNoteIds: arrayUnion(creditNoteRef.id),
+      updatedAt: serverTimestamp()
+    });
+  }
+};
+
+/**
+ * Process a sales return and issue a credit note
+ * Validates quantities against what was already returned, then writes the
+ * credit note, stock increments, bill link and order link atomically.
+ * @param {string} billId - Bill document ID
+ * @param {Array} returnItems - Array of { lineKey, sku, quantity } (lineKey from getReturnableItems)
+ * @param {Object} options - Return details
+ * @param {string} options.employeeId - Employee processing the return
+ * @param {string} options.employeeName - Employee display name
+ * @param {string} options.reason - Return reason
+ * @param {string} options.refundMode - Refund payment mode
+ * @param {Object} options.location - Location the goods come back to { id, name } (defaults to the primary location)
+ * @returns {Promise<Object>} Saved credit note with ID
+ */
+export const processReturn = async (billId, returnItems, options) => {
+  try {
+    const items = (returnItems || []).filter(item => item.quantity > 0);
+    if (items.length === 0) {
+      throw new Error('Select at least one item to return');
+    }
+
+    const productIdsBySku = await getProductIdsBySku(items.map(item => item.sku));
+    const creditNoteRef = doc(collection(db, 'creditNotes'));
+
+    const creditNote = await runTransaction(db, async (transaction) => {
+      // --- Reads (must all happen before writes) ---
+      const context = await readReturnInTransaction(transaction, billId, items, productIdsBySku, options);
+
+      const restocks = await readStockChanges(transaction, context.note.lineItems
+        .filter(line => line.productId)
+        .map(line => ({ productId: line.productId, variantId: line.variantId, delta: line.quantity })),
+      getLocationId(options.location));
+
+      // --- Writes ---
+      writeReturnInTransaction(transaction, context, creditNoteRef);
+
+      // Restock returned products (skip products that no longer exist)
+      restocks
+        .filter(restock => !restock.exists)
+        .forEach(restock => console.warn(`Product ${restock.productId} not found, skipping restock`));
+      writeStockChanges(transaction, restocks, {
+        type: MOVEMENT_TYPES.RETURN,
+        userId: context.note.employeeId,
+        userName: context.note.employeeName,
+        reason: context.note.reason,
+        referenceType: 'creditNote',
+        referenceId: creditNoteRef.id,
+        referenceNumber: context.note.creditNoteNumber
+      }, { lastCreditNoteId: creditNoteRef.id });
+
+      return context.note;
+    });
+
+    console.log('Credit note issued with ID:', creditNoteRef.id);
+
+    return {
+      id: creditNoteRef.id,
+      ...creditNote
+    };
+  } catch (error) {
+    console.error('Error processing return:', error);
+    throw error;
+  }
+};
+
+/**
+ * Process an exchange: return items from a saved bill and sell replacements
+ * The credit note is applied as a CREDIT_NOTE payment on the new bill, so only
+ * the price difference is settled (collected on the new bill or refunded on
+ * the credit note). Credit note, new order, new bill and the net stock change
+ * per product are committed in one transaction. The new bill keeps the
+ * original's order type, invoice series, place of supply and buyer GSTIN.
+ * @param {string} billId - Original bill document ID
+ * @param {Array} returnItems - Array of { lineKey, sku, quantity } going back
+ * @param {Array} cart - Replacement cart items (same shape as the sale cart)
+ * @param {Object} options - Exchange details
+ * @param {string} options.employeeId - Employee processing the exchange
+ * @param {string} options.employeeName - Employee display name
+ * @param {string} options.reason - Return reason
+ * @param {string} options.settlementMode - Payment mode for the difference
+ * @param {Object} options.location - Location of the exchange { id, name, address, phone } (defaults to the primary location)
+ * @returns {Promise<Object>} { creditNote, bill, order, amountToCollect, amountToRefund }
+ */
+export const processExchange = async (billId, returnItems, cart, options) => {
+  try {
+    const { employeeId, employeeName, reason = '', settlementMode = PAYMENT_MODES.CASH, location = null } = options || {};
+    const locationId = getLocationId(location);
+
+    const items = (returnItems || []).filter(item => item.quantity > 0);
+    if (items.length === 0) {
+      throw new Error('Select at least one item to return');
+    }
+
+    if (!cart || cart.length === 0) {
+      throw new Error('Add at least one replacement item');
+    }
+
+    const productIdsBySku = await getProductIdsBySku(items.map(item => item.sku));
+    const creditNoteRef = doc(collection(db, 'creditNotes'));
+    const newOrderRef = doc(collection(db, 'orders'));
+    const newBillRef = doc(collection(db, 'bills'));
+
+    const result = await runTransaction(db, async (transaction) => {
+      // --- Reads (must all happen before writes) ---
+      const context = await readReturnInTransaction(transaction, billId, items, productIdsBySku, {
+        employeeId,
+        employeeName,
+        reason,
+        refundMode: settlementMode
+      });
+      const { bill: originalBill, note } = context;
+
+      // The replacement is billed like the original sale: same order type,
+      // invoice series, place of supply and buyer
+      const orderType = originalBill.orderType || 'daily';
+      const sellerStateCode = getBusinessInfo().stateCode;
+      const placeOfSupply = originalBill.placeOfSupply ? originalBill.placeOfSupply.stateCode : sellerStateCode;
+      const isInterState = getSupplyType(sellerStateCode, placeOfSupply) === SUPPLY_TYPES.INTER_STATE;
+      const orderCalculation = calculateOrder({ items: cart, employeeDiscount: 0, isInterState });
+
+      // Net stock change per product and variant (returned units in, replacement units out)
+      const stockChanges = [
+        ...note.lineItems
+          .filter(line => line.productId)
+          .map(line => ({ productId: line.productId, variantId: line.variantId, delta: line.quantity })),
+        ...cart.map(item => ({ productId: item.productId, variantId: item.variantId, delta: -item.quantity }))
+      ];
+
+      const billAllocation = await readInvoiceCounter(transaction, getSeriesForOrderType(orderType));
+
+      const stockUpdates = await readStockChanges(transaction, stockChanges, locationId);
+      assertStockAvailable(stockUpdates);
+
+      // --- Settlement ---
+      const newBill = generateBill(orderCalculation, {
+        orderId: newOrderRef.id,
+        orderType,
+        employeeId,
+        employeeName,
+        exhibitionId: originalBill.exhibitionId || null,
+        exhibitionLocation: originalBill.exhibitionLocation || null,
+        location,
+        billNumber: billAllocation.invoiceNumber,
+        placeOfSupply,
+        customer: {
+          name: originalBill.customer?.name || '',
+          phone: originalBill.customer?.phone || '',
+          address: originalBill.customer?.address || '',
+          businessName: originalBill.customer?.businessName || '',
+          gstin: originalBill.customer?.gstin || null
+        }
+      });
+
+      const creditAmount = note.totals.payableAmount;
+      const newPayable = newBill.totals.payableAmount;
+      const creditApplied = Math.min(creditAmount, newPayable);
+      const amountToCollect = Math.max(0, newPayable - creditAmount);
+      const amountToRefund = Math.max(0, creditAmount - newPayable);
+
+      note.exchangeBillId = newBillRef.id;
+      note.exchangeBillNumber = newBill.billNumber;
+      note.adjustedAmount = creditApplied;
+      note.refundAmount = amountToRefund;
+      note.footer.notes = [reason, `Exchanged against ${newBill.billNumber}`].filter(Boolean).join(' · ');
+
+      const payments = [{
+        mode: PAYMENT_MODES.CREDIT_NOTE,
+        amount: creditApplied,
+        referenceId: note.creditNoteNumber,
+        paidAt: Timestamp.now(),
+        recordedBy: employeeId
+      }];
+
+      if (amountToCollect > 0) {
+        payments.push({
+          mode: settlementMode,
+          amount: amountToCollect,
+          referenceId: null,
+          paidAt: Timestamp.now(),
+          recordedBy: employeeId
+        });
+      }
+
+      const paidAmount = creditApplied + amountToCollect;
+
+      // --- Writes ---
+      writeReturnInTransaction(transaction, context, creditNoteRef);
+      writeInvoiceCounter(transaction, billAllocation, newBillRef.id);
+
+      // Net restocks (including a swap between sizes of one style) are tied to the credit note
+      const isNetRestock = (update) => Object.values(update.deltas).reduce((total, delta) => total + delta, 0) >= 0;
+      const exchangeMovement = {
+        type: MOVEMENT_TYPES.EXCHANGE,
+        userId: employeeId,
+        userName: employeeName,
+        reason,
+        referenceType: 'creditNote',
+        referenceId: creditNoteRef.id,
+        referenceNumber: `${note.creditNoteNumber} / ${newBill.billNumber}`
+      };
+      writeStockChanges(transaction, stockUpdates.filter(isNetRestock), exchangeMovement, { lastCreditNoteId: creditNoteRef.id });
+      writeStockChanges(transaction, stockUpdates.filter(update => !isNetRestock(update)), exchangeMovement);
+
+      const orderDoc = {
+        ...buildOrderDocument({
+          type: orderType,
+          customerPhone: newBill.customer.phone,
+          items: attachUnitCosts(buildOrderItems(cart, orderCalculation.items), stockUpdates),
+          totals: {
+            subtotal: newBill.totals.subtotal,
+            totalCGST: newBill.totals.totalCGST,
+            totalSGST: newBill.totals.totalSGST,
+            totalIGST: newBill.totals.totalIGST,
+            totalTax: newBill.totals.totalTax,
+            grandTotal: newBill.totals.grandTotal,
+            payableAmount: newBill.totals.payableAmount
+          },
+          status: 'completed',
+          exhibitionId: newBill.exhibitionId,
+          locationId,
+          locationName: location ? location.name : null,
+          createdBy: employeeId,
+          billId: newBill.billNumber,
+          placeOfSupply,
+          invoiceType: newBill.invoiceType,
+          customerGSTIN: newBill.customer.gstin || null,
+          customerBusinessName: newBill.customer.businessName || null
+        }),
+        exchangeCreditNoteId: creditNoteRef.id
+      };
+      transaction.set(newOrderRef, orderDoc);
+
+      // Exchange bills are created already settled by the credit note
+      const billDoc = {
+        ...buildBillDocument(newBill),
+        exchangeCreditNoteId: creditNoteRef.id,
+        exchangeForBillNumber: originalBill.billNumber,
+        paymentStatus: paidAmount >= newPayable ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PARTIALLY_PAID,
+        payments,
+        paidAmount,
+        dueAmount: Math.max(0, newPayable - paidAmount),
+        locked: paidAmount >= newPayable
+      };
+      transaction.set(newBillRef, billDoc);
+
+      return {
+        creditNote: { id: creditNoteRef.id, ...note },
+        bill: { id: newBillRef.id, ...billDoc },
+        order: { id: newOrderRef.id, ...orderDoc },
+        amountToCollect,
+        amountToRefund
+      };
+    });
+
+    console.log('Exchange completed. Credit note:', creditNoteRef.id, 'New bill:', newBillRef.id);
+
+    return result;
+  } catch (error) {
+    console.error('Error processing exchange:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get credit notes issued against a bill
+ * @param {string} billId - Original bill document ID
+ * @returns {Promise<Array>} List of credit notes
+ */
+export const getCreditNotesByBill = async (billId) => {
+  try {
+    const q = query(collection(db, 'creditNotes'), where('originalBillId', '==', billId));
+    const querySnapshot = await getDocs(q);
+
+    return querySnapshot.docs.map(noteDoc => ({
+      id: noteDoc.id,
+      ...noteDoc.data()
+    }));
+  } catch (error) {
+    console.error('Error fetching credit notes for bill:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all credit notes (owner only)
+ * @param {Date} startDate - Optional start date filter
+ * @param {Date} endDate - Optional end date filter
+ * @returns {Promise<Array>} List of credit notes, newest first
+ */
+export const getAllCreditNotes = async (startDate = null, endDate = null) => {
+  try {
+    const constraints = [];
+
+    if (startDate) {
+      constraints.push(where('createdAt', '>=', Timestamp.fromDate(startDate)));
+    }
+
+    if (endDate) {
+      constraints.push(where('createdAt', '<=', Timestamp.fromDate(endDate)));
+    }
+
+    const q = query(collection(db, 'creditNotes'), ...constraints);
+    const querySnapshot = await getDocs(q);
+
+    const creditNotes = querySnapshot.docs.map(noteDoc => ({
+      id: noteDoc.id,
+      ...noteDoc.data()
+    }));
+
+    // Sort in memory to avoid index requirement
+    creditNotes.sort((a, b) => {
+      const aTime = a.createdAt?.toMillis() || 0;
+      const bTime = b.createdAt?.toMillis() || 0;
+      return bTime - aTime;
+    });
+
+    return creditNotes;
+  } catch (error) {
+    console.error('Error fetching credit notes:', error);
+    throw error;
+  }
+};
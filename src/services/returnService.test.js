@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { processReturn, getReturnableItems } from './returnService';
+import { runFakeTransaction } from '../test/fakeFirestore';
+
+// Documents by path; runTransaction reads from and writes to this store
+const store = new Map();
+
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...(await importOriginal()),
+  runTransaction: (firestore, updateFunction) => runFakeTransaction(store, updateFunction),
+  // SKU lookups for bills saved before lines carried productId
+  getDocs: async () => ({ docs: [] })
+}));
+
+const billLine = (variantId, size, quantity) => ({
+  productId: 'kurta',
+  variantId,
+  size,
+  colour: 'Navy',
+  sku: `KUR-001-${size}`,
+  productName: `Cotton Kurta (${size} / Navy)`,
+  category: 'men',
+  quantity,
+  unitPrice: 1050,
+  discountApplied: 0,
+  gstRate: 5,
+  isTaxInclusive: true
+});
+
+const RETURN_OPTIONS = { employeeId: 'emp-2', employeeName: 'Meera', reason: 'Size issue', refundMode: 'CASH' };
+
+describe('processReturn', () => {
+  beforeEach(() => {
+    store.clear();
+    store.set('bills/bill-1', {
+      billNumber: 'S/26-27/00001',
+      orderId: 'order-1',
+      employeeId: 'emp-1',
+      lineItems: [billLine('M_NAVY', 'M', 1), billLine('L_NAVY', 'L', 2)],
+      soldQuantities: { kurta: 3, 'kurta:M_NAVY': 1, 'kurta:L_NAVY': 2 },
+      totals: { payableAmount: 3150 }
+    });
+    store.set('orders/order-1', { createdBy: 'emp-1' });
+    store.set('products/kurta', {
+      name: 'Cotton Kurta',
+      sku: 'KUR-001',
+      stockQty: 5,
+      variants: [
+        { id: 'M_NAVY', size: 'M', colour: 'Navy', sku: 'KUR-001-M', stockQty: 2 },
+        { id: 'L_NAVY', size: 'L', colour: 'Navy', sku: 'KUR-001-L', stockQty: 3 }
+      ]
+    });
+  });
+
+  it('restocks what the bill records as returned, per product and stock line', async () => {
+    const [, large] = getReturnableItems(store.get('bills/bill-1'));
+    await processReturn('bill-1', [{ lineKey: large.lineKey, sku: large.sku, quantity: 1 }], RETURN_OPTIONS);
+
+    const creditNotePath = [...store.keys()].find(path => path.startsWith('creditNotes/'));
+    const restock = { kurta: 1, 'kurta:L_NAVY': 1 };
+    expect(store.get(creditNotePath).restockQuantities).toEqual(restock);
+    expect(store.get('bills/bill-1').returnedQuantities).toEqual(restock);
+    expect(store.get('orders/order-1').returnedQuantities).toEqual(restock);
+    expect(store.get('products/kurta').variants[1].stockQty).toBe(4);
+    expect(getReturnableItems(store.get('bills/bill-1')).map(item => item.returnableQuantity)).toEqual([1, 1]);
+  });
+
+  it('refuses a restock on a bill without sold quantities', async () => {
+    const { soldQuantities, ...oldBill } = store.get('bills/bill-1');
+    store.set('bills/bill-1', oldBill);
+
+    await expect(processReturn('bill-1', [{ lineKey: 'kurta:M_NAVY', sku: 'KUR-001-M', quantity: 1 }], RETURN_OPTIONS))
+      .rejects.toThrow('saved before returns were checked');
+  });
+});
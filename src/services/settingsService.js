@@ -0,0 +1,151 @@
+/**
+ * SETTINGS SERVICE
+ * ================
+ * Business profile stored in settings/businessProfile.
+ * Loaded once after login into billingService, which snapshots it into
+ * every bill, so later profile edits never change issued invoices.
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { updateBusinessInfo, getBusinessInfo } from './billingService';
+import { GST_STATES } from '../constants/gstStates';
+import { getGSTINError, normalizeGSTIN } from '../utils/validators';
+
+const BUSINESS_PROFILE_PATH = ['settings', 'businessProfile'];
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const UPI_ID_PATTERN = /^[\w.-]{2,256}@[a-zA-Z]{2,64}$/;
+
+/**
+ * Trim a profile and normalise codes (GSTIN, IFSC) to upper case
+ * @param {Object} profile - Business profile form values
+ * @returns {Object} Clean profile
+ */
+const cleanProfile = (profile) => {
+  const text = (value) => (value || '').trim();
+
+  return {
+    businessName: text(profile.businessName),
+    legalName: text(profile.legalName),
+    gstin: normalizeGSTIN(profile.gstin),
+    storeAddress: text(profile.storeAddress),
+    registeredAddress: text(profile.registeredAddress),
+    stateCode: text(profile.stateCode),
+    phone: text(profile.phone),
+    email: text(profile.email),
+    logoUrl: text(profile.logoUrl),
+    invoiceTerms: text(profile.invoiceTerms),
+    bankDetails: {
+      accountName: text(profile.bankDetails?.accountName),
+      accountNumber: text(profile.bankDetails?.accountNumber),
+      ifsc: text(profile.bankDetails?.ifsc).toUpperCase(),
+      bankName: text(profile.bankDetails?.bankName),
+      branch: text(profile.bankDetails?.branch)
+    },
+    upiId: text(profile.upiId)
+  };
+};
+
+/**
+ * Validate a business profile
+ * @param {Object} profile - Business profile
+ * @returns {Object} { valid, errors }
+ */
+export const validateBusinessProfile = (profile) => {
+  const errors = [];
+  const clean = cleanProfile(profile);
+
+  if (!clean.businessName) errors.push('Business name is required');
+  if (!clean.legalName) errors.push('Legal name is required');
+  if (!clean.storeAddress) errors.push('Store address is required');
+
+  if (!GST_STATES[clean.stateCode]) {
+    errors.push('Select a valid state');
+  }
+
+  const gstinError = getGSTINError(clean.gstin);
+  if (gstinError) {
+    errors.push(gstinError);
+  } else if (clean.gstin.slice(0, 2) !== clean.stateCode) {
+    errors.push('GSTIN state code does not match the selected state');
+  }
+
+  if (clean.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean.email)) {
+    errors.push('Email is invalid');
+  }
+
+  if (clean.bankDetails.ifsc && !IFSC_PATTERN.test(clean.bankDetails.ifsc)) {
+    errors.push('IFSC code is invalid');
+  }
+
+  if (clean.upiId && !UPI_ID_PATTERN.test(clean.upiId)) {
+    errors.push('UPI ID is invalid');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get the stored business profile
+ * @returns {Promise<Object|null>} Profile or null if not configured yet
+ */
+export const getBusinessProfile = async () => {
+  try {
+    const profileSnap = await getDoc(doc(db, ...BUSINESS_PROFILE_PATH));
+    return profileSnap.exists() ? profileSnap.data() : null;
+  } catch (error) {
+    console.error('Error fetching business profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load the stored business profile into billingService
+ * Falls back to the built-in defaults when no profile is saved.
+ * @returns {Promise<Object>} Business info now used for billing
+ */
+export const loadBusinessProfile = async () => {
+  try {
+    const profile = await getBusinessProfile();
+    if (profile) {
+      updateBusinessInfo(profile);
+    }
+    return getBusinessInfo();
+  } catch (error) {
+    console.error('Error loading business profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the business profile (owner only)
+ * Issued bills keep the seller details they were generated with.
+ * @param {Object} profile - Business profile
+ * @param {string} updatedBy - Owner UID
+ * @returns {Promise<Object>} Saved profile
+ */
+export const saveBusinessProfile = async (profile, updatedBy) => {
+  try {
+    const validation = validateBusinessProfile(profile);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const clean = cleanProfile(profile);
+    await setDoc(doc(db, ...BUSINESS_PROFILE_PATH), {
+      ...clean,
+      updatedBy,
+      updatedAt: serverTimestamp()
+    });
+
+    updateBusinessInfo(clean);
+    return clean;
+  } catch (error) {
+    console.error('Error saving business profile:', error);
+    throw error;
+  }
+};
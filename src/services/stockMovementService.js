@@ -0,0 +1,321 @@
+/**
+ * STOCK MOVEMENT SERVICE
+ * ======================
+ * Append-only ledger of every stock change (stockMovements collection).
+ * Movements are written in the same transaction or batch as the stock
+ * update they describe, so the ledger and products never drift apart
+ * through partial writes. Summing a product's movements gives its stock.
+ */
+
+import { collection, doc, getDocs, query, where, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { getVariantLabel, getStockLineKey } from '../utils/variantUtils';
+
+// Why stock changed
+export const MOVEMENT_TYPES = {
+  OPENING: 'OPENING',
+  SALE: 'SALE',
+  RETURN: 'RETURN',
+  EXCHANGE: 'EXCHANGE',
+  RESTOCK: 'RESTOCK',
+  ADJUSTMENT: 'ADJUSTMENT',
+  TRANSFER: 'TRANSFER',
+  EXHIBITION_ISSUE: 'EXHIBITION_ISSUE',
+  EXHIBITION_RETURN: 'EXHIBITION_RETURN'
+};
+
+export const MOVEMENT_TYPE_LABELS = {
+  [MOVEMENT_TYPES.OPENING]: 'Opening balance',
+  [MOVEMENT_TYPES.SALE]: 'Sale',
+  [MOVEMENT_TYPES.RETURN]: 'Return',
+  [MOVEMENT_TYPES.EXCHANGE]: 'Exchange',
+  [MOVEMENT_TYPES.RESTOCK]: 'Restock',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'Adjustment',
+  [MOVEMENT_TYPES.TRANSFER]: 'Transfer',
+  [MOVEMENT_TYPES.EXHIBITION_ISSUE]: 'Exhibition issue',
+  [MOVEMENT_TYPES.EXHIBITION_RETURN]: 'Exhibition return'
+};
+
+// Firestore batches are limited to 500 writes
+const BATCH_LIMIT = 500;
+
+/**
+ * STOCK MOVEMENT SCHEMA
+ * =====================
+ * productId: string
+ * productName: string
+ * sku: string (variant SKU for variant lines)
+ * variantId: string | null
+ * variantLabel: string (e.g. "M / Navy")
+ * type: MOVEMENT_TYPES value
+ * quantity: number (signed change in units: negative = out)
+ * stockBefore: number (line stock before the change, all locations)
+ * stockAfter: number (line stock after the change, all locations)
+ * locationId: string | null (location the units moved in or out of; null on opening
+ *   balances recorded for stock that predates the ledger)
+ * userId: string
+ * userName: string
+ * reason: string
+ * referenceType: 'bill' | 'creditNote' | 'order' | 'product' | 'goodsReceipt' | 'exhibition' | 'stockTransfer' | 'stockTake' | null
+ * referenceId: string | null
+ * referenceNumber: string | null (bill / credit note / GRN number for display)
+ * createdAt: Timestamp
+ */
+
+// Stock line key used by the ledger (lives with the variant helpers so pure modules can share it)
+export { getStockLineKey };
+
+/**
+ * Build movement documents for one product's stock change
+ * A line's own reason (e.g. a stock take variance reason) replaces the movement's.
+ * @param {Object} change - { productId, productName, productSku, locationId, lines: [{ variantId, variantLabel, sku, delta, before, after, reason }] }
+ * @param {Object} movement - { type, reason, userId, userName, referenceType, referenceId, referenceNumber }
+ * @returns {Array} Movement documents (lines without a change are skipped)
+ */
+export const buildStockMovements = (change, movement) => {
+  if (!movement || !MOVEMENT_TYPES[movement.type]) {
+    throw new Error('Stock movement type is required');
+  }
+
+  return (change.lines || [])
+    .filter(line => line.delta !== 0)
+    .map(line => ({
+      productId: change.productId,
+      productName: change.productName || '',
+      sku: line.sku || change.productSku || '',
+      variantId: line.variantId || null,
+      variantLabel: line.variantLabel || '',
+      type: movement.type,
+      quantity: line.delta,
+      stockBefore: line.before,
+      stockAfter: line.after,
+      locationId: change.locationId || null,
+      userId: movement.userId || auth.currentUser?.uid || null,
+      userName: movement.userName || '',
+      reason: line.reason || movement.reason || '',
+      referenceType: movement.referenceType || null,
+      referenceId: movement.referenceId || null,
+      referenceNumber: movement.referenceNumber || null,
+      createdAt: serverTimestamp()
+    }));
+};
+
+/**
+ * Write movements for a set of stock changes
+ * Works with a transaction or a write batch (both expose set()).
+ * @param {Object} writer - Firestore transaction or WriteBatch
+ * @param {Array} changes - Stock changes with lines (see buildStockMovements)
+ * @param {Object} movement - Movement context
+ * @returns {number} Number of movements written
+ */
+export const writeStockMovements = (writer, changes, movement) => {
+  const movements = changes.flatMap(change => buildStockMovements(change, movement));
+  movements.forEach(movementDoc => {
+    writer.set(doc(collection(db, 'stockMovements')), movementDoc);
+  });
+  return movements.length;
+};
+
+/**
+ * Lines for a product whose stock is being set to new values
+ * Compares stock per variant (or the style total without variants);
+ * variants that disappear are booked out and new variants booked in.
+ * @param {Object} before - Product data before ({ stockQty, variants })
+ * @param {Object} after - Product data after ({ stockQty, variants })
+ * @returns {Array} Lines { variantId, variantLabel, sku, delta, before, after }
+ */
+export const diffStockLines = (before, after) => {
+  const toLines = (product) => {
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variants.length === 0) {
+      return [{ variantId: null, variantLabel: '', sku: product.sku, stock: product.stockQty || 0 }];
+    }
+    return variants.map(variant => ({
+      variantId: variant.id,
+      variantLabel: getVariantLabel(variant),
+      sku: variant.sku,
+      stock: variant.stockQty || 0
+    }));
+  };
+
+  const beforeLines = toLines(before);
+  const afterLines = toLines(after);
+  const keys = [...new Set([...beforeLines, ...afterLines].map(line => line.variantId || ''))];
+
+  return keys.map(key => {
+    const oldLine = beforeLines.find(line => (line.variantId || '') === key);
+    const newLine = afterLines.find(line => (line.variantId || '') === key);
+    const line = newLine || oldLine;
+    const oldStock = oldLine ? oldLine.stock : 0;
+    const newStock = newLine ? newLine.stock : 0;
+
+    return {
+      variantId: line.variantId,
+      variantLabel: line.variantLabel,
+      sku: line.sku,
+      delta: newStock - oldStock,
+      before: oldStock,
+      after: newStock
+    };
+  });
+};
+
+/**
+ * Get the movement history of a product (Owner only)
+ * Sorted newest first on the client to avoid a composite index.
+ * @param {string} productId - Product document ID
+ * @returns {Promise<Array>} Movements with IDs
+ */
+export const getProductMovements = async (productId) => {
+  try {
+    const snapshot = await getDocs(query(collection(db, 'stockMovements'), where('productId', '==', productId)));
+
+    return snapshot.docs
+      .map(movementDoc => ({ id: movementDoc.id, ...movementDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    throw error;
+  }
+};
+
+/**
+ * Current stock lines of a product (one per variant, or one for the style)
+ * @param {Object} product - Product
+ * @returns {Array} { key, variantId, variantLabel, sku, stockQty }
+ */
+const getProductStockLines = (product) => {
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  if (variants.length === 0) {
+    return [{ key: getStockLineKey(product.id, null), variantId: null, variantLabel: '', sku: product.sku, stockQty: product.stockQty || 0 }];
+  }
+
+  return variants.map(variant => ({
+    key: getStockLineKey(product.id, variant.id),
+    variantId: variant.id,
+    variantLabel: getVariantLabel(variant),
+    sku: variant.sku,
+    stockQty: variant.stockQty || 0
+  }));
+};
+
+/**
+ * Reconcile the ledger against current stock (Owner only)
+ * Sums every movement per product/variant and compares it to the stock on
+ * the product. Lines with movements but no current stock line (deleted
+ * variants) are reported too.
+ * A line without an OPENING movement is owed one for the stock it had
+ * before its first movement (its stockBefore), or for all its stock if it
+ * has no movements. That stock is listed under missingOpening, not as a
+ * mismatch, even when the line has sold since the ledger started.
+ * @param {Array} products - Products (from getAllProducts)
+ * @returns {Promise<Object>} { lines, mismatches, missingOpening, movementCount }
+ */
+export const reconcileStockLedger = async (products) => {
+  try {
+    const snapshot = await getDocs(collection(db, 'stockMovements'));
+    const ledger = {};
+
+    snapshot.docs.forEach(movementDoc => {
+      const movement = movementDoc.data();
+      const key = getStockLineKey(movement.productId, movement.variantId);
+      const entry = ledger[key] || (ledger[key] = { total: 0, count: 0, hasOpening: false, movement, first: movement });
+      entry.total += movement.quantity || 0;
+      entry.count += 1;
+      if (movement.type === MOVEMENT_TYPES.OPENING) entry.hasOpening = true;
+      if ((movement.createdAt?.toMillis?.() || 0) < (entry.first.createdAt?.toMillis?.() || 0)) entry.first = movement;
+    });
+
+    // Stock on the line before the ledger started, not yet booked
+    const getPendingOpening = (entry, stockQty) => {
+      if (!entry) return stockQty;
+      return entry.hasOpening ? 0 : (entry.first.stockBefore || 0);
+    };
+
+    const lines = products.flatMap(product => getProductStockLines(product).map(line => {
+      const entry = ledger[line.key];
+      const openingQty = getPendingOpening(entry, line.stockQty);
+      return {
+        productId: product.id,
+        productName: product.name,
+        sku: line.sku,
+        variantId: line.variantId,
+        variantLabel: line.variantLabel,
+        stockQty: line.stockQty,
+        ledgerQty: entry ? entry.total : 0,
+        movementCount: entry ? entry.count : 0,
+        openingQty,
+        difference: line.stockQty - (entry ? entry.total : 0) - openingQty
+      };
+    }));
+
+    // Ledger lines whose product or variant no longer exists
+    const knownKeys = new Set(lines.map(line => getStockLineKey(line.productId, line.variantId)));
+    Object.entries(ledger)
+      .filter(([key, entry]) => !knownKeys.has(key) && entry.total !== 0)
+      .forEach(([, entry]) => {
+        lines.push({
+          productId: entry.movement.productId,
+          productName: entry.movement.productName,
+          sku: entry.movement.sku,
+          variantId: entry.movement.variantId,
+          variantLabel: entry.movement.variantLabel,
+          stockQty: 0,
+          ledgerQty: entry.total,
+          movementCount: entry.count,
+          openingQty: 0,
+          difference: -entry.total
+        });
+      });
+
+    return {
+      lines,
+      mismatches: lines.filter(line => line.difference !== 0),
+      missingOpening: lines.filter(line => line.openingQty !== 0),
+      movementCount: snapshot.size
+    };
+  } catch (error) {
+    console.error('Error reconciling stock ledger:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record opening balances for stock lines that have none yet
+ * Books each line's openingQty: the stock it had before the ledger started.
+ * @param {Array} missingLines - missingOpening lines from reconcileStockLedger
+ * @param {Object} performedBy - { userId, userName }
+ * @returns {Promise<number>} Number of opening movements written
+ */
+export const recordOpeningBalances = async (missingLines, performedBy = {}) => {
+  try {
+    for (let index = 0; index < missingLines.length; index += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+
+      writeStockMovements(batch, missingLines.slice(index, index + BATCH_LIMIT).map(line => ({
+        productId: line.productId,
+        productName: line.productName,
+        lines: [{
+          variantId: line.variantId,
+          sku: line.sku,
+          variantLabel: line.variantLabel,
+          delta: line.openingQty,
+          before: 0,
+          after: line.openingQty
+        }]
+      })), {
+        type: MOVEMENT_TYPES.OPENING,
+        reason: 'Stock on hand when the ledger was started',
+        userId: performedBy.userId,
+        userName: performedBy.userName
+      });
+
+      await batch.commit();
+    }
+
+    return missingLines.length;
+  } catch (error) {
+    console.error('Error recording opening balances:', error);
+    throw error;
+  }
+};
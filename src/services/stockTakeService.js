@@ -0,0 +1,495 @@
+/**
+ * STOCK TAKE SERVICE
+ * ==================
+ * Physical stock counts (stockTakes collection). The owner opens a stock
+ * take for one location, optionally limited to a category, which freezes
+ * the expected quantity of every stock line at that moment. Staff count
+ * into the shared counts subcollection: each scan adds one unit, typing a
+ * number replaces the count. The owner then reviews the variances and
+ * posts the approved ones, with a reason, as ADJUSTMENT movements.
+ *
+ * Variances are counted against the frozen snapshot and posted as a
+ * change to current stock, so sales made while the count was running are
+ * not counted twice.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  setDoc,
+  runTransaction,
+  increment,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getFinancialYear } from './invoiceNumberService';
+import { getAllProducts, readStockChanges, writeStockChanges } from './productService';
+import { MOVEMENT_TYPES, getStockLineKey } from './stockMovementService';
+import { getLocationProducts, getLocationStock } from '../utils/locationUtils';
+import { getUnitCost, getVariantLabel } from '../utils/variantUtils';
+
+export const STOCK_TAKE_STATUS = {
+  COUNTING: 'counting',
+  POSTED: 'posted',
+  CANCELLED: 'cancelled'
+};
+
+export const STOCK_TAKE_STATUS_LABELS = {
+  [STOCK_TAKE_STATUS.COUNTING]: 'Counting',
+  [STOCK_TAKE_STATUS.POSTED]: 'Posted',
+  [STOCK_TAKE_STATUS.CANCELLED]: 'Cancelled'
+};
+
+// Reasons offered when approving a variance (recorded on the ledger movement)
+export const VARIANCE_REASONS = [
+  'Miscount in records',
+  'Damaged',
+  'Theft / shrinkage',
+  'Found stock',
+  'Sold without a bill',
+  'Other'
+];
+
+/**
+ * STOCK TAKE SCHEMA
+ * =================
+ * stockTakeNumber: string (e.g. ST/26-27/00001)
+ * locationId / locationName: string (location being counted)
+ * category: string | null (null = all categories)
+ * status: STOCK_TAKE_STATUS value
+ * lines: Array of { productId, variantId, productName, variantLabel, sku, barcode, expectedQty, unitCost }
+ *   (snapshot taken when the stock take starts)
+ * expectedQty: number (snapshot total)
+ * notes: string
+ * adjustments: Array of { productId, variantId, productName, variantLabel, sku, expectedQty, countedQty,
+ *   varianceQty, reason } (set when posted)
+ * createdBy / createdByName: string
+ * closedBy / closedByName: string (posted or cancelled by)
+ * createdAt / closedAt / updatedAt: Timestamp
+ *
+ * COUNT SCHEMA (stockTakes/{id}/counts/{line key})
+ * ============
+ * productId: string
+ * variantId: string | null
+ * countedQty: number
+ * countedBy / countedByName: string (last person to count the line)
+ * updatedAt: Timestamp
+ */
+
+/**
+ * Key of a stock take line (also the ID of its count document)
+ * @param {Object} line - { productId, variantId }
+ * @returns {string} Line key
+ */
+export const getStockTakeLineKey = (line) => getStockLineKey(line.productId, line.variantId);
+
+/**
+ * Freeze the expected stock of a location into stock take lines
+ * Inactive products are left out unless they still hold stock there.
+ * @param {Array} products - All products
+ * @param {string} locationId - Location being counted
+ * @param {string|null} category - Category to count (null for all)
+ * @returns {Array} Lines sorted by product name then variant
+ */
+export const buildStockTakeLines = (products, locationId, category = null) => {
+  return products
+    .filter(product => !category || product.category === category)
+    .filter(product => product.isActive || getLocationProducts([product], locationId)[0].stockQty > 0)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(product => {
+      const variants = Array.isArray(product.variants) ? product.variants : [];
+      const lineFor = (stockLine, variant) => ({
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        productName: product.name,
+        variantLabel: variant ? getVariantLabel(variant) : '',
+        sku: (variant ? variant.sku : product.sku) || '',
+        barcode: (variant ? variant.barcode : product.barcode) || '',
+        expectedQty: getLocationStock(stockLine, locationId),
+        unitCost: getUnitCost(product, variant ? variant.id : null)
+      });
+
+      return variants.length === 0
+        ? [lineFor(product, null)]
+        : variants.map(variant => lineFor(variant, variant));
+    });
+};
+
+/**
+ * Counts keyed by line key
+ * @param {string} stockTakeId - Stock take document ID
+ * @returns {Promise<Object>} Line key -> count document
+ */
+export const getStockTakeCounts = async (stockTakeId) => {
+  try {
+    const snapshot = await getDocs(collection(db, 'stockTakes', stockTakeId, 'counts'));
+    return Object.fromEntries(snapshot.docs.map(countDoc => [countDoc.id, countDoc.data()]));
+  } catch (error) {
+    console.error('Error fetching stock take counts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Variance sheet for a stock take
+ * Lines nobody counted have countedQty and varianceQty null.
+ * @param {Object} stockTake - Stock take
+ * @param {Object} counts - Line key -> count (from getStockTakeCounts)
+ * @returns {Object} { lines: [{ ...line, key, countedQty, varianceQty, varianceValue, countedByName, adjustment }], totals }
+ */
+export const getVarianceSheet = (stockTake, counts) => {
+  const adjustments = Object.fromEntries((stockTake.adjustments || []).map(adjustment => [
+    getStockTakeLineKey(adjustment),
+    adjustment
+  ]));
+
+  const lines = stockTake.lines.map(line => {
+    const key = getStockTakeLineKey(line);
+    const count = counts[key];
+    const countedQty = count ? count.countedQty : null;
+    const varianceQty = countedQty === null ? null : countedQty - line.expectedQty;
+
+    return {
+      ...line,
+      key,
+      countedQty,
+      varianceQty,
+      varianceValue: varianceQty !== null && typeof line.unitCost === 'number' ? varianceQty * line.unitCost : null,
+      countedByName: count ? count.countedByName || '' : '',
+      adjustment: adjustments[key] || null
+    };
+  });
+
+  const counted = lines.filter(line => line.countedQty !== null);
+
+  return {
+    lines,
+    totals: {
+      lineCount: lines.length,
+      countedLines: counted.length,
+      expectedQty: lines.reduce((total, line) => total + line.expectedQty, 0),
+      countedQty: counted.reduce((total, line) => total + line.countedQty, 0),
+      shortQty: counted.reduce((total, line) => total + Math.max(0, -line.varianceQty), 0),
+      excessQty: counted.reduce((total, line) => total + Math.max(0, line.varianceQty), 0),
+      varianceValue: counted.reduce((total, line) => total + (line.varianceValue || 0), 0),
+      varianceLines: counted.filter(line => line.varianceQty !== 0).length
+    }
+  };
+};
+
+/**
+ * Read the next stock take number inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @returns {Promise<Object>} { counterRef, sequence, number, financialYear }
+ */
+const readStockTakeCounter = async (transaction) => {
+  const financialYear = getFinancialYear();
+  const counterRef = doc(db, 'stockTakeCounters', `ST_${financialYear.startYear}`);
+  const counterSnap = await transaction.get(counterRef);
+  const sequence = (counterSnap.exists() ? counterSnap.data().lastNumber || 0 : 0) + 1;
+
+  return {
+    counterRef,
+    sequence,
+    financialYear: financialYear.label,
+    number: `ST/${financialYear.label}/${String(sequence).padStart(5, '0')}`
+  };
+};
+
+/**
+ * Get all stock takes, newest first (Owner only)
+ * @returns {Promise<Array>} Stock takes with IDs
+ */
+export const getAllStockTakes = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'stockTakes'));
+    return snapshot.docs
+      .map(stockTakeDoc => ({ id: stockTakeDoc.id, ...stockTakeDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  } catch (error) {
+    console.error('Error fetching stock takes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stock takes still being counted at a location
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Array>} Open stock takes with IDs, newest first
+ */
+export const getOpenStockTakes = async (locationId) => {
+  try {
+    const q = query(collection(db, 'stockTakes'), where('status', '==', STOCK_TAKE_STATUS.COUNTING));
+    const snapshot = await getDocs(q);
+    return snapshot.docs
+      .map(stockTakeDoc => ({ id: stockTakeDoc.id, ...stockTakeDoc.data() }))
+      .filter(stockTake => stockTake.locationId === locationId)
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  } catch (error) {
+    console.error('Error fetching open stock takes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a stock take, freezing the expected quantities (Owner only)
+ * A location can only have one stock take counting at a time.
+ * @param {Object} stockTakeData - { locationId, locationName, category, notes }
+ * @param {Object} createdBy - { userId, userName }
+ * @returns {Promise<Object>} { id, stockTakeNumber, lineCount }
+ */
+export const createStockTake = async (stockTakeData, createdBy) => {
+  try {
+    if (!stockTakeData.locationId) {
+      throw new Error('Select the location to count');
+    }
+
+    const [openStockTakes, products] = await Promise.all([
+      getOpenStockTakes(stockTakeData.locationId),
+      getAllProducts()
+    ]);
+
+    if (openStockTakes.length > 0) {
+      throw new Error(`${openStockTakes[0].stockTakeNumber} is still counting at ${stockTakeData.locationName}; post or cancel it first`);
+    }
+
+    const lines = buildStockTakeLines(products, stockTakeData.locationId, stockTakeData.category || null);
+    if (lines.length === 0) {
+      throw new Error('No products to count');
+    }
+
+    const stockTakeRef = doc(collection(db, 'stockTakes'));
+
+    const stockTakeNumber = await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      const allocation = await readStockTakeCounter(transaction);
+
+      // --- Writes ---
+      transaction.set(allocation.counterRef, {
+        financialYear: allocation.financialYear,
+        lastNumber: allocation.sequence,
+        updatedAt: serverTimestamp()
+      });
+
+      transaction.set(stockTakeRef, {
+        stockTakeNumber: allocation.number,
+        locationId: stockTakeData.locationId,
+        locationName: stockTakeData.locationName || '',
+        category: stockTakeData.category || null,
+        status: STOCK_TAKE_STATUS.COUNTING,
+        lines,
+        expectedQty: lines.reduce((total, line) => total + line.expectedQty, 0),
+        notes: (stockTakeData.notes || '').trim(),
+        createdBy: createdBy.userId,
+        createdByName: createdBy.userName || '',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      return allocation.number;
+    });
+
+    return { id: stockTakeRef.id, stockTakeNumber, lineCount: lines.length };
+  } catch (error) {
+    console.error('Error creating stock take:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add counted units to a line (one per scan)
+ * Counts from several people on the same line add up.
+ * @param {string} stockTakeId - Stock take document ID
+ * @param {Object} line - Stock take line { productId, variantId }
+ * @param {number} units - Units to add
+ * @param {Object} countedBy - { userId, userName }
+ * @returns {Promise<void>}
+ */
+export const addToCount = async (stockTakeId, line, units, countedBy) => {
+  try {
+    await setDoc(doc(db, 'stockTakes', stockTakeId, 'counts', getStockTakeLineKey(line)), {
+      productId: line.productId,
+      variantId: line.variantId || null,
+      countedQty: increment(units),
+      countedBy: countedBy.userId,
+      countedByName: countedBy.userName || '',
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error adding to stock count:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the count of a line (typed quantity or a recount)
+ * @param {string} stockTakeId - Stock take document ID
+ * @param {Object} line - Stock take line { productId, variantId }
+ * @param {number} countedQty - Units counted
+ * @param {Object} countedBy - { userId, userName }
+ * @returns {Promise<void>}
+ */
+export const setCount = async (stockTakeId, line, countedQty, countedBy) => {
+  try {
+    if (!Number.isInteger(countedQty) || countedQty < 0) {
+      throw new Error('Count must be a whole number of 0 or more');
+    }
+
+    await setDoc(doc(db, 'stockTakes', stockTakeId, 'counts', getStockTakeLineKey(line)), {
+      productId: line.productId,
+      variantId: line.variantId || null,
+      countedQty,
+      countedBy: countedBy.userId,
+      countedByName: countedBy.userName || '',
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error saving stock count:', error);
+    throw error;
+  }
+};
+
+/**
+ * Post approved variances to stock and close the stock take (Owner only)
+ * Counts are re-read inside the transaction, so the posted variance is
+ * the one counted at that moment. Lines without a count or a variance
+ * are skipped; unapproved variances stay on the report only.
+ * @param {string} stockTakeId - Stock take document ID
+ * @param {Object} approvals - Line key -> reason for each approved variance
+ * @param {Object} postedBy - { userId, userName }
+ * @returns {Promise<Object>} { adjustedLines, netQty }
+ */
+export const postStockTake = async (stockTakeId, approvals, postedBy) => {
+  try {
+    const stockTakeRef = doc(db, 'stockTakes', stockTakeId);
+
+    return await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      const stockTakeSnap = await transaction.get(stockTakeRef);
+      if (!stockTakeSnap.exists()) {
+        throw new Error('Stock take not found');
+      }
+
+      const stockTake = stockTakeSnap.data();
+      if (stockTake.status !== STOCK_TAKE_STATUS.COUNTING) {
+        throw new Error(`Stock take ${stockTake.stockTakeNumber} is ${STOCK_TAKE_STATUS_LABELS[stockTake.status].toLowerCase()}`);
+      }
+
+      const approvedLines = stockTake.lines.filter(line => approvals[getStockTakeLineKey(line)]);
+      const countSnaps = await Promise.all(approvedLines.map(line => (
+        transaction.get(doc(db, 'stockTakes', stockTakeId, 'counts', getStockTakeLineKey(line)))
+      )));
+
+      const adjustments = approvedLines
+        .map((line, index) => {
+          if (!countSnaps[index].exists()) return null;
+          const countedQty = countSnaps[index].data().countedQty;
+          return {
+            productId: line.productId,
+            variantId: line.variantId || null,
+            productName: line.productName,
+            variantLabel: line.variantLabel || '',
+            sku: line.sku || '',
+            expectedQty: line.expectedQty,
+            countedQty,
+            varianceQty: countedQty - line.expectedQty,
+            reason: approvals[getStockTakeLineKey(line)]
+          };
+        })
+        .filter(adjustment => adjustment && adjustment.varianceQty !== 0);
+
+      const stockChanges = await readStockChanges(transaction, adjustments.map(adjustment => ({
+        productId: adjustment.productId,
+        variantId: adjustment.variantId,
+        delta: adjustment.varianceQty
+      })), stockTake.locationId);
+
+      const missing = stockChanges.find(change => !change.exists);
+      if (missing) {
+        throw new Error(`Product ${missing.productId} no longer exists; leave its lines unapproved`);
+      }
+
+      stockChanges.forEach(change => {
+        const [shortage] = change.shortages || [];
+        if (shortage) {
+          throw new Error(`${shortage.label}: only ${shortage.available} left at ${stockTake.locationName}, cannot book ${shortage.requested} short; recount the line`);
+        }
+      });
+
+      // Each ledger line carries the reason its variance was approved with
+      const reasons = Object.fromEntries(adjustments.map(adjustment => [getStockTakeLineKey(adjustment), adjustment.reason]));
+      const reasonedChanges = stockChanges.map(change => ({
+        ...change,
+        lines: (change.lines || []).map(line => ({
+          ...line,
+          reason: `Stock take: ${reasons[getStockLineKey(change.productId, line.variantId)] || 'variance'}`
+        }))
+      }));
+
+      // --- Writes ---
+      writeStockChanges(transaction, reasonedChanges, {
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        userId: postedBy.userId,
+        userName: postedBy.userName,
+        referenceType: 'stockTake',
+        referenceId: stockTakeId,
+        referenceNumber: stockTake.stockTakeNumber
+      });
+
+      transaction.update(stockTakeRef, {
+        status: STOCK_TAKE_STATUS.POSTED,
+        adjustments,
+        closedBy: postedBy.userId,
+        closedByName: postedBy.userName || '',
+        closedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      return {
+        adjustedLines: adjustments.length,
+        netQty: adjustments.reduce((total, adjustment) => total + adjustment.varianceQty, 0)
+      };
+    });
+  } catch (error) {
+    console.error('Error posting stock take:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a stock take without changing stock (Owner only)
+ * @param {string} stockTakeId - Stock take document ID
+ * @param {Object} cancelledBy - { userId, userName }
+ * @returns {Promise<void>}
+ */
+export const cancelStockTake = async (stockTakeId, cancelledBy) => {
+  try {
+    const stockTakeRef = doc(db, 'stockTakes', stockTakeId);
+
+    await runTransaction(db, async (transaction) => {
+      const stockTakeSnap = await transaction.get(stockTakeRef);
+      if (!stockTakeSnap.exists()) {
+        throw new Error('Stock take not found');
+      }
+
+      const stockTake = stockTakeSnap.data();
+      if (stockTake.status !== STOCK_TAKE_STATUS.COUNTING) {
+        throw new Error(`Stock take ${stockTake.stockTakeNumber} is ${STOCK_TAKE_STATUS_LABELS[stockTake.status].toLowerCase()}`);
+      }
+
+      transaction.update(stockTakeRef, {
+        status: STOCK_TAKE_STATUS.CANCELLED,
+        closedBy: cancelledBy.userId,
+        closedByName: cancelledBy.userName || '',
+        closedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+    });
+  } catch (error) {
+    console.error('Error cancelling stock take:', error);
+    throw error;
+  }
+};
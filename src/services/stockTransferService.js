@@ -0,0 +1,308 @@
+/**
+ * STOCK TRANSFER SERVICE
+ * ======================
+ * Stock moving between locations (stockTransfers collection, Owner only).
+ * Dispatching takes the units out of the source location as TRANSFER
+ * movements and the transfer stays in transit until the destination
+ * receives it, which books the units in there. Cancelling an in-transit
+ * transfer puts the units back at the source. Units in transit are held
+ * at no location, so they are reported from the open transfers.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getFinancialYear } from './invoiceNumberService';
+import { readStockChanges, readStockDeductions, writeStockChanges } from './productService';
+import { MOVEMENT_TYPES, getStockLineKey } from './stockMovementService';
+
+export const TRANSFER_STATUS = {
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+export const TRANSFER_STATUS_LABELS = {
+  [TRANSFER_STATUS.IN_TRANSIT]: 'In transit',
+  [TRANSFER_STATUS.RECEIVED]: 'Received',
+  [TRANSFER_STATUS.CANCELLED]: 'Cancelled'
+};
+
+/**
+ * STOCK TRANSFER SCHEMA
+ * =====================
+ * transferNumber: string (e.g. TRF/26-27/00001)
+ * fromLocationId / fromLocationName: string
+ * toLocationId / toLocationName: string
+ * status: TRANSFER_STATUS value
+ * items: Array of { productId, variantId, productName, variantLabel, sku, quantity }
+ * totalQty: number
+ * notes: string
+ * createdBy / createdByName: string (dispatched by)
+ * closedBy / closedByName: string (received or cancelled by)
+ * createdAt / closedAt / updatedAt: Timestamp
+ */
+
+/**
+ * Validate a transfer before dispatch
+ * @param {Object} transferData - { fromLocationId, toLocationId, items: [{ productId, variantId, quantity }] }
+ * @returns {Object} { valid, errors }
+ */
+export const validateTransfer = (transferData) => {
+  const errors = [];
+
+  if (!transferData.fromLocationId || !transferData.toLocationId) {
+    errors.push('Select the locations to transfer from and to');
+  } else if (transferData.fromLocationId === transferData.toLocationId) {
+    errors.push('Transfer to a different location');
+  }
+
+  const items = transferData.items || [];
+  if (items.length === 0) {
+    errors.push('Add at least one item');
+  }
+
+  items.forEach(item => {
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      const label = item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName;
+      errors.push(`${label}: quantity must be a positive whole number`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Units in transit per stock line across open transfers
+ * @param {Array} transfers - Transfers (from getAllTransfers)
+ * @returns {Object} Line key (getStockLineKey) -> units in transit
+ */
+export const getInTransitQuantities = (transfers) => {
+  const quantities = {};
+  transfers
+    .filter(transfer => transfer.status === TRANSFER_STATUS.IN_TRANSIT)
+    .forEach(transfer => {
+      transfer.items.forEach(item => {
+        const key = getStockLineKey(item.productId, item.variantId);
+        quantities[key] = (quantities[key] || 0) + item.quantity;
+      });
+    });
+  return quantities;
+};
+
+/**
+ * Read the next transfer number inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @returns {Promise<Object>} { counterRef, sequence, number, financialYear }
+ */
+const readTransferCounter = async (transaction) => {
+  const financialYear = getFinancialYear();
+  const counterRef = doc(db, 'transferCounters', `TRF_${financialYear.startYear}`);
+  const counterSnap = await transaction.get(counterRef);
+  const sequence = (counterSnap.exists() ? counterSnap.data().lastNumber || 0 : 0) + 1;
+
+  return {
+    counterRef,
+    sequence,
+    financialYear: financialYear.label,
+    number: `TRF/${financialYear.label}/${String(sequence).padStart(5, '0')}`
+  };
+};
+
+/**
+ * Get all transfers, newest first
+ * @returns {Promise<Array>} Transfers with IDs
+ */
+export const getAllTransfers = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'stockTransfers'));
+    return snapshot.docs
+      .map(transferDoc => ({ id: transferDoc.id, ...transferDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  } catch (error) {
+    console.error('Error fetching stock transfers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Dispatch stock from one location to another
+ * The transfer, its number and the outgoing TRANSFER movements commit together.
+ * @param {Object} transferData - { fromLocationId, fromLocationName, toLocationId, toLocationName, items, notes }
+ * @param {Object} createdBy - { userId, userName }
+ * @returns {Promise<Object>} { id, transferNumber }
+ */
+export const createTransfer = async (transferData, createdBy) => {
+  try {
+    const validation = validateTransfer(transferData);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const transferRef = doc(collection(db, 'stockTransfers'));
+
+    const transferNumber = await runTransaction(db, async (transaction) => {
+      // --- Reads ---
+      const allocation = await readTransferCounter(transaction);
+      const dispatches = await readStockDeductions(transaction, transferData.items, transferData.fromLocationId);
+
+      const items = dispatches.flatMap(change => change.lines
+        .filter(line => line.delta < 0)
+        .map(line => ({
+          productId: change.productId,
+          variantId: line.variantId || null,
+          productName: change.productName,
+          variantLabel: line.variantLabel || '',
+          sku: line.sku || change.productSku || '',
+          quantity: -line.delta
+        })));
+
+      // --- Writes ---
+      transaction.set(allocation.counterRef, {
+        financialYear: allocation.financialYear,
+        lastNumber: allocation.sequence,
+        updatedAt: serverTimestamp()
+      });
+
+      writeStockChanges(transaction, dispatches, {
+        type: MOVEMENT_TYPES.TRANSFER,
+        reason: `Dispatched to ${transferData.toLocationName}`,
+        userId: createdBy.userId,
+        userName: createdBy.userName,
+        referenceType: 'stockTransfer',
+        referenceId: transferRef.id,
+        referenceNumber: allocation.number
+      });
+
+      transaction.set(transferRef, {
+        transferNumber: allocation.number,
+        fromLocationId: transferData.fromLocationId,
+        fromLocationName: transferData.fromLocationName || '',
+        toLocationId: transferData.toLocationId,
+        toLocationName: transferData.toLocationName || '',
+        status: TRANSFER_STATUS.IN_TRANSIT,
+        items,
+        totalQty: items.reduce((total, item) => total + item.quantity, 0),
+        notes: (transferData.notes || '').trim(),
+        createdBy: createdBy.userId,
+        createdByName: createdBy.userName || '',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      return allocation.number;
+    });
+
+    return { id: transferRef.id, transferNumber };
+  } catch (error) {
+    console.error('Error creating stock transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Book an in-transit transfer's units in at a location and close it
+ * @param {string} transferId - Transfer document ID
+ * @param {string} status - TRANSFER_STATUS.RECEIVED (into the destination) or CANCELLED (back to the source)
+ * @param {Object} closedBy - { userId, userName }
+ * @returns {Promise<void>}
+ */
+const closeTransfer = async (transferId, status, closedBy) => {
+  const transferRef = doc(db, 'stockTransfers', transferId);
+
+  await runTransaction(db, async (transaction) => {
+    // --- Reads ---
+    const transferSnap = await transaction.get(transferRef);
+    if (!transferSnap.exists()) {
+      throw new Error('Stock transfer not found');
+    }
+
+    const transfer = transferSnap.data();
+    if (transfer.status !== TRANSFER_STATUS.IN_TRANSIT) {
+      throw new Error(`Transfer ${transfer.transferNumber} is ${TRANSFER_STATUS_LABELS[transfer.status].toLowerCase()}`);
+    }
+
+    const isReceipt = status === TRANSFER_STATUS.RECEIVED;
+    const locationId = isReceipt ? transfer.toLocationId : transfer.fromLocationId;
+
+    const arrivals = await readStockChanges(transaction, transfer.items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      delta: item.quantity
+    })), locationId);
+
+    const missing = arrivals.find(change => !change.exists);
+    if (missing) {
+      throw new Error(`Product ${missing.productId} no longer exists`);
+    }
+
+    // A variant removed while the goods were on the road would be skipped
+    const unmatched = transfer.items.find(item => {
+      const change = arrivals.find(candidate => candidate.productId === item.productId);
+      return change.variants && !change.lines.some(stockLine => stockLine.variantId === item.variantId);
+    });
+    if (unmatched) {
+      const label = unmatched.variantLabel ? `${unmatched.productName} (${unmatched.variantLabel})` : unmatched.productName;
+      throw new Error(`${label} no longer matches the product's sizes/colours; edit the product first`);
+    }
+
+    // --- Writes ---
+    writeStockChanges(transaction, arrivals, {
+      type: MOVEMENT_TYPES.TRANSFER,
+      reason: isReceipt
+        ? `Received from ${transfer.fromLocationName}`
+        : `Transfer to ${transfer.toLocationName} cancelled`,
+      userId: closedBy.userId,
+      userName: closedBy.userName,
+      referenceType: 'stockTransfer',
+      referenceId: transferId,
+      referenceNumber: transfer.transferNumber
+    });
+
+    transaction.update(transferRef, {
+      status,
+      closedBy: closedBy.userId,
+      closedByName: closedBy.userName || '',
+      closedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+  });
+};
+
+/**
+ * Receive an in-transit transfer at its destination
+ * @param {string} transferId - Transfer document ID
+ * @param {Object} receivedBy - { userId, userName }
+ * @returns {Promise<void>}
+ */
+export const receiveTransfer = async (transferId, receivedBy) => {
+  try {
+    await closeTransfer(transferId, TRANSFER_STATUS.RECEIVED, receivedBy);
+  } catch (error) {
+    console.error('Error receiving stock transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel an in-transit transfer, returning its units to the source
+ * @param {string} transferId - Transfer document ID
+ * @param {Object} cancelledBy - { userId, userName }
+ * @returns {Promise<void>}
+ */
+export const cancelTransfer = async (transferId, cancelledBy) => {
+  try {
+    await closeTransfer(transferId, TRANSFER_STATUS.CANCELLED, cancelledBy);
+  } catch (error) {
+    console.error('Error cancelling stock transfer:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,139 @@
+/**
+ * SUPPLIER SERVICE
+ * ================
+ * Suppliers that purchase orders are raised against (Owner only).
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getGSTINError, normalizeGSTIN, validateEmail, validatePhone } from '../utils/validators';
+import { GST_STATES } from '../constants/gstStates';
+
+// Lead time assumed for suppliers that have none set
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+
+/**
+ * SUPPLIER SCHEMA
+ * ===============
+ * name: string (required)
+ * contactName: string
+ * phone: string (10 digits, optional)
+ * email: string (optional)
+ * gstin: string | null (optional; state code must match stateCode)
+ * stateCode: string (GST state code, required)
+ * address: string
+ * paymentTermsDays: number (credit period, default 0)
+ * leadTimeDays: number (days from order to delivery, used for reorder suggestions; default 7)
+ * isActive: boolean
+ * createdAt: Timestamp
+ * updatedAt: Timestamp
+ */
+
+/**
+ * Validate supplier data
+ * @param {Object} supplierData - Supplier fields
+ * @returns {Object} { valid, errors }
+ */
+export const validateSupplierData = (supplierData) => {
+  const errors = [];
+
+  if (!supplierData.name || supplierData.name.trim() === '') {
+    errors.push('Supplier name is required');
+  }
+
+  if (!GST_STATES[supplierData.stateCode]) {
+    errors.push('Select the supplier state');
+  }
+
+  if (supplierData.phone && !validatePhone(supplierData.phone)) {
+    errors.push('Phone must be 10 digits');
+  }
+
+  if (supplierData.email && !validateEmail(supplierData.email)) {
+    errors.push('Email is invalid');
+  }
+
+  if (supplierData.gstin) {
+    const gstinError = getGSTINError(supplierData.gstin);
+    if (gstinError) {
+      errors.push(gstinError);
+    } else if (normalizeGSTIN(supplierData.gstin).slice(0, 2) !== supplierData.stateCode) {
+      errors.push('GSTIN state code does not match the supplier state');
+    }
+  }
+
+  const paymentTermsDays = Number(supplierData.paymentTermsDays || 0);
+  if (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0) {
+    errors.push('Payment terms must be a whole number of days');
+  }
+
+  const leadTimeDays = Number(supplierData.leadTimeDays === undefined ? DEFAULT_LEAD_TIME_DAYS : supplierData.leadTimeDays);
+  if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+    errors.push('Lead time must be a whole number of days');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get all suppliers, sorted by name
+ * @returns {Promise<Array>} Suppliers with IDs
+ */
+export const getAllSuppliers = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'suppliers'));
+    return snapshot.docs
+      .map(supplierDoc => ({ id: supplierDoc.id, ...supplierDoc.data() }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a supplier
+ * @param {Object} supplierData - Supplier fields (with id to update)
+ * @returns {Promise<string>} Supplier document ID
+ */
+export const saveSupplier = async (supplierData) => {
+  try {
+    const validation = validateSupplierData(supplierData);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const supplierRef = supplierData.id
+      ? doc(db, 'suppliers', supplierData.id)
+      : doc(collection(db, 'suppliers'));
+
+    await setDoc(supplierRef, {
+      name: supplierData.name.trim(),
+      contactName: (supplierData.contactName || '').trim(),
+      phone: (supplierData.phone || '').trim(),
+      email: (supplierData.email || '').trim(),
+      gstin: supplierData.gstin ? normalizeGSTIN(supplierData.gstin) : null,
+      stateCode: supplierData.stateCode,
+      address: (supplierData.address || '').trim(),
+      paymentTermsDays: Number(supplierData.paymentTermsDays || 0),
+      leadTimeDays: Number(supplierData.leadTimeDays === undefined ? DEFAULT_LEAD_TIME_DAYS : supplierData.leadTimeDays),
+      isActive: supplierData.isActive !== undefined ? supplierData.isActive : true,
+      ...(supplierData.id ? {} : { createdAt: serverTimestamp() }),
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return supplierRef.id;
+  } catch (error) {
+    console.error('Error saving supplier:', error);
+    throw error;
+  }
+};
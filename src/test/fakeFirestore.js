@@ -0,0 +1,34 @@
+/**
+ * In-memory Firestore transactions for service tests
+ * Documents are kept by path in a Map; a transaction's writes apply when
+ * its update function returns. Field values such as increment() are stored
+ * as they are, so tests assert on plain fields.
+ */
+
+/**
+ * Run a transaction update function against documents in memory
+ * @param {Map} documents - Document data by path
+ * @param {Function} updateFunction - Same as for Firestore's runTransaction
+ * @returns {Promise<*>} Result of the update function
+ */
+export const runFakeTransaction = async (documents, updateFunction) => {
+  const writes = [];
+  const transaction = {
+    get: async (ref) => ({
+      id: ref.id,
+      ref,
+      exists: () => documents.has(ref.path),
+      data: () => documents.get(ref.path)
+    }),
+    set: (ref, data, options) => {
+      writes.push([ref.path, options && options.merge ? { ...documents.get(ref.path), ...data } : data]);
+    },
+    update: (ref, data) => {
+      writes.push([ref.path, { ...documents.get(ref.path), ...data }]);
+    }
+  };
+
+  const result = await updateFunction(transaction);
+  writes.forEach(([path, data]) => documents.set(path, data));
+  return result;
+};
@@ -0,0 +1,79 @@
+/**
+ * UTILITY: Backfill Sold Quantities on Old Bills
+ * ==============================================
+ * Returns are checked against the units a bill sold per product and stock
+ * line (soldQuantities). Bills saved before that was recorded cannot be
+ * returned against until this fills it in, along with the units already
+ * returned per product and stock line.
+ *
+ * HOW TO USE:
+ * 1. Open browser console on Owner Dashboard (signed in as the owner)
+ * 2. Copy and paste this entire script
+ * 3. Run: await backfillSoldQuantities()
+ * 4. Check console for results
+ */
+
+import { collection, getDocs, doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { getBillLineKey } from '../services/orderCalculationService';
+import { getStockLineQuantities } from './variantUtils';
+
+/**
+ * Add soldQuantities (and matching returnedQuantities) to bills without them
+ * @returns {Promise<Object>} { success, updated }
+ */
+export const backfillSoldQuantities = async () => {
+  try {
+    console.log('🔄 Starting sold quantities backfill...');
+
+    const billsSnapshot = await getDocs(collection(db, 'bills'));
+    const oldBills = billsSnapshot.docs.filter(billDoc => !billDoc.data().soldQuantities);
+    console.log(`🔍 Found ${oldBills.length} bills without sold quantities`);
+
+    if (oldBills.length === 0) {
+      console.log('✅ No bills to backfill!');
+      return { success: true, updated: 0 };
+    }
+
+    // Lines saved before productId was stored are matched to products by SKU
+    const productsSnapshot = await getDocs(collection(db, 'products'));
+    const productIdsBySku = {};
+    productsSnapshot.docs.forEach(productDoc => {
+      productIdsBySku[productDoc.data().sku] = productDoc.id;
+    });
+
+    let updated = 0;
+    for (const billDoc of oldBills) {
+      const bill = billDoc.data();
+      const previouslyReturned = bill.returnedQuantities || {};
+
+      const lines = (bill.lineItems || []).map(line => ({
+        ...line,
+        productId: line.productId || productIdsBySku[line.sku] || null,
+        // Returns recorded before line keys were keyed by SKU
+        returned: previouslyReturned[getBillLineKey(line)] || previouslyReturned[line.sku] || 0
+      }));
+
+      const returnedQuantities = {
+        ...previouslyReturned,
+        ...getStockLineQuantities(lines
+          .filter(line => line.returned > 0)
+          .map(line => ({ ...line, quantity: line.returned })))
+      };
+
+      await updateDoc(doc(db, 'bills', billDoc.id), {
+        soldQuantities: getStockLineQuantities(lines),
+        returnedQuantities,
+        updatedAt: serverTimestamp()
+      });
+      updated++;
+      console.log(`✅ ${bill.billNumber}`);
+    }
+
+    console.log(`🎉 Backfilled ${updated} bills`);
+    return { success: true, updated };
+  } catch (error) {
+    console.error('❌ Error backfilling sold quantities:', error);
+    throw error;
+  }
+};
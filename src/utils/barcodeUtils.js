@@ -0,0 +1,232 @@
+import { getSellableVariants, getVariantLabel, getVariantPrices, hasVariants } from './variantUtils';
+
+// Supported label symbologies
+export const BARCODE_TYPES = {
+  CODE128: 'CODE128',
+  EAN13: 'EAN13'
+};
+
+// Code 128 bar/space widths for symbol values 0-106 (106 = stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_CODE_B = 100;
+const CODE128_CODE_C = 99;
+const CODE128_STOP = 106;
+
+// EAN-13 digit encodings (L = odd parity, G = even parity, R = right half)
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// Left-half parity pattern chosen by the first digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// GS1 prefix 2 is reserved for in-store numbering
+const IN_STORE_EAN_PREFIX = '2';
+
+/**
+ * Convert a width pattern ("212222") to modules ("110110011001...")
+ * @param {string} pattern - Alternating bar/space widths, starting with a bar
+ * @returns {string} Module string
+ */
+const widthsToModules = (pattern) => {
+  return pattern.split('').map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width))).join('');
+};
+
+/**
+ * Encode text as Code 128
+ * Uses code set C for long digit runs and code set B for everything else.
+ * @param {string} text - Printable ASCII text
+ * @returns {string} Module string (1 = bar)
+ */
+export const encodeCode128 = (text) => {
+  const value = String(text || '');
+  if (!value || !/^[\x20-\x7e]+$/.test(value)) {
+    throw new Error('Code 128 labels support letters, digits and basic symbols only');
+  }
+
+  const symbols = [];
+  let codeSet = null;
+  let index = 0;
+
+  while (index < value.length) {
+    const digitRun = value.slice(index).match(/^\d+/);
+    const runLength = digitRun ? digitRun[0].length : 0;
+    // Set C pays off for 4+ digits (or the whole value when it is all digits)
+    const useC = runLength >= 4 || (runLength >= 2 && runLength === value.length - index && codeSet === CODE128_CODE_C);
+
+    if (useC) {
+      if (codeSet !== CODE128_CODE_C) {
+        symbols.push(codeSet === null ? CODE128_START_C : CODE128_CODE_C);
+        codeSet = CODE128_CODE_C;
+      }
+      const pairs = Math.floor(runLength / 2);
+      for (let pair = 0; pair < pairs; pair++) {
+        symbols.push(Number(value.substr(index, 2)));
+        index += 2;
+      }
+      continue;
+    }
+
+    if (codeSet !== CODE128_CODE_B) {
+      symbols.push(codeSet === null ? CODE128_START_B : CODE128_CODE_B);
+      codeSet = CODE128_CODE_B;
+    }
+    symbols.push(value.charCodeAt(index) - 32);
+    index += 1;
+  }
+
+  const checksum = symbols.reduce((total, symbol, position) => total + symbol * (position === 0 ? 1 : position), 0) % 103;
+
+  return [...symbols, checksum, CODE128_STOP]
+    .map(symbol => widthsToModules(CODE128_PATTERNS[symbol]))
+    .join('');
+};
+
+/**
+ * EAN-13 check digit for the first 12 digits
+ * @param {string} digits - 12 digits
+ * @returns {number} Check digit
+ */
+export const getEAN13CheckDigit = (digits) => {
+  const sum = digits.slice(0, 12).split('').reduce((total, digit, index) => {
+    return total + Number(digit) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check whether a value is a valid EAN-13 (13 digits with a correct check digit)
+ * @param {string} value - Candidate barcode
+ * @returns {boolean} True if valid
+ */
+export const isValidEAN13 = (value) => {
+  return /^\d{13}$/.test(value || '') && getEAN13CheckDigit(value) === Number(value[12]);
+};
+
+/**
+ * Encode an EAN-13 barcode
+ * @param {string} value - 12 digits (check digit added) or 13 digits
+ * @returns {string} 95-module string
+ */
+export const encodeEAN13 = (value) => {
+  const digits = String(value || '');
+  if (!/^\d{12,13}$/.test(digits)) {
+    throw new Error('EAN-13 needs 12 or 13 digits');
+  }
+
+  const fullCode = digits.length === 12 ? `${digits}${getEAN13CheckDigit(digits)}` : digits;
+  if (!isValidEAN13(fullCode)) {
+    throw new Error(`Invalid EAN-13 check digit in ${fullCode}`);
+  }
+
+  const parity = EAN_PARITY[Number(fullCode[0])];
+  const left = fullCode.slice(1, 7).split('').map((digit, index) => (
+    parity[index] === 'L' ? EAN_L[digit] : EAN_G[digit]
+  )).join('');
+  const right = fullCode.slice(7).split('').map(digit => EAN_R[digit]).join('');
+
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Pick the symbology for a barcode value
+ * Valid EAN-13 numbers print as EAN-13; anything else (SKUs) as Code 128.
+ * @param {string} value - Barcode value
+ * @returns {string} BARCODE_TYPES value
+ */
+export const getBarcodeType = (value) => {
+  return isValidEAN13(value) ? BARCODE_TYPES.EAN13 : BARCODE_TYPES.CODE128;
+};
+
+/**
+ * Encode a barcode value
+ * @param {string} value - Barcode value
+ * @param {string} type - BARCODE_TYPES value (defaults to getBarcodeType)
+ * @returns {Object} { type, value, modules }
+ */
+export const encodeBarcode = (value, type = getBarcodeType(value)) => {
+  return {
+    type,
+    value,
+    modules: type === BARCODE_TYPES.EAN13 ? encodeEAN13(value) : encodeCode128(value)
+  };
+};
+
+/**
+ * Generate in-store EAN-13 numbers (prefix 2) for items without a barcode
+ * @param {number} count - How many numbers to generate
+ * @returns {Array<string>} 13-digit EAN codes
+ */
+export const generateInStoreEAN13 = (count = 1) => {
+  // Time-based body keeps numbers from separate sessions apart
+  const seed = (Date.now() % 1e9) * 100;
+
+  return Array.from({ length: count }, (_, index) => {
+    const body = `${IN_STORE_EAN_PREFIX}${String((seed + index) % 1e11).padStart(11, '0')}`;
+    return `${body}${getEAN13CheckDigit(body)}`;
+  });
+};
+
+/**
+ * Value printed on a product/variant label
+ * The stored barcode wins; otherwise the SKU is printed as Code 128.
+ * @param {Object} item - Product or variant ({ barcode, sku })
+ * @returns {string} Barcode value
+ */
+export const getLabelBarcodeValue = (item) => {
+  return (item.barcode || '').trim() || item.sku;
+};
+
+/**
+ * MRP printed on a label (GST-inclusive list price, before any sale)
+ * @param {Object} product - Product
+ * @param {Object} variant - Variant (optional)
+ * @returns {number} MRP in rupees
+ */
+export const getLabelMRP = (product, variant = null) => {
+  const { basePrice } = getVariantPrices(product, variant);
+  const mrp = product.isTaxInclusive ? basePrice : basePrice * (1 + (product.gstRate || 0) / 100);
+  return Math.round(mrp * 100) / 100;
+};
+
+/**
+ * One label row per sellable variant (or per product without variants)
+ * @param {Array} products - Products
+ * @returns {Array} { key, productId, variantId, name, variantLabel, sku, barcode, mrp, stockQty }
+ */
+export const buildLabelItems = (products) => {
+  return products.flatMap(product => {
+    const items = hasVariants(product) ? getSellableVariants(product) : [null];
+
+    return items.map(variant => {
+      const source = variant || product;
+      return {
+        key: variant ? `${product.id}:${variant.id}` : product.id,
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        name: product.name,
+        variantLabel: getVariantLabel(variant),
+        sku: source.sku,
+        barcode: getLabelBarcodeValue(source),
+        mrp: getLabelMRP(product, variant),
+        stockQty: source.stockQty || 0
+      };
+    });
+  });
+};
@@ -0,0 +1,290 @@
+import { getGSTSummary } from '../services/billingService';
+import { isInterStateBill } from '../services/orderCalculationService';
+import { getBillUPIPaymentURI, getBillDueAmount } from './upiUtils';
+import { PAYMENT_MODE_LABELS } from '../services/paymentService';
+
+// Receipt paper widths (mm) and characters per line in font A
+export const PAPER_WIDTHS = {
+  MM_58: 58,
+  MM_80: 80
+};
+
+const CHARS_PER_LINE = {
+  [PAPER_WIDTHS.MM_58]: 32,
+  [PAPER_WIDTHS.MM_80]: 48
+};
+
+// ESC/POS control bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+/**
+ * Printers use a single-byte code page; keep receipts ASCII
+ * @param {string} text - Any text
+ * @returns {string} ASCII-only text
+ */
+const toPrintable = (text) => String(text === null || text === undefined ? '' : text)
+  .replace(/₹/g, 'Rs.')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+const formatAmount = (amount) => (Number(amount) || 0).toFixed(2);
+
+/**
+ * Format a bill date in IST as dd/mm/yyyy hh:mm
+ * @param {*} dateValue - Firestore Timestamp, ISO string or Date
+ * @returns {string} Formatted date
+ */
+const formatReceiptDate = (dateValue) => {
+  if (!dateValue) return '';
+
+  const date = typeof dateValue.toDate === 'function' ? dateValue.toDate() : new Date(dateValue);
+  if (isNaN(date.getTime())) return '';
+
+  // Convert to IST manually (UTC + 5:30)
+  const istDate = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${pad(istDate.getUTCDate())}/${pad(istDate.getUTCMonth() + 1)}/${istDate.getUTCFullYear()} ` +
+    `${pad(istDate.getUTCHours())}:${pad(istDate.getUTCMinutes())}`;
+};
+
+/**
+ * Word-wrap text to a column width
+ * @param {string} text - Text
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Lines
+ */
+const wrapText = (text, width) => {
+  const lines = [];
+  let current = '';
+
+  toPrintable(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines;
+};
+
+/**
+ * Create an ESC/POS command builder for a paper width
+ * @param {number} paperWidth - PAPER_WIDTHS value
+ * @returns {Object} Builder with chainable commands and toBytes()
+ */
+export const createEscPosBuilder = (paperWidth = PAPER_WIDTHS.MM_80) => {
+  const columns = CHARS_PER_LINE[paperWidth] || CHARS_PER_LINE[PAPER_WIDTHS.MM_80];
+  const bytes = [ESC, 0x40]; // ESC @ initialise
+
+  const pushText = (text) => {
+    for (const char of toPrintable(text)) {
+      bytes.push(char.charCodeAt(0));
+    }
+  };
+
+  const builder = {
+    columns,
+
+    align(position) {
+      bytes.push(ESC, 0x61, ALIGN[position] || ALIGN.left);
+      return builder;
+    },
+
+    bold(enabled) {
+      bytes.push(ESC, 0x45, enabled ? 1 : 0);
+      return builder;
+    },
+
+    // Double width and height for headings
+    large(enabled) {
+      bytes.push(GS, 0x21, enabled ? 0x11 : 0x00);
+      return builder;
+    },
+
+    line(text = '') {
+      pushText(text);
+      bytes.push(LF);
+      return builder;
+    },
+
+    wrapped(text, width = columns) {
+      wrapText(text, width).forEach(line => builder.line(line));
+      return builder;
+    },
+
+    // Label on the left, value right-aligned on the same line
+    pair(label, value) {
+      const left = toPrintable(label);
+      const right = toPrintable(value).slice(0, columns);
+
+      // Too long for one line: label, then the value right-aligned below
+      if (left.length + right.length + 1 > columns && right.length > columns / 2) {
+        return builder.line(left.slice(0, columns)).line(right.padStart(columns));
+      }
+
+      const leftWidth = columns - right.length - 1;
+      return builder.line(`${left.slice(0, leftWidth).padEnd(leftWidth)} ${right}`);
+    },
+
+    separator(char = '-') {
+      return builder.line(char.repeat(columns));
+    },
+
+    feed(lines = 1) {
+      bytes.push(ESC, 0x64, lines);
+      return builder;
+    },
+
+    /**
+     * Print a QR code (GS ( k, model 2)
+     * @param {string} data - QR payload
+     * @param {number} moduleSize - Dot size 1-16
+     */
+    qr(data, moduleSize = 6) {
+      const payload = Array.from(toPrintable(data), char => char.charCodeAt(0));
+      const storeLength = payload.length + 3;
+
+      bytes.push(GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00); // model 2
+      bytes.push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize); // module size
+      bytes.push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31); // error correction M
+      bytes.push(GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30, ...payload);
+      bytes.push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30); // print
+      bytes.push(LF);
+      return builder;
+    },
+
+    // Feed past the cutter and partial cut
+    cut() {
+      bytes.push(GS, 0x56, 0x42, 0x03);
+      return builder;
+    },
+
+    toBytes() {
+      return new Uint8Array(bytes);
+    }
+  };
+
+  return builder;
+};
+
+/**
+ * Encode a bill or credit note as an ESC/POS receipt
+ * @param {Object} bill - Bill object from generateBill (or saved bill/credit note)
+ * @param {Object} options - { paperWidth }
+ * @returns {Uint8Array} Printer bytes
+ */
+export const encodeReceipt = (bill, { paperWidth = PAPER_WIDTHS.MM_80 } = {}) => {
+  if (!bill || !bill.lineItems || bill.lineItems.length === 0) {
+    throw new Error('Bill has no line items');
+  }
+
+  const isCreditNote = bill.documentType === 'CREDIT_NOTE';
+  const isInterState = isInterStateBill(bill);
+  const seller = bill.seller || {};
+  const totals = bill.totals || {};
+  const receipt = createEscPosBuilder(paperWidth);
+  const { columns } = receipt;
+
+  // --- Header ---
+  receipt.align('center').bold(true).large(true).wrapped(seller.businessName || '', Math.floor(columns / 2))
+    .large(false).bold(false);
+  receipt.wrapped(seller.storeAddress || '');
+  if (seller.phone) receipt.line(`Ph: ${seller.phone}`);
+  receipt.line(`GSTIN: ${seller.gstin || ''}`);
+  receipt.bold(true).line(isCreditNote ? 'CREDIT NOTE' : bill.isProvisional ? 'PROVISIONAL BILL' : 'TAX INVOICE').bold(false);
+  receipt.align('left').separator();
+
+  receipt.pair(isCreditNote ? 'CN No' : 'Bill No', isCreditNote ? bill.creditNoteNumber : bill.billNumber);
+  receipt.pair('Date', formatReceiptDate(isCreditNote ? bill.creditNoteDate : bill.billDate));
+  if (isCreditNote) receipt.pair('Against', bill.originalBillNumber || '');
+  if (bill.placeOfSupply) receipt.pair('Place of Supply', `${bill.placeOfSupply.stateName} (${bill.placeOfSupply.stateCode})`);
+  receipt.pair('Customer', bill.customer?.name || '');
+  if (bill.customer?.gstin) receipt.pair('GSTIN', bill.customer.gstin);
+  receipt.separator();
+
+  // --- Items: name, then qty x rate and line total ---
+  receipt.bold(true).pair('Item', 'Amount').bold(false);
+  bill.lineItems.forEach(item => {
+    receipt.wrapped(item.productName);
+    receipt.pair(
+      ` ${item.quantity} x ${formatAmount(item.unitPrice)} HSN ${item.hsnCode || '-'} @${item.gstRate}%`,
+      formatAmount(item.lineTotal)
+    );
+  });
+  receipt.separator();
+
+  // --- Totals ---
+  receipt.pair('Taxable Value', formatAmount(totals.subtotal));
+  if (totals.totalDiscount > 0) receipt.pair('Discount', `-${formatAmount(totals.totalDiscount)}`);
+  if (isInterState) {
+    receipt.pair('IGST', formatAmount(totals.totalIGST || 0));
+  } else {
+    receipt.pair('CGST', formatAmount(totals.totalCGST));
+    receipt.pair('SGST', formatAmount(totals.totalSGST));
+  }
+  if (totals.roundedOffAmount) receipt.pair('Round Off', formatAmount(totals.roundedOffAmount));
+  receipt.bold(true).pair(isCreditNote ? 'REFUND Rs.' : 'TOTAL Rs.', formatAmount(totals.payableAmount)).bold(false);
+
+  // --- Payments taken, one line per mode of a split tender ---
+  const payments = isCreditNote ? [] : (bill.payments || []);
+  payments.forEach(payment => {
+    receipt.pair(
+      `Paid ${PAYMENT_MODE_LABELS[payment.mode] || payment.mode}${payment.referenceId ? ` ${payment.referenceId}` : ''}`,
+      formatAmount(payment.amount)
+    );
+    if (payment.changeGiven > 0) {
+      receipt.pair(' Cash Tendered', formatAmount(payment.tenderedAmount));
+      receipt.pair(' Change', formatAmount(payment.changeGiven));
+    }
+  });
+  if (payments.length > 0 && bill.dueAmount > 0) {
+    receipt.bold(true).pair('Balance Due', formatAmount(bill.dueAmount)).bold(false);
+  }
+  receipt.separator();
+
+  // --- Rate-wise tax lines ---
+  getGSTSummary(bill).forEach(group => {
+    receipt.pair(
+      `GST ${group.gstRate}% on ${formatAmount(group.taxableValue)}`,
+      isInterState
+        ? `IGST ${formatAmount(group.igstAmount)}`
+        : `C ${formatAmount(group.cgstAmount)} S ${formatAmount(group.sgstAmount)}`
+    );
+  });
+  receipt.separator();
+
+  // --- UPI QR for the amount due ---
+  const upiURI = getBillUPIPaymentURI(bill);
+  if (upiURI) {
+    receipt.align('center').line(`Scan to pay Rs. ${formatAmount(getBillDueAmount(bill))} by UPI`).qr(upiURI, paperWidth === PAPER_WIDTHS.MM_58 ? 4 : 6);
+    receipt.line(seller.upiId).align('left');
+  }
+
+  // --- Footer ---
+  receipt.align('center');
+  if (seller.invoiceTerms) receipt.wrapped(seller.invoiceTerms);
+  receipt.bold(true).line('Thank you for your business!').bold(false);
+  receipt.align('left').feed(3).cut();
+
+  return receipt.toBytes();
+};
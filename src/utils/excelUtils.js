@@ -1,4 +1,5 @@
 import * as XLSX from 'xlsx';
+import { isValidHSNCode } from '../services/productService';
 
 /**
  * Export data to Excel file
@@ -32,8 +33,13 @@ export const importProductsFromExcel = (file) => {
         // Validate and transform data
         const products = jsonData.map((row, index) => {
           // Required fields validation
-          if (!row.name || !row.sku || !row.category) {
-            throw new Error(`Row ${index + 2}: Missing required fields (name, sku, category)`);
+          if (!row.name || !row.sku || !row.category || !row.hsnCode) {
+            throw new Error(`Row ${index + 2}: Missing required fields (name, sku, category, hsnCode)`);
+          }
+          
+          const hsnCode = String(row.hsnCode).trim();
+          if (!isValidHSNCode(hsnCode)) {
+            throw new Error(`Row ${index + 2}: HSN code must be 4, 6 or 8 digits`);
           }
           
           return {
@@ -42,8 +48,10 @@ export const importProductsFromExcel = (file) => {
             category: String(row.category).trim().toLowerCase(),
             price: parseFloat(row.price) || 0,
             gstRate: parseFloat(row.gstRate) || 18,
+            hsnCode,
             stockQty: parseInt(row.stockQty) || 0,
             lowStockThreshold: parseInt(row.lowStockThreshold) || 10,
+            costPrice: row.costPrice !== undefined && row.costPrice !== '' ? parseFloat(row.costPrice) : null,
             description: row.description ? String(row.description).trim() : ''
           };
         });
@@ -70,8 +78,10 @@ export const downloadProductTemplate = () => {
       category: 'men',
       price: 999,
       gstRate: 18,
+      hsnCode: '6109',
       stockQty: 50,
       lowStockThreshold: 10,
+      costPrice: 420,
       description: 'Comfortable cotton t-shirt'
     },
     {
@@ -80,8 +90,10 @@ export const downloadProductTemplate = () => {
       category: 'women',
       price: 1999,
       gstRate: 18,
+      hsnCode: '6204',
       stockQty: 30,
       lowStockThreshold: 5,
+      costPrice: 900,
       description: 'Stylish denim jeans'
     }
   ];
@@ -99,6 +111,7 @@ export const exportProducts = (products) => {
     Category: p.category,
     Price: p.price,
     'GST Rate': p.gstRate,
+    'HSN Code': p.hsnCode || '',
     'Stock Quantity': p.stockQty,
     'Low Stock Threshold': p.lowStockThreshold,
     Description: p.description || '',
@@ -119,7 +132,8 @@ export const exportAnalyticsData = (analytics, filters) => {
     { Metric: 'Total Revenue', Value: `₹${analytics.totalRevenue.toFixed(2)}`, Growth: `${analytics.revenueGrowth.toFixed(1)}%` },
     { Metric: 'Total Orders', Value: analytics.totalOrders, Growth: `${analytics.ordersGrowth.toFixed(1)}%` },
     { Metric: 'Items Sold', Value: analytics.totalItemsSold, Growth: `${analytics.itemsGrowth.toFixed(1)}%` },
-    { Metric: 'Avg Order Value', Value: `₹${analytics.avgOrderValue.toFixed(2)}`, Growth: `${analytics.aovGrowth.toFixed(1)}%` }
+    { Metric: 'Avg Order Value', Value: `₹${analytics.avgOrderValue.toFixed(2)}`, Growth: `${analytics.aovGrowth.toFixed(1)}%` },
+    { Metric: 'Gross Margin', Value: `₹${analytics.marginSummary.grossMargin.toFixed(2)}`, Growth: `${analytics.marginGrowth.toFixed(1)}%` }
   ];
   const summarySheet = XLSX.utils.json_to_sheet(summary);
   XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
@@ -129,7 +143,9 @@ export const exportAnalyticsData = (analytics, filters) => {
     const topProducts = analytics.topProducts.map((p, i) => ({
       Rank: i + 1,
       Product: p.name,
-      Revenue: `₹${p.revenue.toFixed(2)}`
+      Revenue: `₹${p.revenue.toFixed(2)}`,
+      'Gross Margin': `₹${p.grossMargin.toFixed(2)}`,
+      'Margin %': p.marginPercent === null ? '' : p.marginPercent.toFixed(1)
     }));
     const productsSheet = XLSX.utils.json_to_sheet(topProducts);
     XLSX.utils.book_append_sheet(workbook, productsSheet, 'Top Products');
@@ -160,6 +176,25 @@ export const exportAnalyticsData = (analytics, filters) => {
     XLSX.utils.book_append_sheet(workbook, employeeSheet, 'Employees');
   }
   
+  // Gross Margin Sheet (revenue excl. GST)
+  const marginRows = [
+    ['Category', analytics.marginByCategory],
+    ['Exhibition', analytics.marginByExhibition],
+    ['Employee', analytics.marginByEmployee]
+  ].flatMap(([breakdown, rows]) => (rows || []).map(row => ({
+    Breakdown: breakdown,
+    Name: row.name,
+    'Revenue (excl. GST)': `₹${row.revenue.toFixed(2)}`,
+    Cost: `₹${row.cost.toFixed(2)}`,
+    'Gross Margin': `₹${row.grossMargin.toFixed(2)}`,
+    'Margin %': row.marginPercent === null ? '' : row.marginPercent.toFixed(1),
+    'Revenue Without Cost': `₹${row.uncostedRevenue.toFixed(2)}`
+  })));
+  if (marginRows.length > 0) {
+    const marginSheet = XLSX.utils.json_to_sheet(marginRows);
+    XLSX.utils.book_append_sheet(workbook, marginSheet, 'Gross Margin');
+  }
+  
   // Revenue Trend Sheet
   if (analytics.revenueTrend && analytics.revenueTrend.length > 0) {
     const trend = analytics.revenueTrend.map(t => ({
@@ -174,3 +209,244 @@ export const exportAnalyticsData = (analytics, filters) => {
   const dateRange = filters.dateRange || 'all';
   XLSX.writeFile(workbook, `analytics_${dateRange}_${new Date().toISOString().split('T')[0]}.xlsx`);
 };
+
+/**
+ * Export HSN-wise summary report to Excel
+ */
+export const exportHSNSummary = (report, startDate, endDate) => {
+  const rows = report.rows.map(row => ({
+    'HSN Code': row.hsnCode,
+    'GST Rate %': row.gstRate,
+    Quantity: row.quantity,
+    'Taxable Value': row.taxableValue,
+    CGST: row.cgstAmount,
+    SGST: row.sgstAmount,
+    IGST: row.igstAmount,
+    'Total Tax': row.totalTax,
+    'Total Value': row.totalValue
+  }));
+  
+  rows.push({
+    'HSN Code': 'TOTAL',
+    'GST Rate %': '',
+    Quantity: report.totals.quantity,
+    'Taxable Value': report.totals.taxableValue,
+    CGST: report.totals.cgstAmount,
+    SGST: report.totals.sgstAmount,
+    IGST: report.totals.igstAmount,
+    'Total Tax': report.totals.totalTax,
+    'Total Value': report.totals.totalValue
+  });
+  
+  // en-CA formats local dates as YYYY-MM-DD
+  const from = startDate.toLocaleDateString('en-CA');
+  const to = endDate.toLocaleDateString('en-CA');
+  exportToExcel(rows, `hsn_summary_${from}_to_${to}`);
+};
+
+/**
+ * Export GSTR-1 and GSTR-3B to a multi-sheet Excel workbook
+ */
+export const exportGSTReturns = (returns) => {
+  const { gstr1, gstr3b, period } = returns;
+  const workbook = XLSX.utils.book_new();
+  
+  const appendSheet = (rows, name) => {
+    const sheet = XLSX.utils.json_to_sheet(rows.length > 0 ? rows : [{ Note: 'No records' }]);
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  };
+  
+  const itemRows = (base, itms) => itms.map(({ itm_det: item }) => ({
+    ...base,
+    'Rate %': item.rt,
+    'Taxable Value': item.txval,
+    IGST: item.iamt,
+    CGST: item.camt || 0,
+    SGST: item.samt || 0,
+    Cess: item.csamt
+  }));
+  
+  // B2B invoices
+  appendSheet(gstr1.b2b.flatMap(party => party.inv.flatMap(inv => itemRows({
+    'Buyer GSTIN': party.ctin,
+    'Invoice No': inv.inum,
+    'Invoice Date': inv.idt,
+    'Invoice Value': inv.val,
+    'Place of Supply': inv.pos
+  }, inv.itms))), 'B2B');
+  
+  // B2C large invoices
+  appendSheet(gstr1.b2cl.flatMap(state => state.inv.flatMap(inv => itemRows({
+    'Invoice No': inv.inum,
+    'Invoice Date': inv.idt,
+    'Invoice Value': inv.val,
+    'Place of Supply': state.pos
+  }, inv.itms))), 'B2CL');
+  
+  // B2C small (rate-wise per place of supply)
+  appendSheet(gstr1.b2cs.map(row => ({
+    'Supply Type': row.sply_ty,
+    'Place of Supply': row.pos,
+    'Rate %': row.rt,
+    'Taxable Value': row.txval,
+    IGST: row.iamt,
+    CGST: row.camt,
+    SGST: row.samt,
+    Cess: row.csamt
+  })), 'B2CS');
+  
+  // Credit notes to registered buyers
+  appendSheet(gstr1.cdnr.flatMap(party => party.nt.flatMap(note => itemRows({
+    'Buyer GSTIN': party.ctin,
+    'Note No': note.nt_num,
+    'Note Date': note.nt_dt,
+    'Note Value': note.val,
+    'Place of Supply': note.pos
+  }, note.itms))), 'CDNR');
+  
+  // Credit notes against B2C large invoices
+  appendSheet(gstr1.cdnur.flatMap(note => itemRows({
+    'Note No': note.nt_num,
+    'Note Date': note.nt_dt,
+    'Note Value': note.val,
+    'Place of Supply': note.pos
+  }, note.itms)), 'CDNUR');
+  
+  const hsnRows = (entries) => entries.map(entry => ({
+    HSN: entry.hsn_sc,
+    Description: entry.desc,
+    UQC: entry.uqc,
+    Quantity: entry.qty,
+    'Rate %': entry.rt,
+    'Taxable Value': entry.txval,
+    IGST: entry.iamt,
+    CGST: entry.camt,
+    SGST: entry.samt,
+    Cess: entry.csamt
+  }));
+  appendSheet(hsnRows(gstr1.hsn.hsn_b2b), 'HSN B2B');
+  appendSheet(hsnRows(gstr1.hsn.hsn_b2c), 'HSN B2C');
+  
+  // Document summary
+  appendSheet(gstr1.doc_issue.doc_det.flatMap(detail => detail.docs.map(range => ({
+    'Document Type': detail.doc_num === 5 ? 'Credit Note' : 'Invoice',
+    From: range.from,
+    To: range.to,
+    Total: range.totnum,
+    Cancelled: range.cancel,
+    'Net Issued': range.net_issue
+  }))), 'Docs');
+  
+  // GSTR-3B outward supplies
+  const outward = gstr3b.sup_details.osup_det;
+  appendSheet([
+    {
+      Section: '3.1(a) Outward taxable supplies',
+      'Place of Supply': '',
+      'Taxable Value': outward.txval,
+      IGST: outward.iamt,
+      CGST: outward.camt,
+      SGST: outward.samt,
+      Cess: outward.csamt
+    },
+    ...gstr3b.inter_sup.unreg_details.map(entry => ({
+      Section: '3.2 Inter-state to unregistered',
+      'Place of Supply': entry.pos,
+      'Taxable Value': entry.txval,
+      IGST: entry.iamt,
+      CGST: '',
+      SGST: '',
+      Cess: ''
+    }))
+  ], 'GSTR-3B');
+  
+  XLSX.writeFile(workbook, `gst_returns_${period}.xlsx`);
+};
+
+/**
+ * Export a stock take variance report to Excel
+ */
+export const exportStockTakeVariance = (stockTake, sheet) => {
+  const rows = sheet.lines.map(line => ({
+    Product: line.productName,
+    Variant: line.variantLabel,
+    SKU: line.sku,
+    Expected: line.expectedQty,
+    Counted: line.countedQty === null ? 'Not counted' : line.countedQty,
+    Variance: line.varianceQty === null ? '' : line.varianceQty,
+    'Unit Cost': line.unitCost === null || line.unitCost === undefined ? '' : line.unitCost,
+    'Variance Value': line.varianceValue === null ? '' : line.varianceValue,
+    'Counted By': line.countedByName,
+    Posted: line.adjustment ? 'Yes' : '',
+    Reason: line.adjustment ? line.adjustment.reason : ''
+  }));
+
+  rows.push({
+    Product: 'TOTAL',
+    Variant: '',
+    SKU: '',
+    Expected: sheet.totals.expectedQty,
+    Counted: sheet.totals.countedQty,
+    Variance: sheet.totals.excessQty - sheet.totals.shortQty,
+    'Unit Cost': '',
+    'Variance Value': sheet.totals.varianceValue,
+    'Counted By': '',
+    Posted: '',
+    Reason: ''
+  });
+
+  const number = (stockTake.stockTakeNumber || 'stock_take').replace(/\//g, '-');
+  exportToExcel(rows, `stock_take_${number}`);
+};
+
+/**
+ * Read the first sheet of a CSV or Excel file as rows of cells
+ * CSV text is kept as written, so dd/mm/yyyy dates are not read as US dates.
+ */
+export const readSpreadsheetRows = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const data = new Uint8Array(e.target.result);
+        const isCSV = /\.csv$/i.test(file.name);
+        const workbook = XLSX.read(data, { type: 'array', cellDates: true, raw: isCSV });
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        resolve(XLSX.utils.sheet_to_json(firstSheet, { header: 1, raw: true, defval: '' }));
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+/**
+ * Export a payment reconciliation to Excel
+ */
+export const exportReconciliation = (items, statusLabels, fileName) => {
+  const formatDate = (date) => (date ? date.toLocaleDateString('en-IN') : '');
+
+  const rows = items.map(item => ({
+    Status: statusLabels[item.status],
+    Reconciled: item.reconciliation ? 'Yes' : '',
+    'Bill Number': item.payment ? item.payment.billNumber : '',
+    Customer: item.payment ? item.payment.customerName : '',
+    Mode: item.payment ? item.payment.mode : '',
+    'Paid On': item.payment ? formatDate(item.payment.paidAt) : '',
+    'Bill Amount': item.payment ? item.payment.amount : '',
+    'Bill Reference': item.payment ? item.payment.referenceId || '' : '',
+    'Statement Date': item.entry ? formatDate(item.entry.date) : '',
+    'Statement Amount': item.entry ? item.entry.amount : '',
+    'Statement Reference': item.entry ? item.entry.reference : '',
+    Narration: item.entry ? item.entry.description : '',
+    Difference: item.amountDifference === null ? '' : item.amountDifference,
+    Issues: item.issues.join('; '),
+    Notes: item.reconciliation ? item.reconciliation.notes : ''
+  }));
+
+  exportToExcel(rows, fileName);
+};
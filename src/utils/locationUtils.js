@@ -0,0 +1,77 @@
+import { PRIMARY_LOCATION_ID } from '../constants/locations';
+
+/**
+ * Stock of a line (product without variants, or one variant) at a location
+ * Lines without a locationStock map hold all their stock at the primary location.
+ * @param {Object} line - { stockQty, locationStock }
+ * @param {string} locationId - Location ID
+ * @returns {number} Units at the location
+ */
+export const getLocationStock = (line, locationId = PRIMARY_LOCATION_ID) => {
+  if (!line) return 0;
+  if (line.locationStock) {
+    return line.locationStock[locationId] || 0;
+  }
+  return locationId === PRIMARY_LOCATION_ID ? line.stockQty || 0 : 0;
+};
+
+/**
+ * Location split of a line after a change at one location
+ * Lines that only ever held stock at the primary location keep no map.
+ * @param {Object} line - { stockQty, locationStock }
+ * @param {string} locationId - Location the units move in or out of
+ * @param {number} delta - Change in units
+ * @returns {Object|null} New locationStock map, or null when all stock stays at the primary location
+ */
+export const applyLocationDelta = (line, locationId, delta) => {
+  if (!line.locationStock && locationId === PRIMARY_LOCATION_ID) {
+    return null;
+  }
+
+  const locationStock = { ...(line.locationStock || { [PRIMARY_LOCATION_ID]: line.stockQty || 0 }) };
+  locationStock[locationId] = (locationStock[locationId] || 0) + delta;
+
+  Object.keys(locationStock).forEach(key => {
+    if (locationStock[key] === 0 && key !== PRIMARY_LOCATION_ID) {
+      delete locationStock[key];
+    }
+  });
+
+  return locationStock;
+};
+
+/**
+ * Products as seen from one location: stock fields hold that location's units
+ * @param {Array} products - Products
+ * @param {string} locationId - Location ID
+ * @returns {Array} Products with stockQty (and variant stockQty) at the location
+ */
+export const getLocationProducts = (products, locationId = PRIMARY_LOCATION_ID) => {
+  return products.map(product => {
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variants.length === 0) {
+      return { ...product, stockQty: getLocationStock(product, locationId) };
+    }
+
+    const locationVariants = variants.map(variant => ({ ...variant, stockQty: getLocationStock(variant, locationId) }));
+    return {
+      ...product,
+      variants: locationVariants,
+      stockQty: locationVariants.reduce((total, variant) => total + variant.stockQty, 0)
+    };
+  });
+};
+
+/**
+ * Location a record belongs to (records from before locations belong to the primary one)
+ * @param {Object} record - Order, bill or user with an optional locationId
+ * @returns {string} Location ID
+ */
+export const getRecordLocationId = (record) => (record && record.locationId) || PRIMARY_LOCATION_ID;
+
+/**
+ * ID of a selling location (no location means the primary one)
+ * @param {Object} location - Location { id, name, address, phone } or null
+ * @returns {string} Location ID
+ */
+export const getLocationId = (location) => (location && location.id) || PRIMARY_LOCATION_ID;
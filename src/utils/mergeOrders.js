@@ -11,7 +11,7 @@
  * 4. Check console for results
  */
 
-import { collection, getDocs, doc, setDoc, deleteDoc, query, where, orderBy, serverTimestamp } from 'firebase/firestore';
+import { collection, getDocs, doc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../services/firebase';
 
 /**
@@ -59,7 +59,7 @@ export const mergeOldOrders = async () => {
     let deletedCount = 0;
     
     // Process each group
-    for (const [key, orders] of Object.entries(orderGroups)) {
+    for (const orders of Object.values(orderGroups)) {
       if (orders.length === 1) {
         // Single item order - convert to new schema
         const order = orders[0];
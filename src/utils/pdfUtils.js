@@ -0,0 +1,582 @@
+import { jsPDF } from 'jspdf';
+import JSZip from 'jszip';
+import { getGSTSummary, getHSNSummary } from '../services/billingService';
+import { isInterStateBill } from '../services/orderCalculationService';
+import { formatPaymentLine, getPaymentModeSummary, PAYMENT_MODE_LABELS } from '../services/paymentService';
+import { getBillUPIPaymentURI, getBillDueAmount } from './upiUtils';
+import { encodeQR, getQRRuns } from './qrUtils';
+
+// Page formats (mm)
+export const PDF_FORMATS = {
+  A4: 'a4',
+  THERMAL_80MM: 'thermal80'
+};
+
+const A4_WIDTH = 210;
+const A4_HEIGHT = 297;
+const A4_MARGIN = 12;
+const RECEIPT_WIDTH = 80;
+const RECEIPT_MARGIN = 4;
+
+// jsPDF's built-in fonts have no ₹ glyph
+const formatAmount = (amount) => {
+  const value = Number(amount) || 0;
+  return `Rs. ${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Format a bill date (Firestore Timestamp, ISO string or Date) in IST
+ * @param {*} dateValue - Date-like value
+ * @returns {string} e.g. "11 Feb 2026, 11:06 am"
+ */
+const formatBillDate = (dateValue) => {
+  if (!dateValue) return 'N/A';
+
+  const date = typeof dateValue.toDate === 'function' ? dateValue.toDate() : new Date(dateValue);
+  if (isNaN(date.getTime())) return 'N/A';
+
+  // Convert to IST manually (UTC + 5:30)
+  const istOffset = 5.5 * 60 * 60 * 1000;
+  const istDate = new Date(date.getTime() + istOffset);
+
+  const month = istDate.toLocaleString('en-IN', { month: 'short', timeZone: 'UTC' });
+  let hours = istDate.getUTCHours();
+  const minutes = istDate.getUTCMinutes().toString().padStart(2, '0');
+  const ampm = hours >= 12 ? 'pm' : 'am';
+  hours = hours % 12 || 12;
+
+  return `${istDate.getUTCDate()} ${month} ${istDate.getUTCFullYear()}, ${hours}:${minutes} ${ampm}`;
+};
+
+const getDocumentNumber = (bill) => (bill.documentType === 'CREDIT_NOTE' ? bill.creditNoteNumber : bill.billNumber);
+
+/**
+ * File name for a bill PDF (invoice numbers contain "/")
+ * @param {Object} bill - Bill or credit note
+ * @param {string} format - PDF_FORMATS value
+ * @returns {string} e.g. "Invoice_S-26-27-00001.pdf"
+ */
+export const getBillPDFFilename = (bill, format = PDF_FORMATS.A4) => {
+  const prefix = bill.documentType === 'CREDIT_NOTE' ? 'CreditNote' : 'Invoice';
+  const suffix = format === PDF_FORMATS.THERMAL_80MM ? '_80mm' : '';
+  const number = (getDocumentNumber(bill) || 'draft').replace(/[^A-Za-z0-9-]/g, '-');
+  return `${prefix}_${number}${suffix}.pdf`;
+};
+
+/**
+ * Load an image URL as a data URL for jsPDF
+ * Resolves null when the image cannot be loaded (e.g. blocked by CORS).
+ * @param {string} url - Image URL
+ * @returns {Promise<Object|null>} { data, width, height } with a PNG data URL
+ */
+const loadImageData = (url) => {
+  if (!url) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        resolve({ data: canvas.toDataURL('image/png'), width: image.naturalWidth, height: image.naturalHeight });
+      } catch (error) {
+        console.warn('Logo could not be embedded in PDF:', error);
+        resolve(null);
+      }
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+};
+
+// ============================================================================
+// A4 TAX INVOICE
+// ============================================================================
+
+/**
+ * Table columns for the A4 items table (widths in mm, total 186)
+ * @param {boolean} isInterState - IGST instead of CGST/SGST
+ * @returns {Array} Column definitions
+ */
+const getA4Columns = (isInterState) => [
+  { label: '#', width: 8, value: (item, index) => String(index + 1) },
+  { label: 'Item', width: 44, value: (item) => item.productName, wrap: true },
+  { label: 'HSN', width: 16, value: (item) => item.hsnCode || '-' },
+  { label: 'Qty', width: 10, value: (item) => String(item.quantity), align: 'right' },
+  { label: 'Rate', width: 18, value: (item) => Number(item.unitPrice).toFixed(2), align: 'right' },
+  { label: 'Taxable', width: 22, value: (item) => item.taxableValue.toFixed(2), align: 'right' },
+  { label: 'GST%', width: 10, value: (item) => `${item.gstRate}`, align: 'right' },
+  ...(isInterState
+    ? [{ label: 'IGST', width: 36, value: (item) => (item.igstAmount || 0).toFixed(2), align: 'right' }]
+    : [
+      { label: 'CGST', width: 18, value: (item) => item.cgstAmount.toFixed(2), align: 'right' },
+      { label: 'SGST', width: 18, value: (item) => item.sgstAmount.toFixed(2), align: 'right' }
+    ]),
+  { label: 'Total', width: 22, value: (item) => item.lineTotal.toFixed(2), align: 'right' }
+];
+
+/**
+ * Draw one table row; returns the y position below it
+ */
+const drawTableRow = (pdf, columns, cells, y, { bold = false } = {}) => {
+  pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+
+  const cellLines = columns.map((column, index) => (
+    column.wrap ? pdf.splitTextToSize(cells[index], column.width - 2) : [cells[index]]
+  ));
+  const rowHeight = Math.max(...cellLines.map(lines => lines.length)) * 4 + 2;
+
+  let x = A4_MARGIN;
+  columns.forEach((column, index) => {
+    const textX = column.align === 'right' ? x + column.width - 1 : x + 1;
+    pdf.text(cellLines[index], textX, y + 4, { align: column.align === 'right' ? 'right' : 'left' });
+    x += column.width;
+  });
+
+  pdf.setDrawColor(200);
+  pdf.line(A4_MARGIN, y + rowHeight, A4_WIDTH - A4_MARGIN, y + rowHeight);
+  return y + rowHeight;
+};
+
+/**
+ * Draw a QR code with its top-left corner at (x, y)
+ * The page is white, so only dark modules are drawn (leave a margin around it).
+ * @param {Object} pdf - jsPDF document
+ * @param {string} text - QR payload
+ * @param {number} x - Left edge (mm)
+ * @param {number} y - Top edge (mm)
+ * @param {number} size - Width and height (mm)
+ */
+const drawQRCode = (pdf, text, x, y, size) => {
+  const qr = encodeQR(text);
+  const moduleSize = size / qr.size;
+  pdf.setFillColor(0);
+  getQRRuns(qr).forEach(run => {
+    pdf.rect(x + run.x * moduleSize, y + run.y * moduleSize, run.width * moduleSize, moduleSize, 'F');
+  });
+};
+
+/**
+ * Add a page when the next block would not fit
+ */
+const ensureSpace = (pdf, y, height) => {
+  if (y + height <= A4_HEIGHT - A4_MARGIN) return y;
+  pdf.addPage();
+  return A4_MARGIN;
+};
+
+/**
+ * Render a bill or credit note as an A4 tax invoice on the current page
+ * @param {Object} pdf - jsPDF document
+ * @param {Object} bill - Bill object from generateBill (or a saved bill/credit note)
+ * @param {Object|null} logo - Output of loadImageData
+ */
+const renderA4Invoice = (pdf, bill, logo) => {
+  const isCreditNote = bill.documentType === 'CREDIT_NOTE';
+  const isInterState = isInterStateBill(bill);
+  const seller = bill.seller || {};
+  const contentWidth = A4_WIDTH - A4_MARGIN * 2;
+  let y = A4_MARGIN;
+
+  // --- Seller ---
+  let sellerX = A4_MARGIN;
+  if (logo) {
+    const logoHeight = 18;
+    const logoWidth = Math.min(40, (logo.width / logo.height) * logoHeight);
+    pdf.addImage(logo.data, 'PNG', A4_MARGIN, y, logoWidth, logoHeight);
+    sellerX += logoWidth + 4;
+  }
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(15);
+  pdf.text((seller.businessName || '').toUpperCase(), sellerX, y + 5);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  const sellerLines = [
+    seller.legalName && seller.legalName !== seller.businessName ? seller.legalName : null,
+    ...pdf.splitTextToSize(seller.storeAddress || '', 110),
+    ...(seller.registeredAddress && seller.registeredAddress !== seller.storeAddress
+      ? pdf.splitTextToSize(`Regd. Office: ${seller.registeredAddress}`, 110)
+      : []),
+    [seller.phone && `Phone: ${seller.phone}`, seller.email && `Email: ${seller.email}`].filter(Boolean).join(' | '),
+    `GSTIN: ${seller.gstin || ''} | State Code: ${seller.stateCode || ''}`
+  ].filter(Boolean);
+  pdf.text(sellerLines, sellerX, y + 10);
+  const sellerBottom = y + 10 + sellerLines.length * 3.5;
+
+  // --- Document meta (right) ---
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(13);
+  pdf.text(isCreditNote ? 'CREDIT NOTE' : bill.isProvisional ? 'PROVISIONAL BILL' : 'TAX INVOICE', A4_WIDTH - A4_MARGIN, y + 5, { align: 'right' });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  const metaLines = isCreditNote
+    ? [
+      `Credit Note No: ${bill.creditNoteNumber}`,
+      `Date: ${formatBillDate(bill.creditNoteDate)}`,
+      `Against Bill: ${bill.originalBillNumber}`
+    ]
+    : [
+      `Bill No: ${bill.billNumber}`,
+      `Date: ${formatBillDate(bill.billDate)}`,
+      bill.exchangeForBillNumber ? `Exchange Against: ${bill.exchangeForBillNumber}` : null
+    ];
+  metaLines.push(
+    bill.placeOfSupply ? `Place of Supply: ${bill.placeOfSupply.stateName} (${bill.placeOfSupply.stateCode})` : null,
+    `Order Type: ${(bill.orderType || '').toUpperCase()}`
+  );
+  const metaText = metaLines.filter(Boolean);
+  pdf.text(metaText, A4_WIDTH - A4_MARGIN, y + 10, { align: 'right' });
+
+  y = Math.max(sellerBottom, y + 10 + metaText.length * 3.5, logo ? y + 20 : 0) + 2;
+  pdf.setDrawColor(0);
+  pdf.line(A4_MARGIN, y, A4_WIDTH - A4_MARGIN, y);
+  y += 5;
+
+  // --- Customer ---
+  const customer = bill.customer || {};
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.text(isCreditNote ? 'Credit To:' : 'Bill To:', A4_MARGIN, y);
+  y += 4.5;
+
+  pdf.setFontSize(8);
+  const customerLines = [
+    customer.gstin && customer.businessName ? customer.businessName : null,
+    customer.name,
+    customer.gstin ? `GSTIN: ${customer.gstin}` : null,
+    customer.phone ? `Phone: ${customer.phone}` : null,
+    ...(customer.address ? pdf.splitTextToSize(`Address: ${customer.address}`, contentWidth) : [])
+  ].filter(Boolean);
+  customerLines.forEach((line, index) => {
+    pdf.setFont('helvetica', index === 0 ? 'bold' : 'normal');
+    pdf.text(line, A4_MARGIN, y);
+    y += 3.5;
+  });
+  y += 3;
+
+  // --- Items ---
+  const columns = getA4Columns(isInterState);
+  const headerCells = columns.map(column => column.label);
+
+  pdf.setFillColor(241, 245, 249);
+  pdf.rect(A4_MARGIN, y, contentWidth, 6, 'F');
+  y = drawTableRow(pdf, columns, headerCells, y, { bold: true });
+
+  bill.lineItems.forEach((item, index) => {
+    const cells = columns.map(column => column.value(item, index));
+    const lines = pdf.splitTextToSize(cells[1], columns[1].width - 2).length;
+    const nextY = ensureSpace(pdf, y, lines * 4 + 2);
+    if (nextY !== y) {
+      y = drawTableRow(pdf, columns, headerCells, nextY, { bold: true });
+    }
+    y = drawTableRow(pdf, columns, cells, y);
+  });
+
+  // --- Totals ---
+  const totals = bill.totals || {};
+  const totalRows = [
+    ['Taxable Value', totals.subtotal],
+    totals.totalDiscount > 0 ? ['Discount', -totals.totalDiscount] : null,
+    ...(isInterState
+      ? [['IGST', totals.totalIGST || 0]]
+      : [['CGST', totals.totalCGST], ['SGST', totals.totalSGST]]),
+    ['Total Tax', totals.totalTax],
+    totals.roundedOffAmount ? ['Round Off', totals.roundedOffAmount] : null
+  ].filter(Boolean);
+
+  y = ensureSpace(pdf, y + 4, totalRows.length * 4.5 + 10);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  totalRows.forEach(([label, amount]) => {
+    pdf.text(label, A4_WIDTH - A4_MARGIN - 50, y);
+    pdf.text(formatAmount(amount), A4_WIDTH - A4_MARGIN, y, { align: 'right' });
+    y += 4.5;
+  });
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.text(isCreditNote ? 'Refund Amount' : 'Amount Payable', A4_WIDTH - A4_MARGIN - 50, y + 1);
+  pdf.text(formatAmount(totals.payableAmount), A4_WIDTH - A4_MARGIN, y + 1, { align: 'right' });
+  y += 8;
+
+  // --- HSN summary ---
+  const hsnColumns = [
+    { label: 'HSN', width: 30, value: (row) => row.hsnCode },
+    { label: 'GST%', width: 16, value: (row) => `${row.gstRate}`, align: 'right' },
+    { label: 'Qty', width: 16, value: (row) => String(row.quantity), align: 'right' },
+    { label: 'Taxable', width: 34, value: (row) => row.taxableValue.toFixed(2), align: 'right' },
+    ...(isInterState
+      ? [{ label: 'IGST', width: 56, value: (row) => row.igstAmount.toFixed(2), align: 'right' }]
+      : [
+        { label: 'CGST', width: 28, value: (row) => row.cgstAmount.toFixed(2), align: 'right' },
+        { label: 'SGST', width: 28, value: (row) => row.sgstAmount.toFixed(2), align: 'right' }
+      ]),
+    { label: 'Total Tax', width: 34, value: (row) => row.totalTax.toFixed(2), align: 'right' }
+  ];
+  const hsnRows = getHSNSummary(bill);
+
+  y = ensureSpace(pdf, y, (hsnRows.length + 2) * 6 + 4);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(8);
+  pdf.text('HSN Summary', A4_MARGIN, y);
+  y += 2;
+  y = drawTableRow(pdf, hsnColumns, hsnColumns.map(column => column.label), y, { bold: true });
+  hsnRows.forEach(row => {
+    y = drawTableRow(pdf, hsnColumns, hsnColumns.map(column => column.value(row)), y);
+  });
+  y += 5;
+
+  // --- Footer ---
+  // Split tenders (and cash with change) list each payment under the mode
+  const payments = isCreditNote ? [] : (bill.payments || []);
+  const showPaymentLines = payments.length > 1 || (payments.length === 1 && payments[0].changeGiven > 0);
+  const footerLines = [
+    isCreditNote
+      ? `Refund Mode: ${bill.footer?.paymentMode || 'CASH'}`
+      : `Payment Mode: ${getPaymentModeSummary(payments, bill.footer?.paymentMode || 'CASH')}`,
+    ...(showPaymentLines ? payments.map(payment => `  ${formatPaymentLine(payment)}`) : []),
+    bill.footer?.notes ? `${isCreditNote ? 'Reason' : 'Notes'}: ${bill.footer.notes}` : null,
+    !isCreditNote && seller.bankDetails?.accountNumber
+      ? `Bank: ${seller.bankDetails.accountName} | A/c ${seller.bankDetails.accountNumber} | IFSC ${seller.bankDetails.ifsc}${seller.bankDetails.bankName ? ` | ${seller.bankDetails.bankName}` : ''}${seller.bankDetails.branch ? `, ${seller.bankDetails.branch}` : ''}`
+      : null,
+    !isCreditNote && seller.upiId ? `UPI: ${seller.upiId}` : null
+  ].filter(Boolean);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  footerLines.forEach(line => {
+    const wrapped = pdf.splitTextToSize(line, contentWidth);
+    y = ensureSpace(pdf, y, wrapped.length * 3.5);
+    pdf.text(wrapped, A4_MARGIN, y);
+    y += wrapped.length * 3.5;
+  });
+
+  // UPI QR for the amount still due
+  const upiURI = getBillUPIPaymentURI(bill);
+  if (upiURI) {
+    y = ensureSpace(pdf, y + 2, 30);
+    drawQRCode(pdf, upiURI, A4_MARGIN, y, 28);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(9);
+    pdf.text(`Scan to pay ${formatAmount(getBillDueAmount(bill))} by UPI`, A4_MARGIN + 32, y + 11);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.text(seller.upiId, A4_MARGIN + 32, y + 16);
+    y += 30;
+  }
+
+  if (seller.invoiceTerms) {
+    const terms = pdf.splitTextToSize(seller.invoiceTerms, contentWidth);
+    y = ensureSpace(pdf, y + 2, terms.length * 3.5 + 4);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text('Terms & Conditions:', A4_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(terms, A4_MARGIN, y + 3.5);
+    y += terms.length * 3.5 + 4;
+  }
+
+  y = ensureSpace(pdf, y + 4, 12);
+  pdf.setDrawColor(200);
+  pdf.line(A4_MARGIN, y, A4_WIDTH - A4_MARGIN, y);
+  pdf.setFontSize(7);
+  pdf.setTextColor(100);
+  pdf.text(
+    isCreditNote
+      ? 'This is a system-generated GST credit note issued against the invoice above.'
+      : 'This is a system-generated GST invoice and does not require a signature.',
+    A4_WIDTH / 2, y + 4, { align: 'center' }
+  );
+  pdf.text(`Generated: ${formatBillDate(bill.generatedAt)}`, A4_WIDTH / 2, y + 8, { align: 'center' });
+  pdf.setTextColor(0);
+};
+
+// ============================================================================
+// 80MM THERMAL RECEIPT
+// ============================================================================
+
+/**
+ * Render a bill as an 80mm receipt
+ * @param {Object} pdf - jsPDF document (80mm wide)
+ * @param {Object} bill - Bill or credit note
+ * @returns {number} Content height in mm (used to size the page)
+ */
+const renderReceipt = (pdf, bill) => {
+  const isCreditNote = bill.documentType === 'CREDIT_NOTE';
+  const isInterState = isInterStateBill(bill);
+  const seller = bill.seller || {};
+  const width = RECEIPT_WIDTH - RECEIPT_MARGIN * 2;
+  const center = RECEIPT_WIDTH / 2;
+  const right = RECEIPT_WIDTH - RECEIPT_MARGIN;
+  let y = RECEIPT_MARGIN + 3;
+
+  const centered = (text, { bold = false, size = 7 } = {}) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(size);
+    const lines = pdf.splitTextToSize(text, width);
+    pdf.text(lines, center, y, { align: 'center' });
+    y += lines.length * (size * 0.45);
+  };
+
+  const row = (label, value, { bold = false, size = 7 } = {}) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(size);
+    pdf.text(label, RECEIPT_MARGIN, y);
+    pdf.text(value, right, y, { align: 'right' });
+    y += size * 0.45;
+  };
+
+  const separator = () => {
+    pdf.setDrawColor(0);
+    pdf.setLineDashPattern([0.6, 0.6], 0);
+    pdf.line(RECEIPT_MARGIN, y - 1, right, y - 1);
+    pdf.setLineDashPattern([], 0);
+    y += 2;
+  };
+
+  centered((seller.businessName || '').toUpperCase(), { bold: true, size: 10 });
+  centered(seller.storeAddress || '');
+  if (seller.phone) centered(`Ph: ${seller.phone}`);
+  centered(`GSTIN: ${seller.gstin || ''}`);
+  y += 1;
+  centered(isCreditNote ? 'CREDIT NOTE' : bill.isProvisional ? 'PROVISIONAL BILL' : 'TAX INVOICE', { bold: true, size: 8 });
+  separator();
+
+  row(isCreditNote ? 'CN No' : 'Bill No', getDocumentNumber(bill) || '');
+  row('Date', formatBillDate(isCreditNote ? bill.creditNoteDate : bill.billDate));
+  if (isCreditNote) row('Against', bill.originalBillNumber || '');
+  if (bill.placeOfSupply) row('Place of Supply', `${bill.placeOfSupply.stateName} (${bill.placeOfSupply.stateCode})`);
+  row('Customer', bill.customer?.name || '');
+  if (bill.customer?.gstin) row('GSTIN', bill.customer.gstin);
+  separator();
+
+  bill.lineItems.forEach(item => {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(7);
+    const nameLines = pdf.splitTextToSize(item.productName, width);
+    pdf.text(nameLines, RECEIPT_MARGIN, y);
+    y += nameLines.length * 3.2;
+    row(`  ${item.quantity} x ${Number(item.unitPrice).toFixed(2)}  HSN ${item.hsnCode || '-'}  GST ${item.gstRate}%`, item.lineTotal.toFixed(2));
+  });
+  separator();
+
+  const totals = bill.totals || {};
+  row('Taxable Value', formatAmount(totals.subtotal));
+  if (totals.totalDiscount > 0) row('Discount', formatAmount(-totals.totalDiscount));
+  if (isInterState) {
+    row('IGST', formatAmount(totals.totalIGST || 0));
+  } else {
+    row('CGST', formatAmount(totals.totalCGST));
+    row('SGST', formatAmount(totals.totalSGST));
+  }
+  if (totals.roundedOffAmount) row('Round Off', formatAmount(totals.roundedOffAmount));
+  y += 1;
+  row(isCreditNote ? 'REFUND' : 'TOTAL', formatAmount(totals.payableAmount), { bold: true, size: 9 });
+
+  // Payments taken, one row per mode of a split tender
+  const payments = isCreditNote ? [] : (bill.payments || []);
+  payments.forEach(payment => {
+    row(`Paid ${PAYMENT_MODE_LABELS[payment.mode] || payment.mode}${payment.referenceId ? ` (${payment.referenceId})` : ''}`, formatAmount(payment.amount));
+    if (payment.changeGiven > 0) {
+      row('  Cash Tendered', formatAmount(payment.tenderedAmount), { size: 6 });
+      row('  Change', formatAmount(payment.changeGiven), { size: 6 });
+    }
+  });
+  if (payments.length > 0 && bill.dueAmount > 0) row('Balance Due', formatAmount(bill.dueAmount), { bold: true });
+  separator();
+
+  // Rate-wise GST breakup
+  getGSTSummary(bill).forEach(group => {
+    const tax = isInterState
+      ? `IGST ${group.igstAmount.toFixed(2)}`
+      : `CGST ${group.cgstAmount.toFixed(2)} SGST ${group.sgstAmount.toFixed(2)}`;
+    row(`GST ${group.gstRate}% on ${group.taxableValue.toFixed(2)}`, tax, { size: 6 });
+  });
+  separator();
+
+  // UPI QR for the amount still due
+  const upiURI = getBillUPIPaymentURI(bill);
+  if (upiURI) {
+    centered(`Scan to pay ${formatAmount(getBillDueAmount(bill))} by UPI`, { bold: true });
+    y += 1;
+    drawQRCode(pdf, upiURI, center - 15, y, 30);
+    y += 33;
+  }
+  if (!isCreditNote && seller.upiId) centered(`UPI: ${seller.upiId}`);
+  if (seller.invoiceTerms) centered(seller.invoiceTerms, { size: 6 });
+  y += 1;
+  centered('Thank you for your business!', { bold: true });
+
+  return y + RECEIPT_MARGIN;
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Build a PDF for a bill or credit note
+ * @param {Object} bill - Bill object from generateBill (or saved bill/credit note)
+ * @param {string} format - PDF_FORMATS.A4 | PDF_FORMATS.THERMAL_80MM
+ * @returns {Promise<Object>} jsPDF document
+ */
+export const createBillPDF = async (bill, format = PDF_FORMATS.A4) => {
+  if (!bill || !bill.lineItems || bill.lineItems.length === 0) {
+    throw new Error('Bill has no line items');
+  }
+
+  if (format === PDF_FORMATS.THERMAL_80MM) {
+    // Measure on a long scratch page, then render on a page cut to fit
+    const scratch = new jsPDF({ unit: 'mm', format: [RECEIPT_WIDTH, 1000] });
+    const height = renderReceipt(scratch, bill);
+
+    const receipt = new jsPDF({ unit: 'mm', format: [RECEIPT_WIDTH, Math.max(height, 60)] });
+    renderReceipt(receipt, bill);
+    return receipt;
+  }
+
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const logo = await loadImageData(bill.seller?.logoUrl);
+  renderA4Invoice(pdf, bill, logo);
+  return pdf;
+};
+
+/**
+ * Download a bill as PDF (named by bill number)
+ * @param {Object} bill - Bill or credit note
+ * @param {string} format - PDF_FORMATS value
+ */
+export const downloadBillPDF = async (bill, format = PDF_FORMATS.A4) => {
+  const pdf = await createBillPDF(bill, format);
+  pdf.save(getBillPDFFilename(bill, format));
+};
+
+/**
+ * Download many bills as a zip of A4 PDFs (one file per bill)
+ * @param {Array} bills - Saved bills
+ * @param {string} zipName - Zip file name without extension
+ * @returns {Promise<number>} Number of PDFs in the zip
+ */
+export const downloadBillsZip = async (bills, zipName) => {
+  const zip = new JSZip();
+
+  for (const bill of bills) {
+    const pdf = await createBillPDF(bill, PDF_FORMATS.A4);
+    zip.file(getBillPDFFilename(bill), pdf.output('blob'));
+  }
+
+  const content = await zip.generateAsync({ type: 'blob' });
+  const url = URL.createObjectURL(content);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${zipName}.zip`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  return bills.length;
+};
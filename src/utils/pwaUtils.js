@@ -0,0 +1,140 @@
+/**
+ * PWA Utilities
+ * Service worker registration, update detection and home-screen install.
+ * The service worker (src/pwa/sw.js) is only built and registered in
+ * production builds.
+ */
+
+// How often an open tab checks for a new deploy
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let state = {
+  updateAvailable: false,
+  canInstall: false,
+  isInstalled: false
+};
+let waitingWorker = null;
+let updateRequested = false;
+let installPrompt = null;
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state));
+};
+
+const trackWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  setState({ updateAvailable: true });
+};
+
+/**
+ * Whether the app is running from the home screen (installed)
+ * @returns {boolean} True in standalone display mode
+ */
+export const isStandalone = () => {
+  return window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true;
+};
+
+/**
+ * Register the service worker and start listening for updates and install prompts
+ * Call once at startup.
+ */
+export const registerServiceWorker = () => {
+  setState({ isInstalled: isStandalone() });
+
+  // Chrome/Edge offer install through this event; keep it for the Install button
+  window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    installPrompt = event;
+    setState({ canInstall: true });
+  });
+
+  window.addEventListener('appinstalled', () => {
+    installPrompt = null;
+    setState({ canInstall: false, isInstalled: true });
+  });
+
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+
+      // A new version finished installing while this tab was closed
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        trackWaitingWorker(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        if (!installing) return;
+
+        installing.addEventListener('statechange', () => {
+          // First install has no controller: nothing to update yet
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            trackWaitingWorker(installing);
+          }
+        });
+      });
+
+      // Tablets stay open for days at a show
+      setInterval(() => {
+        registration.update().catch(error => console.error('Service worker update check failed:', error));
+      }, UPDATE_CHECK_INTERVAL_MS);
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+
+  // The new version took over: reload once so the page runs it. On a first
+  // visit the worker only claims the page (clients.claim), which needs no
+  // reload and must not throw away a cart mid-checkout.
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !(hadController || updateRequested)) return;
+    reloading = true;
+    window.location.reload();
+  });
+};
+
+/**
+ * Switch to the waiting version (the page reloads when it takes over)
+ */
+export const applyUpdate = () => {
+  if (waitingWorker) {
+    updateRequested = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+};
+
+/**
+ * Show the browser's install prompt
+ * @returns {Promise<boolean>} True when the user accepted
+ */
+export const promptInstall = async () => {
+  if (!installPrompt) return false;
+
+  installPrompt.prompt();
+  const { outcome } = await installPrompt.userChoice;
+  installPrompt = null;
+  setState({ canInstall: false });
+  return outcome === 'accepted';
+};
+
+/**
+ * Current PWA state
+ * @returns {Object} { updateAvailable, canInstall, isInstalled }
+ */
+export const getPwaState = () => state;
+
+/**
+ * Listen for PWA state changes
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} Unsubscribe
+ */
+export const subscribePwaState = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
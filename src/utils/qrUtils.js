@@ -0,0 +1,73 @@
+/**
+ * QR Code Utilities
+ * Encodes text (UTF-8, byte mode) as a QR code symbol for the bill preview
+ * and PDFs. Thermal printers draw their own QR codes from the text (see
+ * escposUtils), so this is only needed where we draw the modules ourselves.
+ * The symbol itself comes from qrcode-generator (smallest version that fits,
+ * best mask); this module adapts it to module grids and runs.
+ */
+
+import qrcode from 'qrcode-generator';
+
+export const QR_ERROR_CORRECTION = {
+  LOW: 'L',
+  MEDIUM: 'M',
+  QUARTILE: 'Q',
+  HIGH: 'H'
+};
+
+// Version 0 lets the library pick the smallest version that fits
+const AUTO_VERSION = 0;
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @param {string} errorCorrection - One of QR_ERROR_CORRECTION
+ * @returns {Object} { version, size, modules } - modules[y][x] is true for dark
+ */
+export const encodeQR = (text, errorCorrection = QR_ERROR_CORRECTION.MEDIUM) => {
+  if (!Object.values(QR_ERROR_CORRECTION).includes(errorCorrection)) {
+    throw new Error(`Unknown error correction level: ${errorCorrection}`);
+  }
+
+  // The library's byte mode takes one character per byte, so pass the UTF-8 bytes
+  const bytes = new TextEncoder().encode(text);
+  const symbol = qrcode(AUTO_VERSION, errorCorrection);
+  symbol.addData(Array.from(bytes, byte => String.fromCharCode(byte)).join(''), 'Byte');
+
+  try {
+    symbol.make();
+  } catch (error) {
+    // The library throws a string when the data does not fit version 40
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const size = symbol.getModuleCount();
+  const modules = Array.from({ length: size }, (row, y) =>
+    Array.from({ length: size }, (cell, x) => symbol.isDark(y, x))
+  );
+
+  return { version: (size - 17) / 4, size, modules };
+};
+
+/**
+ * Dark modules as horizontal runs, for drawing with rectangles or an SVG path
+ * @param {Object} qr - Result of encodeQR
+ * @returns {Array} [{ x, y, width }] in module units
+ */
+export const getQRRuns = ({ size, modules }) => {
+  const runs = [];
+  for (let y = 0; y < size; y++) {
+    let x = 0;
+    while (x < size) {
+      if (!modules[y][x]) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < size && modules[y][x]) x++;
+      runs.push({ x: start, y, width: x - start });
+    }
+  }
+  return runs;
+};
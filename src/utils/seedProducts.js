@@ -13,6 +13,7 @@ export const seedProducts = async () => {
       subcategory: 'Tshirt',
       basePrice: 999,
       gstRate: 12,
+      hsnCode: '6109',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -27,6 +28,7 @@ export const seedProducts = async () => {
       subcategory: 'Jeans',
       basePrice: 2499,
       gstRate: 12,
+      hsnCode: '6203',
       isTaxInclusive: false,
       isOnSale: true,
       salePrice: 1999,
@@ -41,6 +43,7 @@ export const seedProducts = async () => {
       subcategory: 'Shirt',
       basePrice: 1799,
       gstRate: 12,
+      hsnCode: '6205',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -55,6 +58,7 @@ export const seedProducts = async () => {
       subcategory: 'Kurti',
       basePrice: 1499,
       gstRate: 12,
+      hsnCode: '6204',
       isTaxInclusive: false,
       isOnSale: true,
       salePrice: 1199,
@@ -69,6 +73,7 @@ export const seedProducts = async () => {
       subcategory: 'Saree',
       basePrice: 4999,
       gstRate: 5,
+      hsnCode: '5407',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -83,6 +88,7 @@ export const seedProducts = async () => {
       subcategory: 'Pants',
       basePrice: 1299,
       gstRate: 12,
+      hsnCode: '6204',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -97,6 +103,7 @@ export const seedProducts = async () => {
       subcategory: 'Tshirt',
       basePrice: 599,
       gstRate: 5,
+      hsnCode: '6109',
       isTaxInclusive: false,
       isOnSale: true,
       salePrice: 449,
@@ -111,6 +118,7 @@ export const seedProducts = async () => {
       subcategory: 'Shorts',
       basePrice: 899,
       gstRate: 12,
+      hsnCode: '6203',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -125,6 +133,7 @@ export const seedProducts = async () => {
       subcategory: 'Dress',
       basePrice: 1999,
       gstRate: 12,
+      hsnCode: '6204',
       isTaxInclusive: false,
       isOnSale: true,
       salePrice: 1599,
@@ -139,6 +148,7 @@ export const seedProducts = async () => {
       subcategory: 'Kurti',
       basePrice: 2299,
       gstRate: 12,
+      hsnCode: '6204',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -153,6 +163,7 @@ export const seedProducts = async () => {
       subcategory: 'Kurti',
       basePrice: 1299,
       gstRate: 12,
+      hsnCode: '6204',
       isTaxInclusive: false,
       isOnSale: false,
       salePrice: null,
@@ -167,6 +178,7 @@ export const seedProducts = async () => {
       subcategory: 'Tshirt',
       basePrice: 799,
       gstRate: 12,
+      hsnCode: '6109',
       isTaxInclusive: false,
       isOnSale: true,
       salePrice: 599,
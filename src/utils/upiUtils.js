@@ -0,0 +1,58 @@
+// UPI transaction reference (UTR/RRN) shown in the payer's UPI app
+const UTR_PATTERN = /^\d{12}$/;
+
+/**
+ * Build a UPI intent URI (upi://pay) for collecting a bill amount
+ * @param {Object} payment - Payment details
+ * @param {string} payment.upiId - Payee VPA
+ * @param {string} payment.payeeName - Payee name shown in the UPI app
+ * @param {number} payment.amount - Exact amount to collect
+ * @param {string} payment.note - Transaction note (bill number)
+ * @returns {string|null} UPI URI, or null without a VPA or amount
+ */
+export const buildUPIPaymentURI = ({ upiId, payeeName, amount, note }) => {
+  if (!upiId || !(amount > 0)) return null;
+
+  const params = [
+    `pa=${encodeURIComponent(upiId)}`,
+    `pn=${encodeURIComponent(payeeName || '')}`,
+    `am=${Number(amount).toFixed(2)}`,
+    'cu=INR',
+    note ? `tn=${encodeURIComponent(note)}` : null
+  ].filter(Boolean);
+
+  return `upi://pay?${params.join('&')}`;
+};
+
+/**
+ * Amount still due on a bill
+ * @param {Object} bill - Bill (dueAmount once payments are tracked, else payableAmount)
+ * @returns {number} Amount due
+ */
+export const getBillDueAmount = (bill) => {
+  return bill.dueAmount !== undefined ? bill.dueAmount : (bill.totals?.payableAmount || 0);
+};
+
+/**
+ * UPI URI for the amount still due on a bill (or part of it)
+ * @param {Object} bill - Bill (uses seller.upiId, seller.businessName and billNumber)
+ * @param {number} amount - Amount to collect (defaults to the amount due)
+ * @returns {string|null} UPI URI, or null for credit notes, paid bills or no VPA
+ */
+export const getBillUPIPaymentURI = (bill, amount) => {
+  if (!bill || bill.documentType === 'CREDIT_NOTE') return null;
+
+  return buildUPIPaymentURI({
+    upiId: bill.seller?.upiId,
+    payeeName: bill.seller?.businessName,
+    amount: amount !== undefined ? amount : getBillDueAmount(bill),
+    note: bill.billNumber
+  });
+};
+
+/**
+ * Check a UPI transaction reference (UTR) read from the customer's UPI app
+ * @param {string} utr - Reference as entered
+ * @returns {boolean} True for a 12-digit UTR
+ */
+export const isValidUTR = (utr) => UTR_PATTERN.test(String(utr || '').trim());
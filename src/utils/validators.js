@@ -1,3 +1,5 @@
+import { GST_STATES } from '../constants/gstStates';
+
 export const validateEmail = (email) => {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 };
@@ -6,6 +8,37 @@ export const validatePhone = (phone) => {
   return /^\d{10}$/.test(phone);
 };
 
+// Last 10 digits, so "+91 98765-43210" and "9876543210" are the same number
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
 export const validateRequired = (value) => {
   return value && value.trim().length > 0;
 };
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export const normalizeGSTIN = (gstin) => (gstin || '').trim().toUpperCase();
+
+// GSTIN check digit: alternate factors 1/2 over the first 14 characters (base 36)
+export const getGSTINCheckDigit = (gstinBody) => {
+  const sum = gstinBody.split('').reduce((total, char, index) => {
+    const product = GSTIN_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+// Returns an error message, or null if the GSTIN is valid
+export const getGSTINError = (gstin) => {
+  const value = normalizeGSTIN(gstin);
+  if (value.length !== 15) return 'GSTIN must be 15 characters';
+  if (!GSTIN_PATTERN.test(value)) return 'GSTIN format is invalid';
+  if (!GST_STATES[value.slice(0, 2)]) return `GSTIN state code ${value.slice(0, 2)} is invalid`;
+  if (getGSTINCheckDigit(value.slice(0, 14)) !== value[14]) return 'GSTIN checksum does not match';
+  return null;
+};
+
+export const validateGSTIN = (gstin) => {
+  return getGSTINError(gstin) === null;
+};
@@ -0,0 +1,203 @@
+// Most variants a style can have: the product rules check counter staff
+// stock writes variant by variant and cannot loop (see firestore.rules)
+export const MAX_VARIANTS = 50;
+
+/**
+ * Normalise a size or colour into an ID/SKU fragment ("Navy Blue" -> "NAVY-BLUE")
+ * @param {string} value - Size or colour
+ * @returns {string} Uppercase fragment
+ */
+const toVariantKey = (value) => String(value || '')
+  .trim()
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Stable variant ID for a size/colour combination
+ * @param {string} size - Size (optional)
+ * @param {string} colour - Colour (optional)
+ * @returns {string} Variant ID, e.g. "M_NAVY-BLUE"
+ */
+export const getVariantId = (size, colour) => {
+  return [size, colour].filter(Boolean).map(toVariantKey).join('_');
+};
+
+/**
+ * Human-readable variant label
+ * @param {Object} variant - { size, colour }
+ * @returns {string} Label, e.g. "M / Navy Blue"
+ */
+export const getVariantLabel = (variant) => {
+  if (!variant) return '';
+  return [variant.size, variant.colour].filter(Boolean).join(' / ');
+};
+
+/**
+ * Stock line key: one per product without variants, one per variant otherwise
+ * ('' after the colon for products without variants)
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant ID (optional)
+ * @returns {string} Line key
+ */
+export const getStockLineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Units per product and per stock line, the shape the rules check returns
+ * against (soldQuantities on bills, restockQuantities on credit notes)
+ * Lines without a productId are skipped.
+ * @param {Array} lines - Lines { productId, variantId, quantity }
+ * @returns {Object} Map of productId and stock line key -> units
+ */
+export const getStockLineQuantities = (lines = []) => {
+  const quantities = {};
+  lines.filter(line => line.productId).forEach(line => {
+    const lineKey = getStockLineKey(line.productId, line.variantId);
+    quantities[line.productId] = (quantities[line.productId] || 0) + line.quantity;
+    quantities[lineKey] = (quantities[lineKey] || 0) + line.quantity;
+  });
+  return quantities;
+};
+
+/**
+ * Build the size x colour matrix for a style
+ * Existing variants are kept as they are (stock, SKU, barcode, price), so
+ * adding a size or colour never resets stock on the others.
+ * @param {string} parentSku - Style SKU used as the SKU prefix
+ * @param {Array<string>} sizes - Sizes (may be empty)
+ * @param {Array<string>} colours - Colours (may be empty)
+ * @param {Array} existingVariants - Current variants
+ * @returns {Array} Variants in size-then-colour order
+ */
+export const buildVariantMatrix = (parentSku, sizes = [], colours = [], existingVariants = []) => {
+  const cleanSizes = [...new Set(sizes.map(size => size.trim()).filter(Boolean))];
+  const cleanColours = [...new Set(colours.map(colour => colour.trim()).filter(Boolean))];
+
+  if (cleanSizes.length === 0 && cleanColours.length === 0) {
+    return [];
+  }
+
+  const sizeAxis = cleanSizes.length > 0 ? cleanSizes : [''];
+  const colourAxis = cleanColours.length > 0 ? cleanColours : [''];
+  const prefix = toVariantKey(parentSku);
+
+  const variants = [];
+  sizeAxis.forEach(size => {
+    colourAxis.forEach(colour => {
+      const id = getVariantId(size, colour);
+      const existing = existingVariants.find(variant => variant.id === id);
+
+      variants.push(existing || {
+        id,
+        size,
+        colour,
+        sku: [prefix, toVariantKey(size), toVariantKey(colour)].filter(Boolean).join('-'),
+        barcode: '',
+        stockQty: 0,
+        priceOverride: null,
+        isActive: true
+      });
+    });
+  });
+
+  return variants;
+};
+
+/**
+ * Total stock across all variants of a style
+ * @param {Array} variants - Variants
+ * @returns {number} Total units
+ */
+export const getVariantStockTotal = (variants = []) => {
+  return variants.reduce((total, variant) => total + (variant.stockQty || 0), 0);
+};
+
+/**
+ * Whether a product is sold by size/colour
+ * @param {Object} product - Product
+ * @returns {boolean} True if the product has variants
+ */
+export const hasVariants = (product) => {
+  return Boolean(product && Array.isArray(product.variants) && product.variants.length > 0);
+};
+
+/**
+ * Variants that can be sold at the counter
+ * @param {Object} product - Product
+ * @returns {Array} Active variants
+ */
+export const getSellableVariants = (product) => {
+  return hasVariants(product) ? product.variants.filter(variant => variant.isActive !== false) : [];
+};
+
+/**
+ * Find a variant on a product
+ * @param {Object} product - Product
+ * @param {string} variantId - Variant ID
+ * @returns {Object|null} Variant or null
+ */
+export const findVariant = (product, variantId) => {
+  if (!hasVariants(product) || !variantId) return null;
+  return product.variants.find(variant => variant.id === variantId) || null;
+};
+
+/**
+ * Selling prices for a product or one of its variants
+ * A variant price override replaces the style's base price; the style's sale
+ * price only applies while it is below that price.
+ * @param {Object} product - Product
+ * @param {Object} variant - Variant (optional)
+ * @returns {Object} { basePrice, salePrice }
+ */
+export const getVariantPrices = (product, variant = null) => {
+  const basePrice = (variant && variant.priceOverride) || product.basePrice;
+  const salePrice = product.isOnSale && product.salePrice && product.salePrice < basePrice
+    ? product.salePrice
+    : null;
+
+  return { basePrice, salePrice };
+};
+
+/**
+ * Unit cost of a product or one of its variants (GST-exclusive)
+ * A variant's own cost (from goods receipts) wins over the style's cost.
+ * @param {Object} product - Product
+ * @param {string} variantId - Variant ID (optional)
+ * @returns {number|null} Unit cost, or null when no cost is known
+ */
+export const getUnitCost = (product, variantId = null) => {
+  if (!product) return null;
+
+  const variant = findVariant(product, variantId);
+  if (variant && typeof variant.costPrice === 'number') {
+    return variant.costPrice;
+  }
+  return typeof product.costPrice === 'number' ? product.costPrice : null;
+};
+
+/**
+ * Find the product (and variant) for a scanned or typed SKU / barcode
+ * @param {Array} products - Products
+ * @param {string} code - SKU or barcode
+ * @returns {Object|null} { product, variant } or null
+ */
+export const findProductByCode = (products, code) => {
+  const needle = String(code || '').trim().toUpperCase();
+  if (!needle) return null;
+
+  for (const product of products) {
+    const variant = getSellableVariants(product).find(candidate => (
+      (candidate.sku || '').toUpperCase() === needle ||
+      (candidate.barcode || '').toUpperCase() === needle
+    ));
+    if (variant) {
+      return { product, variant };
+    }
+
+    if ((product.sku || '').toUpperCase() === needle || (product.barcode || '').toUpperCase() === needle) {
+      return { product, variant: null };
+    }
+  }
+
+  return null;
+};
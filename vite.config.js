@@ -1,10 +1,64 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+// Files in public/ the service worker precaches along with the build output
+const PUBLIC_PRECACHE = [
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png'
+];
+
+// Emits dist/sw.js from src/pwa/sw.js with the list of built files to precache.
+// The cache version is a hash of that list, so every deploy installs fresh.
+const serviceWorker = () => ({
+  name: 'retailops-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const precacheUrls = [
+      ...Object.keys(bundle).filter(fileName => !fileName.endsWith('.map')).map(fileName => `/${fileName}`),
+      ...PUBLIC_PRECACHE
+    ];
+    const cacheVersion = createHash('sha256').update(JSON.stringify(precacheUrls)).digest('hex').slice(0, 12);
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: readFileSync('src/pwa/sw.js', 'utf-8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(precacheUrls))
+        .replace('__CACHE_VERSION__', cacheVersion)
+    });
+  }
+});
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  build: {
+    rollupOptions: {
+      output: {
+        // Heavy libraries in their own chunks, so app changes leave their file names (and caches) alone
+        manualChunks: {
+          firebase: ['firebase/app', 'firebase/auth', 'firebase/firestore'],
+          leaflet: ['leaflet', 'react-leaflet'],
+          recharts: ['recharts']
+        }
+      }
+    }
+  },
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    environment: 'node',
+    // Services initialise Firebase on import; tests never reach the network
+    env: {
+      VITE_FIREBASE_API_KEY: 'test-api-key',
+      VITE_FIREBASE_PROJECT_ID: 'retailops-test'
+    }
   }
 });